@@ -0,0 +1,111 @@
+package com.srgec.demo.config;
+
+import java.nio.charset.StandardCharsets;
+import java.security.MessageDigest;
+import java.util.Arrays;
+import java.util.List;
+
+import jakarta.servlet.http.HttpServletRequest;
+import jakarta.servlet.http.HttpServletResponse;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.stereotype.Component;
+import org.springframework.web.context.request.RequestAttributes;
+import org.springframework.web.context.request.RequestContextHolder;
+import org.springframework.web.cors.CorsUtils;
+import org.springframework.web.method.HandlerMethod;
+import org.springframework.web.servlet.HandlerInterceptor;
+
+import com.srgec.demo.entity.User;
+import com.srgec.demo.exception.ForbiddenException;
+import com.srgec.demo.service.AuthService;
+
+/**
+ * Requires a signed-in staff member on every API call, and the role named
+ * by RequiresRole where an endpoint has one. The user is left on the
+ * request under CURRENT_USER. The attendance kiosk, which nobody signs in
+ * to, sends the device token set in KIOSK_TOKEN instead.
+ */
+@Component
+public class AuthInterceptor implements HandlerInterceptor {
+
+    public static final String CURRENT_USER = "currentUser";
+
+    private static final List<String> PUBLIC_PATHS = List.of("/api/auth/login");
+
+    public static final String KIOSK_PATH = "/api/attendance/kiosk/punch";
+    public static final String KIOSK_TOKEN_HEADER = "X-Kiosk-Token";
+
+    @Autowired
+    private AuthService authService;
+
+    @Value("${app.attendance.kiosk-token:}")
+    private String kioskToken;
+
+    @Override
+    public boolean preHandle(HttpServletRequest request, HttpServletResponse response, Object handler) {
+
+        if (CorsUtils.isPreFlightRequest(request) || PUBLIC_PATHS.contains(request.getRequestURI())) {
+            return true;
+        }
+
+        if (KIOSK_PATH.equals(request.getRequestURI())) {
+            checkKioskToken(request.getHeader(KIOSK_TOKEN_HEADER));
+            return true;
+        }
+
+        User user = authService.authenticate(bearerToken(request));
+
+        request.setAttribute(CURRENT_USER, user);
+
+        if (handler instanceof HandlerMethod method) {
+
+            RequiresRole rule = method.getMethodAnnotation(RequiresRole.class);
+
+            if (rule == null) {
+                rule = method.getBeanType().getAnnotation(RequiresRole.class);
+            }
+
+            if (rule != null && !Arrays.asList(rule.value()).contains(user.getRole())) {
+                throw new ForbiddenException("Your role does not allow this. Ask the owner");
+            }
+        }
+
+        return true;
+    }
+
+    // Forbidden rather than unauthorized, so a staff session open in the same browser is kept
+    private void checkKioskToken(String token) {
+
+        if (kioskToken == null || kioskToken.isBlank()) {
+            throw new ForbiddenException("The attendance kiosk is not set up. Set KIOSK_TOKEN on the server");
+        }
+
+        if (token == null || !MessageDigest.isEqual(
+                kioskToken.getBytes(StandardCharsets.UTF_8), token.getBytes(StandardCharsets.UTF_8))) {
+            throw new ForbiddenException("This device is not set up as the attendance kiosk");
+        }
+    }
+
+    // The staff member behind the current request; null outside of one, such as in scheduled jobs
+    public static User currentUser() {
+
+        RequestAttributes request = RequestContextHolder.getRequestAttributes();
+
+        if (request == null) {
+            return null;
+        }
+
+        return request.getAttribute(CURRENT_USER, RequestAttributes.SCOPE_REQUEST) instanceof User user
+                ? user
+                : null;
+    }
+
+    public static String bearerToken(HttpServletRequest request) {
+
+        String header = request.getHeader("Authorization");
+
+        return header != null && header.startsWith("Bearer ") ? header.substring(7).trim() : null;
+    }
+}
@@ -0,0 +1,57 @@
+package com.srgec.demo.config;
+
+import java.time.LocalDate;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.boot.CommandLineRunner;
+import org.springframework.core.annotation.Order;
+import org.springframework.stereotype.Component;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.repository.BillingCycleRepository;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.service.BillingService;
+
+/**
+ * Students that were already charged by the old global "Calculate Fees"
+ * button have no billing cycles yet. Their current cycle is treated as
+ * invoiced so the first billing run does not charge them a second time.
+ */
+@Component
+@Order(2)
+public class BillingMigration implements CommandLineRunner {
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private BillingCycleRepository cycleRepo;
+
+    @Autowired
+    private LedgerEntryRepository ledgerRepo;
+
+    @Override
+    @Transactional
+    public void run(String... args) {
+
+        LocalDate today = LocalDate.now();
+
+        for (Student s : studentRepo.findAll()) {
+
+            if (s.getBilledThrough() != null
+                    || s.getJoinDate() == null
+                    || cycleRepo.existsByStudentId(s.getId())
+                    || !ledgerRepo.existsByStudentIdAndType(s.getId(), LedgerEntryType.CHARGE)) {
+                continue;
+            }
+
+            int current = BillingService.cycleIndexOn(s.getJoinDate(), today);
+
+            s.setBilledThrough(BillingService.cycleEnd(s.getJoinDate(), current));
+            studentRepo.save(s);
+        }
+    }
+}
@@ -0,0 +1,91 @@
+package com.srgec.demo.config;
+
+import java.util.HashMap;
+import java.util.Map;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.boot.CommandLineRunner;
+import org.springframework.core.annotation.Order;
+import org.springframework.stereotype.Component;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.entity.BillingCycle;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.Placement;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.entity.WaitlistEntry;
+import com.srgec.demo.repository.BillingCycleRepository;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.PlacementRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.repository.StudyHallRepository;
+import com.srgec.demo.repository.WaitlistRepository;
+
+/**
+ * Records saved before halls were linked by id only have the hall's name.
+ * They are linked to the hall that has that name today. Names that match
+ * no hall, such as a hall that was renamed or deleted before this ran,
+ * are left unlinked and keep showing the old name.
+ */
+@Component
+@Order(5)
+public class HallMigration implements CommandLineRunner {
+
+    @Autowired
+    private StudyHallRepository hallRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private WaitlistRepository waitlistRepo;
+
+    @Autowired
+    private PlacementRepository placementRepo;
+
+    @Autowired
+    private LedgerEntryRepository ledgerRepo;
+
+    @Autowired
+    private BillingCycleRepository cycleRepo;
+
+    @Override
+    @Transactional
+    public void run(String... args) {
+
+        Map<String, Long> hallIds = new HashMap<>();
+
+        // The oldest hall wins if two share a name
+        for (StudyHall hall : hallRepo.findAll()) {
+            if (hall.getName() != null) {
+                hallIds.putIfAbsent(hall.getName().trim(), hall.getId());
+            }
+        }
+
+        for (Student s : studentRepo.findByHallIdIsNullAndHallIsNotNull()) {
+            s.setHallId(hallIds.get(s.getHall().trim()));
+            studentRepo.save(s);
+        }
+
+        for (WaitlistEntry e : waitlistRepo.findByHallIdIsNullAndHallIsNotNull()) {
+            e.setHallId(hallIds.get(e.getHall().trim()));
+            waitlistRepo.save(e);
+        }
+
+        for (Placement p : placementRepo.findByHallIdIsNullAndHallIsNotNull()) {
+            p.setHallId(hallIds.get(p.getHall().trim()));
+            placementRepo.save(p);
+        }
+
+        for (LedgerEntry e : ledgerRepo.findByHallIdIsNullAndHallIsNotNull()) {
+            e.setHallId(hallIds.get(e.getHall().trim()));
+            ledgerRepo.save(e);
+        }
+
+        for (BillingCycle c : cycleRepo.findByHallIdIsNullAndHallIsNotNull()) {
+            c.setHallId(hallIds.get(c.getHall().trim()));
+            cycleRepo.save(c);
+        }
+    }
+}
@@ -0,0 +1,86 @@
+package com.srgec.demo.config;
+
+import java.time.LocalDate;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.boot.CommandLineRunner;
+import org.springframework.core.annotation.Order;
+import org.springframework.stereotype.Component;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.service.LedgerService;
+
+/**
+ * Converts the hand-edited feePaid / feeDue values of students created
+ * before the payment ledger existed into opening balance entries, so the
+ * derived totals match what was stored before.
+ */
+@Component
+@Order(1)
+public class LedgerMigration implements CommandLineRunner {
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private LedgerEntryRepository ledgerRepo;
+
+    @Autowired
+    private LedgerService ledgerService;
+
+    @Override
+    @Transactional
+    public void run(String... args) {
+
+        for (Student s : studentRepo.findAll()) {
+
+            if (ledgerRepo.existsByStudentId(s.getId())) {
+                continue;
+            }
+
+            int paid = s.getFeePaid() == null ? 0 : s.getFeePaid();
+            int due = s.getFeeDue() == null ? 0 : s.getFeeDue();
+
+            if (paid == 0 && due == 0) {
+                continue;
+            }
+
+            LocalDate date = s.getJoinDate() == null ? LocalDate.now() : s.getJoinDate();
+
+            if (paid + due > 0) {
+                ledgerService.recordCharge(s, paid + due, date, "Opening balance");
+            }
+
+            if (paid > 0) {
+
+                LedgerEntry payment = new LedgerEntry();
+
+                payment.setType(LedgerEntryType.PAYMENT);
+                payment.setAmount(paid);
+                payment.setEntryDate(date);
+                payment.setMode("CASH");
+                payment.setNote("Opening balance");
+
+                ledgerService.post(s, payment);
+            }
+
+            // A credit beyond what was paid (or with nothing paid at all) is carried over as is
+            if (paid + due < 0) {
+
+                LedgerEntry credit = new LedgerEntry();
+
+                credit.setType(LedgerEntryType.ADJUSTMENT);
+                credit.setAmount(paid + due);
+                credit.setEntryDate(date);
+                credit.setNote("Opening credit");
+
+                ledgerService.post(s, credit);
+            }
+        }
+    }
+}
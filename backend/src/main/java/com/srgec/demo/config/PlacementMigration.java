@@ -0,0 +1,43 @@
+package com.srgec.demo.config;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.boot.CommandLineRunner;
+import org.springframework.core.annotation.Order;
+import org.springframework.stereotype.Component;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.repository.PlacementRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.service.PlacementService;
+
+/**
+ * Students admitted before placement history was kept get a single
+ * placement in their current hall, from their join date to their left
+ * date. Earlier hall changes were overwritten and cannot be recovered.
+ */
+@Component
+@Order(4)
+public class PlacementMigration implements CommandLineRunner {
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private PlacementRepository placementRepo;
+
+    @Autowired
+    private PlacementService placementService;
+
+    @Override
+    @Transactional
+    public void run(String... args) {
+
+        for (Student s : studentRepo.findAll()) {
+
+            if (!placementRepo.existsByStudentId(s.getId())) {
+                placementService.recordAdmission(s);
+            }
+        }
+    }
+}
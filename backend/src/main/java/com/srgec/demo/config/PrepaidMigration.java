@@ -0,0 +1,39 @@
+package com.srgec.demo.config;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.boot.CommandLineRunner;
+import org.springframework.core.annotation.Order;
+import org.springframework.stereotype.Component;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.service.LedgerService;
+
+/**
+ * Advance payments used to be recorded by letting feeDue go negative.
+ * Recalculating those students gives them the Credit status and a
+ * paid-through date, the same as a prepaid plan.
+ */
+@Component
+@Order(3)
+public class PrepaidMigration implements CommandLineRunner {
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private LedgerService ledgerService;
+
+    @Override
+    @Transactional
+    public void run(String... args) {
+
+        for (Student s : studentRepo.findAll()) {
+
+            if (s.getPaidThrough() == null && s.getFeeDue() != null && s.getFeeDue() < 0) {
+                ledgerService.recalculate(s);
+            }
+        }
+    }
+}
@@ -0,0 +1,19 @@
+package com.srgec.demo.config;
+
+import java.lang.annotation.ElementType;
+import java.lang.annotation.Retention;
+import java.lang.annotation.RetentionPolicy;
+import java.lang.annotation.Target;
+
+import com.srgec.demo.entity.UserRole;
+
+/**
+ * Limits an endpoint, or every endpoint of a controller, to the given
+ * roles. Endpoints without it are open to any signed-in staff member.
+ */
+@Target({ ElementType.METHOD, ElementType.TYPE })
+@Retention(RetentionPolicy.RUNTIME)
+public @interface RequiresRole {
+
+    UserRole[] value();
+}
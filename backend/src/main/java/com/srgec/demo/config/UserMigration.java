@@ -0,0 +1,91 @@
+package com.srgec.demo.config;
+
+import java.security.SecureRandom;
+import java.util.Base64;
+
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.boot.CommandLineRunner;
+import org.springframework.core.annotation.Order;
+import org.springframework.stereotype.Component;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.entity.User;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.repository.UserRepository;
+import com.srgec.demo.service.AuthService;
+
+/**
+ * Accounts saved before staff roles had a plain-text password and no
+ * role; they become active owners with a hashed password. With no
+ * accounts at all, an owner is created from app.auth.owner-username and
+ * app.auth.owner-password, or with a random password that is logged once.
+ */
+@Component
+@Order(6)
+public class UserMigration implements CommandLineRunner {
+
+    private static final Logger log = LoggerFactory.getLogger(UserMigration.class);
+
+    @Autowired
+    private UserRepository userRepo;
+
+    @Autowired
+    private AuthService authService;
+
+    @Value("${app.auth.owner-username:owner}")
+    private String ownerUsername;
+
+    @Value("${app.auth.owner-password:}")
+    private String ownerPassword;
+
+    @Override
+    @Transactional
+    public void run(String... args) {
+
+        for (User user : userRepo.findAll()) {
+
+            if (user.getRole() == null) {
+                user.setRole(UserRole.OWNER);
+            }
+
+            if (user.getActive() == null) {
+                user.setActive(true);
+            }
+
+            if (user.getPassword() != null && !authService.isHashed(user.getPassword())) {
+                user.setPassword(authService.hashPassword(user.getPassword()));
+            }
+
+            userRepo.save(user);
+        }
+
+        if (userRepo.count() == 0) {
+            createOwner();
+        }
+    }
+
+    private void createOwner() {
+
+        String password = ownerPassword;
+
+        if (password == null || password.isBlank()) {
+            byte[] bytes = new byte[12];
+            new SecureRandom().nextBytes(bytes);
+            password = Base64.getUrlEncoder().withoutPadding().encodeToString(bytes);
+
+            log.warn("Created the owner account '{}' with the password {} . Sign in and change it", ownerUsername, password);
+        }
+
+        User owner = new User();
+        owner.setUsername(ownerUsername.trim().toLowerCase());
+        owner.setFullName("Owner");
+        owner.setRole(UserRole.OWNER);
+        owner.setActive(true);
+        owner.setPassword(authService.hashPassword(password));
+
+        userRepo.save(owner);
+    }
+}
@@ -0,0 +1,36 @@
+package com.srgec.demo.controller;
+
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.entity.Alert;
+import com.srgec.demo.service.AlertService;
+
+@RestController
+@RequestMapping("/api/alerts")
+@CrossOrigin(origins = "*")
+public class AlertController {
+
+    @Autowired
+    private AlertService alertService;
+
+    @GetMapping
+    public List<Alert> getAlerts() {
+        return alertService.getAlerts();
+    }
+
+    @PutMapping("/{id}/read")
+    public Alert markRead(@PathVariable Long id) {
+        return alertService.markRead(id);
+    }
+
+    @PutMapping("/read")
+    public String markAllRead() {
+
+        alertService.markAllRead();
+
+        return "All Alerts Marked as Read";
+    }
+}
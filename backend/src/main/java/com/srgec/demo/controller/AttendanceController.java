@@ -0,0 +1,51 @@
+package com.srgec.demo.controller;
+
+import java.time.LocalDate;
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.format.annotation.DateTimeFormat;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.dto.AttendancePunchDTO;
+import com.srgec.demo.dto.AttendanceStatusDTO;
+import com.srgec.demo.entity.Attendance;
+import com.srgec.demo.service.AttendanceService;
+
+@RestController
+@RequestMapping("/api")
+@CrossOrigin(origins = "*")
+public class AttendanceController {
+
+    @Autowired
+    private AttendanceService attendanceService;
+
+    // Checks the student in, or out if they are already in
+    @PostMapping("/attendance/punch")
+    public AttendancePunchDTO punch(@RequestParam String code) {
+        return attendanceService.punch(code);
+    }
+
+    // The same from the kiosk, which only gets a greeting back; see AuthInterceptor for its device token
+    @PostMapping("/attendance/kiosk/punch")
+    public AttendancePunchDTO kioskPunch(@RequestParam String code) {
+        return attendanceService.confirmation(attendanceService.punch(code));
+    }
+
+    @GetMapping("/attendance")
+    public List<AttendanceStatusDTO> getDay(
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate date,
+            @RequestParam(required = false) Long hallId) {
+
+        return attendanceService.getDay(date, hallId);
+    }
+
+    @GetMapping("/students/{id}/attendance")
+    public List<Attendance> getMonth(
+            @PathVariable Long id,
+            @RequestParam(required = false) String month) {
+
+        return attendanceService.getMonth(id, month);
+    }
+}
@@ -0,0 +1,44 @@
+package com.srgec.demo.controller;
+
+import java.time.LocalDate;
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.format.annotation.DateTimeFormat;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.config.RequiresRole;
+import com.srgec.demo.dto.AuditEventDTO;
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.service.AuditService;
+
+@RestController
+@RequestMapping("/api")
+@CrossOrigin(origins = "*")
+public class AuditController {
+
+    @Autowired
+    private AuditService auditService;
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @GetMapping("/audit-events")
+    public List<AuditEventDTO> search(
+            @RequestParam(required = false) AuditEntityType entityType,
+            @RequestParam(required = false) Long entityId,
+            @RequestParam(required = false) AuditAction action,
+            @RequestParam(required = false) Long actorId,
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate from,
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate to) {
+
+        return auditService.search(entityType, entityId, action, actorId, from, to);
+    }
+
+    @GetMapping("/students/{id}/history")
+    public List<AuditEventDTO> getStudentHistory(@PathVariable Long id) {
+        return auditService.getStudentHistory(id);
+    }
+}
@@ -0,0 +1,39 @@
+package com.srgec.demo.controller;
+
+import jakarta.servlet.http.HttpServletRequest;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.config.AuthInterceptor;
+import com.srgec.demo.dto.LoginDTO;
+import com.srgec.demo.entity.User;
+import com.srgec.demo.service.AuthService;
+
+@RestController
+@RequestMapping("/api/auth")
+@CrossOrigin(origins = "*")
+public class AuthController {
+
+    @Autowired
+    private AuthService authService;
+
+    @PostMapping("/login")
+    public LoginDTO login(@RequestBody User credentials) {
+        return authService.login(credentials.getUsername(), credentials.getPassword());
+    }
+
+    @PostMapping("/logout")
+    public String logout(HttpServletRequest request) {
+
+        authService.logout(AuthInterceptor.bearerToken(request));
+
+        return "Logged Out Successfully";
+    }
+
+    // The signed-in staff member, checked by the app when it is reopened
+    @GetMapping("/me")
+    public User currentUser(@RequestAttribute(AuthInterceptor.CURRENT_USER) User user) {
+        return user;
+    }
+}
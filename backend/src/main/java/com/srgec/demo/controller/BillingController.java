@@ -0,0 +1,69 @@
+package com.srgec.demo.controller;
+
+import java.time.LocalDate;
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.format.annotation.DateTimeFormat;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.config.RequiresRole;
+import com.srgec.demo.dto.BillingCycleDTO;
+import com.srgec.demo.dto.BillingRunDTO;
+import com.srgec.demo.entity.BillingRun;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.service.BillingService;
+import com.srgec.demo.service.UndoService;
+
+@RestController
+@RequestMapping("/api")
+@CrossOrigin(origins = "*")
+public class BillingController {
+
+    @Autowired
+    private BillingService billingService;
+
+    @Autowired
+    private UndoService undoService;
+
+    @GetMapping("/billing/preview")
+    public List<BillingCycleDTO> preview(
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate asOf) {
+
+        return billingService.preview(asOf == null ? LocalDate.now() : asOf);
+    }
+
+    @RequiresRole(UserRole.OWNER)
+    @PostMapping("/billing/runs")
+    public BillingRunDTO run(
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate asOf) {
+
+        return billingService.run(asOf == null ? LocalDate.now() : asOf);
+    }
+
+    @GetMapping("/billing/runs")
+    public List<BillingRun> getRuns() {
+        return billingService.getRuns();
+    }
+
+    @GetMapping("/billing/runs/{id}")
+    public BillingRunDTO getRun(@PathVariable Long id) {
+        return billingService.getRun(id);
+    }
+
+    @RequiresRole(UserRole.OWNER)
+    @PutMapping("/billing/runs/{id}/undo")
+    public String undoRun(@PathVariable Long id) {
+
+        undoService.undoBillingRun(id);
+
+        return "Billing Run Undone";
+    }
+
+    @GetMapping("/students/{id}/billing-cycles")
+    public List<BillingCycleDTO> getStudentCycles(@PathVariable Long id) {
+        return billingService.getStudentCycles(id);
+    }
+}
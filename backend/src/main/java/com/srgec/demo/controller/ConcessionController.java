@@ -0,0 +1,47 @@
+package com.srgec.demo.controller;
+
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.entity.Concession;
+import com.srgec.demo.service.ConcessionService;
+
+@RestController
+@RequestMapping("/api")
+@CrossOrigin(origins = "*")
+public class ConcessionController {
+
+    @Autowired
+    private ConcessionService concessionService;
+
+    @GetMapping("/students/{id}/concessions")
+    public List<Concession> getStudentConcessions(@PathVariable Long id) {
+        return concessionService.getStudentConcessions(id);
+    }
+
+    @PostMapping("/students/{id}/concessions")
+    public Concession addConcession(
+            @PathVariable Long id,
+            @RequestBody Concession concession) {
+
+        return concessionService.create(id, concession);
+    }
+
+    @PutMapping("/concessions/{id}")
+    public Concession updateConcession(
+            @PathVariable Long id,
+            @RequestBody Concession concession) {
+
+        return concessionService.update(id, concession);
+    }
+
+    @DeleteMapping("/concessions/{id}")
+    public String deleteConcession(@PathVariable Long id) {
+
+        concessionService.delete(id);
+
+        return "Concession Deleted Successfully";
+    }
+}
@@ -0,0 +1,38 @@
+package com.srgec.demo.controller;
+
+import java.time.LocalDate;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.format.annotation.DateTimeFormat;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.dto.DepositSettlementDTO;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.service.DepositService;
+
+@RestController
+@RequestMapping("/api/students")
+@CrossOrigin(origins = "*")
+public class DepositController {
+
+    @Autowired
+    private DepositService depositService;
+
+    @PostMapping("/{id}/deposit")
+    public LedgerEntry collectDeposit(
+            @PathVariable Long id,
+            @RequestBody LedgerEntry deposit) {
+
+        return depositService.collect(id, deposit);
+    }
+
+    @GetMapping("/{id}/deposit/settlement")
+    public DepositSettlementDTO previewSettlement(
+            @PathVariable Long id,
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate date,
+            @RequestParam(required = false) Integer damages) {
+
+        return depositService.previewSettlement(id, date == null ? LocalDate.now() : date, damages);
+    }
+}
@@ -1,14 +1,15 @@
 package com.srgec.demo.controller;
 
-import java.util.HashMap;
 import java.util.List;
 import java.util.Map;
 
 import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.web.bind.annotation.*;
 
+import com.srgec.demo.config.RequiresRole;
 import com.srgec.demo.entity.Student;
-import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.service.FeeService;
 
 @RestController
 @RequestMapping("/api")
@@ -16,32 +17,16 @@ import com.srgec.demo.repository.StudentRepository;
 public class FeeController {
 
     @Autowired
-    private StudentRepository repo;
+    private FeeService feeService;
 
+    @RequiresRole(UserRole.OWNER)
     @PostMapping("/fees/calculate-monthly")
     public Map<String, String> calculateFees() {
-
-        List<Student> students = repo.findAll();
-
-        for (Student s : students) {
-
-            if (s.getLeftDate() == null) {
-
-                s.setFeeDue(
-                        s.getFeeDue() + s.getMonthlyFee());
-
-                repo.save(s);
-            }
-        }
-
-        Map<String, String> map = new HashMap<>();
-        map.put("message", "Monthly Fees Calculated");
-
-        return map;
+        return feeService.calculateMonthlyFees();
     }
 
     @GetMapping("/upcoming-fees")
     public List<Student> upcomingFees() {
-        return repo.findAll();
+        return feeService.getUpcomingFees();
     }
-}
\ No newline at end of file
+}
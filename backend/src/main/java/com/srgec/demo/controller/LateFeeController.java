@@ -0,0 +1,78 @@
+package com.srgec.demo.controller;
+
+import java.time.LocalDate;
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.format.annotation.DateTimeFormat;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.config.RequiresRole;
+import com.srgec.demo.dto.FeeAgingDTO;
+import com.srgec.demo.dto.LateFeeDTO;
+import com.srgec.demo.entity.LateFeeRule;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.service.LateFeeService;
+
+@RestController
+@RequestMapping("/api")
+@CrossOrigin(origins = "*")
+public class LateFeeController {
+
+    @Autowired
+    private LateFeeService lateFeeService;
+
+    @GetMapping("/late-fee-rules")
+    public List<LateFeeRule> getRules() {
+        return lateFeeService.getRules();
+    }
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @PostMapping("/late-fee-rules")
+    public LateFeeRule addRule(@RequestBody LateFeeRule rule) {
+        return lateFeeService.createRule(rule);
+    }
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @PutMapping("/late-fee-rules/{id}")
+    public LateFeeRule updateRule(
+            @PathVariable Long id,
+            @RequestBody LateFeeRule rule) {
+
+        return lateFeeService.updateRule(id, rule);
+    }
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @DeleteMapping("/late-fee-rules/{id}")
+    public String deleteRule(@PathVariable Long id) {
+
+        lateFeeService.deleteRule(id);
+
+        return "Late Fee Rule Deleted Successfully";
+    }
+
+    @GetMapping("/fees/aging")
+    public List<FeeAgingDTO> getAging(
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate asOf) {
+
+        return lateFeeService.getAging(asOf == null ? LocalDate.now() : asOf);
+    }
+
+    @GetMapping("/late-fees/preview")
+    public List<LateFeeDTO> preview(
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate asOf) {
+
+        return lateFeeService.preview(asOf == null ? LocalDate.now() : asOf);
+    }
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @PostMapping("/late-fees/assess")
+    public List<LateFeeDTO> assess(
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate asOf) {
+
+        return lateFeeService.assess(asOf == null ? LocalDate.now() : asOf);
+    }
+}
@@ -0,0 +1,51 @@
+package com.srgec.demo.controller;
+
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.dto.ReceiptDTO;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.service.LedgerService;
+import com.srgec.demo.service.ReceiptService;
+
+@RestController
+@RequestMapping("/api")
+@CrossOrigin(origins = "*")
+public class PaymentController {
+
+    @Autowired
+    private LedgerService ledgerService;
+
+    @Autowired
+    private ReceiptService receiptService;
+
+    @GetMapping("/payments")
+    public List<LedgerEntry> getAllPayments() {
+        return ledgerService.getPayments();
+    }
+
+    @GetMapping("/payments/{id}")
+    public LedgerEntry getPayment(@PathVariable Long id) {
+        return ledgerService.getEntry(id);
+    }
+
+    @GetMapping("/payments/{id}/receipt")
+    public ReceiptDTO getReceipt(@PathVariable Long id) {
+        return receiptService.getReceipt(id);
+    }
+
+    @GetMapping("/students/{id}/payments")
+    public List<LedgerEntry> getStudentLedger(@PathVariable Long id) {
+        return ledgerService.getStudentLedger(id);
+    }
+
+    @PostMapping("/students/{id}/payments")
+    public LedgerEntry recordPayment(
+            @PathVariable Long id,
+            @RequestBody LedgerEntry payment) {
+
+        return ledgerService.recordPayment(id, payment);
+    }
+}
@@ -0,0 +1,33 @@
+package com.srgec.demo.controller;
+
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.dto.TransferDTO;
+import com.srgec.demo.entity.Placement;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.service.PlacementService;
+
+@RestController
+@RequestMapping("/api/students")
+@CrossOrigin(origins = "*")
+public class PlacementController {
+
+    @Autowired
+    private PlacementService placementService;
+
+    @GetMapping("/{id}/placements")
+    public List<Placement> getPlacements(@PathVariable Long id) {
+        return placementService.getHistory(id);
+    }
+
+    @PostMapping("/{id}/transfer")
+    public Student transfer(
+            @PathVariable Long id,
+            @RequestBody TransferDTO request) {
+
+        return placementService.transfer(id, request);
+    }
+}
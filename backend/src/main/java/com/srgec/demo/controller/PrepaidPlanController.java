@@ -0,0 +1,40 @@
+package com.srgec.demo.controller;
+
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.dto.PrepaidPlanDTO;
+import com.srgec.demo.entity.PrepaidPlan;
+import com.srgec.demo.service.PrepaidService;
+
+@RestController
+@RequestMapping("/api/students")
+@CrossOrigin(origins = "*")
+public class PrepaidPlanController {
+
+    @Autowired
+    private PrepaidService prepaidService;
+
+    @GetMapping("/{id}/prepaid-plans")
+    public List<PrepaidPlan> getStudentPlans(@PathVariable Long id) {
+        return prepaidService.getStudentPlans(id);
+    }
+
+    @GetMapping("/{id}/prepaid-plans/quote")
+    public PrepaidPlanDTO quote(
+            @PathVariable Long id,
+            @RequestParam Integer months) {
+
+        return prepaidService.quote(id, months);
+    }
+
+    @PostMapping("/{id}/prepaid-plans")
+    public PrepaidPlan purchase(
+            @PathVariable Long id,
+            @RequestBody PrepaidPlanDTO request) {
+
+        return prepaidService.purchase(id, request);
+    }
+}
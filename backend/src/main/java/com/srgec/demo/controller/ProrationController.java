@@ -0,0 +1,43 @@
+package com.srgec.demo.controller;
+
+import java.time.LocalDate;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.format.annotation.DateTimeFormat;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.dto.ProrationDTO;
+import com.srgec.demo.service.ProrationService;
+
+@RestController
+@RequestMapping("/api/students")
+@CrossOrigin(origins = "*")
+public class ProrationController {
+
+    @Autowired
+    private ProrationService prorationService;
+
+    @GetMapping("/{id}/proration/leave")
+    public ProrationDTO previewLeave(
+            @PathVariable Long id,
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate date) {
+
+        return prorationService.previewLeave(id, date == null ? LocalDate.now() : date);
+    }
+
+    @GetMapping("/{id}/proration/reactivate")
+    public ProrationDTO previewReactivation(@PathVariable Long id) {
+        return prorationService.previewReactivation(id, LocalDate.now());
+    }
+
+    @GetMapping("/{id}/proration/transfer")
+    public ProrationDTO previewTransfer(
+            @PathVariable Long id,
+            @RequestParam(required = false) Integer monthlyFee,
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate date) {
+
+        return prorationService.previewTransfer(id, monthlyFee, date == null ? LocalDate.now() : date);
+    }
+}
@@ -0,0 +1,54 @@
+package com.srgec.demo.controller;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.config.RequiresRole;
+import com.srgec.demo.dto.RecycleBinDTO;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.service.RecycleBinService;
+
+@RestController
+@RequestMapping("/api/recycle-bin")
+@CrossOrigin(origins = "*")
+@RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+public class RecycleBinController {
+
+    @Autowired
+    private RecycleBinService recycleBinService;
+
+    @GetMapping
+    public RecycleBinDTO getRecycleBin() {
+        return recycleBinService.getRecycleBin();
+    }
+
+    @PutMapping("/students/{id}/restore")
+    public Student restoreStudent(@PathVariable Long id) {
+        return recycleBinService.restoreStudent(id);
+    }
+
+    @PutMapping("/study-halls/{id}/restore")
+    public StudyHall restoreHall(@PathVariable Long id) {
+        return recycleBinService.restoreHall(id);
+    }
+
+    @RequiresRole(UserRole.OWNER)
+    @DeleteMapping("/students/{id}")
+    public String purgeStudent(@PathVariable Long id) {
+
+        recycleBinService.purgeStudent(id);
+
+        return "Student Deleted Permanently";
+    }
+
+    @RequiresRole(UserRole.OWNER)
+    @DeleteMapping("/study-halls/{id}")
+    public String purgeHall(@PathVariable Long id) {
+
+        recycleBinService.purgeHall(id);
+
+        return "Hall Deleted Permanently";
+    }
+}
@@ -0,0 +1,81 @@
+package com.srgec.demo.controller;
+
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.config.RequiresRole;
+import com.srgec.demo.dto.SeatMapDTO;
+import com.srgec.demo.entity.SeatTier;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.service.SeatService;
+
+@RestController
+@RequestMapping("/api")
+@CrossOrigin(origins = "*")
+public class SeatController {
+
+    @Autowired
+    private SeatService seatService;
+
+    @GetMapping("/study-halls/{id}/seat-map")
+    public SeatMapDTO getSeatMap(@PathVariable Long id) {
+        return seatService.getSeatMap(id);
+    }
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @PutMapping("/study-halls/{id}/seat-map")
+    public SeatMapDTO saveSeatMap(
+            @PathVariable Long id,
+            @RequestBody SeatMapDTO layout) {
+
+        return seatService.saveLayout(id, layout);
+    }
+
+    @PutMapping("/students/{id}/seat")
+    public Student assignSeat(
+            @PathVariable Long id,
+            @RequestParam Long seatId) {
+
+        return seatService.assign(id, seatId);
+    }
+
+    @DeleteMapping("/students/{id}/seat")
+    public Student unassignSeat(@PathVariable Long id) {
+        return seatService.unassign(id);
+    }
+
+    @GetMapping("/study-halls/{id}/seat-tiers")
+    public List<SeatTier> getSeatTiers(@PathVariable Long id) {
+        return seatService.getTiers(id);
+    }
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @PostMapping("/study-halls/{id}/seat-tiers")
+    public SeatTier addSeatTier(
+            @PathVariable Long id,
+            @RequestBody SeatTier tier) {
+
+        return seatService.createTier(id, tier);
+    }
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @PutMapping("/seat-tiers/{id}")
+    public SeatTier updateSeatTier(
+            @PathVariable Long id,
+            @RequestBody SeatTier tier) {
+
+        return seatService.updateTier(id, tier);
+    }
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @DeleteMapping("/seat-tiers/{id}")
+    public String deleteSeatTier(@PathVariable Long id) {
+
+        seatService.deleteTier(id);
+
+        return "Price Tier Deleted Successfully";
+    }
+}
@@ -0,0 +1,57 @@
+package com.srgec.demo.controller;
+
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.config.RequiresRole;
+import com.srgec.demo.entity.Shift;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.service.ShiftService;
+
+@RestController
+@RequestMapping("/api")
+@CrossOrigin(origins = "*")
+public class ShiftController {
+
+    @Autowired
+    private ShiftService shiftService;
+
+    @GetMapping("/shifts")
+    public List<Shift> getAllShifts() {
+        return shiftService.getAllShifts();
+    }
+
+    @GetMapping("/study-halls/{id}/shifts")
+    public List<Shift> getHallShifts(@PathVariable Long id) {
+        return shiftService.getHallShifts(id);
+    }
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @PostMapping("/study-halls/{id}/shifts")
+    public Shift addShift(
+            @PathVariable Long id,
+            @RequestBody Shift shift) {
+
+        return shiftService.create(id, shift);
+    }
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @PutMapping("/shifts/{id}")
+    public Shift updateShift(
+            @PathVariable Long id,
+            @RequestBody Shift shift) {
+
+        return shiftService.update(id, shift);
+    }
+
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
+    @DeleteMapping("/shifts/{id}")
+    public String deleteShift(@PathVariable Long id) {
+
+        shiftService.delete(id);
+
+        return "Shift Deleted Successfully";
+    }
+}
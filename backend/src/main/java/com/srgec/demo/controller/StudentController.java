@@ -2,13 +2,18 @@ package com.srgec.demo.controller;
 
 import java.time.LocalDate;
 import java.util.List;
-import java.util.Optional;
 
 import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.format.annotation.DateTimeFormat;
 import org.springframework.web.bind.annotation.*;
 
+import com.srgec.demo.config.RequiresRole;
+import com.srgec.demo.dto.DuplicateStudentDTO;
 import com.srgec.demo.entity.Student;
-import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.service.DuplicateStudentService;
+import com.srgec.demo.service.StudentService;
+import com.srgec.demo.service.UndoService;
 
 @RestController
 @RequestMapping("/api/students")
@@ -16,109 +21,82 @@ import com.srgec.demo.repository.StudentRepository;
 public class StudentController {
 
     @Autowired
-    private StudentRepository repo;
+    private StudentService studentService;
+
+    @Autowired
+    private DuplicateStudentService duplicateStudentService;
+
+    @Autowired
+    private UndoService undoService;
 
     @GetMapping
     public List<Student> getAllStudents() {
-        return repo.findAll();
+        return studentService.getAllStudents();
     }
 
     @GetMapping("/{id}")
     public Student getStudent(@PathVariable Long id) {
-        return repo.findById(id).orElse(null);
+        return studentService.getStudent(id);
     }
 
     @PostMapping
     public Student addStudent(@RequestBody Student student) {
+        return studentService.saveStudent(student);
+    }
 
-        if (student.getStatus() == null) {
-            student.setStatus("Pending");
-        }
-
-        return repo.save(student);
+    // Checked by the admission form before a new student is saved
+    @PostMapping("/duplicates")
+    public List<DuplicateStudentDTO> findDuplicates(@RequestBody Student student) {
+        return duplicateStudentService.findDuplicates(student);
     }
 
     @PutMapping("/{id}")
     public Student updateStudent(
             @PathVariable Long id,
             @RequestBody Student updatedStudent) {
-
-        Optional<Student> optional = repo.findById(id);
-
-        if (optional.isPresent()) {
-
-            Student student = optional.get();
-
-            student.setName(updatedStudent.getName());
-            student.setCabin(updatedStudent.getCabin());
-            student.setHall(updatedStudent.getHall());
-            student.setPhone(updatedStudent.getPhone());
-
-            student.setJoinDate(updatedStudent.getJoinDate());
-            student.setLeftDate(updatedStudent.getLeftDate());
-
-            student.setMonthlyFee(updatedStudent.getMonthlyFee());
-            student.setFeePaid(updatedStudent.getFeePaid());
-            student.setFeeDue(updatedStudent.getFeeDue());
-            student.setStatus(updatedStudent.getStatus());
-
-            return repo.save(student);
-        }
-
-        return null;
+        return studentService.updateStudent(id, updatedStudent);
     }
 
+    @RequiresRole(UserRole.OWNER)
     @DeleteMapping("/{id}")
     public String deleteStudent(@PathVariable Long id) {
 
-        repo.deleteById(id);
+        studentService.deleteStudent(id);
 
-        return "Student Deleted Successfully";
+        return "Student Moved to the Recycle Bin";
     }
 
     @PutMapping("/{id}/leave")
-    public Student markAsLeft(@PathVariable Long id) {
-
-        Student student = repo.findById(id).orElse(null);
-
-        if (student != null) {
+    public Student markAsLeft(
+            @PathVariable Long id,
+            @RequestParam(required = false)
+            @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate date,
+            @RequestParam(required = false) Integer damages,
+            @RequestParam(required = false) String damageNote,
+            @RequestParam(required = false) String refundMode) {
 
-            student.setLeftDate(LocalDate.now());
-            student.setStatus("Left");
+        LocalDate leftDate = date == null ? LocalDate.now() : date;
 
-            return repo.save(student);
-        }
+        return studentService.markAsLeft(id, leftDate, damages, damageNote, refundMode);
+    }
 
-        return null;
+    @PutMapping("/{id}/leave/undo")
+    public Student undoMarkAsLeft(@PathVariable Long id) {
+        return undoService.undo(UndoService.LEAVE, id);
     }
 
     @PutMapping("/{id}/reactivate")
     public Student reactivateStudent(@PathVariable Long id) {
+        return studentService.reactivate(id);
+    }
 
-        Student student = repo.findById(id).orElse(null);
-
-        if (student != null) {
-
-            student.setLeftDate(null);
-            student.setStatus("Paid");
-
-            return repo.save(student);
-        }
-
-        return null;
+    @PutMapping("/{id}/reactivate/undo")
+    public Student undoReactivate(@PathVariable Long id) {
+        return undoService.undo(UndoService.REACTIVATE, id);
     }
 
     @GetMapping("/recent")
     public List<Student> recentStudents() {
-
-        List<Student> students = repo.findAll();
-
-        int size = students.size();
-
-        if (size <= 5) {
-            return students;
-        }
-
-        return students.subList(size - 5, size);
+        return studentService.getRecentStudents();
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,57 @@
+package com.srgec.demo.controller;
+
+import java.nio.charset.StandardCharsets;
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.ContentDisposition;
+import org.springframework.http.HttpHeaders;
+import org.springframework.http.MediaType;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+import org.springframework.web.multipart.MultipartFile;
+
+import com.srgec.demo.entity.StudentDocument;
+import com.srgec.demo.service.StudentDocumentService;
+
+@RestController
+@RequestMapping("/api")
+@CrossOrigin(origins = "*")
+public class StudentDocumentController {
+
+    @Autowired
+    private StudentDocumentService documentService;
+
+    @GetMapping("/students/{id}/documents")
+    public List<StudentDocument> getStudentDocuments(@PathVariable Long id) {
+        return documentService.getStudentDocuments(id);
+    }
+
+    @PostMapping("/students/{id}/documents")
+    public StudentDocument uploadDocument(
+            @PathVariable Long id,
+            @RequestParam("file") MultipartFile file) {
+
+        return documentService.upload(id, file);
+    }
+
+    @GetMapping("/documents/{id}/file")
+    public ResponseEntity<byte[]> downloadDocument(@PathVariable Long id) {
+
+        StudentDocument document = documentService.getDocument(id);
+
+        return ResponseEntity.ok()
+                .contentType(MediaType.parseMediaType(document.getContentType()))
+                .header(HttpHeaders.CONTENT_DISPOSITION,
+                        ContentDisposition.inline().filename(document.getName(), StandardCharsets.UTF_8).build().toString())
+                .body(document.getContent());
+    }
+
+    @DeleteMapping("/documents/{id}")
+    public String deleteDocument(@PathVariable Long id) {
+
+        documentService.delete(id);
+
+        return "Document Deleted Successfully";
+    }
+}
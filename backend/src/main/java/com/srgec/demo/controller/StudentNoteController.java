@@ -0,0 +1,39 @@
+package com.srgec.demo.controller;
+
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.entity.StudentNote;
+import com.srgec.demo.service.StudentNoteService;
+
+@RestController
+@RequestMapping("/api")
+@CrossOrigin(origins = "*")
+public class StudentNoteController {
+
+    @Autowired
+    private StudentNoteService noteService;
+
+    @GetMapping("/students/{id}/notes")
+    public List<StudentNote> getStudentNotes(@PathVariable Long id) {
+        return noteService.getStudentNotes(id);
+    }
+
+    @PostMapping("/students/{id}/notes")
+    public StudentNote addNote(
+            @PathVariable Long id,
+            @RequestBody StudentNote note) {
+
+        return noteService.create(id, note);
+    }
+
+    @DeleteMapping("/notes/{id}")
+    public String deleteNote(@PathVariable Long id) {
+
+        noteService.delete(id);
+
+        return "Note Deleted Successfully";
+    }
+}
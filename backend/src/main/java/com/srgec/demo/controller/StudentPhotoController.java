@@ -0,0 +1,45 @@
+package com.srgec.demo.controller;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.CacheControl;
+import org.springframework.http.MediaType;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+import org.springframework.web.multipart.MultipartFile;
+
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudentPhoto;
+import com.srgec.demo.service.StudentPhotoService;
+
+@RestController
+@RequestMapping("/api/students")
+@CrossOrigin(origins = "*")
+public class StudentPhotoController {
+
+    @Autowired
+    private StudentPhotoService photoService;
+
+    @GetMapping("/{id}/photo")
+    public ResponseEntity<byte[]> getPhoto(@PathVariable Long id) {
+
+        StudentPhoto photo = photoService.getPhoto(id);
+
+        return ResponseEntity.ok()
+                .contentType(MediaType.parseMediaType(photo.getContentType()))
+                .cacheControl(CacheControl.noCache())
+                .body(photo.getContent());
+    }
+
+    @PutMapping("/{id}/photo")
+    public Student uploadPhoto(
+            @PathVariable Long id,
+            @RequestParam("file") MultipartFile file) {
+
+        return photoService.save(id, file);
+    }
+
+    @DeleteMapping("/{id}/photo")
+    public Student deletePhoto(@PathVariable Long id) {
+        return photoService.delete(id);
+    }
+}
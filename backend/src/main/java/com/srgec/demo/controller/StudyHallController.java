@@ -5,8 +5,10 @@ import java.util.List;
 import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.web.bind.annotation.*;
 
+import com.srgec.demo.config.RequiresRole;
 import com.srgec.demo.entity.StudyHall;
-import com.srgec.demo.repository.StudyHallRepository;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.service.StudyHallService;
 
 @RestController
 @RequestMapping("/api/study-halls")
@@ -14,48 +16,38 @@ import com.srgec.demo.repository.StudyHallRepository;
 public class StudyHallController {
 
     @Autowired
-    private StudyHallRepository repo;
+    private StudyHallService studyHallService;
 
     @GetMapping
     public List<StudyHall> getAllStudyHalls() {
-        return repo.findAll();
+        return studyHallService.getAllHalls();
     }
 
     @GetMapping("/{id}")
     public StudyHall getHall(@PathVariable Long id) {
-        return repo.findById(id).orElse(null);
+        return studyHallService.getHall(id);
     }
 
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
     @PostMapping
     public StudyHall addHall(@RequestBody StudyHall hall) {
-        return repo.save(hall);
+        return studyHallService.saveHall(hall);
     }
 
+    @RequiresRole({ UserRole.OWNER, UserRole.MANAGER })
     @PutMapping("/{id}")
     public StudyHall updateHall(
             @PathVariable Long id,
             @RequestBody StudyHall updatedHall) {
-
-        StudyHall hall = repo.findById(id).orElse(null);
-
-        if (hall != null) {
-
-            hall.setName(updatedHall.getName());
-            hall.setCapacity(updatedHall.getCapacity());
-            hall.setLocation(updatedHall.getLocation());
-            hall.setDescription(updatedHall.getDescription());
-
-            return repo.save(hall);
-        }
-
-        return null;
+        return studyHallService.updateHall(id, updatedHall);
     }
 
+    @RequiresRole(UserRole.OWNER)
     @DeleteMapping("/{id}")
     public String deleteHall(@PathVariable Long id) {
 
-        repo.deleteById(id);
+        studyHallService.deleteHall(id);
 
-        return "Hall Deleted Successfully";
+        return "Hall Moved to the Recycle Bin";
     }
-}
\ No newline at end of file
+}
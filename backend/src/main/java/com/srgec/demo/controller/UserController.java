@@ -0,0 +1,50 @@
+package com.srgec.demo.controller;
+
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.config.AuthInterceptor;
+import com.srgec.demo.config.RequiresRole;
+import com.srgec.demo.entity.User;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.service.UserService;
+
+@RestController
+@RequestMapping("/api/users")
+@CrossOrigin(origins = "*")
+@RequiresRole(UserRole.OWNER)
+public class UserController {
+
+    @Autowired
+    private UserService userService;
+
+    @GetMapping
+    public List<User> getUsers() {
+        return userService.getUsers();
+    }
+
+    @PostMapping
+    public User addUser(@RequestBody User user) {
+        return userService.create(user);
+    }
+
+    @PutMapping("/{id}")
+    public User updateUser(
+            @PathVariable Long id,
+            @RequestBody User user) {
+
+        return userService.update(id, user);
+    }
+
+    @DeleteMapping("/{id}")
+    public String deleteUser(
+            @PathVariable Long id,
+            @RequestAttribute(AuthInterceptor.CURRENT_USER) User currentUser) {
+
+        userService.delete(id, currentUser);
+
+        return "User Deleted Successfully";
+    }
+}
@@ -0,0 +1,72 @@
+package com.srgec.demo.controller;
+
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.web.bind.annotation.*;
+
+import com.srgec.demo.entity.WaitlistEntry;
+import com.srgec.demo.service.WaitlistService;
+
+@RestController
+@RequestMapping("/api")
+@CrossOrigin(origins = "*")
+public class WaitlistController {
+
+    @Autowired
+    private WaitlistService waitlistService;
+
+    @GetMapping("/waitlist")
+    public List<WaitlistEntry> getWaitlist() {
+        return waitlistService.getAllEntries();
+    }
+
+    @GetMapping("/waitlist/{id}")
+    public WaitlistEntry getEntry(@PathVariable Long id) {
+        return waitlistService.getEntry(id);
+    }
+
+    @PostMapping("/waitlist")
+    public WaitlistEntry addEntry(@RequestBody WaitlistEntry entry) {
+        return waitlistService.create(entry);
+    }
+
+    @PutMapping("/waitlist/{id}")
+    public WaitlistEntry updateEntry(
+            @PathVariable Long id,
+            @RequestBody WaitlistEntry entry) {
+
+        return waitlistService.update(id, entry);
+    }
+
+    @DeleteMapping("/waitlist/{id}")
+    public String deleteEntry(@PathVariable Long id) {
+
+        waitlistService.delete(id);
+
+        return "Waitlist Entry Deleted Successfully";
+    }
+
+    @PutMapping("/waitlist/{id}/decline")
+    public WaitlistEntry declineOffer(@PathVariable Long id) {
+        return waitlistService.decline(id);
+    }
+
+    @PutMapping("/waitlist/{id}/withdraw")
+    public WaitlistEntry withdraw(@PathVariable Long id) {
+        return waitlistService.withdraw(id);
+    }
+
+    @PutMapping("/waitlist/{id}/convert")
+    public WaitlistEntry convert(
+            @PathVariable Long id,
+            @RequestParam Long studentId) {
+
+        return waitlistService.convert(id, studentId);
+    }
+
+    @GetMapping("/students/{id}/waitlist-offer")
+    public WaitlistEntry getOpenOffer(@PathVariable Long id) {
+        return waitlistService.getOpenOffer(id);
+    }
+}
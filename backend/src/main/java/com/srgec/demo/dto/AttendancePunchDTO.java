@@ -0,0 +1,68 @@
+package com.srgec.demo.dto;
+
+import java.time.LocalDateTime;
+
+/**
+ * What the kiosk shows after a phone number or card code is entered:
+ * who it was and whether they were checked in or out.
+ */
+public class AttendancePunchDTO {
+
+    private Long studentId;
+    private String name;
+    private String hall;
+    private String cabin;
+    private boolean checkedIn;
+    private LocalDateTime time;
+
+    public AttendancePunchDTO() {
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public String getName() {
+        return name;
+    }
+
+    public void setName(String name) {
+        this.name = name;
+    }
+
+    public String getHall() {
+        return hall;
+    }
+
+    public void setHall(String hall) {
+        this.hall = hall;
+    }
+
+    public String getCabin() {
+        return cabin;
+    }
+
+    public void setCabin(String cabin) {
+        this.cabin = cabin;
+    }
+
+    public boolean isCheckedIn() {
+        return checkedIn;
+    }
+
+    public void setCheckedIn(boolean checkedIn) {
+        this.checkedIn = checkedIn;
+    }
+
+    public LocalDateTime getTime() {
+        return time;
+    }
+
+    public void setTime(LocalDateTime time) {
+        this.time = time;
+    }
+}
@@ -0,0 +1,122 @@
+package com.srgec.demo.dto;
+
+import java.time.LocalDateTime;
+
+/**
+ * A student's attendance on one day: whether they came, when they first
+ * checked in and last checked out, and whether they are still inside.
+ */
+public class AttendanceStatusDTO {
+
+    private Long studentId;
+    private String name;
+    private String phone;
+    private Long hallId;
+    private String hall;
+    private String cabin;
+    private Long shiftId;
+    private boolean present;
+    private boolean inside;
+    private Integer visits;
+    private LocalDateTime firstCheckIn;
+    private LocalDateTime lastCheckOut;
+
+    public AttendanceStatusDTO() {
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public String getName() {
+        return name;
+    }
+
+    public void setName(String name) {
+        this.name = name;
+    }
+
+    public String getPhone() {
+        return phone;
+    }
+
+    public void setPhone(String phone) {
+        this.phone = phone;
+    }
+
+    public Long getHallId() {
+        return hallId;
+    }
+
+    public void setHallId(Long hallId) {
+        this.hallId = hallId;
+    }
+
+    public String getHall() {
+        return hall;
+    }
+
+    public void setHall(String hall) {
+        this.hall = hall;
+    }
+
+    public String getCabin() {
+        return cabin;
+    }
+
+    public void setCabin(String cabin) {
+        this.cabin = cabin;
+    }
+
+    public Long getShiftId() {
+        return shiftId;
+    }
+
+    public void setShiftId(Long shiftId) {
+        this.shiftId = shiftId;
+    }
+
+    public boolean isPresent() {
+        return present;
+    }
+
+    public void setPresent(boolean present) {
+        this.present = present;
+    }
+
+    public boolean isInside() {
+        return inside;
+    }
+
+    public void setInside(boolean inside) {
+        this.inside = inside;
+    }
+
+    public Integer getVisits() {
+        return visits;
+    }
+
+    public void setVisits(Integer visits) {
+        this.visits = visits;
+    }
+
+    public LocalDateTime getFirstCheckIn() {
+        return firstCheckIn;
+    }
+
+    public void setFirstCheckIn(LocalDateTime firstCheckIn) {
+        this.firstCheckIn = firstCheckIn;
+    }
+
+    public LocalDateTime getLastCheckOut() {
+        return lastCheckOut;
+    }
+
+    public void setLastCheckOut(LocalDateTime lastCheckOut) {
+        this.lastCheckOut = lastCheckOut;
+    }
+}
@@ -0,0 +1,40 @@
+package com.srgec.demo.dto;
+
+import java.util.List;
+
+import com.srgec.demo.entity.AuditChange;
+import com.srgec.demo.entity.AuditEvent;
+
+/**
+ * An audit event with its field-level changes, as shown on the Activity
+ * page and a student's history.
+ */
+public class AuditEventDTO {
+
+    private AuditEvent event;
+    private List<AuditChange> changes;
+
+    public AuditEventDTO() {
+    }
+
+    public AuditEventDTO(AuditEvent event, List<AuditChange> changes) {
+        this.event = event;
+        this.changes = changes;
+    }
+
+    public AuditEvent getEvent() {
+        return event;
+    }
+
+    public void setEvent(AuditEvent event) {
+        this.event = event;
+    }
+
+    public List<AuditChange> getChanges() {
+        return changes;
+    }
+
+    public void setChanges(List<AuditChange> changes) {
+        this.changes = changes;
+    }
+}
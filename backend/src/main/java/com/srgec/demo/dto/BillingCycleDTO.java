@@ -0,0 +1,91 @@
+package com.srgec.demo.dto;
+
+import java.time.LocalDate;
+
+public class BillingCycleDTO {
+
+    private Long id;
+    private Long studentId;
+    private String studentName;
+    private String hall;
+    private LocalDate cycleStart;
+    private LocalDate cycleEnd;
+    private Integer amount;
+    private Integer baseAmount;
+    private Integer discountAmount;
+
+    public BillingCycleDTO() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public String getStudentName() {
+        return studentName;
+    }
+
+    public void setStudentName(String studentName) {
+        this.studentName = studentName;
+    }
+
+    public String getHall() {
+        return hall;
+    }
+
+    public void setHall(String hall) {
+        this.hall = hall;
+    }
+
+    public LocalDate getCycleStart() {
+        return cycleStart;
+    }
+
+    public void setCycleStart(LocalDate cycleStart) {
+        this.cycleStart = cycleStart;
+    }
+
+    public LocalDate getCycleEnd() {
+        return cycleEnd;
+    }
+
+    public void setCycleEnd(LocalDate cycleEnd) {
+        this.cycleEnd = cycleEnd;
+    }
+
+    public Integer getAmount() {
+        return amount;
+    }
+
+    public void setAmount(Integer amount) {
+        this.amount = amount;
+    }
+
+    public Integer getBaseAmount() {
+        return baseAmount;
+    }
+
+    public void setBaseAmount(Integer baseAmount) {
+        this.baseAmount = baseAmount;
+    }
+
+    public Integer getDiscountAmount() {
+        return discountAmount;
+    }
+
+    public void setDiscountAmount(Integer discountAmount) {
+        this.discountAmount = discountAmount;
+    }
+}
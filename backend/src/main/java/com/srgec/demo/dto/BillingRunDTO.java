@@ -0,0 +1,66 @@
+package com.srgec.demo.dto;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.List;
+
+public class BillingRunDTO {
+
+    private Long id;
+    private LocalDate asOfDate;
+    private LocalDateTime executedAt;
+    private Integer cyclesGenerated;
+    private Integer totalAmount;
+    private List<BillingCycleDTO> cycles;
+
+    public BillingRunDTO() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public LocalDate getAsOfDate() {
+        return asOfDate;
+    }
+
+    public void setAsOfDate(LocalDate asOfDate) {
+        this.asOfDate = asOfDate;
+    }
+
+    public LocalDateTime getExecutedAt() {
+        return executedAt;
+    }
+
+    public void setExecutedAt(LocalDateTime executedAt) {
+        this.executedAt = executedAt;
+    }
+
+    public Integer getCyclesGenerated() {
+        return cyclesGenerated;
+    }
+
+    public void setCyclesGenerated(Integer cyclesGenerated) {
+        this.cyclesGenerated = cyclesGenerated;
+    }
+
+    public Integer getTotalAmount() {
+        return totalAmount;
+    }
+
+    public void setTotalAmount(Integer totalAmount) {
+        this.totalAmount = totalAmount;
+    }
+
+    public List<BillingCycleDTO> getCycles() {
+        return cycles;
+    }
+
+    public void setCycles(List<BillingCycleDTO> cycles) {
+        this.cycles = cycles;
+    }
+}
@@ -0,0 +1,106 @@
+package com.srgec.demo.dto;
+
+import java.time.LocalDate;
+
+/**
+ * Security deposit settlement for a student leaving: the deposit less fees
+ * due and damages. A positive settlement is refunded; a negative one is
+ * still owed by the student. A credit balance counts as a negative fee
+ * due, and creditRefund is the part of the refund paid out of it.
+ */
+public class DepositSettlementDTO {
+
+    private Long studentId;
+    private LocalDate leaveDate;
+    private Integer depositHeld;
+    private Integer feeDue;
+    private Integer damages;
+    private Integer settlement;
+    private Integer appliedToDues;
+    private Integer creditRefund;
+    private Integer refund;
+    private Integer balanceDue;
+
+    public DepositSettlementDTO() {
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public LocalDate getLeaveDate() {
+        return leaveDate;
+    }
+
+    public void setLeaveDate(LocalDate leaveDate) {
+        this.leaveDate = leaveDate;
+    }
+
+    public Integer getDepositHeld() {
+        return depositHeld;
+    }
+
+    public void setDepositHeld(Integer depositHeld) {
+        this.depositHeld = depositHeld;
+    }
+
+    public Integer getFeeDue() {
+        return feeDue;
+    }
+
+    public void setFeeDue(Integer feeDue) {
+        this.feeDue = feeDue;
+    }
+
+    public Integer getDamages() {
+        return damages;
+    }
+
+    public void setDamages(Integer damages) {
+        this.damages = damages;
+    }
+
+    public Integer getSettlement() {
+        return settlement;
+    }
+
+    public void setSettlement(Integer settlement) {
+        this.settlement = settlement;
+    }
+
+    public Integer getAppliedToDues() {
+        return appliedToDues;
+    }
+
+    public void setAppliedToDues(Integer appliedToDues) {
+        this.appliedToDues = appliedToDues;
+    }
+
+    public Integer getCreditRefund() {
+        return creditRefund;
+    }
+
+    public void setCreditRefund(Integer creditRefund) {
+        this.creditRefund = creditRefund;
+    }
+
+    public Integer getRefund() {
+        return refund;
+    }
+
+    public void setRefund(Integer refund) {
+        this.refund = refund;
+    }
+
+    public Integer getBalanceDue() {
+        return balanceDue;
+    }
+
+    public void setBalanceDue(Integer balanceDue) {
+        this.balanceDue = balanceDue;
+    }
+}
@@ -0,0 +1,39 @@
+package com.srgec.demo.dto;
+
+import java.util.List;
+
+import com.srgec.demo.entity.Student;
+
+/**
+ * An existing student who may be the same person as a new admission,
+ * with why they were matched.
+ */
+public class DuplicateStudentDTO {
+
+    private Student student;
+    private List<String> reasons;
+
+    public DuplicateStudentDTO() {
+    }
+
+    public DuplicateStudentDTO(Student student, List<String> reasons) {
+        this.student = student;
+        this.reasons = reasons;
+    }
+
+    public Student getStudent() {
+        return student;
+    }
+
+    public void setStudent(Student student) {
+        this.student = student;
+    }
+
+    public List<String> getReasons() {
+        return reasons;
+    }
+
+    public void setReasons(List<String> reasons) {
+        this.reasons = reasons;
+    }
+}
@@ -0,0 +1,59 @@
+package com.srgec.demo.dto;
+
+import java.time.LocalDate;
+
+/**
+ * How long a student's oldest unpaid charge has been outstanding. Payments
+ * settle the oldest charges first.
+ */
+public class FeeAgingDTO {
+
+    private Long studentId;
+    private LocalDate oldestDueDate;
+    private Integer daysOverdue;
+    private Integer overdueAmount;
+    private Integer lateFeeDue;
+
+    public FeeAgingDTO() {
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public LocalDate getOldestDueDate() {
+        return oldestDueDate;
+    }
+
+    public void setOldestDueDate(LocalDate oldestDueDate) {
+        this.oldestDueDate = oldestDueDate;
+    }
+
+    public Integer getDaysOverdue() {
+        return daysOverdue;
+    }
+
+    public void setDaysOverdue(Integer daysOverdue) {
+        this.daysOverdue = daysOverdue;
+    }
+
+    public Integer getOverdueAmount() {
+        return overdueAmount;
+    }
+
+    public void setOverdueAmount(Integer overdueAmount) {
+        this.overdueAmount = overdueAmount;
+    }
+
+    public Integer getLateFeeDue() {
+        return lateFeeDue;
+    }
+
+    public void setLateFeeDue(Integer lateFeeDue) {
+        this.lateFeeDue = lateFeeDue;
+    }
+}
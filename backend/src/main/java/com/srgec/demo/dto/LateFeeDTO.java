@@ -0,0 +1,91 @@
+package com.srgec.demo.dto;
+
+import java.time.LocalDate;
+
+public class LateFeeDTO {
+
+    private Long studentId;
+    private String studentName;
+    private Long billingCycleId;
+    private LocalDate cycleStart;
+    private LocalDate cycleEnd;
+    private Long ruleId;
+    private String ruleName;
+    private Integer daysOverdue;
+    private Integer amount;
+
+    public LateFeeDTO() {
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public String getStudentName() {
+        return studentName;
+    }
+
+    public void setStudentName(String studentName) {
+        this.studentName = studentName;
+    }
+
+    public Long getBillingCycleId() {
+        return billingCycleId;
+    }
+
+    public void setBillingCycleId(Long billingCycleId) {
+        this.billingCycleId = billingCycleId;
+    }
+
+    public LocalDate getCycleStart() {
+        return cycleStart;
+    }
+
+    public void setCycleStart(LocalDate cycleStart) {
+        this.cycleStart = cycleStart;
+    }
+
+    public LocalDate getCycleEnd() {
+        return cycleEnd;
+    }
+
+    public void setCycleEnd(LocalDate cycleEnd) {
+        this.cycleEnd = cycleEnd;
+    }
+
+    public Long getRuleId() {
+        return ruleId;
+    }
+
+    public void setRuleId(Long ruleId) {
+        this.ruleId = ruleId;
+    }
+
+    public String getRuleName() {
+        return ruleName;
+    }
+
+    public void setRuleName(String ruleName) {
+        this.ruleName = ruleName;
+    }
+
+    public Integer getDaysOverdue() {
+        return daysOverdue;
+    }
+
+    public void setDaysOverdue(Integer daysOverdue) {
+        this.daysOverdue = daysOverdue;
+    }
+
+    public Integer getAmount() {
+        return amount;
+    }
+
+    public void setAmount(Integer amount) {
+        this.amount = amount;
+    }
+}
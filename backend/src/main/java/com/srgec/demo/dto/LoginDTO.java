@@ -0,0 +1,37 @@
+package com.srgec.demo.dto;
+
+import com.srgec.demo.entity.User;
+
+/**
+ * Sent back on login: the bearer token for later requests and the staff
+ * member it belongs to, whose role decides what the app shows.
+ */
+public class LoginDTO {
+
+    private String token;
+    private User user;
+
+    public LoginDTO() {
+    }
+
+    public LoginDTO(String token, User user) {
+        this.token = token;
+        this.user = user;
+    }
+
+    public String getToken() {
+        return token;
+    }
+
+    public void setToken(String token) {
+        this.token = token;
+    }
+
+    public User getUser() {
+        return user;
+    }
+
+    public void setUser(User user) {
+        this.user = user;
+    }
+}
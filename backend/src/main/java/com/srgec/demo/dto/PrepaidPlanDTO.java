@@ -0,0 +1,114 @@
+package com.srgec.demo.dto;
+
+import java.time.LocalDate;
+
+/**
+ * Price of a prepaid plan: any dues already invoiced, plus the net fee of
+ * each cycle the plan covers, less advance credit the student already has.
+ * Also carries the payment details when the plan is purchased.
+ */
+public class PrepaidPlanDTO {
+
+    private Long studentId;
+    private Integer months;
+    private Integer arrears;
+    private Integer cyclesAmount;
+    private Integer creditApplied;
+    private Integer amount;
+    private LocalDate coverFrom;
+    private LocalDate paidThrough;
+    private String mode;
+    private String referenceNumber;
+    private LocalDate entryDate;
+
+    public PrepaidPlanDTO() {
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public Integer getMonths() {
+        return months;
+    }
+
+    public void setMonths(Integer months) {
+        this.months = months;
+    }
+
+    public Integer getArrears() {
+        return arrears;
+    }
+
+    public void setArrears(Integer arrears) {
+        this.arrears = arrears;
+    }
+
+    public Integer getCyclesAmount() {
+        return cyclesAmount;
+    }
+
+    public void setCyclesAmount(Integer cyclesAmount) {
+        this.cyclesAmount = cyclesAmount;
+    }
+
+    public Integer getCreditApplied() {
+        return creditApplied;
+    }
+
+    public void setCreditApplied(Integer creditApplied) {
+        this.creditApplied = creditApplied;
+    }
+
+    public Integer getAmount() {
+        return amount;
+    }
+
+    public void setAmount(Integer amount) {
+        this.amount = amount;
+    }
+
+    public LocalDate getCoverFrom() {
+        return coverFrom;
+    }
+
+    public void setCoverFrom(LocalDate coverFrom) {
+        this.coverFrom = coverFrom;
+    }
+
+    public LocalDate getPaidThrough() {
+        return paidThrough;
+    }
+
+    public void setPaidThrough(LocalDate paidThrough) {
+        this.paidThrough = paidThrough;
+    }
+
+    public String getMode() {
+        return mode;
+    }
+
+    public void setMode(String mode) {
+        this.mode = mode;
+    }
+
+    public String getReferenceNumber() {
+        return referenceNumber;
+    }
+
+    public void setReferenceNumber(String referenceNumber) {
+        this.referenceNumber = referenceNumber;
+    }
+
+    public LocalDate getEntryDate() {
+        return entryDate;
+    }
+
+    public void setEntryDate(LocalDate entryDate) {
+        this.entryDate = entryDate;
+    }
+}
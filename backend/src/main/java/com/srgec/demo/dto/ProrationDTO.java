@@ -0,0 +1,133 @@
+package com.srgec.demo.dto;
+
+import java.time.LocalDate;
+
+import com.srgec.demo.entity.ProrationPolicy;
+
+/**
+ * Pro-rated adjustment for the cycle containing a leave, reactivation or
+ * hall transfer. A positive adjustment is charged, a negative one credited.
+ */
+public class ProrationDTO {
+
+    private Long studentId;
+    private String action;
+    private LocalDate effectiveDate;
+    private ProrationPolicy policy;
+    private LocalDate cycleStart;
+    private LocalDate cycleEnd;
+    private Integer cycleDays;
+    private Integer daysCharged;
+    private Integer monthlyFee;
+    private Integer newMonthlyFee;
+    private Integer alreadyBilled;
+    private Integer proratedAmount;
+    private Integer adjustment;
+
+    public ProrationDTO() {
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public String getAction() {
+        return action;
+    }
+
+    public void setAction(String action) {
+        this.action = action;
+    }
+
+    public LocalDate getEffectiveDate() {
+        return effectiveDate;
+    }
+
+    public void setEffectiveDate(LocalDate effectiveDate) {
+        this.effectiveDate = effectiveDate;
+    }
+
+    public ProrationPolicy getPolicy() {
+        return policy;
+    }
+
+    public void setPolicy(ProrationPolicy policy) {
+        this.policy = policy;
+    }
+
+    public LocalDate getCycleStart() {
+        return cycleStart;
+    }
+
+    public void setCycleStart(LocalDate cycleStart) {
+        this.cycleStart = cycleStart;
+    }
+
+    public LocalDate getCycleEnd() {
+        return cycleEnd;
+    }
+
+    public void setCycleEnd(LocalDate cycleEnd) {
+        this.cycleEnd = cycleEnd;
+    }
+
+    public Integer getCycleDays() {
+        return cycleDays;
+    }
+
+    public void setCycleDays(Integer cycleDays) {
+        this.cycleDays = cycleDays;
+    }
+
+    public Integer getDaysCharged() {
+        return daysCharged;
+    }
+
+    public void setDaysCharged(Integer daysCharged) {
+        this.daysCharged = daysCharged;
+    }
+
+    public Integer getMonthlyFee() {
+        return monthlyFee;
+    }
+
+    public void setMonthlyFee(Integer monthlyFee) {
+        this.monthlyFee = monthlyFee;
+    }
+
+    public Integer getNewMonthlyFee() {
+        return newMonthlyFee;
+    }
+
+    public void setNewMonthlyFee(Integer newMonthlyFee) {
+        this.newMonthlyFee = newMonthlyFee;
+    }
+
+    public Integer getAlreadyBilled() {
+        return alreadyBilled;
+    }
+
+    public void setAlreadyBilled(Integer alreadyBilled) {
+        this.alreadyBilled = alreadyBilled;
+    }
+
+    public Integer getProratedAmount() {
+        return proratedAmount;
+    }
+
+    public void setProratedAmount(Integer proratedAmount) {
+        this.proratedAmount = proratedAmount;
+    }
+
+    public Integer getAdjustment() {
+        return adjustment;
+    }
+
+    public void setAdjustment(Integer adjustment) {
+        this.adjustment = adjustment;
+    }
+}
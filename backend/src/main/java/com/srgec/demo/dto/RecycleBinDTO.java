@@ -0,0 +1,50 @@
+package com.srgec.demo.dto;
+
+import java.util.List;
+
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+
+/**
+ * Deleted students and halls, and how many days they are kept before
+ * being purged for good.
+ */
+public class RecycleBinDTO {
+
+    private List<Student> students;
+    private List<StudyHall> halls;
+    private Long retentionDays;
+
+    public RecycleBinDTO() {
+    }
+
+    public RecycleBinDTO(List<Student> students, List<StudyHall> halls, Long retentionDays) {
+        this.students = students;
+        this.halls = halls;
+        this.retentionDays = retentionDays;
+    }
+
+    public List<Student> getStudents() {
+        return students;
+    }
+
+    public void setStudents(List<Student> students) {
+        this.students = students;
+    }
+
+    public List<StudyHall> getHalls() {
+        return halls;
+    }
+
+    public void setHalls(List<StudyHall> halls) {
+        this.halls = halls;
+    }
+
+    public Long getRetentionDays() {
+        return retentionDays;
+    }
+
+    public void setRetentionDays(Long retentionDays) {
+        this.retentionDays = retentionDays;
+    }
+}
@@ -0,0 +1,110 @@
+package com.srgec.demo.dto;
+
+import java.util.List;
+
+import com.srgec.demo.entity.Seat;
+import com.srgec.demo.entity.SeatTier;
+import com.srgec.demo.entity.Shift;
+import com.srgec.demo.entity.Student;
+
+/**
+ * A hall's seat grid, price tiers and shifts with the active students in
+ * the hall. A student sits in the seat whose label matches their cabin,
+ * during their shift; the rest are unseated.
+ */
+public class SeatMapDTO {
+
+    private Long hallId;
+    private String hallName;
+    private Integer capacity;
+    private Integer monthlyFee;
+    private Integer rows;
+    private Integer columns;
+    private List<Seat> seats;
+    private List<SeatTier> tiers;
+    private List<Shift> shifts;
+    private List<Student> students;
+
+    public SeatMapDTO() {
+    }
+
+    public Long getHallId() {
+        return hallId;
+    }
+
+    public void setHallId(Long hallId) {
+        this.hallId = hallId;
+    }
+
+    public String getHallName() {
+        return hallName;
+    }
+
+    public void setHallName(String hallName) {
+        this.hallName = hallName;
+    }
+
+    public Integer getCapacity() {
+        return capacity;
+    }
+
+    public void setCapacity(Integer capacity) {
+        this.capacity = capacity;
+    }
+
+    public Integer getMonthlyFee() {
+        return monthlyFee;
+    }
+
+    public void setMonthlyFee(Integer monthlyFee) {
+        this.monthlyFee = monthlyFee;
+    }
+
+    public Integer getRows() {
+        return rows;
+    }
+
+    public void setRows(Integer rows) {
+        this.rows = rows;
+    }
+
+    public Integer getColumns() {
+        return columns;
+    }
+
+    public void setColumns(Integer columns) {
+        this.columns = columns;
+    }
+
+    public List<Seat> getSeats() {
+        return seats;
+    }
+
+    public void setSeats(List<Seat> seats) {
+        this.seats = seats;
+    }
+
+    public List<SeatTier> getTiers() {
+        return tiers;
+    }
+
+    public void setTiers(List<SeatTier> tiers) {
+        this.tiers = tiers;
+    }
+
+    public List<Shift> getShifts() {
+        return shifts;
+    }
+
+    public void setShifts(List<Shift> shifts) {
+        this.shifts = shifts;
+    }
+
+    public List<Student> getStudents() {
+        return students;
+    }
+
+    public void setStudents(List<Student> students) {
+        this.students = students;
+    }
+}
@@ -0,0 +1,68 @@
+package com.srgec.demo.dto;
+
+import java.time.LocalDate;
+
+/**
+ * Request to move an active student to another hall, with the seat, shift
+ * and re-rated fee they get there.
+ */
+public class TransferDTO {
+
+    private Long hallId;
+    private String cabin;
+    private Long shiftId;
+    private Integer monthlyFee;
+    private LocalDate effectiveDate;
+    private String reason;
+
+    public TransferDTO() {
+    }
+
+    public Long getHallId() {
+        return hallId;
+    }
+
+    public void setHallId(Long hallId) {
+        this.hallId = hallId;
+    }
+
+    public String getCabin() {
+        return cabin;
+    }
+
+    public void setCabin(String cabin) {
+        this.cabin = cabin;
+    }
+
+    public Long getShiftId() {
+        return shiftId;
+    }
+
+    public void setShiftId(Long shiftId) {
+        this.shiftId = shiftId;
+    }
+
+    public Integer getMonthlyFee() {
+        return monthlyFee;
+    }
+
+    public void setMonthlyFee(Integer monthlyFee) {
+        this.monthlyFee = monthlyFee;
+    }
+
+    public LocalDate getEffectiveDate() {
+        return effectiveDate;
+    }
+
+    public void setEffectiveDate(LocalDate effectiveDate) {
+        this.effectiveDate = effectiveDate;
+    }
+
+    public String getReason() {
+        return reason;
+    }
+
+    public void setReason(String reason) {
+        this.reason = reason;
+    }
+}
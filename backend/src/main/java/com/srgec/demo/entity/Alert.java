@@ -0,0 +1,106 @@
+package com.srgec.demo.entity;
+
+import java.time.LocalDateTime;
+
+import jakarta.persistence.*;
+
+/**
+ * A notification center entry, kept until read and beyond. The alert key
+ * names the condition and period it was raised for, so a condition that
+ * still holds on the next check is not raised twice. Read state is shared
+ * by all staff.
+ */
+@Entity
+@Table(name = "alerts", indexes = {
+        @Index(columnList = "alertKey"),
+        @Index(columnList = "createdAt")
+})
+public class Alert {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    private LocalDateTime createdAt;
+
+    @Enumerated(EnumType.STRING)
+    private AlertType type;
+
+    private String alertKey;
+
+    @Column(length = 500)
+    private String message;
+
+    // Page of the frontend the alert opens, e.g. /study-halls/3/seats
+    private String link;
+
+    private LocalDateTime readAt;
+    private String readBy;
+
+    public Alert() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public LocalDateTime getCreatedAt() {
+        return createdAt;
+    }
+
+    public void setCreatedAt(LocalDateTime createdAt) {
+        this.createdAt = createdAt;
+    }
+
+    public AlertType getType() {
+        return type;
+    }
+
+    public void setType(AlertType type) {
+        this.type = type;
+    }
+
+    public String getAlertKey() {
+        return alertKey;
+    }
+
+    public void setAlertKey(String alertKey) {
+        this.alertKey = alertKey;
+    }
+
+    public String getMessage() {
+        return message;
+    }
+
+    public void setMessage(String message) {
+        this.message = message;
+    }
+
+    public String getLink() {
+        return link;
+    }
+
+    public void setLink(String link) {
+        this.link = link;
+    }
+
+    public LocalDateTime getReadAt() {
+        return readAt;
+    }
+
+    public void setReadAt(LocalDateTime readAt) {
+        this.readAt = readAt;
+    }
+
+    public String getReadBy() {
+        return readBy;
+    }
+
+    public void setReadBy(String readBy) {
+        this.readBy = readBy;
+    }
+}
@@ -0,0 +1,16 @@
+package com.srgec.demo.entity;
+
+// What an alert in the notification center is about
+public enum AlertType {
+
+    // Students whose oldest unpaid charge is older than the overdue threshold
+    OVERDUE_FEES,
+
+    // A hall whose busiest shift is at or above the fullness threshold
+    HALL_NEARLY_FULL,
+
+    FEE_RUN,
+
+    // Prepaid plans whose covered period ends within the week
+    PLANS_EXPIRING
+}
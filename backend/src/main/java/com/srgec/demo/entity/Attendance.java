@@ -0,0 +1,100 @@
+package com.srgec.demo.entity;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+
+import jakarta.persistence.*;
+
+/**
+ * One visit of a student to their hall: checked in at the kiosk and,
+ * once they leave, checked out. A student can visit more than once a day.
+ */
+@Entity
+@Table(name = "attendance")
+public class Attendance {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    private Long studentId;
+
+    // Where the student was seated when they checked in
+    private Long hallId;
+    private String hall;
+    private String cabin;
+
+    private LocalDate date;
+
+    private LocalDateTime checkInAt;
+
+    // Null while the student is still in the hall, or if they never checked out
+    private LocalDateTime checkOutAt;
+
+    public Attendance() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public Long getHallId() {
+        return hallId;
+    }
+
+    public void setHallId(Long hallId) {
+        this.hallId = hallId;
+    }
+
+    public String getHall() {
+        return hall;
+    }
+
+    public void setHall(String hall) {
+        this.hall = hall;
+    }
+
+    public String getCabin() {
+        return cabin;
+    }
+
+    public void setCabin(String cabin) {
+        this.cabin = cabin;
+    }
+
+    public LocalDate getDate() {
+        return date;
+    }
+
+    public void setDate(LocalDate date) {
+        this.date = date;
+    }
+
+    public LocalDateTime getCheckInAt() {
+        return checkInAt;
+    }
+
+    public void setCheckInAt(LocalDateTime checkInAt) {
+        this.checkInAt = checkInAt;
+    }
+
+    public LocalDateTime getCheckOutAt() {
+        return checkOutAt;
+    }
+
+    public void setCheckOutAt(LocalDateTime checkOutAt) {
+        this.checkOutAt = checkOutAt;
+    }
+}
@@ -0,0 +1,22 @@
+package com.srgec.demo.entity;
+
+public enum AuditAction {
+
+    CREATE,
+    UPDATE,
+
+    // Moved to the Recycle Bin, brought back from it, and removed from it for good
+    DELETE,
+    RESTORE,
+    PURGE,
+
+    // A student leaving, and coming back
+    LEAVE,
+    REACTIVATE,
+
+    // Billing runs and late fee assessments, which change many students' dues at once
+    FEE_RUN,
+
+    // A leave, reactivation or billing run taken back from its Undo button
+    UNDO
+}
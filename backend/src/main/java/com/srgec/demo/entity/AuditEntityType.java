@@ -0,0 +1,12 @@
+package com.srgec.demo.entity;
+
+// What an audit event is about; entityId refers to a row of that kind
+public enum AuditEntityType {
+
+    STUDENT,
+    STUDY_HALL,
+    BILLING_RUN,
+
+    // A late fee assessment, which has no row of its own
+    LATE_FEES
+}
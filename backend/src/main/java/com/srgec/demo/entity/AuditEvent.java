@@ -0,0 +1,115 @@
+package com.srgec.demo.entity;
+
+import java.time.LocalDateTime;
+
+import jakarta.persistence.*;
+
+/**
+ * One change made by a staff member, or by the system when actorId is
+ * null. The field-level before and after values are AuditChange rows.
+ * The actor's and entity's names are copied so the log still reads
+ * after either is deleted or renamed.
+ */
+@Entity
+@Table(name = "audit_events", indexes = {
+        @Index(columnList = "entityType, entityId"),
+        @Index(columnList = "occurredAt")
+})
+public class AuditEvent {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    private LocalDateTime occurredAt;
+
+    private Long actorId;
+    private String actorName;
+
+    @Enumerated(EnumType.STRING)
+    private AuditEntityType entityType;
+
+    private Long entityId;
+    private String entityName;
+
+    @Enumerated(EnumType.STRING)
+    private AuditAction action;
+
+    @Column(length = 500)
+    private String summary;
+
+    public AuditEvent() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public LocalDateTime getOccurredAt() {
+        return occurredAt;
+    }
+
+    public void setOccurredAt(LocalDateTime occurredAt) {
+        this.occurredAt = occurredAt;
+    }
+
+    public Long getActorId() {
+        return actorId;
+    }
+
+    public void setActorId(Long actorId) {
+        this.actorId = actorId;
+    }
+
+    public String getActorName() {
+        return actorName;
+    }
+
+    public void setActorName(String actorName) {
+        this.actorName = actorName;
+    }
+
+    public AuditEntityType getEntityType() {
+        return entityType;
+    }
+
+    public void setEntityType(AuditEntityType entityType) {
+        this.entityType = entityType;
+    }
+
+    public Long getEntityId() {
+        return entityId;
+    }
+
+    public void setEntityId(Long entityId) {
+        this.entityId = entityId;
+    }
+
+    public String getEntityName() {
+        return entityName;
+    }
+
+    public void setEntityName(String entityName) {
+        this.entityName = entityName;
+    }
+
+    public AuditAction getAction() {
+        return action;
+    }
+
+    public void setAction(AuditAction action) {
+        this.action = action;
+    }
+
+    public String getSummary() {
+        return summary;
+    }
+
+    public void setSummary(String summary) {
+        this.summary = summary;
+    }
+}
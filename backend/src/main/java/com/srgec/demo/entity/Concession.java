@@ -0,0 +1,123 @@
+package com.srgec.demo.entity;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+
+import jakarta.persistence.*;
+
+/**
+ * A discount on a student's base monthly fee, either a percentage or a
+ * flat rupee amount, for cycles that start within the validity window.
+ */
+@Entity
+@Table(name = "concessions")
+public class Concession {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    private Long studentId;
+
+    @Enumerated(EnumType.STRING)
+    private ConcessionType type;
+
+    // Exactly one of percent or amount is set
+    private Integer percent;
+    private Integer amount;
+
+    private String reason;
+
+    private LocalDate validFrom;
+
+    // Open-ended when null
+    private LocalDate validTo;
+
+    // Billing cycle a WAIVER was used on
+    private Long appliedCycleId;
+
+    private LocalDateTime createdAt;
+
+    public Concession() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public ConcessionType getType() {
+        return type;
+    }
+
+    public void setType(ConcessionType type) {
+        this.type = type;
+    }
+
+    public Integer getPercent() {
+        return percent;
+    }
+
+    public void setPercent(Integer percent) {
+        this.percent = percent;
+    }
+
+    public Integer getAmount() {
+        return amount;
+    }
+
+    public void setAmount(Integer amount) {
+        this.amount = amount;
+    }
+
+    public String getReason() {
+        return reason;
+    }
+
+    public void setReason(String reason) {
+        this.reason = reason;
+    }
+
+    public LocalDate getValidFrom() {
+        return validFrom;
+    }
+
+    public void setValidFrom(LocalDate validFrom) {
+        this.validFrom = validFrom;
+    }
+
+    public LocalDate getValidTo() {
+        return validTo;
+    }
+
+    public void setValidTo(LocalDate validTo) {
+        this.validTo = validTo;
+    }
+
+    public Long getAppliedCycleId() {
+        return appliedCycleId;
+    }
+
+    public void setAppliedCycleId(Long appliedCycleId) {
+        this.appliedCycleId = appliedCycleId;
+    }
+
+    public LocalDateTime getCreatedAt() {
+        return createdAt;
+    }
+
+    public void setCreatedAt(LocalDateTime createdAt) {
+        this.createdAt = createdAt;
+    }
+}
@@ -0,0 +1,11 @@
+package com.srgec.demo.entity;
+
+public enum ConcessionType {
+
+    SIBLING,
+    MERIT,
+    PREPAID_QUARTER,
+
+    // Applied to a single billing cycle, then used up
+    WAIVER
+}
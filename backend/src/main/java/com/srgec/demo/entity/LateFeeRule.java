@@ -0,0 +1,78 @@
+package com.srgec.demo.entity;
+
+import jakarta.persistence.*;
+
+/**
+ * Charges a late fee on each billing cycle that is still unpaid more than
+ * graceDays after it was invoiced.
+ */
+@Entity
+@Table(name = "late_fee_rules")
+public class LateFeeRule {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    private String name;
+
+    @Enumerated(EnumType.STRING)
+    private LateFeeType type;
+
+    // Rupees for FLAT rules, percent for PERCENT rules
+    private Integer amount;
+
+    private Integer graceDays;
+    private Boolean active;
+
+    public LateFeeRule() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public String getName() {
+        return name;
+    }
+
+    public void setName(String name) {
+        this.name = name;
+    }
+
+    public LateFeeType getType() {
+        return type;
+    }
+
+    public void setType(LateFeeType type) {
+        this.type = type;
+    }
+
+    public Integer getAmount() {
+        return amount;
+    }
+
+    public void setAmount(Integer amount) {
+        this.amount = amount;
+    }
+
+    public Integer getGraceDays() {
+        return graceDays;
+    }
+
+    public void setGraceDays(Integer graceDays) {
+        this.graceDays = graceDays;
+    }
+
+    public Boolean getActive() {
+        return active;
+    }
+
+    public void setActive(Boolean active) {
+        this.active = active;
+    }
+}
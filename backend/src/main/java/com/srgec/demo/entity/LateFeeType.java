@@ -0,0 +1,10 @@
+package com.srgec.demo.entity;
+
+public enum LateFeeType {
+
+    // Fixed rupee amount
+    FLAT,
+
+    // Percentage of the overdue cycle's fee
+    PERCENT
+}
@@ -0,0 +1,194 @@
+package com.srgec.demo.entity;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+
+import jakarta.persistence.*;
+
+@Entity
+@Table(name = "ledger_entries")
+public class LedgerEntry {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    private Long studentId;
+
+    @Enumerated(EnumType.STRING)
+    private LedgerEntryType type;
+
+    private Integer amount;
+    private LocalDate entryDate;
+
+    private LocalDate periodStart;
+    private LocalDate periodEnd;
+
+    private String mode;
+    private String referenceNumber;
+    private String note;
+
+    private Long billingCycleId;
+
+    // Set on LATE_FEE entries so a rule is applied at most once per cycle
+    private Long lateFeeRuleId;
+
+    // Set on DISCOUNT entries to the concession that produced them
+    private Long concessionId;
+
+    @Column(unique = true)
+    private String receiptNumber;
+
+    private Long hallId;
+    private String hall;
+    private String cabin;
+
+    private LocalDateTime createdAt;
+
+    public LedgerEntry() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public LedgerEntryType getType() {
+        return type;
+    }
+
+    public void setType(LedgerEntryType type) {
+        this.type = type;
+    }
+
+    public Integer getAmount() {
+        return amount;
+    }
+
+    public void setAmount(Integer amount) {
+        this.amount = amount;
+    }
+
+    public LocalDate getEntryDate() {
+        return entryDate;
+    }
+
+    public void setEntryDate(LocalDate entryDate) {
+        this.entryDate = entryDate;
+    }
+
+    public LocalDate getPeriodStart() {
+        return periodStart;
+    }
+
+    public void setPeriodStart(LocalDate periodStart) {
+        this.periodStart = periodStart;
+    }
+
+    public LocalDate getPeriodEnd() {
+        return periodEnd;
+    }
+
+    public void setPeriodEnd(LocalDate periodEnd) {
+        this.periodEnd = periodEnd;
+    }
+
+    public String getMode() {
+        return mode;
+    }
+
+    public void setMode(String mode) {
+        this.mode = mode;
+    }
+
+    public String getReferenceNumber() {
+        return referenceNumber;
+    }
+
+    public void setReferenceNumber(String referenceNumber) {
+        this.referenceNumber = referenceNumber;
+    }
+
+    public String getNote() {
+        return note;
+    }
+
+    public void setNote(String note) {
+        this.note = note;
+    }
+
+    public String getReceiptNumber() {
+        return receiptNumber;
+    }
+
+    public void setReceiptNumber(String receiptNumber) {
+        this.receiptNumber = receiptNumber;
+    }
+
+    public String getHall() {
+        return hall;
+    }
+
+    public void setHall(String hall) {
+        this.hall = hall;
+    }
+
+    public Long getHallId() {
+        return hallId;
+    }
+
+    public void setHallId(Long hallId) {
+        this.hallId = hallId;
+    }
+
+    public String getCabin() {
+        return cabin;
+    }
+
+    public void setCabin(String cabin) {
+        this.cabin = cabin;
+    }
+
+    public LocalDateTime getCreatedAt() {
+        return createdAt;
+    }
+
+    public void setCreatedAt(LocalDateTime createdAt) {
+        this.createdAt = createdAt;
+    }
+
+    public Long getBillingCycleId() {
+        return billingCycleId;
+    }
+
+    public void setBillingCycleId(Long billingCycleId) {
+        this.billingCycleId = billingCycleId;
+    }
+
+    public Long getLateFeeRuleId() {
+        return lateFeeRuleId;
+    }
+
+    public void setLateFeeRuleId(Long lateFeeRuleId) {
+        this.lateFeeRuleId = lateFeeRuleId;
+    }
+
+    public Long getConcessionId() {
+        return concessionId;
+    }
+
+    public void setConcessionId(Long concessionId) {
+        this.concessionId = concessionId;
+    }
+}
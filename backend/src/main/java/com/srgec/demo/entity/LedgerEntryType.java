@@ -0,0 +1,26 @@
+package com.srgec.demo.entity;
+
+public enum LedgerEntryType {
+
+    PAYMENT,
+    CHARGE,
+
+    // Signed correction to an already invoiced cycle; negative amounts are credits.
+    // A positive one with no cycle pays a credit balance back on leaving
+    ADJUSTMENT,
+
+    // Penalty for a cycle left unpaid past a late-fee rule's grace period
+    LATE_FEE,
+
+    // Concession taken off a cycle's base charge; always negative
+    DISCOUNT,
+
+    // Refundable security deposit collected at admission; held, not a fee payment
+    DEPOSIT,
+
+    // Part of the deposit kept against dues and damages on leaving; always negative
+    DEPOSIT_APPLIED,
+
+    // Remainder of the deposit paid back to the student on leaving
+    DEPOSIT_REFUND
+}
@@ -0,0 +1,99 @@
+package com.srgec.demo.entity;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+
+import jakarta.persistence.*;
+
+/**
+ * Several months of fees paid upfront. The payment is recorded in the
+ * ledger as advance credit, which each billing cycle then draws down.
+ */
+@Entity
+@Table(name = "prepaid_plans")
+public class PrepaidPlan {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    private Long studentId;
+    private Integer months;
+    private Integer amount;
+
+    // First and last day of the cycles the plan pays for
+    private LocalDate coverFrom;
+    private LocalDate paidThrough;
+
+    // Ledger payment the plan was paid with
+    private Long paymentId;
+
+    private LocalDateTime createdAt;
+
+    public PrepaidPlan() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+
+    public Integer getMonths() {
+        return months;
+    }
+
+    public void setMonths(Integer months) {
+        this.months = months;
+    }
+
+    public Integer getAmount() {
+        return amount;
+    }
+
+    public void setAmount(Integer amount) {
+        this.amount = amount;
+    }
+
+    public LocalDate getCoverFrom() {
+        return coverFrom;
+    }
+
+    public void setCoverFrom(LocalDate coverFrom) {
+        this.coverFrom = coverFrom;
+    }
+
+    public LocalDate getPaidThrough() {
+        return paidThrough;
+    }
+
+    public void setPaidThrough(LocalDate paidThrough) {
+        this.paidThrough = paidThrough;
+    }
+
+    public Long getPaymentId() {
+        return paymentId;
+    }
+
+    public void setPaymentId(Long paymentId) {
+        this.paymentId = paymentId;
+    }
+
+    public LocalDateTime getCreatedAt() {
+        return createdAt;
+    }
+
+    public void setCreatedAt(LocalDateTime createdAt) {
+        this.createdAt = createdAt;
+    }
+}
@@ -0,0 +1,16 @@
+package com.srgec.demo.entity;
+
+/**
+ * How a study hall charges for a cycle the student only used part of.
+ */
+public enum ProrationPolicy {
+
+    // Any part of a cycle is charged as the whole cycle
+    FULL_MONTH,
+
+    // Charged by days used
+    DAILY,
+
+    // Up to half the cycle is charged as half, anything more as the whole cycle
+    HALF_MONTH
+}
@@ -0,0 +1,37 @@
+package com.srgec.demo.entity;
+
+import jakarta.persistence.*;
+
+@Entity
+@Table(name = "receipt_sequences")
+public class ReceiptSequence {
+
+    @Id
+    private String name;
+
+    private Long lastValue;
+
+    public ReceiptSequence() {
+    }
+
+    public ReceiptSequence(String name, Long lastValue) {
+        this.name = name;
+        this.lastValue = lastValue;
+    }
+
+    public String getName() {
+        return name;
+    }
+
+    public void setName(String name) {
+        this.name = name;
+    }
+
+    public Long getLastValue() {
+        return lastValue;
+    }
+
+    public void setLastValue(Long lastValue) {
+        this.lastValue = lastValue;
+    }
+}
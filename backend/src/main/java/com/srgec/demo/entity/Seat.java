@@ -0,0 +1,105 @@
+package com.srgec.demo.entity;
+
+import jakarta.persistence.*;
+
+/**
+ * A numbered seat or cabin on a hall's seat map. Students hold a seat by
+ * having its label as their cabin.
+ */
+@Entity
+@Table(name = "seats")
+public class Seat {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    private Long hallId;
+    private String label;
+
+    // Zero-based cell on the hall's grid
+    private Integer gridRow;
+    private Integer gridColumn;
+
+    private Boolean ac;
+    private Boolean windowSeat;
+    private Boolean locker;
+
+    // Price tier; null means the hall's base rate
+    private Long tierId;
+
+    public Seat() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public Long getHallId() {
+        return hallId;
+    }
+
+    public void setHallId(Long hallId) {
+        this.hallId = hallId;
+    }
+
+    public String getLabel() {
+        return label;
+    }
+
+    public void setLabel(String label) {
+        this.label = label;
+    }
+
+    public Integer getGridRow() {
+        return gridRow;
+    }
+
+    public void setGridRow(Integer gridRow) {
+        this.gridRow = gridRow;
+    }
+
+    public Integer getGridColumn() {
+        return gridColumn;
+    }
+
+    public void setGridColumn(Integer gridColumn) {
+        this.gridColumn = gridColumn;
+    }
+
+    public Boolean getAc() {
+        return ac;
+    }
+
+    public void setAc(Boolean ac) {
+        this.ac = ac;
+    }
+
+    public Boolean getWindowSeat() {
+        return windowSeat;
+    }
+
+    public void setWindowSeat(Boolean windowSeat) {
+        this.windowSeat = windowSeat;
+    }
+
+    public Boolean getLocker() {
+        return locker;
+    }
+
+    public void setLocker(Boolean locker) {
+        this.locker = locker;
+    }
+
+    public Long getTierId() {
+        return tierId;
+    }
+
+    public void setTierId(Long tierId) {
+        this.tierId = tierId;
+    }
+}
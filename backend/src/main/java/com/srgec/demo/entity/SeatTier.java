@@ -0,0 +1,55 @@
+package com.srgec.demo.entity;
+
+import jakarta.persistence.*;
+
+/**
+ * A price level for seats in a hall, e.g. Standard or Premium. Seats
+ * without a tier are charged the hall's base rate.
+ */
+@Entity
+@Table(name = "seat_tiers")
+public class SeatTier {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    private Long hallId;
+    private String name;
+    private Integer monthlyFee;
+
+    public SeatTier() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public Long getHallId() {
+        return hallId;
+    }
+
+    public void setHallId(Long hallId) {
+        this.hallId = hallId;
+    }
+
+    public String getName() {
+        return name;
+    }
+
+    public void setName(String name) {
+        this.name = name;
+    }
+
+    public Integer getMonthlyFee() {
+        return monthlyFee;
+    }
+
+    public void setMonthlyFee(Integer monthlyFee) {
+        this.monthlyFee = monthlyFee;
+    }
+}
@@ -0,0 +1,76 @@
+package com.srgec.demo.entity;
+
+import java.time.LocalTime;
+
+import jakarta.persistence.*;
+
+/**
+ * A time slot in a hall, e.g. Morning 06:00-14:00, with its own monthly
+ * fee. One seat can be let to different students in shifts that do not
+ * overlap.
+ */
+@Entity
+@Table(name = "shifts")
+public class Shift {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    private Long hallId;
+    private String name;
+    private LocalTime startTime;
+    private LocalTime endTime;
+    private Integer monthlyFee;
+
+    public Shift() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public Long getHallId() {
+        return hallId;
+    }
+
+    public void setHallId(Long hallId) {
+        this.hallId = hallId;
+    }
+
+    public String getName() {
+        return name;
+    }
+
+    public void setName(String name) {
+        this.name = name;
+    }
+
+    public LocalTime getStartTime() {
+        return startTime;
+    }
+
+    public void setStartTime(LocalTime startTime) {
+        this.startTime = startTime;
+    }
+
+    public LocalTime getEndTime() {
+        return endTime;
+    }
+
+    public void setEndTime(LocalTime endTime) {
+        this.endTime = endTime;
+    }
+
+    public Integer getMonthlyFee() {
+        return monthlyFee;
+    }
+
+    public void setMonthlyFee(Integer monthlyFee) {
+        this.monthlyFee = monthlyFee;
+    }
+}
@@ -1,11 +1,17 @@
 package com.srgec.demo.entity;
 
 import java.time.LocalDate;
+import java.time.LocalDateTime;
+
+import org.hibernate.annotations.SQLRestriction;
+
+import com.fasterxml.jackson.annotation.JsonProperty;
 
 import jakarta.persistence.*;
 
 @Entity
 @Table(name = "students")
+@SQLRestriction("deleted_at is null")
 public class Student {
 
     @Id
@@ -14,9 +20,14 @@ public class Student {
 
     private String name;
     private String cabin;
+    // Halls are linked by id; hall keeps the name for display and follows renames
+    private Long hallId;
     private String hall;
     private String phone;
 
+    // Time slot the student's seat is booked for; null means the whole day
+    private Long shiftId;
+
     private LocalDate joinDate;
     private LocalDate leftDate;
 
@@ -26,6 +37,43 @@ public class Student {
 
     private String status;
 
+    private LocalDate billedThrough;
+
+    // Last day covered by advance credit, or by payments when nothing is due
+    private LocalDate paidThrough;
+
+    // Security deposit still held, derived from the ledger like the fee totals
+    private Integer depositHeld;
+
+    // Admission details
+    private String email;
+
+    @Column(length = 500)
+    private String address;
+
+    private String guardianName;
+    private String guardianPhone;
+
+    private String emergencyContactName;
+    private String emergencyContactPhone;
+
+    // Competitive exam the student is preparing for, e.g. UPSC CSE
+    private String examTarget;
+
+    // Government ID: AADHAAR, PAN, VOTER_ID, DRIVING_LICENCE or PASSPORT
+    private String idProofType;
+    private String idProofNumber;
+
+    // Set when a profile photo is uploaded; also tells clients a cached photo is stale
+    private LocalDateTime photoUpdatedAt;
+
+    // Set while the record is in the Recycle Bin; such rows are hidden from every query
+    @JsonProperty(access = JsonProperty.Access.READ_ONLY)
+    private LocalDateTime deletedAt;
+
+    @JsonProperty(access = JsonProperty.Access.READ_ONLY)
+    private String deletedBy;
+
     public Student() {
     }
 
@@ -61,6 +109,14 @@ public class Student {
         this.hall = hall;
     }
 
+    public Long getHallId() {
+        return hallId;
+    }
+
+    public void setHallId(Long hallId) {
+        this.hallId = hallId;
+    }
+
     public String getPhone() {
         return phone;
     }
@@ -116,4 +172,132 @@ public class Student {
     public void setStatus(String status) {
         this.status = status;
     }
-}
\ No newline at end of file
+
+    public LocalDate getBilledThrough() {
+        return billedThrough;
+    }
+
+    public void setBilledThrough(LocalDate billedThrough) {
+        this.billedThrough = billedThrough;
+    }
+
+    public Integer getDepositHeld() {
+        return depositHeld;
+    }
+
+    public void setDepositHeld(Integer depositHeld) {
+        this.depositHeld = depositHeld;
+    }
+
+    public LocalDate getPaidThrough() {
+        return paidThrough;
+    }
+
+    public void setPaidThrough(LocalDate paidThrough) {
+        this.paidThrough = paidThrough;
+    }
+
+    public Long getShiftId() {
+        return shiftId;
+    }
+
+    public void setShiftId(Long shiftId) {
+        this.shiftId = shiftId;
+    }
+
+    public String getEmail() {
+        return email;
+    }
+
+    public void setEmail(String email) {
+        this.email = email;
+    }
+
+    public String getAddress() {
+        return address;
+    }
+
+    public void setAddress(String address) {
+        this.address = address;
+    }
+
+    public String getGuardianName() {
+        return guardianName;
+    }
+
+    public void setGuardianName(String guardianName) {
+        this.guardianName = guardianName;
+    }
+
+    public String getGuardianPhone() {
+        return guardianPhone;
+    }
+
+    public void setGuardianPhone(String guardianPhone) {
+        this.guardianPhone = guardianPhone;
+    }
+
+    public String getEmergencyContactName() {
+        return emergencyContactName;
+    }
+
+    public void setEmergencyContactName(String emergencyContactName) {
+        this.emergencyContactName = emergencyContactName;
+    }
+
+    public String getEmergencyContactPhone() {
+        return emergencyContactPhone;
+    }
+
+    public void setEmergencyContactPhone(String emergencyContactPhone) {
+        this.emergencyContactPhone = emergencyContactPhone;
+    }
+
+    public String getExamTarget() {
+        return examTarget;
+    }
+
+    public void setExamTarget(String examTarget) {
+        this.examTarget = examTarget;
+    }
+
+    public String getIdProofType() {
+        return idProofType;
+    }
+
+    public void setIdProofType(String idProofType) {
+        this.idProofType = idProofType;
+    }
+
+    public String getIdProofNumber() {
+        return idProofNumber;
+    }
+
+    public void setIdProofNumber(String idProofNumber) {
+        this.idProofNumber = idProofNumber;
+    }
+
+    public LocalDateTime getPhotoUpdatedAt() {
+        return photoUpdatedAt;
+    }
+
+    public void setPhotoUpdatedAt(LocalDateTime photoUpdatedAt) {
+        this.photoUpdatedAt = photoUpdatedAt;
+    }
+
+    public LocalDateTime getDeletedAt() {
+        return deletedAt;
+    }
+
+    public void setDeletedAt(LocalDateTime deletedAt) {
+        this.deletedAt = deletedAt;
+    }
+
+    public String getDeletedBy() {
+        return deletedBy;
+    }
+
+    public void setDeletedBy(String deletedBy) {
+        this.deletedBy = deletedBy;
+    }
+}
@@ -1,9 +1,16 @@
 package com.srgec.demo.entity;
 
+import java.time.LocalDateTime;
+
+import org.hibernate.annotations.SQLRestriction;
+
+import com.fasterxml.jackson.annotation.JsonProperty;
+
 import jakarta.persistence.*;
 
 @Entity
 @Table(name = "study_halls")
+@SQLRestriction("deleted_at is null")
 public class StudyHall {
 
     @Id
@@ -15,6 +22,23 @@ public class StudyHall {
     private String location;
     private String description;
 
+    // Base rate new students in this hall are charged before concessions
+    private Integer monthlyFee;
+
+    @Enumerated(EnumType.STRING)
+    private ProrationPolicy prorationPolicy;
+
+    // Size of the seat-map grid; seats are placed on its cells
+    private Integer seatRows;
+    private Integer seatColumns;
+
+    // Set while the record is in the Recycle Bin; such rows are hidden from every query
+    @JsonProperty(access = JsonProperty.Access.READ_ONLY)
+    private LocalDateTime deletedAt;
+
+    @JsonProperty(access = JsonProperty.Access.READ_ONLY)
+    private String deletedBy;
+
     public StudyHall() {
     }
 
@@ -38,6 +62,10 @@ public class StudyHall {
         return description;
     }
 
+    public ProrationPolicy getProrationPolicy() {
+        return prorationPolicy;
+    }
+
     public void setId(Long id) {
         this.id = id;
     }
@@ -57,4 +85,48 @@ public class StudyHall {
     public void setDescription(String description) {
         this.description = description;
     }
-}
\ No newline at end of file
+
+    public void setProrationPolicy(ProrationPolicy prorationPolicy) {
+        this.prorationPolicy = prorationPolicy;
+    }
+
+    public Integer getMonthlyFee() {
+        return monthlyFee;
+    }
+
+    public void setMonthlyFee(Integer monthlyFee) {
+        this.monthlyFee = monthlyFee;
+    }
+
+    public Integer getSeatRows() {
+        return seatRows;
+    }
+
+    public void setSeatRows(Integer seatRows) {
+        this.seatRows = seatRows;
+    }
+
+    public Integer getSeatColumns() {
+        return seatColumns;
+    }
+
+    public void setSeatColumns(Integer seatColumns) {
+        this.seatColumns = seatColumns;
+    }
+
+    public LocalDateTime getDeletedAt() {
+        return deletedAt;
+    }
+
+    public void setDeletedAt(LocalDateTime deletedAt) {
+        this.deletedAt = deletedAt;
+    }
+
+    public String getDeletedBy() {
+        return deletedBy;
+    }
+
+    public void setDeletedBy(String deletedBy) {
+        this.deletedBy = deletedBy;
+    }
+}
@@ -1,7 +1,13 @@
 package com.srgec.demo.entity;
 
+import com.fasterxml.jackson.annotation.JsonProperty;
+
 import jakarta.persistence.*;
 
+/**
+ * A staff account. The password is stored as a salted PBKDF2 hash and is
+ * accepted in requests but never sent back.
+ */
 @Entity
 @Table(name = "users")
 public class User {
@@ -10,9 +16,20 @@ public class User {
     @GeneratedValue(strategy = GenerationType.IDENTITY)
     private Long id;
 
+    @Column(unique = true)
     private String username;
+
+    @JsonProperty(access = JsonProperty.Access.WRITE_ONLY)
     private String password;
 
+    private String fullName;
+
+    @Enumerated(EnumType.STRING)
+    private UserRole role;
+
+    // A deactivated account cannot log in, but stays on record
+    private Boolean active;
+
     public User() {
     }
 
@@ -39,4 +56,28 @@ public class User {
     public void setPassword(String password) {
         this.password = password;
     }
-}
\ No newline at end of file
+
+    public String getFullName() {
+        return fullName;
+    }
+
+    public void setFullName(String fullName) {
+        this.fullName = fullName;
+    }
+
+    public UserRole getRole() {
+        return role;
+    }
+
+    public void setRole(UserRole role) {
+        this.role = role;
+    }
+
+    public Boolean getActive() {
+        return active;
+    }
+
+    public void setActive(Boolean active) {
+        this.active = active;
+    }
+}
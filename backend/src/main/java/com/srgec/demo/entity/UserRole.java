@@ -0,0 +1,14 @@
+package com.srgec.demo.entity;
+
+// What a staff account may do; see RequiresRole on the controllers
+public enum UserRole {
+
+    // Everything, including deleting students, running fee calculation and managing staff
+    OWNER,
+
+    // Halls, seats, shifts, billing runs, late fees and reports
+    MANAGER,
+
+    // Day-to-day desk work: admissions, payments, attendance and the waitlist
+    RECEPTIONIST
+}
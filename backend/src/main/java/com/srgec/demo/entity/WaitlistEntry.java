@@ -0,0 +1,167 @@
+package com.srgec.demo.entity;
+
+import java.time.LocalDate;
+
+import jakarta.persistence.*;
+
+/**
+ * Someone waiting for a seat in a hall. Applicants are served by priority
+ * (1 is highest), then by the date they asked.
+ */
+@Entity
+@Table(name = "waitlist")
+public class WaitlistEntry {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    private String name;
+    private String phone;
+    // Halls are linked by id; hall keeps the name for display and follows renames
+    private Long hallId;
+    private String hall;
+
+    // Preferred shift; null means any time slot will do
+    private Long shiftId;
+
+    private Integer priority;
+    private String notes;
+
+    private LocalDate requestedOn;
+
+    @Enumerated(EnumType.STRING)
+    private WaitlistStatus status;
+
+    // The vacancy an OFFERED applicant was flagged for
+    private LocalDate offeredOn;
+    private String offeredCabin;
+    private Long offeredShiftId;
+    private Long vacatedStudentId;
+
+    // Student record created on conversion
+    private Long studentId;
+
+    public WaitlistEntry() {
+    }
+
+    public Long getId() {
+        return id;
+    }
+
+    public void setId(Long id) {
+        this.id = id;
+    }
+
+    public String getName() {
+        return name;
+    }
+
+    public void setName(String name) {
+        this.name = name;
+    }
+
+    public String getPhone() {
+        return phone;
+    }
+
+    public void setPhone(String phone) {
+        this.phone = phone;
+    }
+
+    public String getHall() {
+        return hall;
+    }
+
+    public void setHall(String hall) {
+        this.hall = hall;
+    }
+
+    public Long getHallId() {
+        return hallId;
+    }
+
+    public void setHallId(Long hallId) {
+        this.hallId = hallId;
+    }
+
+    public Long getShiftId() {
+        return shiftId;
+    }
+
+    public void setShiftId(Long shiftId) {
+        this.shiftId = shiftId;
+    }
+
+    public Integer getPriority() {
+        return priority;
+    }
+
+    public void setPriority(Integer priority) {
+        this.priority = priority;
+    }
+
+    public String getNotes() {
+        return notes;
+    }
+
+    public void setNotes(String notes) {
+        this.notes = notes;
+    }
+
+    public LocalDate getRequestedOn() {
+        return requestedOn;
+    }
+
+    public void setRequestedOn(LocalDate requestedOn) {
+        this.requestedOn = requestedOn;
+    }
+
+    public WaitlistStatus getStatus() {
+        return status;
+    }
+
+    public void setStatus(WaitlistStatus status) {
+        this.status = status;
+    }
+
+    public LocalDate getOfferedOn() {
+        return offeredOn;
+    }
+
+    public void setOfferedOn(LocalDate offeredOn) {
+        this.offeredOn = offeredOn;
+    }
+
+    public String getOfferedCabin() {
+        return offeredCabin;
+    }
+
+    public void setOfferedCabin(String offeredCabin) {
+        this.offeredCabin = offeredCabin;
+    }
+
+    public Long getOfferedShiftId() {
+        return offeredShiftId;
+    }
+
+    public void setOfferedShiftId(Long offeredShiftId) {
+        this.offeredShiftId = offeredShiftId;
+    }
+
+    public Long getVacatedStudentId() {
+        return vacatedStudentId;
+    }
+
+    public void setVacatedStudentId(Long vacatedStudentId) {
+        this.vacatedStudentId = vacatedStudentId;
+    }
+
+    public Long getStudentId() {
+        return studentId;
+    }
+
+    public void setStudentId(Long studentId) {
+        this.studentId = studentId;
+    }
+}
@@ -0,0 +1,12 @@
+package com.srgec.demo.entity;
+
+public enum WaitlistStatus {
+
+    WAITING,
+
+    // Flagged for a seat that a leaving student freed up
+    OFFERED,
+
+    CONVERTED,
+    WITHDRAWN
+}
@@ -1,6 +1,7 @@
 package com.srgec.demo.exception;
 
 import java.time.LocalDateTime;
+import java.util.Map;
 
 public class ErrorResponse {
 
@@ -10,6 +11,9 @@ public class ErrorResponse {
     private String message;
     private String path;
 
+    // Message for each input at fault, when the error is about a form
+    private Map<String, String> fieldErrors;
+
     public ErrorResponse() {
     }
 
@@ -66,4 +70,12 @@ public class ErrorResponse {
     public void setPath(String path) {
         this.path = path;
     }
+
+    public Map<String, String> getFieldErrors() {
+        return fieldErrors;
+    }
+
+    public void setFieldErrors(Map<String, String> fieldErrors) {
+        this.fieldErrors = fieldErrors;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,28 @@
+package com.srgec.demo.exception;
+
+import java.util.LinkedHashMap;
+import java.util.Map;
+
+/**
+ * Collects validation messages by field name so a form can show every
+ * problem next to its input at once. Only the first message for a field
+ * is kept.
+ */
+public class FieldErrors {
+
+    private final Map<String, String> errors = new LinkedHashMap<>();
+
+    public void add(String field, String message) {
+        errors.putIfAbsent(field, message);
+    }
+
+    public boolean has(String field) {
+        return errors.containsKey(field);
+    }
+
+    public void throwIfAny() {
+        if (!errors.isEmpty()) {
+            throw new FieldValidationException(errors);
+        }
+    }
+}
@@ -0,0 +1,28 @@
+package com.srgec.demo.exception;
+
+import java.util.LinkedHashMap;
+import java.util.Map;
+
+/**
+ * A bad request that names the fields at fault. The message is the
+ * first field's, for clients that only show one.
+ */
+public class FieldValidationException extends BadRequestException {
+
+    private static final long serialVersionUID = 1L;
+
+    private final Map<String, String> fieldErrors;
+
+    public FieldValidationException(Map<String, String> fieldErrors) {
+        super(fieldErrors.values().iterator().next());
+        this.fieldErrors = new LinkedHashMap<>(fieldErrors);
+    }
+
+    public FieldValidationException(String field, String message) {
+        this(Map.of(field, message));
+    }
+
+    public Map<String, String> getFieldErrors() {
+        return fieldErrors;
+    }
+}
@@ -0,0 +1,11 @@
+package com.srgec.demo.exception;
+
+// Signed in, but the role does not allow the action
+public class ForbiddenException extends RuntimeException {
+
+    private static final long serialVersionUID = 1L;
+
+    public ForbiddenException(String message) {
+        super(message);
+    }
+}
@@ -0,0 +1,11 @@
+package com.srgec.demo.exception;
+
+// Not signed in, or the session has expired
+public class UnauthorizedException extends RuntimeException {
+
+    private static final long serialVersionUID = 1L;
+
+    public UnauthorizedException(String message) {
+        super(message);
+    }
+}
@@ -0,0 +1,18 @@
+package com.srgec.demo.repository;
+
+import java.util.List;
+
+import org.springframework.data.domain.Pageable;
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.Alert;
+
+public interface AlertRepository extends JpaRepository<Alert, Long> {
+
+    List<Alert> findByOrderByCreatedAtDescIdDesc(Pageable pageable);
+
+    List<Alert> findByReadAtIsNull();
+
+    boolean existsByAlertKey(String alertKey);
+
+    void deleteByAlertKey(String alertKey);
+}
@@ -0,0 +1,19 @@
+package com.srgec.demo.repository;
+
+import java.time.LocalDate;
+import java.util.List;
+import java.util.Optional;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.Attendance;
+
+public interface AttendanceRepository extends JpaRepository<Attendance, Long> {
+
+    Optional<Attendance> findFirstByStudentIdAndDateAndCheckOutAtIsNullOrderByIdDesc(Long studentId, LocalDate date);
+
+    List<Attendance> findByDateOrderByCheckInAtAsc(LocalDate date);
+
+    List<Attendance> findByStudentIdAndDateBetweenOrderByCheckInAtAsc(Long studentId, LocalDate from, LocalDate to);
+
+    void deleteByStudentId(Long studentId);
+}
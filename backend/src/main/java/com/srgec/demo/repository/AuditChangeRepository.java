@@ -0,0 +1,12 @@
+package com.srgec.demo.repository;
+
+import java.util.Collection;
+import java.util.List;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.AuditChange;
+
+public interface AuditChangeRepository extends JpaRepository<AuditChange, Long> {
+
+    List<AuditChange> findByEventIdInOrderByIdAsc(Collection<Long> eventIds);
+}
@@ -0,0 +1,34 @@
+package com.srgec.demo.repository;
+
+import java.time.LocalDateTime;
+import java.util.List;
+
+import org.springframework.data.domain.Pageable;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.AuditEvent;
+
+public interface AuditEventRepository extends JpaRepository<AuditEvent, Long> {
+
+    // Filters left null match everything
+    @Query("select e from AuditEvent e"
+            + " where (:entityType is null or e.entityType = :entityType)"
+            + " and (:entityId is null or e.entityId = :entityId)"
+            + " and (:action is null or e.action = :action)"
+            + " and (:actorId is null or e.actorId = :actorId)"
+            + " and (:from is null or e.occurredAt >= :from)"
+            + " and (:to is null or e.occurredAt < :to)"
+            + " order by e.occurredAt desc, e.id desc")
+    List<AuditEvent> search(@Param("entityType") AuditEntityType entityType,
+            @Param("entityId") Long entityId,
+            @Param("action") AuditAction action,
+            @Param("actorId") Long actorId,
+            @Param("from") LocalDateTime from,
+            @Param("to") LocalDateTime to,
+            Pageable page);
+
+    List<AuditEvent> findByEntityTypeAndEntityIdOrderByOccurredAtDescIdDesc(AuditEntityType entityType, Long entityId);
+}
@@ -0,0 +1,25 @@
+package com.srgec.demo.repository;
+
+import java.time.LocalDate;
+import java.util.List;
+import java.util.Optional;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.BillingCycle;
+
+public interface BillingCycleRepository extends JpaRepository<BillingCycle, Long> {
+
+    boolean existsByStudentIdAndCycleStart(Long studentId, LocalDate cycleStart);
+
+    boolean existsByStudentId(Long studentId);
+
+    Optional<BillingCycle> findByStudentIdAndCycleStart(Long studentId, LocalDate cycleStart);
+
+    List<BillingCycle> findByRunIdOrderByStudentIdAsc(Long runId);
+
+    List<BillingCycle> findByStudentIdOrderByCycleStartDesc(Long studentId);
+
+    List<BillingCycle> findByHallIdIsNullAndHallIsNotNull();
+
+    void deleteByStudentId(Long studentId);
+}
@@ -0,0 +1,11 @@
+package com.srgec.demo.repository;
+
+import java.util.List;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.BillingRun;
+
+public interface BillingRunRepository extends JpaRepository<BillingRun, Long> {
+
+    List<BillingRun> findAllByOrderByExecutedAtDesc();
+}
@@ -0,0 +1,16 @@
+package com.srgec.demo.repository;
+
+import java.util.Collection;
+import java.util.List;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.Concession;
+
+public interface ConcessionRepository extends JpaRepository<Concession, Long> {
+
+    List<Concession> findByStudentIdOrderByIdAsc(Long studentId);
+
+    List<Concession> findByAppliedCycleIdIn(Collection<Long> cycleIds);
+
+    void deleteByStudentId(Long studentId);
+}
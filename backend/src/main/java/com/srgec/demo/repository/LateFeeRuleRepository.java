@@ -0,0 +1,13 @@
+package com.srgec.demo.repository;
+
+import java.util.List;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.LateFeeRule;
+
+public interface LateFeeRuleRepository extends JpaRepository<LateFeeRule, Long> {
+
+    List<LateFeeRule> findAllByOrderByGraceDaysAsc();
+
+    List<LateFeeRule> findByActiveTrueOrderByGraceDaysAsc();
+}
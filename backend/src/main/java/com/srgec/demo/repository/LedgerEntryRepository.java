@@ -0,0 +1,30 @@
+package com.srgec.demo.repository;
+
+import java.util.List;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+
+public interface LedgerEntryRepository extends JpaRepository<LedgerEntry, Long> {
+
+    List<LedgerEntry> findByStudentIdOrderByEntryDateDescIdDesc(Long studentId);
+
+    List<LedgerEntry> findByTypeOrderByEntryDateDescIdDesc(LedgerEntryType type);
+
+    boolean existsByStudentId(Long studentId);
+
+    boolean existsByStudentIdAndType(Long studentId, LedgerEntryType type);
+
+    List<LedgerEntry> findByBillingCycleId(Long billingCycleId);
+
+    List<LedgerEntry> findByStudentIdOrderByEntryDateAscIdAsc(Long studentId);
+
+    boolean existsByBillingCycleIdAndLateFeeRuleId(Long billingCycleId, Long lateFeeRuleId);
+
+    boolean existsByConcessionId(Long concessionId);
+
+    List<LedgerEntry> findByHallIdIsNullAndHallIsNotNull();
+
+    void deleteByStudentId(Long studentId);
+}
@@ -0,0 +1,22 @@
+package com.srgec.demo.repository;
+
+import java.util.List;
+import java.util.Optional;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.Placement;
+
+public interface PlacementRepository extends JpaRepository<Placement, Long> {
+
+    List<Placement> findByStudentIdOrderByStartDateDescIdDesc(Long studentId);
+
+    Optional<Placement> findFirstByStudentIdAndEndDateIsNullOrderByIdDesc(Long studentId);
+
+    boolean existsByStudentId(Long studentId);
+
+    List<Placement> findByHallIdAndEndDateIsNull(Long hallId);
+
+    List<Placement> findByHallIdIsNullAndHallIsNotNull();
+
+    void deleteByStudentId(Long studentId);
+}
@@ -0,0 +1,16 @@
+package com.srgec.demo.repository;
+
+import java.time.LocalDate;
+import java.util.List;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.PrepaidPlan;
+
+public interface PrepaidPlanRepository extends JpaRepository<PrepaidPlan, Long> {
+
+    List<PrepaidPlan> findByStudentIdOrderByIdDesc(Long studentId);
+
+    List<PrepaidPlan> findByPaidThroughBetween(LocalDate from, LocalDate to);
+
+    void deleteByStudentId(Long studentId);
+}
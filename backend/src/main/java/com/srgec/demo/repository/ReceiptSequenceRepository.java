@@ -0,0 +1,18 @@
+package com.srgec.demo.repository;
+
+import java.util.Optional;
+
+import jakarta.persistence.LockModeType;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Lock;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+import com.srgec.demo.entity.ReceiptSequence;
+
+public interface ReceiptSequenceRepository extends JpaRepository<ReceiptSequence, String> {
+
+    @Lock(LockModeType.PESSIMISTIC_WRITE)
+    @Query("select s from ReceiptSequence s where s.name = :name")
+    Optional<ReceiptSequence> findForUpdate(@Param("name") String name);
+}
@@ -0,0 +1,13 @@
+package com.srgec.demo.repository;
+
+import java.util.List;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.Seat;
+
+public interface SeatRepository extends JpaRepository<Seat, Long> {
+
+    List<Seat> findByHallIdOrderByGridRowAscGridColumnAsc(Long hallId);
+
+    long countByTierId(Long tierId);
+}
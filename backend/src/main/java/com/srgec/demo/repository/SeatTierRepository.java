@@ -0,0 +1,11 @@
+package com.srgec.demo.repository;
+
+import java.util.List;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.SeatTier;
+
+public interface SeatTierRepository extends JpaRepository<SeatTier, Long> {
+
+    List<SeatTier> findByHallIdOrderByMonthlyFeeAsc(Long hallId);
+}
@@ -0,0 +1,13 @@
+package com.srgec.demo.repository;
+
+import java.util.List;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.Shift;
+
+public interface ShiftRepository extends JpaRepository<Shift, Long> {
+
+    List<Shift> findByHallIdOrderByStartTimeAsc(Long hallId);
+
+    List<Shift> findAllByOrderByStartTimeAsc();
+}
@@ -0,0 +1,13 @@
+package com.srgec.demo.repository;
+
+import java.util.List;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.StudentDocument;
+
+public interface StudentDocumentRepository extends JpaRepository<StudentDocument, Long> {
+
+    List<StudentDocument> findByStudentIdOrderByUploadedAtDesc(Long studentId);
+
+    void deleteByStudentId(Long studentId);
+}
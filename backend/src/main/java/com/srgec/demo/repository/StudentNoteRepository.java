@@ -0,0 +1,13 @@
+package com.srgec.demo.repository;
+
+import java.util.List;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.StudentNote;
+
+public interface StudentNoteRepository extends JpaRepository<StudentNote, Long> {
+
+    List<StudentNote> findByStudentIdOrderByCreatedAtDesc(Long studentId);
+
+    void deleteByStudentId(Long studentId);
+}
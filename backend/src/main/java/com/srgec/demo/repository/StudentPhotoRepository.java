@@ -0,0 +1,13 @@
+package com.srgec.demo.repository;
+
+import java.util.Optional;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.StudentPhoto;
+
+public interface StudentPhotoRepository extends JpaRepository<StudentPhoto, Long> {
+
+    Optional<StudentPhoto> findByStudentId(Long studentId);
+
+    void deleteByStudentId(Long studentId);
+}
@@ -1,7 +1,43 @@
 package com.srgec.demo.repository;
 
+import java.time.LocalDateTime;
+import java.util.List;
+import java.util.Optional;
+
 import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
 import com.srgec.demo.entity.Student;
 
 public interface StudentRepository extends JpaRepository<Student, Long> {
-}
\ No newline at end of file
+
+    List<Student> findByHallIdAndLeftDateIsNull(Long hallId);
+
+    List<Student> findByHallIdIsNullAndHallIsNotNull();
+
+    long countByHallIdAndLeftDateIsNull(Long hallId);
+
+    long countByShiftIdAndLeftDateIsNull(Long shiftId);
+
+    List<Student> findByLeftDateIsNull();
+
+    // The Recycle Bin; native queries skip the deleted_at filter on Student
+    @Query(value = "select * from students where deleted_at is not null order by deleted_at desc", nativeQuery = true)
+    List<Student> findDeleted();
+
+    @Query(value = "select * from students where id = :id and deleted_at is not null", nativeQuery = true)
+    Optional<Student> findDeletedById(@Param("id") Long id);
+
+    @Query(value = "select * from students where deleted_at < :cutoff", nativeQuery = true)
+    List<Student> findDeletedBefore(@Param("cutoff") LocalDateTime cutoff);
+
+    // Deleted students too, so one restored from the bin shows the hall's current name
+    @Modifying
+    @Query(value = "update students set hall = :name where hall_id = :hallId", nativeQuery = true)
+    int renameHall(@Param("hallId") Long hallId, @Param("name") String name);
+
+    @Modifying
+    @Query(value = "delete from students where id = :id and deleted_at is not null", nativeQuery = true)
+    int purge(@Param("id") Long id);
+}
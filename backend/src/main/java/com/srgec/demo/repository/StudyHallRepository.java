@@ -1,7 +1,32 @@
 package com.srgec.demo.repository;
 
+import java.time.LocalDateTime;
+import java.util.List;
+import java.util.Optional;
+
 import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
 import com.srgec.demo.entity.StudyHall;
 
 public interface StudyHallRepository extends JpaRepository<StudyHall, Long> {
-}
\ No newline at end of file
+
+    Optional<StudyHall> findFirstByName(String name);
+
+    Optional<StudyHall> findFirstByNameIgnoreCase(String name);
+
+    // The Recycle Bin; native queries skip the deleted_at filter on StudyHall
+    @Query(value = "select * from study_halls where deleted_at is not null order by deleted_at desc", nativeQuery = true)
+    List<StudyHall> findDeleted();
+
+    @Query(value = "select * from study_halls where id = :id and deleted_at is not null", nativeQuery = true)
+    Optional<StudyHall> findDeletedById(@Param("id") Long id);
+
+    @Query(value = "select * from study_halls where deleted_at < :cutoff", nativeQuery = true)
+    List<StudyHall> findDeletedBefore(@Param("cutoff") LocalDateTime cutoff);
+
+    @Modifying
+    @Query(value = "delete from study_halls where id = :id and deleted_at is not null", nativeQuery = true)
+    int purge(@Param("id") Long id);
+}
@@ -2,8 +2,13 @@ package com.srgec.demo.repository;
 
 import org.springframework.data.jpa.repository.JpaRepository;
 import com.srgec.demo.entity.User;
+import com.srgec.demo.entity.UserRole;
 
 public interface UserRepository extends JpaRepository<User, Long> {
 
     User findByUsername(String username);
-}
\ No newline at end of file
+
+    User findByUsernameIgnoreCase(String username);
+
+    long countByRoleAndActiveTrue(UserRole role);
+}
@@ -0,0 +1,19 @@
+package com.srgec.demo.repository;
+
+import java.time.LocalDateTime;
+import java.util.Optional;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+
+import com.srgec.demo.entity.UserSession;
+
+public interface UserSessionRepository extends JpaRepository<UserSession, Long> {
+
+    Optional<UserSession> findByToken(String token);
+
+    void deleteByToken(String token);
+
+    void deleteByUserId(Long userId);
+
+    void deleteByExpiresAtBefore(LocalDateTime time);
+}
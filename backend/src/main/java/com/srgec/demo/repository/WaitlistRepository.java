@@ -0,0 +1,24 @@
+package com.srgec.demo.repository;
+
+import java.util.Collection;
+import java.util.List;
+import java.util.Optional;
+
+import org.springframework.data.jpa.repository.JpaRepository;
+import com.srgec.demo.entity.WaitlistEntry;
+import com.srgec.demo.entity.WaitlistStatus;
+
+public interface WaitlistRepository extends JpaRepository<WaitlistEntry, Long> {
+
+    List<WaitlistEntry> findAllByOrderByPriorityAscRequestedOnAscIdAsc();
+
+    List<WaitlistEntry> findByHallIdAndStatusOrderByPriorityAscRequestedOnAscIdAsc(Long hallId, WaitlistStatus status);
+
+    List<WaitlistEntry> findByHallIdAndStatusIn(Long hallId, Collection<WaitlistStatus> statuses);
+
+    List<WaitlistEntry> findByHallIdIsNullAndHallIsNotNull();
+
+    Optional<WaitlistEntry> findFirstByVacatedStudentIdAndStatus(Long vacatedStudentId, WaitlistStatus status);
+
+    List<WaitlistEntry> findByStudentIdOrVacatedStudentId(Long studentId, Long vacatedStudentId);
+}
@@ -0,0 +1,223 @@
+package com.srgec.demo.service;
+
+import java.time.DayOfWeek;
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.LinkedHashSet;
+import java.util.List;
+import java.util.Set;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.data.domain.PageRequest;
+import org.springframework.scheduling.annotation.Scheduled;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.config.AuthInterceptor;
+import com.srgec.demo.dto.FeeAgingDTO;
+import com.srgec.demo.entity.Alert;
+import com.srgec.demo.entity.AlertType;
+import com.srgec.demo.entity.BillingRun;
+import com.srgec.demo.entity.PrepaidPlan;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.entity.User;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.AlertRepository;
+import com.srgec.demo.repository.PrepaidPlanRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.repository.StudyHallRepository;
+
+/**
+ * Alerts for the notification center. Overdue fees, nearly full halls and
+ * expiring prepaid plans are checked every hour and raised at most once a
+ * week per condition; a completed fee run is raised as it happens.
+ */
+@Service
+public class AlertService {
+
+    // The notification center lists the newest alerts, up to this many
+    private static final int MAX_ALERTS = 100;
+
+    @Autowired
+    private AlertRepository alertRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private StudyHallRepository hallRepo;
+
+    @Autowired
+    private PrepaidPlanRepository planRepo;
+
+    @Autowired
+    private LateFeeService lateFeeService;
+
+    @Autowired
+    private StudyHallService studyHallService;
+
+    @Value("${app.alerts.overdue-days:30}")
+    private int overdueDays;
+
+    @Value("${app.alerts.hall-full-percent:95}")
+    private int hallFullPercent;
+
+    public List<Alert> getAlerts() {
+        return alertRepo.findByOrderByCreatedAtDescIdDesc(PageRequest.of(0, MAX_ALERTS));
+    }
+
+    public Alert markRead(Long id) {
+
+        Alert alert = alertRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException("Alert not found with id " + id));
+
+        if (alert.getReadAt() == null) {
+            alert.setReadAt(LocalDateTime.now());
+            alert.setReadBy(currentUserName());
+            alert = alertRepo.save(alert);
+        }
+
+        return alert;
+    }
+
+    @Transactional
+    public void markAllRead() {
+
+        LocalDateTime now = LocalDateTime.now();
+        String readBy = currentUserName();
+
+        List<Alert> unread = alertRepo.findByReadAtIsNull();
+
+        for (Alert alert : unread) {
+            alert.setReadAt(now);
+            alert.setReadBy(readBy);
+        }
+
+        alertRepo.saveAll(unread);
+    }
+
+    public void raiseFeeRun(BillingRun run) {
+        raise(AlertType.FEE_RUN, "FEE_RUN:" + run.getId(),
+                "Fee run completed: " + run.getCyclesGenerated()
+                        + (run.getCyclesGenerated() == 1 ? " cycle" : " cycles")
+                        + " invoiced for Rs. " + run.getTotalAmount(),
+                "/billing?run=" + run.getId());
+    }
+
+    // An undone run takes its alert with it
+    @Transactional
+    public void withdrawFeeRun(Long runId) {
+        alertRepo.deleteByAlertKey("FEE_RUN:" + runId);
+    }
+
+    @Scheduled(cron = "${app.alerts.check-cron:0 0 * * * *}")
+    public void check() {
+
+        LocalDate today = LocalDate.now();
+        LocalDate weekStart = today.with(DayOfWeek.MONDAY);
+
+        checkOverdue(today, weekStart);
+        checkHalls(weekStart);
+        checkExpiringPlans(today, weekStart);
+    }
+
+    private void checkOverdue(LocalDate today, LocalDate weekStart) {
+
+        long overdue = lateFeeService.getAging(today).stream()
+                .filter(row -> row.getOverdueAmount() > 0)
+                .map(FeeAgingDTO::getDaysOverdue)
+                .filter(days -> days > overdueDays)
+                .count();
+
+        if (overdue > 0) {
+            raise(AlertType.OVERDUE_FEES, "OVERDUE_FEES:" + weekStart,
+                    overdue + (overdue == 1 ? " student" : " students")
+                            + " overdue more than " + overdueDays + " days",
+                    "/upcoming-fees?overdueDays=" + overdueDays + "&overdueSort=desc");
+        }
+    }
+
+    private void checkHalls(LocalDate weekStart) {
+
+        for (StudyHall hall : hallRepo.findAll()) {
+
+            if (hall.getCapacity() == null || hall.getCapacity() <= 0) {
+                continue;
+            }
+
+            long occupied = studyHallService.peakOccupancy(hall.getId());
+            long percent = occupied * 100 / hall.getCapacity();
+
+            if (percent >= hallFullPercent) {
+                raise(AlertType.HALL_NEARLY_FULL, "HALL_NEARLY_FULL:" + hall.getId() + ":" + weekStart,
+                        hall.getName() + " is " + percent + "% full (" + occupied + " of "
+                                + hall.getCapacity() + " seats taken)",
+                        "/study-halls/" + hall.getId() + "/seats");
+            }
+        }
+    }
+
+    // Active students whose latest prepaid plan covers them only until some day this week
+    private void checkExpiringPlans(LocalDate today, LocalDate weekStart) {
+
+        Set<Long> studentIds = new LinkedHashSet<>();
+
+        for (PrepaidPlan plan : planRepo.findByPaidThroughBetween(today, weekStart.plusDays(6))) {
+
+            Student student = studentRepo.findById(plan.getStudentId()).orElse(null);
+
+            if (student == null || student.getLeftDate() != null) {
+                continue;
+            }
+
+            PrepaidPlan latest = planRepo.findByStudentIdOrderByIdDesc(student.getId()).get(0);
+
+            if (latest.getId().equals(plan.getId())) {
+                studentIds.add(student.getId());
+            }
+        }
+
+        if (studentIds.isEmpty()) {
+            return;
+        }
+
+        raise(AlertType.PLANS_EXPIRING, "PLANS_EXPIRING:" + weekStart,
+                studentIds.size() == 1
+                        ? "1 student's prepaid plan expires this week"
+                        : studentIds.size() + " students' prepaid plans expire this week",
+                studentIds.size() == 1
+                        ? "/students/" + studentIds.iterator().next()
+                        : "/upcoming-fees");
+    }
+
+    // Raised once per key, so a condition checked again in the same period is not repeated
+    private Alert raise(AlertType type, String key, String message, String link) {
+
+        if (alertRepo.existsByAlertKey(key)) {
+            return null;
+        }
+
+        Alert alert = new Alert();
+
+        alert.setCreatedAt(LocalDateTime.now());
+        alert.setType(type);
+        alert.setAlertKey(key);
+        alert.setMessage(message);
+        alert.setLink(link);
+
+        return alertRepo.save(alert);
+    }
+
+    private static String currentUserName() {
+
+        User user = AuthInterceptor.currentUser();
+
+        if (user == null) {
+            return null;
+        }
+
+        return user.getFullName() != null ? user.getFullName() : user.getUsername();
+    }
+}
@@ -0,0 +1,253 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.time.YearMonth;
+import java.time.format.DateTimeParseException;
+import java.util.ArrayList;
+import java.util.Comparator;
+import java.util.HashMap;
+import java.util.List;
+import java.util.Map;
+import java.util.regex.Matcher;
+import java.util.regex.Pattern;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.dto.AttendancePunchDTO;
+import com.srgec.demo.dto.AttendanceStatusDTO;
+import com.srgec.demo.entity.Attendance;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.AttendanceRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+/**
+ * Daily attendance. Students check in and out at the kiosk with their
+ * phone number or the code on their card; the first entry of a visit
+ * checks them in and the next one checks them out.
+ */
+@Service
+public class AttendanceService {
+
+    // A second scan this soon after checking in is the same card read twice
+    private static final int REPEAT_SCAN_SECONDS = 60;
+
+    // A student's card code is SH and their id, zero-padded on the card: SH00042
+    private static final Pattern STUDENT_CODE = Pattern.compile("(?i)^SH-?0*(\\d+)$");
+
+    @Autowired
+    private AttendanceRepository attendanceRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Transactional
+    public AttendancePunchDTO punch(String code) {
+
+        Student student = identify(code);
+
+        LocalDateTime now = LocalDateTime.now();
+
+        Attendance open = attendanceRepo
+                .findFirstByStudentIdAndDateAndCheckOutAtIsNullOrderByIdDesc(student.getId(), now.toLocalDate())
+                .orElse(null);
+
+        if (open != null && open.getCheckInAt().plusSeconds(REPEAT_SCAN_SECONDS).isAfter(now)) {
+            return toPunch(student, open.getCheckInAt(), true);
+        }
+
+        if (open != null) {
+
+            open.setCheckOutAt(now);
+            attendanceRepo.save(open);
+
+            return toPunch(student, now, false);
+        }
+
+        Attendance visit = new Attendance();
+
+        visit.setStudentId(student.getId());
+        visit.setHallId(student.getHallId());
+        visit.setHall(student.getHall());
+        visit.setCabin(student.getCabin());
+        visit.setDate(now.toLocalDate());
+        visit.setCheckInAt(now);
+
+        attendanceRepo.save(visit);
+
+        return toPunch(student, now, true);
+    }
+
+    /**
+     * What the kiosk shows of a punch: the first name to greet and whether
+     * it was a check-in or out. The kiosk is open to anyone at the
+     * entrance, so it does not reveal ids, halls or seats.
+     */
+    public AttendancePunchDTO confirmation(AttendancePunchDTO punch) {
+
+        AttendancePunchDTO confirmation = new AttendancePunchDTO();
+
+        confirmation.setName(punch.getName() == null ? null : punch.getName().trim().split("\\s+")[0]);
+        confirmation.setCheckedIn(punch.isCheckedIn());
+        confirmation.setTime(punch.getTime());
+
+        return confirmation;
+    }
+
+    /**
+     * Every student enrolled on the date, present or absent, optionally
+     * for one hall only. Students who joined later or had already left
+     * are not listed.
+     */
+    public List<AttendanceStatusDTO> getDay(LocalDate date, Long hallId) {
+
+        LocalDate day = date == null ? LocalDate.now() : date;
+
+        Map<Long, List<Attendance>> visits = new HashMap<>();
+
+        for (Attendance visit : attendanceRepo.findByDateOrderByCheckInAtAsc(day)) {
+            visits.computeIfAbsent(visit.getStudentId(), id -> new ArrayList<>()).add(visit);
+        }
+
+        List<AttendanceStatusDTO> rows = new ArrayList<>();
+
+        for (Student s : studentRepo.findAll()) {
+
+            if (!isEnrolled(s, day) || (hallId != null && !hallId.equals(s.getHallId()))) {
+                continue;
+            }
+
+            rows.add(toStatus(s, visits.getOrDefault(s.getId(), new ArrayList<>())));
+        }
+
+        rows.sort(Comparator
+                .comparing((AttendanceStatusDTO row) -> row.getHall() == null ? "" : row.getHall())
+                .thenComparing(row -> row.getName() == null ? "" : row.getName()));
+
+        return rows;
+    }
+
+    // Visits in a month, given as YYYY-MM; the current month when none is given
+    public List<Attendance> getMonth(Long studentId, String month) {
+
+        findStudent(studentId);
+
+        YearMonth period;
+
+        try {
+            period = month == null || month.isBlank() ? YearMonth.now() : YearMonth.parse(month.trim());
+        } catch (DateTimeParseException e) {
+            throw new BadRequestException("Month must be in the format YYYY-MM");
+        }
+
+        return attendanceRepo.findByStudentIdAndDateBetweenOrderByCheckInAtAsc(
+                studentId, period.atDay(1), period.atEndOfMonth());
+    }
+
+    // An active student by card code, or by phone number if only one active student has it
+    private Student identify(String code) {
+
+        String value = code == null ? "" : code.trim();
+
+        if (value.isEmpty()) {
+            throw new BadRequestException("Enter your phone number or scan your card");
+        }
+
+        Matcher matcher = STUDENT_CODE.matcher(value);
+
+        if (matcher.matches()) {
+
+            Long id = Long.valueOf(matcher.group(1));
+
+            return studentRepo.findById(id)
+                    .filter(s -> s.getLeftDate() == null)
+                    .orElseThrow(() -> new BadRequestException(
+                            "No active student has the code " + value.toUpperCase()));
+        }
+
+        String phone = StudentDetailsService.lastTenDigits(value);
+
+        if (phone.length() < 10) {
+            throw new BadRequestException("Enter your 10-digit phone number or scan your card");
+        }
+
+        List<Student> matches = new ArrayList<>();
+
+        for (Student s : studentRepo.findByLeftDateIsNull()) {
+            if (phone.equals(StudentDetailsService.lastTenDigits(s.getPhone()))) {
+                matches.add(s);
+            }
+        }
+
+        if (matches.isEmpty()) {
+            throw new BadRequestException("No active student has the phone number " + phone);
+        }
+
+        if (matches.size() > 1) {
+            throw new BadRequestException("More than one student has this phone number. Scan your card instead");
+        }
+
+        return matches.get(0);
+    }
+
+    private boolean isEnrolled(Student s, LocalDate day) {
+        return (s.getJoinDate() == null || !s.getJoinDate().isAfter(day))
+                && (s.getLeftDate() == null || !s.getLeftDate().isBefore(day));
+    }
+
+    private AttendanceStatusDTO toStatus(Student s, List<Attendance> visits) {
+
+        AttendanceStatusDTO row = new AttendanceStatusDTO();
+
+        row.setStudentId(s.getId());
+        row.setName(s.getName());
+        row.setPhone(s.getPhone());
+        row.setHallId(s.getHallId());
+        row.setHall(s.getHall());
+        row.setCabin(s.getCabin());
+        row.setShiftId(s.getShiftId());
+        row.setVisits(visits.size());
+        row.setPresent(!visits.isEmpty());
+
+        if (!visits.isEmpty()) {
+
+            Attendance last = visits.get(visits.size() - 1);
+
+            row.setFirstCheckIn(visits.get(0).getCheckInAt());
+            row.setInside(last.getCheckOutAt() == null);
+
+            for (Attendance visit : visits) {
+                if (visit.getCheckOutAt() != null
+                        && (row.getLastCheckOut() == null || visit.getCheckOutAt().isAfter(row.getLastCheckOut()))) {
+                    row.setLastCheckOut(visit.getCheckOutAt());
+                }
+            }
+        }
+
+        return row;
+    }
+
+    private AttendancePunchDTO toPunch(Student s, LocalDateTime time, boolean checkedIn) {
+
+        AttendancePunchDTO punch = new AttendancePunchDTO();
+
+        punch.setStudentId(s.getId());
+        punch.setName(s.getName());
+        punch.setHall(s.getHall());
+        punch.setCabin(s.getCabin());
+        punch.setCheckedIn(checkedIn);
+        punch.setTime(time);
+
+        return punch;
+    }
+
+    private Student findStudent(Long studentId) {
+        return studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+    }
+}
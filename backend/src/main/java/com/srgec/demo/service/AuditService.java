@@ -0,0 +1,232 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.ArrayList;
+import java.util.LinkedHashMap;
+import java.util.LinkedHashSet;
+import java.util.List;
+import java.util.Map;
+import java.util.Objects;
+import java.util.Set;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.data.domain.PageRequest;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.config.AuthInterceptor;
+import com.srgec.demo.dto.AuditEventDTO;
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditChange;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.AuditEvent;
+import com.srgec.demo.entity.Shift;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.entity.User;
+import com.srgec.demo.repository.AuditChangeRepository;
+import com.srgec.demo.repository.AuditEventRepository;
+import com.srgec.demo.repository.ShiftRepository;
+
+/**
+ * Audit trail of changes to students, halls and fees. Callers take a
+ * snapshot of a record before and after changing it, and record() keeps
+ * the fields that differ. The actor is the signed-in staff member of the
+ * current request, or the system outside of one.
+ */
+@Service
+public class AuditService {
+
+    // The Activity page shows the newest events matching its filters, up to this many
+    private static final int MAX_RESULTS = 500;
+
+    @Autowired
+    private AuditEventRepository eventRepo;
+
+    @Autowired
+    private AuditChangeRepository changeRepo;
+
+    @Autowired
+    private ShiftRepository shiftRepo;
+
+    /**
+     * The audited fields of a student as text, in form order. Field names
+     * match the properties of Student; the shift is kept by name.
+     */
+    public Map<String, String> snapshot(Student s) {
+
+        Map<String, String> values = new LinkedHashMap<>();
+
+        values.put("name", text(s.getName()));
+        values.put("phone", text(s.getPhone()));
+        values.put("email", text(s.getEmail()));
+        values.put("address", text(s.getAddress()));
+        values.put("guardianName", text(s.getGuardianName()));
+        values.put("guardianPhone", text(s.getGuardianPhone()));
+        values.put("emergencyContactName", text(s.getEmergencyContactName()));
+        values.put("emergencyContactPhone", text(s.getEmergencyContactPhone()));
+        values.put("examTarget", text(s.getExamTarget()));
+        values.put("idProofType", text(s.getIdProofType()));
+        values.put("idProofNumber", text(s.getIdProofNumber()));
+        values.put("hall", text(s.getHall()));
+        values.put("cabin", text(s.getCabin()));
+        values.put("shift", s.getShiftId() == null ? null
+                : shiftRepo.findById(s.getShiftId()).map(Shift::getName).orElse(null));
+        values.put("joinDate", text(s.getJoinDate()));
+        values.put("leftDate", text(s.getLeftDate()));
+        values.put("monthlyFee", text(s.getMonthlyFee()));
+        values.put("feePaid", text(s.getFeePaid()));
+        values.put("feeDue", text(s.getFeeDue()));
+        values.put("depositHeld", text(s.getDepositHeld()));
+        values.put("status", text(s.getStatus()));
+        values.put("billedThrough", text(s.getBilledThrough()));
+        values.put("paidThrough", text(s.getPaidThrough()));
+
+        return values;
+    }
+
+    public Map<String, String> snapshot(StudyHall hall) {
+
+        Map<String, String> values = new LinkedHashMap<>();
+
+        values.put("name", text(hall.getName()));
+        values.put("capacity", text(hall.getCapacity()));
+        values.put("location", text(hall.getLocation()));
+        values.put("description", text(hall.getDescription()));
+        values.put("monthlyFee", text(hall.getMonthlyFee()));
+        values.put("prorationPolicy", text(hall.getProrationPolicy()));
+
+        return values;
+    }
+
+    /**
+     * Records an event with a change row for every field whose value
+     * differs between before and after; either may be null, for a record
+     * that did not exist yet or no longer does. An update that changed
+     * nothing is not recorded.
+     */
+    @Transactional
+    public AuditEvent record(AuditEntityType entityType, Long entityId, String entityName,
+            AuditAction action, String summary, Map<String, String> before, Map<String, String> after) {
+
+        List<AuditChange> changes = diff(before, after);
+
+        if (action == AuditAction.UPDATE && changes.isEmpty() && summary == null) {
+            return null;
+        }
+
+        AuditEvent event = new AuditEvent();
+
+        event.setOccurredAt(LocalDateTime.now());
+        event.setEntityType(entityType);
+        event.setEntityId(entityId);
+        event.setEntityName(entityName);
+        event.setAction(action);
+        event.setSummary(summary);
+
+        User actor = AuthInterceptor.currentUser();
+
+        if (actor != null) {
+            event.setActorId(actor.getId());
+            event.setActorName(actor.getFullName() != null ? actor.getFullName() : actor.getUsername());
+        } else {
+            event.setActorName("System");
+        }
+
+        event = eventRepo.save(event);
+
+        for (AuditChange change : changes) {
+            change.setEventId(event.getId());
+        }
+
+        changeRepo.saveAll(changes);
+
+        return event;
+    }
+
+    public List<AuditEventDTO> search(AuditEntityType entityType, Long entityId, AuditAction action,
+            Long actorId, LocalDate from, LocalDate to) {
+
+        List<AuditEvent> events = eventRepo.search(entityType, entityId, action, actorId,
+                from == null ? null : from.atStartOfDay(),
+                to == null ? null : to.plusDays(1).atStartOfDay(),
+                PageRequest.of(0, MAX_RESULTS));
+
+        return withChanges(events);
+    }
+
+    public List<AuditEventDTO> getStudentHistory(Long studentId) {
+        return withChanges(eventRepo.findByEntityTypeAndEntityIdOrderByOccurredAtDescIdDesc(
+                AuditEntityType.STUDENT, studentId));
+    }
+
+    private List<AuditEventDTO> withChanges(List<AuditEvent> events) {
+
+        Map<Long, List<AuditChange>> changesByEvent = new LinkedHashMap<>();
+
+        for (AuditEvent event : events) {
+            changesByEvent.put(event.getId(), new ArrayList<>());
+        }
+
+        if (!events.isEmpty()) {
+            for (AuditChange change : changeRepo.findByEventIdInOrderByIdAsc(changesByEvent.keySet())) {
+                changesByEvent.get(change.getEventId()).add(change);
+            }
+        }
+
+        List<AuditEventDTO> result = new ArrayList<>();
+
+        for (AuditEvent event : events) {
+            result.add(new AuditEventDTO(event, changesByEvent.get(event.getId())));
+        }
+
+        return result;
+    }
+
+    private static List<AuditChange> diff(Map<String, String> before, Map<String, String> after) {
+
+        Set<String> fields = new LinkedHashSet<>();
+
+        if (before != null) {
+            fields.addAll(before.keySet());
+        }
+
+        if (after != null) {
+            fields.addAll(after.keySet());
+        }
+
+        List<AuditChange> changes = new ArrayList<>();
+
+        for (String field : fields) {
+
+            String oldValue = before == null ? null : before.get(field);
+            String newValue = after == null ? null : after.get(field);
+
+            if (!Objects.equals(oldValue, newValue)) {
+
+                AuditChange change = new AuditChange();
+
+                change.setField(field);
+                change.setOldValue(oldValue);
+                change.setNewValue(newValue);
+
+                changes.add(change);
+            }
+        }
+
+        return changes;
+    }
+
+    // Blank and missing are the same, so clearing an empty field is not a change
+    private static String text(Object value) {
+
+        if (value == null) {
+            return null;
+        }
+
+        String text = value.toString();
+
+        return text.isBlank() ? null : text;
+    }
+}
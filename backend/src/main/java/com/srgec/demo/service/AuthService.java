@@ -0,0 +1,152 @@
+package com.srgec.demo.service;
+
+import java.security.GeneralSecurityException;
+import java.security.MessageDigest;
+import java.security.SecureRandom;
+import java.time.LocalDateTime;
+import java.util.Base64;
+import java.util.HexFormat;
+
+import javax.crypto.SecretKeyFactory;
+import javax.crypto.spec.PBEKeySpec;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.dto.LoginDTO;
+import com.srgec.demo.entity.User;
+import com.srgec.demo.entity.UserSession;
+import com.srgec.demo.exception.UnauthorizedException;
+import com.srgec.demo.repository.UserRepository;
+import com.srgec.demo.repository.UserSessionRepository;
+
+/**
+ * Staff sign-in. A login opens a session whose random token the app sends
+ * as a bearer token; it lasts app.auth.session-hours or until logout.
+ * Passwords are kept as "pbkdf2$iterations$salt$hash".
+ */
+@Service
+public class AuthService {
+
+    private static final String HASH_PREFIX = "pbkdf2$";
+    private static final int HASH_ITERATIONS = 120_000;
+    private static final int HASH_BITS = 256;
+
+    private static final SecureRandom RANDOM = new SecureRandom();
+
+    @Autowired
+    private UserRepository userRepo;
+
+    @Autowired
+    private UserSessionRepository sessionRepo;
+
+    @Value("${app.auth.session-hours:12}")
+    private long sessionHours;
+
+    @Transactional
+    public LoginDTO login(String username, String password) {
+
+        User user = username == null ? null : userRepo.findByUsernameIgnoreCase(username.trim());
+
+        // The same message either way, so usernames cannot be guessed
+        if (user == null || password == null || !passwordMatches(password, user.getPassword())) {
+            throw new UnauthorizedException("Incorrect username or password");
+        }
+
+        if (!Boolean.TRUE.equals(user.getActive())) {
+            throw new UnauthorizedException("This account has been deactivated");
+        }
+
+        sessionRepo.deleteByExpiresAtBefore(LocalDateTime.now());
+
+        UserSession session = new UserSession();
+        session.setToken(newToken());
+        session.setUserId(user.getId());
+        session.setCreatedAt(LocalDateTime.now());
+        session.setExpiresAt(LocalDateTime.now().plusHours(sessionHours));
+
+        sessionRepo.save(session);
+
+        return new LoginDTO(session.getToken(), user);
+    }
+
+    @Transactional
+    public void logout(String token) {
+        if (token != null) {
+            sessionRepo.deleteByToken(token);
+        }
+    }
+
+    // The staff member a bearer token belongs to, if the session is still open
+    public User authenticate(String token) {
+
+        if (token == null || token.isBlank()) {
+            throw new UnauthorizedException("Please sign in to continue");
+        }
+
+        UserSession session = sessionRepo.findByToken(token)
+                .filter(s -> s.getExpiresAt().isAfter(LocalDateTime.now()))
+                .orElseThrow(() -> new UnauthorizedException("Your session has expired. Please sign in again"));
+
+        return userRepo.findById(session.getUserId())
+                .filter(user -> Boolean.TRUE.equals(user.getActive()))
+                .orElseThrow(() -> new UnauthorizedException("This account has been deactivated"));
+    }
+
+    // Signs a user out everywhere, after a password change or deactivation
+    @Transactional
+    public void endSessions(Long userId) {
+        sessionRepo.deleteByUserId(userId);
+    }
+
+    public String hashPassword(String password) {
+
+        byte[] salt = new byte[16];
+        RANDOM.nextBytes(salt);
+
+        Base64.Encoder base64 = Base64.getEncoder();
+
+        return HASH_PREFIX + HASH_ITERATIONS + "$" + base64.encodeToString(salt)
+                + "$" + base64.encodeToString(pbkdf2(password, salt, HASH_ITERATIONS));
+    }
+
+    public boolean isHashed(String password) {
+        return password != null && password.startsWith(HASH_PREFIX);
+    }
+
+    private boolean passwordMatches(String password, String stored) {
+
+        if (!isHashed(stored)) {
+            return false;
+        }
+
+        String[] parts = stored.split("\\$");
+        Base64.Decoder base64 = Base64.getDecoder();
+
+        byte[] expected = base64.decode(parts[3]);
+        byte[] actual = pbkdf2(password, base64.decode(parts[2]), Integer.parseInt(parts[1]));
+
+        return MessageDigest.isEqual(expected, actual);
+    }
+
+    private static byte[] pbkdf2(String password, byte[] salt, int iterations) {
+        try {
+            PBEKeySpec spec = new PBEKeySpec(password.toCharArray(), salt, iterations, HASH_BITS);
+
+            return SecretKeyFactory.getInstance("PBKDF2WithHmacSHA256").generateSecret(spec).getEncoded();
+
+        } catch (GeneralSecurityException e) {
+            throw new IllegalStateException("Password hashing is not available", e);
+        }
+    }
+
+    private static String newToken() {
+
+        byte[] bytes = new byte[32];
+        RANDOM.nextBytes(bytes);
+
+        return HexFormat.of().formatHex(bytes);
+    }
+}
@@ -0,0 +1,415 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.ArrayList;
+import java.util.HashSet;
+import java.util.List;
+import java.util.Map;
+import java.util.Set;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.dto.BillingCycleDTO;
+import com.srgec.demo.dto.BillingRunDTO;
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.BillingCycle;
+import com.srgec.demo.entity.BillingRun;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.BillingCycleRepository;
+import com.srgec.demo.repository.BillingRunRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.service.ConcessionService.AppliedConcession;
+
+/**
+ * Invoices every active student once per billing cycle. Cycles are anchored
+ * to the student's join date (join on the 12th, billed on the 12th of every
+ * month) and a cycle is only ever generated once, so runs are idempotent.
+ */
+@Service
+public class BillingService {
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private BillingCycleRepository cycleRepo;
+
+    @Autowired
+    private BillingRunRepository runRepo;
+
+    @Autowired
+    private LedgerService ledgerService;
+
+    @Autowired
+    private ConcessionService concessionService;
+
+    @Autowired
+    private AuditService auditService;
+
+    @Autowired
+    private AlertService alertService;
+
+    public List<BillingCycleDTO> preview(LocalDate asOf) {
+
+        List<BillingCycleDTO> pending = new ArrayList<>();
+
+        for (Student s : studentRepo.findAll()) {
+
+            if (s.getLeftDate() == null) {
+                pending.addAll(pendingCycles(s, asOf));
+            }
+        }
+
+        return pending;
+    }
+
+    // A preview may look ahead, but a run would invoice cycles that have not started yet
+    @Transactional
+    public BillingRunDTO run(LocalDate asOf) {
+
+        if (asOf.isAfter(LocalDate.now())) {
+            throw new BadRequestException("A billing run cannot be dated in the future");
+        }
+
+        List<BillingCycleDTO> generated = new ArrayList<>();
+        BillingRun run = null;
+        int total = 0;
+
+        for (Student s : studentRepo.findAll()) {
+
+            if (s.getLeftDate() != null) {
+                continue;
+            }
+
+            List<BillingCycleDTO> cycles = pendingCycles(s, asOf);
+
+            if (cycles.isEmpty()) {
+                continue;
+            }
+
+            Map<String, String> before = auditService.snapshot(s);
+
+            for (BillingCycleDTO pending : cycles) {
+
+                // Runs that find nothing to invoice are not recorded
+                if (run == null) {
+                    run = new BillingRun();
+                    run.setAsOfDate(asOf);
+                    run.setExecutedAt(LocalDateTime.now());
+                    run = runRepo.save(run);
+                }
+
+                BillingCycle cycle = invoiceMonthly(s, pending.getCycleStart(), pending.getCycleEnd(), run.getId());
+
+                pending.setId(cycle.getId());
+                generated.add(pending);
+                total += cycle.getAmount();
+            }
+
+            auditService.record(AuditEntityType.STUDENT, s.getId(), s.getName(), AuditAction.FEE_RUN,
+                    "Billing run #" + run.getId() + " invoiced " + cycles.size()
+                            + (cycles.size() == 1 ? " cycle" : " cycles"),
+                    before, auditService.snapshot(s));
+        }
+
+        if (run == null) {
+
+            BillingRunDTO empty = new BillingRunDTO();
+
+            empty.setAsOfDate(asOf);
+            empty.setCyclesGenerated(0);
+            empty.setTotalAmount(0);
+            empty.setCycles(generated);
+
+            return empty;
+        }
+
+        run.setCyclesGenerated(generated.size());
+        run.setTotalAmount(total);
+        runRepo.save(run);
+
+        auditService.record(AuditEntityType.BILLING_RUN, run.getId(), "Billing run #" + run.getId(),
+                AuditAction.FEE_RUN, generated.size() + (generated.size() == 1 ? " cycle" : " cycles")
+                        + " invoiced for Rs. " + total + " as of " + asOf,
+                null, null);
+
+        alertService.raiseFeeRun(run);
+
+        return toDTO(run, generated);
+    }
+
+    /**
+     * Invoices the student's outstanding full cycles that start on or before
+     * the given date, outside of a billing run.
+     */
+    @Transactional
+    public void invoiceThrough(Student s, LocalDate date) {
+
+        for (BillingCycleDTO pending : pendingCycles(s, date)) {
+            invoiceMonthly(s, pending.getCycleStart(), pending.getCycleEnd(), null);
+        }
+    }
+
+    /**
+     * Total of the cycles invoiceThrough would bill for the given date.
+     */
+    public int pendingAmount(Student s, LocalDate date) {
+
+        int total = 0;
+
+        for (BillingCycleDTO pending : pendingCycles(s, date)) {
+            total += pending.getAmount();
+        }
+
+        return total;
+    }
+
+    /**
+     * Invoices a full cycle at the student's base monthly fee, less any
+     * concessions valid on the cycle's start date.
+     */
+    @Transactional
+    public BillingCycle invoiceMonthly(Student s, LocalDate start, LocalDate end, Long runId) {
+
+        int baseFee = s.getMonthlyFee();
+
+        return invoice(s, start, end, baseFee,
+                concessionService.discountsFor(s, baseFee, start), runId, "Monthly fee");
+    }
+
+    /**
+     * Invoices a cycle for a fixed amount, such as a pro-rated cycle, with
+     * no further concessions.
+     */
+    @Transactional
+    public BillingCycle invoice(Student s, LocalDate start, LocalDate end,
+            int amount, Long runId, String note) {
+
+        return invoice(s, start, end, amount, new ArrayList<>(), runId, note);
+    }
+
+    /**
+     * Records one cycle as invoiced: the cycle row, its ledger charge with a
+     * DISCOUNT line per concession, and the student's billedThrough marker.
+     * runId is null for cycles invoiced outside a billing run.
+     */
+    private BillingCycle invoice(Student s, LocalDate start, LocalDate end, int baseAmount,
+            List<AppliedConcession> discounts, Long runId, String note) {
+
+        int discountAmount = 0;
+
+        for (AppliedConcession applied : discounts) {
+            discountAmount += applied.getAmount();
+        }
+
+        BillingCycle cycle = new BillingCycle();
+
+        cycle.setStudentId(s.getId());
+        cycle.setRunId(runId);
+        cycle.setCycleStart(start);
+        cycle.setCycleEnd(end);
+        cycle.setBaseAmount(baseAmount);
+        cycle.setDiscountAmount(discountAmount);
+        cycle.setAmount(baseAmount - discountAmount);
+        cycle.setHallId(s.getHallId());
+        cycle.setHall(s.getHall());
+        cycle.setCreatedAt(LocalDateTime.now());
+
+        cycle = cycleRepo.save(cycle);
+
+        if (s.getBilledThrough() == null || end.isAfter(s.getBilledThrough())) {
+            s.setBilledThrough(end);
+        }
+
+        // Advance credit from a prepaid plan is drawn down by the charge itself
+        boolean prepaid = s.getFeeDue() != null && s.getFeeDue() + cycle.getAmount() <= 0;
+
+        LedgerEntry charge = new LedgerEntry();
+
+        charge.setType(LedgerEntryType.CHARGE);
+        charge.setAmount(baseAmount);
+        charge.setEntryDate(start);
+        charge.setPeriodStart(start);
+        charge.setPeriodEnd(end);
+        charge.setBillingCycleId(cycle.getId());
+        charge.setNote(prepaid ? note + " (paid from advance credit)" : note);
+
+        ledgerService.post(s, charge);
+
+        for (AppliedConcession applied : discounts) {
+
+            LedgerEntry discount = new LedgerEntry();
+
+            discount.setType(LedgerEntryType.DISCOUNT);
+            discount.setAmount(-applied.getAmount());
+            discount.setEntryDate(start);
+            discount.setPeriodStart(start);
+            discount.setPeriodEnd(end);
+            discount.setBillingCycleId(cycle.getId());
+            discount.setConcessionId(applied.getConcession().getId());
+            discount.setNote(concessionService.describe(applied.getConcession()));
+
+            ledgerService.post(s, discount);
+
+            concessionService.markApplied(applied.getConcession(), cycle.getId());
+        }
+
+        return cycle;
+    }
+
+    public List<BillingRun> getRuns() {
+        return runRepo.findAllByOrderByExecutedAtDesc();
+    }
+
+    public BillingRunDTO getRun(Long id) {
+
+        BillingRun run = runRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Billing run not found with id " + id));
+
+        List<BillingCycleDTO> cycles = new ArrayList<>();
+
+        for (BillingCycle cycle : cycleRepo.findByRunIdOrderByStudentIdAsc(id)) {
+            cycles.add(toDTO(cycle));
+        }
+
+        return toDTO(run, cycles);
+    }
+
+    public List<BillingCycleDTO> getStudentCycles(Long studentId) {
+
+        List<BillingCycleDTO> cycles = new ArrayList<>();
+
+        for (BillingCycle cycle : cycleRepo.findByStudentIdOrderByCycleStartDesc(studentId)) {
+            cycles.add(toDTO(cycle));
+        }
+
+        return cycles;
+    }
+
+    /**
+     * Index of the cycle containing the given date for a student who joined
+     * on joinDate (cycle 0 starts on the join date). Month lengths are
+     * handled by plusMonths, so a student who joined on the 31st is billed
+     * on the last day of shorter months.
+     */
+    public static int cycleIndexOn(LocalDate joinDate, LocalDate date) {
+
+        int index = 0;
+
+        while (!joinDate.plusMonths(index + 1).isAfter(date)) {
+            index++;
+        }
+
+        return index;
+    }
+
+    public static LocalDate cycleStart(LocalDate joinDate, int index) {
+        return joinDate.plusMonths(index);
+    }
+
+    public static LocalDate cycleEnd(LocalDate joinDate, int index) {
+        return joinDate.plusMonths(index + 1).minusDays(1);
+    }
+
+    // Index of the first cycle after the student's billedThrough date
+    public static int firstUnbilledCycle(Student s) {
+        return s.getBilledThrough() == null
+                ? 0
+                : cycleIndexOn(s.getJoinDate(), s.getBilledThrough()) + 1;
+    }
+
+    private List<BillingCycleDTO> pendingCycles(Student s, LocalDate asOf) {
+
+        List<BillingCycleDTO> pending = new ArrayList<>();
+
+        if (s.getJoinDate() == null
+                || s.getMonthlyFee() == null
+                || s.getMonthlyFee() <= 0) {
+            return pending;
+        }
+
+        LocalDate joinDate = s.getJoinDate();
+
+        // Skip straight past everything that has already been invoiced
+        int index = firstUnbilledCycle(s);
+
+        LocalDate start = cycleStart(joinDate, index);
+
+        // One-off waivers apply to the first pending cycle only
+        Set<Long> usedWaivers = new HashSet<>();
+
+        while (!start.isAfter(asOf)) {
+
+            if (!cycleRepo.existsByStudentIdAndCycleStart(s.getId(), start)) {
+
+                BillingCycleDTO cycle = new BillingCycleDTO();
+
+                cycle.setStudentId(s.getId());
+                cycle.setStudentName(s.getName());
+                cycle.setHall(s.getHall());
+                cycle.setCycleStart(start);
+                cycle.setCycleEnd(cycleEnd(joinDate, index));
+
+                int discount = 0;
+
+                for (AppliedConcession applied : concessionService.discountsFor(
+                        s, s.getMonthlyFee(), start, usedWaivers)) {
+                    discount += applied.getAmount();
+                }
+
+                cycle.setBaseAmount(s.getMonthlyFee());
+                cycle.setDiscountAmount(discount);
+                cycle.setAmount(s.getMonthlyFee() - discount);
+
+                pending.add(cycle);
+            }
+
+            index++;
+            start = cycleStart(joinDate, index);
+        }
+
+        return pending;
+    }
+
+    private BillingCycleDTO toDTO(BillingCycle cycle) {
+
+        BillingCycleDTO dto = new BillingCycleDTO();
+
+        dto.setId(cycle.getId());
+        dto.setStudentId(cycle.getStudentId());
+        dto.setHall(cycle.getHall());
+        dto.setCycleStart(cycle.getCycleStart());
+        dto.setCycleEnd(cycle.getCycleEnd());
+        dto.setAmount(cycle.getAmount());
+        dto.setBaseAmount(cycle.getBaseAmount());
+        dto.setDiscountAmount(cycle.getDiscountAmount());
+
+        studentRepo.findById(cycle.getStudentId())
+                .ifPresent(s -> dto.setStudentName(s.getName()));
+
+        return dto;
+    }
+
+    private BillingRunDTO toDTO(BillingRun run, List<BillingCycleDTO> cycles) {
+
+        BillingRunDTO dto = new BillingRunDTO();
+
+        dto.setId(run.getId());
+        dto.setAsOfDate(run.getAsOfDate());
+        dto.setExecutedAt(run.getExecutedAt());
+        dto.setCyclesGenerated(run.getCyclesGenerated());
+        dto.setTotalAmount(run.getTotalAmount());
+        dto.setCycles(cycles);
+
+        return dto;
+    }
+}
@@ -0,0 +1,372 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.ArrayList;
+import java.util.Collection;
+import java.util.HashMap;
+import java.util.HashSet;
+import java.util.LinkedHashMap;
+import java.util.List;
+import java.util.Map;
+import java.util.Set;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.Concession;
+import com.srgec.demo.entity.ConcessionType;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.ConcessionRepository;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+/**
+ * Discounts on a student's base monthly fee. Concessions are applied in the
+ * order they were added and together never take more than the base fee.
+ */
+@Service
+public class ConcessionService {
+
+    @Autowired
+    private ConcessionRepository concessionRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private LedgerEntryRepository ledgerRepo;
+
+    @Autowired
+    private AuditService auditService;
+
+    public List<Concession> getStudentConcessions(Long studentId) {
+        findStudent(studentId);
+        return concessionRepo.findByStudentIdOrderByIdAsc(studentId);
+    }
+
+    public Concession create(Long studentId, Concession concession) {
+
+        Student student = findStudent(studentId);
+        validate(concession);
+
+        concession.setId(null);
+        concession.setStudentId(studentId);
+        concession.setAppliedCycleId(null);
+        concession.setCreatedAt(LocalDateTime.now());
+
+        Concession saved = concessionRepo.save(concession);
+
+        recordChange(student, "Concession added: " + describe(saved));
+
+        return saved;
+    }
+
+    public Concession update(Long id, Concession updatedConcession) {
+
+        Concession concession = findConcession(id);
+
+        validate(updatedConcession);
+
+        String was = describe(concession);
+
+        concession.setType(updatedConcession.getType());
+        concession.setPercent(updatedConcession.getPercent());
+        concession.setAmount(updatedConcession.getAmount());
+        concession.setReason(updatedConcession.getReason());
+        concession.setValidFrom(updatedConcession.getValidFrom());
+        concession.setValidTo(updatedConcession.getValidTo());
+
+        Concession saved = concessionRepo.save(concession);
+
+        recordChange(findStudent(saved.getStudentId()), "Concession changed from " + was + " to " + describe(saved));
+
+        return saved;
+    }
+
+    public void delete(Long id) {
+
+        Concession concession = findConcession(id);
+
+        // Applied concessions stay so the ledger and reports can explain past discounts
+        if (ledgerRepo.existsByConcessionId(id)) {
+            throw new BadRequestException(
+                    "This concession has already been applied to a billing cycle. Set a valid-to date to end it instead");
+        }
+
+        concessionRepo.delete(concession);
+
+        recordChange(findStudent(concession.getStudentId()), "Concession removed: " + describe(concession));
+    }
+
+    /**
+     * Concessions that apply to a cycle starting on cycleStart, paired with
+     * the rupees each one takes off the given base fee.
+     */
+    public List<AppliedConcession> discountsFor(Student s, int baseFee, LocalDate cycleStart) {
+        return discountsFor(s, baseFee, cycleStart, new HashSet<>());
+    }
+
+    /**
+     * As above, skipping waivers in usedWaivers and adding any waiver used
+     * here to it, so a preview spanning several cycles uses each waiver once.
+     */
+    public List<AppliedConcession> discountsFor(Student s, int baseFee, LocalDate cycleStart,
+            Set<Long> usedWaivers) {
+        return discountsFor(s, baseFee, cycleStart, usedWaivers, null);
+    }
+
+    private List<AppliedConcession> discountsFor(Student s, int baseFee, LocalDate cycleStart,
+            Set<Long> usedWaivers, Long cycleId) {
+
+        List<AppliedConcession> applied = new ArrayList<>();
+        int remaining = baseFee;
+
+        for (Concession c : concessionRepo.findByStudentIdOrderByIdAsc(s.getId())) {
+
+            if (remaining <= 0 || !isActiveOn(c, cycleStart, cycleId) || usedWaivers.contains(c.getId())) {
+                continue;
+            }
+
+            int discount = c.getPercent() != null
+                    ? (int) Math.round(baseFee * c.getPercent() / 100.0)
+                    : c.getAmount();
+
+            discount = Math.min(discount, remaining);
+
+            if (discount > 0) {
+                applied.add(new AppliedConcession(c, discount));
+                remaining -= discount;
+
+                if (c.getType() == ConcessionType.WAIVER) {
+                    usedWaivers.add(c.getId());
+                }
+            }
+        }
+
+        return applied;
+    }
+
+    /**
+     * Total discount on the cycle starting on cycleStart. For a cycle that
+     * has been invoiced, pass its id: a waiver then counts if it was used on
+     * that cycle rather than if it is still unused. cycleId is null for a
+     * cycle not invoiced yet.
+     */
+    public int totalDiscount(Student s, int baseFee, LocalDate cycleStart, Long cycleId) {
+
+        int total = 0;
+
+        for (AppliedConcession applied : discountsFor(s, baseFee, cycleStart, new HashSet<>(), cycleId)) {
+            total += applied.getAmount();
+        }
+
+        return total;
+    }
+
+    /**
+     * The student's monthly fee for a cycle after concessions, using each
+     * waiver at most once across calls that share usedWaivers.
+     */
+    public int netFee(Student s, LocalDate cycleStart, Set<Long> usedWaivers) {
+
+        int fee = s.getMonthlyFee() == null ? 0 : s.getMonthlyFee();
+
+        for (AppliedConcession applied : discountsFor(s, fee, cycleStart, usedWaivers)) {
+            fee -= applied.getAmount();
+        }
+
+        return fee;
+    }
+
+    // Waivers are one-off: once used on a cycle they no longer apply
+    public void markApplied(Concession concession, Long cycleId) {
+
+        if (concession.getType() == ConcessionType.WAIVER) {
+            concession.setAppliedCycleId(cycleId);
+            concessionRepo.save(concession);
+        }
+    }
+
+    // Frees waivers used up by cycles that are being removed, so they apply again
+    public void clearApplied(Collection<Long> cycleIds) {
+
+        if (cycleIds.isEmpty()) {
+            return;
+        }
+
+        for (Concession concession : concessionRepo.findByAppliedCycleIdIn(cycleIds)) {
+            concession.setAppliedCycleId(null);
+            concessionRepo.save(concession);
+        }
+    }
+
+    public String describe(Concession c) {
+
+        String value = c.getPercent() != null
+                ? c.getPercent() + "%"
+                : "Rs. " + c.getAmount();
+
+        return label(c.getType()) + " (" + value + "): " + c.getReason();
+    }
+
+    /**
+     * Revenue forgone to concessions, summed from the DISCOUNT lines posted
+     * to the ledger and broken down by concession type.
+     */
+    public List<Map<String, Object>> forgoneRevenueByType() {
+
+        Map<Long, ConcessionType> types = new HashMap<>();
+
+        for (Concession c : concessionRepo.findAll()) {
+            types.put(c.getId(), c.getType());
+        }
+
+        Map<ConcessionType, Map<String, Object>> report = new LinkedHashMap<>();
+        Map<ConcessionType, Set<Long>> students = new HashMap<>();
+
+        for (ConcessionType type : ConcessionType.values()) {
+
+            Map<String, Object> row = new HashMap<>();
+
+            row.put("type", type.name());
+            row.put("label", label(type));
+            row.put("amount", 0);
+            row.put("cycles", 0);
+            row.put("students", 0);
+
+            report.put(type, row);
+            students.put(type, new HashSet<>());
+        }
+
+        for (LedgerEntry e : ledgerRepo.findByTypeOrderByEntryDateDescIdDesc(LedgerEntryType.DISCOUNT)) {
+
+            ConcessionType type = types.get(e.getConcessionId());
+
+            if (type == null) {
+                continue;
+            }
+
+            Map<String, Object> row = report.get(type);
+
+            row.put("amount", (Integer) row.get("amount") - e.getAmount());
+            row.put("cycles", (Integer) row.get("cycles") + 1);
+
+            students.get(type).add(e.getStudentId());
+            row.put("students", students.get(type).size());
+        }
+
+        return new ArrayList<>(report.values());
+    }
+
+    private boolean isActiveOn(Concession c, LocalDate date, Long cycleId) {
+
+        if (c.getValidFrom() != null && date.isBefore(c.getValidFrom())) {
+            return false;
+        }
+
+        if (c.getValidTo() != null && date.isAfter(c.getValidTo())) {
+            return false;
+        }
+
+        if (c.getType() != ConcessionType.WAIVER) {
+            return true;
+        }
+
+        return cycleId == null ? c.getAppliedCycleId() == null : cycleId.equals(c.getAppliedCycleId());
+    }
+
+    private static String label(ConcessionType type) {
+
+        switch (type) {
+            case SIBLING:
+                return "Sibling discount";
+            case MERIT:
+                return "Merit concession";
+            case PREPAID_QUARTER:
+                return "Prepaid quarter discount";
+            default:
+                return "Fee waiver";
+        }
+    }
+
+    private void validate(Concession c) {
+
+        if (c.getType() == null) {
+            throw new BadRequestException("Concession type is required");
+        }
+
+        if (c.getReason() == null || c.getReason().isBlank()) {
+            throw new BadRequestException("A reason is required for every concession");
+        }
+
+        boolean hasPercent = c.getPercent() != null;
+        boolean hasAmount = c.getAmount() != null;
+
+        if (hasPercent == hasAmount) {
+            throw new BadRequestException("Set either a percentage or a flat amount for the concession");
+        }
+
+        if (hasPercent && (c.getPercent() <= 0 || c.getPercent() > 100)) {
+            throw new BadRequestException("Concession percentage must be between 1 and 100");
+        }
+
+        if (hasAmount && c.getAmount() <= 0) {
+            throw new BadRequestException("Concession amount must be greater than zero");
+        }
+
+        if (c.getValidFrom() == null) {
+            throw new BadRequestException("Concession start date is required");
+        }
+
+        if (c.getValidTo() != null && c.getValidTo().isBefore(c.getValidFrom())) {
+            throw new BadRequestException("Concession end date cannot be before its start date");
+        }
+    }
+
+    // A concession changes the fee of cycles not billed yet rather than the student's record, so the summary says what changed
+    private void recordChange(Student student, String summary) {
+
+        Map<String, String> snapshot = auditService.snapshot(student);
+
+        auditService.record(AuditEntityType.STUDENT, student.getId(), student.getName(), AuditAction.UPDATE,
+                summary, snapshot, snapshot);
+    }
+
+    private Concession findConcession(Long id) {
+        return concessionRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Concession not found with id " + id));
+    }
+
+    private Student findStudent(Long studentId) {
+        return studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+    }
+
+    public static class AppliedConcession {
+
+        private final Concession concession;
+        private final int amount;
+
+        public AppliedConcession(Concession concession, int amount) {
+            this.concession = concession;
+            this.amount = amount;
+        }
+
+        public Concession getConcession() {
+            return concession;
+        }
+
+        public int getAmount() {
+            return amount;
+        }
+    }
+}
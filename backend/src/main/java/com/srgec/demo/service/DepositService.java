@@ -0,0 +1,239 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.util.Map;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.dto.DepositSettlementDTO;
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.StudentRepository;
+
+/**
+ * Refundable security deposits. The deposit is held outside the fee
+ * balance until the student leaves, when it is kept against fees due and
+ * damages and the remainder is refunded, along with any credit balance
+ * the damages did not use up.
+ */
+@Service
+public class DepositService {
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private LedgerService ledgerService;
+
+    @Autowired
+    private BillingService billingService;
+
+    @Autowired
+    private ProrationService prorationService;
+
+    @Autowired
+    private AuditService auditService;
+
+    @Transactional
+    public LedgerEntry collect(Long studentId, LedgerEntry deposit) {
+
+        Student student = findStudent(studentId);
+
+        if (deposit.getAmount() == null || deposit.getAmount() <= 0) {
+            throw new BadRequestException("Deposit amount must be greater than zero");
+        }
+
+        LocalDate date = deposit.getEntryDate() == null
+                ? LocalDate.now()
+                : deposit.getEntryDate();
+
+        if (date.isAfter(LocalDate.now())) {
+            throw new BadRequestException("Deposit date cannot be in the future");
+        }
+
+        LedgerEntry entry = new LedgerEntry();
+
+        entry.setType(LedgerEntryType.DEPOSIT);
+        entry.setAmount(deposit.getAmount());
+        entry.setEntryDate(date);
+        entry.setMode(paymentMode(deposit.getMode()));
+        entry.setReferenceNumber(deposit.getReferenceNumber());
+        entry.setNote(deposit.getNote() == null || deposit.getNote().isBlank()
+                ? "Security deposit collected"
+                : deposit.getNote());
+
+        Map<String, String> before = auditService.snapshot(student);
+
+        LedgerEntry saved = ledgerService.post(student, entry);
+
+        auditService.record(AuditEntityType.STUDENT, studentId, student.getName(), AuditAction.UPDATE,
+                "Security deposit of Rs. " + saved.getAmount() + " collected", before, auditService.snapshot(student));
+
+        return saved;
+    }
+
+    /**
+     * Settlement if the student left on the given date, including the fees
+     * the leave itself would still invoice or credit.
+     */
+    public DepositSettlementDTO previewSettlement(Long studentId, LocalDate date, Integer damages) {
+
+        Student s = findStudent(studentId);
+
+        if (s.getLeftDate() != null) {
+            throw new BadRequestException("Student has already left on " + s.getLeftDate());
+        }
+
+        int feeDue = s.getFeeDue() == null ? 0 : s.getFeeDue();
+
+        if (s.getJoinDate() != null && s.getMonthlyFee() != null && !date.isBefore(s.getJoinDate())) {
+
+            int index = BillingService.cycleIndexOn(s.getJoinDate(), date);
+
+            feeDue += billingService.pendingAmount(s, BillingService.cycleStart(s.getJoinDate(), index).minusDays(1));
+            feeDue += prorationService.previewLeave(studentId, date).getAdjustment();
+        }
+
+        return compute(s, date, feeDue, damages);
+    }
+
+    /**
+     * Call once the leave has been pro-rated, so feeDue is final. Charges
+     * any damages, keeps what is owed out of the deposit and records the
+     * refund of the remainder and of what is left of a credit balance.
+     */
+    @Transactional
+    public DepositSettlementDTO settle(Student s, LocalDate date, Integer damages,
+            String damageNote, String refundMode) {
+
+        DepositSettlementDTO dto = compute(s, date, s.getFeeDue() == null ? 0 : s.getFeeDue(), damages);
+        String mode = paymentMode(refundMode);
+
+        if (dto.getDamages() > 0) {
+
+            LedgerEntry charge = new LedgerEntry();
+
+            charge.setType(LedgerEntryType.CHARGE);
+            charge.setAmount(dto.getDamages());
+            charge.setEntryDate(date);
+            charge.setNote(damageNote == null || damageNote.isBlank()
+                    ? "Damages"
+                    : "Damages: " + damageNote);
+
+            ledgerService.post(s, charge);
+        }
+
+        if (dto.getAppliedToDues() > 0) {
+
+            LedgerEntry applied = new LedgerEntry();
+
+            applied.setType(LedgerEntryType.DEPOSIT_APPLIED);
+            applied.setAmount(-dto.getAppliedToDues());
+            applied.setEntryDate(date);
+            applied.setNote("Security deposit kept against dues");
+
+            ledgerService.post(s, applied);
+        }
+
+        // Brings the fee balance back to zero; the damages charged above already used their share
+        if (dto.getCreditRefund() > 0) {
+
+            LedgerEntry credit = new LedgerEntry();
+
+            credit.setType(LedgerEntryType.ADJUSTMENT);
+            credit.setAmount(dto.getCreditRefund());
+            credit.setEntryDate(date);
+            credit.setMode(mode);
+            credit.setNote("Credit balance refunded");
+
+            ledgerService.post(s, credit);
+        }
+
+        int depositRefund = dto.getRefund() - dto.getCreditRefund();
+
+        if (depositRefund > 0) {
+
+            LedgerEntry refund = new LedgerEntry();
+
+            refund.setType(LedgerEntryType.DEPOSIT_REFUND);
+            refund.setAmount(depositRefund);
+            refund.setEntryDate(date);
+            refund.setMode(mode);
+            refund.setNote("Security deposit refunded");
+
+            ledgerService.post(s, refund);
+        }
+
+        return dto;
+    }
+
+    /**
+     * Rejects bad settlement input before the leave itself is recorded.
+     */
+    public void validateSettlement(Integer damages, String refundMode) {
+
+        if (damages != null && damages < 0) {
+            throw new BadRequestException("Damages cannot be negative");
+        }
+
+        paymentMode(refundMode);
+    }
+
+    private DepositSettlementDTO compute(Student s, LocalDate date, int feeDue, Integer damages) {
+
+        validateSettlement(damages, null);
+
+        int damageAmount = damages == null ? 0 : damages;
+
+        int held = s.getDepositHeld() == null ? 0 : s.getDepositHeld();
+
+        // Damages come out of a credit balance first, and what is left of it is refunded with the deposit
+        int credit = Math.max(0, -feeDue);
+        int damagesFromCredit = Math.min(credit, damageAmount);
+
+        int owed = Math.max(0, feeDue) + damageAmount - damagesFromCredit;
+        int applied = Math.min(held, owed);
+        int creditRefund = credit - damagesFromCredit;
+
+        DepositSettlementDTO dto = new DepositSettlementDTO();
+
+        dto.setStudentId(s.getId());
+        dto.setLeaveDate(date);
+        dto.setDepositHeld(held);
+        dto.setFeeDue(feeDue);
+        dto.setDamages(damageAmount);
+        dto.setSettlement(held - feeDue - damageAmount);
+        dto.setAppliedToDues(applied);
+        dto.setCreditRefund(creditRefund);
+        dto.setRefund(held - applied + creditRefund);
+        dto.setBalanceDue(owed - applied);
+
+        return dto;
+    }
+
+    private static String paymentMode(String mode) {
+
+        String normalized = mode == null || mode.isBlank()
+                ? "CASH"
+                : mode.trim().toUpperCase();
+
+        if (!LedgerService.PAYMENT_MODES.contains(normalized)) {
+            throw new BadRequestException("Unsupported payment mode: " + mode);
+        }
+
+        return normalized;
+    }
+
+    private Student findStudent(Long studentId) {
+        return studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+    }
+}
@@ -0,0 +1,116 @@
+package com.srgec.demo.service;
+
+import java.util.ArrayList;
+import java.util.Arrays;
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+
+import com.srgec.demo.dto.DuplicateStudentDTO;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.repository.StudentRepository;
+
+/**
+ * Finds students, current or past, who may be the same person as a new
+ * admission: the same phone number, or a similar name with the same
+ * guardian phone. Staff decide whether it really is a duplicate.
+ */
+@Service
+public class DuplicateStudentService {
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    public List<DuplicateStudentDTO> findDuplicates(Student candidate) {
+
+        String phone = StudentDetailsService.lastTenDigits(candidate.getPhone());
+        String guardianPhone = StudentDetailsService.lastTenDigits(candidate.getGuardianPhone());
+
+        List<DuplicateStudentDTO> matches = new ArrayList<>();
+
+        for (Student existing : studentRepo.findAll()) {
+
+            if (existing.getId().equals(candidate.getId())) {
+                continue;
+            }
+
+            List<String> reasons = new ArrayList<>();
+
+            if (phone.length() == 10 && phone.equals(StudentDetailsService.lastTenDigits(existing.getPhone()))) {
+                reasons.add("Same phone number");
+            }
+
+            if (guardianPhone.length() == 10
+                    && guardianPhone.equals(StudentDetailsService.lastTenDigits(existing.getGuardianPhone()))
+                    && similarNames(candidate.getName(), existing.getName())) {
+                reasons.add("Similar name with the same guardian phone");
+            }
+
+            if (!reasons.isEmpty()) {
+                matches.add(new DuplicateStudentDTO(existing, reasons));
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Names match when their words, in any order, are at most a typo or
+     * two apart: "Rahul Sharma", "sharma rahul" and "Rahul Sarma" are
+     * all the same name.
+     */
+    static boolean similarNames(String a, String b) {
+
+        String left = normalizeName(a);
+        String right = normalizeName(b);
+
+        if (left.isEmpty() || right.isEmpty()) {
+            return false;
+        }
+
+        int allowed = Math.max(1, Math.min(left.length(), right.length()) / 6);
+
+        return editDistance(left, right) <= allowed;
+    }
+
+    // Lower case letters only, words sorted so their order does not matter
+    private static String normalizeName(String name) {
+
+        if (name == null) {
+            return "";
+        }
+
+        String[] words = name.toLowerCase().replaceAll("[^a-z\\s]", "").trim().split("\\s+");
+
+        Arrays.sort(words);
+
+        return String.join(" ", words).trim();
+    }
+
+    private static int editDistance(String a, String b) {
+
+        int[] previous = new int[b.length() + 1];
+        int[] current = new int[b.length() + 1];
+
+        for (int j = 0; j <= b.length(); j++) {
+            previous[j] = j;
+        }
+
+        for (int i = 1; i <= a.length(); i++) {
+
+            current[0] = i;
+
+            for (int j = 1; j <= b.length(); j++) {
+                int cost = a.charAt(i - 1) == b.charAt(j - 1) ? 0 : 1;
+                current[j] = Math.min(Math.min(current[j - 1] + 1, previous[j] + 1), previous[j - 1] + cost);
+            }
+
+            int[] swap = previous;
+            previous = current;
+            current = swap;
+        }
+
+        return previous[b.length()];
+    }
+}
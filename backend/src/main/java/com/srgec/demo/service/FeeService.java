@@ -1,5 +1,6 @@
 package com.srgec.demo.service;
 
+import java.time.LocalDate;
 import java.util.HashMap;
 import java.util.List;
 import java.util.Map;
@@ -7,6 +8,7 @@ import java.util.Map;
 import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.stereotype.Service;
 
+import com.srgec.demo.dto.BillingRunDTO;
 import com.srgec.demo.entity.Student;
 import com.srgec.demo.repository.StudentRepository;
 
@@ -16,26 +18,18 @@ public class FeeService {
     @Autowired
     private StudentRepository repo;
 
-    public Map<String, String> calculateMonthlyFees() {
-
-        List<Student> students = repo.findAll();
-
-        for (Student s : students) {
-
-            if (s.getLeftDate() == null) {
-
-                Integer due = s.getFeeDue() == null ? 0 : s.getFeeDue();
-                Integer monthly = s.getMonthlyFee() == null ? 0 : s.getMonthlyFee();
+    @Autowired
+    private BillingService billingService;
 
-                s.setFeeDue(due + monthly);
+    public Map<String, String> calculateMonthlyFees() {
 
-                repo.save(s);
-            }
-        }
+        // Delegates to the billing cycle engine, which only invoices cycles
+        // that have not been billed yet, so repeated clicks are harmless
+        BillingRunDTO run = billingService.run(LocalDate.now());
 
         Map<String, String> response = new HashMap<>();
 
-        response.put("message", "Monthly Fees Calculated Successfully");
+        response.put("message", run.getCyclesGenerated() + " billing cycles generated");
 
         return response;
     }
@@ -0,0 +1,368 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.time.temporal.ChronoUnit;
+import java.util.ArrayList;
+import java.util.List;
+import java.util.Map;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.dto.FeeAgingDTO;
+import com.srgec.demo.dto.LateFeeDTO;
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.BillingCycle;
+import com.srgec.demo.entity.LateFeeRule;
+import com.srgec.demo.entity.LateFeeType;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.BillingCycleRepository;
+import com.srgec.demo.repository.LateFeeRuleRepository;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+/**
+ * Ages each student's unpaid charges and applies late-fee rules to billing
+ * cycles that stay unpaid past their grace period. A cycle's discounts
+ * settle that cycle, and payments and other credits the oldest charges
+ * first, so a cycle counts as overdue from the day it was invoiced until
+ * enough has been paid to cover it.
+ */
+@Service
+public class LateFeeService {
+
+    @Autowired
+    private LateFeeRuleRepository ruleRepo;
+
+    @Autowired
+    private LedgerEntryRepository ledgerRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private BillingCycleRepository cycleRepo;
+
+    @Autowired
+    private LedgerService ledgerService;
+
+    @Autowired
+    private AuditService auditService;
+
+    public List<LateFeeRule> getRules() {
+        return ruleRepo.findAllByOrderByGraceDaysAsc();
+    }
+
+    public LateFeeRule createRule(LateFeeRule rule) {
+
+        validate(rule);
+
+        rule.setId(null);
+
+        if (rule.getActive() == null) {
+            rule.setActive(true);
+        }
+
+        return ruleRepo.save(rule);
+    }
+
+    public LateFeeRule updateRule(Long id, LateFeeRule updatedRule) {
+
+        LateFeeRule rule = findRule(id);
+
+        validate(updatedRule);
+
+        rule.setName(updatedRule.getName());
+        rule.setType(updatedRule.getType());
+        rule.setAmount(updatedRule.getAmount());
+        rule.setGraceDays(updatedRule.getGraceDays());
+        rule.setActive(updatedRule.getActive() == null ? rule.getActive() : updatedRule.getActive());
+
+        return ruleRepo.save(rule);
+    }
+
+    public void deleteRule(Long id) {
+        ruleRepo.delete(findRule(id));
+    }
+
+    public List<FeeAgingDTO> getAging(LocalDate asOf) {
+
+        List<FeeAgingDTO> aging = new ArrayList<>();
+
+        for (Student s : studentRepo.findAll()) {
+
+            FeeAgingDTO dto = new FeeAgingDTO();
+
+            dto.setStudentId(s.getId());
+            dto.setDaysOverdue(0);
+            dto.setOverdueAmount(0);
+            dto.setLateFeeDue(0);
+
+            List<OpenCharge> open = openCharges(s.getId());
+
+            if (!open.isEmpty()) {
+
+                LocalDate oldest = open.get(0).entry.getEntryDate();
+
+                dto.setOldestDueDate(oldest);
+                dto.setDaysOverdue(daysOverdue(oldest, asOf));
+            }
+
+            for (OpenCharge charge : open) {
+
+                dto.setOverdueAmount(dto.getOverdueAmount() + charge.remaining);
+
+                if (charge.entry.getType() == LedgerEntryType.LATE_FEE) {
+                    dto.setLateFeeDue(dto.getLateFeeDue() + charge.remaining);
+                }
+            }
+
+            aging.add(dto);
+        }
+
+        return aging;
+    }
+
+    public List<LateFeeDTO> preview(LocalDate asOf) {
+
+        List<LateFeeDTO> pending = new ArrayList<>();
+        List<LateFeeRule> rules = ruleRepo.findByActiveTrueOrderByGraceDaysAsc();
+
+        if (rules.isEmpty()) {
+            return pending;
+        }
+
+        for (Student s : studentRepo.findAll()) {
+
+            if (s.getLeftDate() != null) {
+                continue;
+            }
+
+            for (OpenCharge open : openCharges(s.getId())) {
+
+                LedgerEntry charge = open.entry;
+
+                // Late fees only apply to invoiced cycles, never to other late fees
+                if (charge.getType() != LedgerEntryType.CHARGE || charge.getBillingCycleId() == null) {
+                    continue;
+                }
+
+                int days = daysOverdue(charge.getEntryDate(), asOf);
+
+                // A percentage is taken of what the cycle actually costs, after its discounts
+                int cycleAmount = cycleRepo.findById(charge.getBillingCycleId())
+                        .map(BillingCycle::getAmount)
+                        .orElse(charge.getAmount());
+
+                for (LateFeeRule rule : rules) {
+
+                    if (days <= rule.getGraceDays()
+                            || ledgerRepo.existsByBillingCycleIdAndLateFeeRuleId(
+                                    charge.getBillingCycleId(), rule.getId())) {
+                        continue;
+                    }
+
+                    int amount = rule.getType() == LateFeeType.PERCENT
+                            ? (int) Math.round(cycleAmount * rule.getAmount() / 100.0)
+                            : rule.getAmount();
+
+                    if (amount <= 0) {
+                        continue;
+                    }
+
+                    LateFeeDTO fee = new LateFeeDTO();
+
+                    fee.setStudentId(s.getId());
+                    fee.setStudentName(s.getName());
+                    fee.setBillingCycleId(charge.getBillingCycleId());
+                    fee.setCycleStart(charge.getPeriodStart());
+                    fee.setCycleEnd(charge.getPeriodEnd());
+                    fee.setRuleId(rule.getId());
+                    fee.setRuleName(rule.getName());
+                    fee.setDaysOverdue(days);
+                    fee.setAmount(amount);
+
+                    pending.add(fee);
+                }
+            }
+        }
+
+        return pending;
+    }
+
+    @Transactional
+    public List<LateFeeDTO> assess(LocalDate asOf) {
+
+        List<LateFeeDTO> applied = preview(asOf);
+
+        for (LateFeeDTO fee : applied) {
+
+            Student student = studentRepo.findById(fee.getStudentId())
+                    .orElseThrow(() -> new ResourceNotFoundException(
+                            "Student not found with id " + fee.getStudentId()));
+
+            Map<String, String> before = auditService.snapshot(student);
+
+            LedgerEntry entry = new LedgerEntry();
+
+            entry.setType(LedgerEntryType.LATE_FEE);
+            entry.setAmount(fee.getAmount());
+            entry.setEntryDate(asOf);
+            entry.setPeriodStart(fee.getCycleStart());
+            entry.setPeriodEnd(fee.getCycleEnd());
+            entry.setBillingCycleId(fee.getBillingCycleId());
+            entry.setLateFeeRuleId(fee.getRuleId());
+            entry.setNote(fee.getRuleName() + " (" + fee.getDaysOverdue() + " days overdue)");
+
+            ledgerService.post(student, entry);
+
+            auditService.record(AuditEntityType.STUDENT, student.getId(), student.getName(),
+                    AuditAction.FEE_RUN, "Late fee of Rs. " + fee.getAmount() + ": " + entry.getNote(),
+                    before, auditService.snapshot(student));
+        }
+
+        if (!applied.isEmpty()) {
+
+            int total = 0;
+
+            for (LateFeeDTO fee : applied) {
+                total += fee.getAmount();
+            }
+
+            auditService.record(AuditEntityType.LATE_FEES, null, "Late fees", AuditAction.FEE_RUN,
+                    applied.size() + (applied.size() == 1 ? " late fee" : " late fees")
+                            + " assessed for Rs. " + total + " as of " + asOf,
+                    null, null);
+        }
+
+        return applied;
+    }
+
+    /**
+     * Debits still not covered by payments and credits, oldest first.
+     */
+    /**
+     * Charges not yet covered, oldest first. A cycle's own discounts and
+     * proration credits settle that cycle's charges; payments and any
+     * credit not tied to a cycle then settle the oldest charges first.
+     */
+    private List<OpenCharge> openCharges(Long studentId) {
+
+        List<LedgerEntry> entries = ledgerRepo.findByStudentIdOrderByEntryDateAscIdAsc(studentId);
+
+        entries.removeIf(e -> !LedgerService.affectsFeeBalance(e));
+
+        int[] remaining = new int[entries.size()];
+
+        for (int i = 0; i < entries.size(); i++) {
+
+            LedgerEntry e = entries.get(i);
+
+            if (e.getType() != LedgerEntryType.PAYMENT && e.getAmount() > 0) {
+                remaining[i] = e.getAmount();
+            }
+        }
+
+        int credit = 0;
+
+        for (LedgerEntry e : entries) {
+
+            if (e.getType() == LedgerEntryType.PAYMENT) {
+                credit += Math.abs(e.getAmount());
+                continue;
+            }
+
+            if (e.getAmount() >= 0) {
+                continue;
+            }
+
+            int amount = -e.getAmount();
+
+            for (int i = 0; i < entries.size() && amount > 0 && e.getBillingCycleId() != null; i++) {
+
+                if (remaining[i] > 0 && e.getBillingCycleId().equals(entries.get(i).getBillingCycleId())) {
+
+                    int covered = Math.min(amount, remaining[i]);
+
+                    remaining[i] -= covered;
+                    amount -= covered;
+                }
+            }
+
+            // Whatever the cycle did not need is credit like any other
+            credit += amount;
+        }
+
+        List<OpenCharge> open = new ArrayList<>();
+
+        for (int i = 0; i < entries.size(); i++) {
+
+            if (remaining[i] <= 0) {
+                continue;
+            }
+
+            int covered = Math.min(credit, remaining[i]);
+            credit -= covered;
+
+            if (covered < remaining[i]) {
+                open.add(new OpenCharge(entries.get(i), remaining[i] - covered));
+            }
+        }
+
+        return open;
+    }
+
+    private static int daysOverdue(LocalDate dueDate, LocalDate asOf) {
+        return (int) Math.max(0, ChronoUnit.DAYS.between(dueDate, asOf));
+    }
+
+    private void validate(LateFeeRule rule) {
+
+        if (rule.getName() == null || rule.getName().isBlank()) {
+            throw new BadRequestException("Late fee rule name is required");
+        }
+
+        if (rule.getType() == null) {
+            throw new BadRequestException("Late fee type must be FLAT or PERCENT");
+        }
+
+        if (rule.getAmount() == null || rule.getAmount() <= 0) {
+            throw new BadRequestException("Late fee amount must be greater than zero");
+        }
+
+        if (rule.getType() == LateFeeType.PERCENT && rule.getAmount() > 100) {
+            throw new BadRequestException("Late fee percentage cannot exceed 100");
+        }
+
+        if (rule.getGraceDays() == null) {
+            rule.setGraceDays(0);
+        }
+
+        if (rule.getGraceDays() < 0) {
+            throw new BadRequestException("Grace days cannot be negative");
+        }
+    }
+
+    private LateFeeRule findRule(Long id) {
+        return ruleRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Late fee rule not found with id " + id));
+    }
+
+    private static class OpenCharge {
+
+        private final LedgerEntry entry;
+        private final int remaining;
+
+        private OpenCharge(LedgerEntry entry, int remaining) {
+            this.entry = entry;
+            this.remaining = remaining;
+        }
+    }
+}
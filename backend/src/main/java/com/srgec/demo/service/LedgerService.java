@@ -0,0 +1,243 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.HashSet;
+import java.util.List;
+import java.util.Map;
+import java.util.Set;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+@Service
+public class LedgerService {
+
+    public static final Set<String> PAYMENT_MODES =
+            Set.of("CASH", "UPI", "CARD", "BANK_TRANSFER", "CHEQUE");
+
+    // Upper bound on how far ahead advance credit is projected
+    private static final int MAX_PREPAID_CYCLES = 24;
+
+    @Autowired
+    private LedgerEntryRepository ledgerRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private ReceiptService receiptService;
+
+    @Autowired
+    private ConcessionService concessionService;
+
+    @Autowired
+    private AuditService auditService;
+
+    public List<LedgerEntry> getPayments() {
+        return ledgerRepo.findByTypeOrderByEntryDateDescIdDesc(LedgerEntryType.PAYMENT);
+    }
+
+    public LedgerEntry getEntry(Long id) {
+        return ledgerRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Ledger entry not found with id " + id));
+    }
+
+    public List<LedgerEntry> getStudentLedger(Long studentId) {
+        findStudent(studentId);
+        return ledgerRepo.findByStudentIdOrderByEntryDateDescIdDesc(studentId);
+    }
+
+    @Transactional
+    public LedgerEntry recordPayment(Long studentId, LedgerEntry payment) {
+        return recordPayment(studentId, payment, null);
+    }
+
+    /**
+     * Records a payment with its own receipt number. summary describes it
+     * in the audit trail, or the amount and mode are used when it is null.
+     */
+    @Transactional
+    public LedgerEntry recordPayment(Long studentId, LedgerEntry payment, String summary) {
+
+        Student student = findStudent(studentId);
+
+        if (payment.getAmount() == null || payment.getAmount() <= 0) {
+            throw new BadRequestException("Payment amount must be greater than zero");
+        }
+
+        String mode = payment.getMode() == null
+                ? "CASH"
+                : payment.getMode().trim().toUpperCase();
+
+        if (!PAYMENT_MODES.contains(mode)) {
+            throw new BadRequestException("Unsupported payment mode: " + payment.getMode());
+        }
+
+        LocalDate date = payment.getEntryDate() == null
+                ? LocalDate.now()
+                : payment.getEntryDate();
+
+        if (date.isAfter(LocalDate.now())) {
+            throw new BadRequestException("Payment date cannot be in the future");
+        }
+
+        if (payment.getPeriodStart() != null
+                && payment.getPeriodEnd() != null
+                && payment.getPeriodEnd().isBefore(payment.getPeriodStart())) {
+            throw new BadRequestException("Period end cannot be before period start");
+        }
+
+        LedgerEntry entry = new LedgerEntry();
+
+        entry.setType(LedgerEntryType.PAYMENT);
+        entry.setAmount(payment.getAmount());
+        entry.setEntryDate(date);
+        entry.setMode(mode);
+        entry.setReferenceNumber(payment.getReferenceNumber());
+        entry.setNote(payment.getNote());
+        entry.setPeriodStart(payment.getPeriodStart());
+        entry.setPeriodEnd(payment.getPeriodEnd());
+        entry.setReceiptNumber(receiptService.nextReceiptNumber());
+
+        Map<String, String> before = auditService.snapshot(student);
+
+        LedgerEntry saved = post(student, entry);
+
+        auditService.record(AuditEntityType.STUDENT, studentId, student.getName(), AuditAction.UPDATE,
+                summary != null ? summary : "Payment of Rs. " + saved.getAmount() + " received by " + mode
+                        + ", receipt " + saved.getReceiptNumber(),
+                before, auditService.snapshot(student));
+
+        return saved;
+    }
+
+    @Transactional
+    public LedgerEntry recordCharge(Student student, int amount, LocalDate date, String note) {
+
+        LedgerEntry entry = new LedgerEntry();
+
+        entry.setType(LedgerEntryType.CHARGE);
+        entry.setAmount(amount);
+        entry.setEntryDate(date);
+        entry.setNote(note);
+
+        return post(student, entry);
+    }
+
+    /**
+     * Saves the entry against the student, snapshotting their current hall
+     * and cabin, and refreshes the student's cached feePaid / feeDue totals
+     * so existing screens stay in sync.
+     */
+    @Transactional
+    public LedgerEntry post(Student student, LedgerEntry entry) {
+
+        entry.setStudentId(student.getId());
+        entry.setHallId(student.getHallId());
+        entry.setHall(student.getHall());
+        entry.setCabin(student.getCabin());
+        entry.setCreatedAt(LocalDateTime.now());
+
+        LedgerEntry saved = ledgerRepo.save(entry);
+
+        recalculate(student);
+
+        return saved;
+    }
+
+    @Transactional
+    public Student recalculate(Student student) {
+
+        int paid = 0;
+        int charged = 0;
+        int deposit = 0;
+
+        for (LedgerEntry e : ledgerRepo.findByStudentIdOrderByEntryDateDescIdDesc(student.getId())) {
+
+            if (e.getType() == LedgerEntryType.DEPOSIT) {
+                deposit += e.getAmount();
+            } else if (e.getType() == LedgerEntryType.DEPOSIT_REFUND) {
+                deposit -= e.getAmount();
+            } else if (e.getType() == LedgerEntryType.PAYMENT) {
+                paid += e.getAmount();
+            } else {
+                charged += e.getAmount();
+            }
+
+            // Deposit kept against dues both settles the fees and reduces what is held
+            if (e.getType() == LedgerEntryType.DEPOSIT_APPLIED) {
+                deposit += e.getAmount();
+            }
+        }
+
+        int balance = charged - paid;
+
+        student.setFeePaid(paid);
+        student.setFeeDue(balance);
+        student.setDepositHeld(deposit);
+        student.setPaidThrough(balance <= 0 ? coveredThrough(student, -balance) : null);
+
+        if (student.getLeftDate() == null) {
+            student.setStatus(balance < 0 ? "Credit" : balance == 0 ? "Paid" : "Pending");
+        }
+
+        return studentRepo.save(student);
+    }
+
+    /**
+     * Last day paid for: everything invoiced, plus each following cycle the
+     * advance credit covers in full at the student's net fee.
+     */
+    private LocalDate coveredThrough(Student s, int credit) {
+
+        if (s.getJoinDate() == null || s.getMonthlyFee() == null || s.getLeftDate() != null) {
+            return null;
+        }
+
+        int index = BillingService.firstUnbilledCycle(s);
+        LocalDate through = s.getBilledThrough();
+        Set<Long> usedWaivers = new HashSet<>();
+
+        for (int i = 0; i < MAX_PREPAID_CYCLES; i++, index++) {
+
+            int fee = concessionService.netFee(s, BillingService.cycleStart(s.getJoinDate(), index), usedWaivers);
+
+            if (fee <= 0 || fee > credit) {
+                break;
+            }
+
+            credit -= fee;
+            through = BillingService.cycleEnd(s.getJoinDate(), index);
+        }
+
+        return through;
+    }
+
+    /**
+     * Whether an entry counts towards the fee balance. Deposits collected and
+     * refunded are held separately; only the part applied to dues counts.
+     */
+    public static boolean affectsFeeBalance(LedgerEntry entry) {
+        return entry.getType() != LedgerEntryType.DEPOSIT
+                && entry.getType() != LedgerEntryType.DEPOSIT_REFUND;
+    }
+
+    private Student findStudent(Long studentId) {
+        return studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+    }
+}
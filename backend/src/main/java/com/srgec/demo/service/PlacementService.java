@@ -0,0 +1,207 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.List;
+import java.util.Map;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.dto.TransferDTO;
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.Placement;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.PlacementRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.repository.StudyHallRepository;
+
+/**
+ * Which hall a student was in, and when. Moving an active student to
+ * another hall goes through a transfer, which pro-rates the current cycle
+ * and closes their placement instead of overwriting it.
+ */
+@Service
+public class PlacementService {
+
+    @Autowired
+    private PlacementRepository placementRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private StudyHallRepository hallRepo;
+
+    @Autowired
+    private SeatService seatService;
+
+    @Autowired
+    private ProrationService prorationService;
+
+    @Autowired
+    private AuditService auditService;
+
+    public List<Placement> getHistory(Long studentId) {
+
+        Student student = findStudent(studentId);
+
+        // Students admitted before placements were recorded get one on first view
+        if (!placementRepo.existsByStudentId(studentId)) {
+            recordAdmission(student);
+        }
+
+        return placementRepo.findByStudentIdOrderByStartDateDescIdDesc(studentId);
+    }
+
+    /**
+     * Opens the first placement, from the join date. A student who has
+     * already left gets it closed on their left date.
+     */
+    public Placement recordAdmission(Student student) {
+
+        LocalDate start = student.getJoinDate() == null ? LocalDate.now() : student.getJoinDate();
+
+        Placement placement = newPlacement(student, start, "Admission");
+        placement.setEndDate(student.getLeftDate());
+
+        return placementRepo.save(placement);
+    }
+
+    @Transactional
+    public Student transfer(Long studentId, TransferDTO request) {
+
+        Student student = findStudent(studentId);
+
+        if (student.getLeftDate() != null) {
+            throw new BadRequestException(student.getName() + " has left. Reactivate them before transferring");
+        }
+
+        if (request.getHallId() == null) {
+            throw new BadRequestException("Choose the hall to transfer " + student.getName() + " to");
+        }
+
+        StudyHall hall = hallRepo.findById(request.getHallId())
+                .orElseThrow(() -> new BadRequestException(
+                        "Study hall not found with id " + request.getHallId()));
+
+        if (hall.getId().equals(student.getHallId())) {
+            throw new BadRequestException(student.getName() + " is already in " + hall.getName()
+                    + ". Use the seat map to change their seat");
+        }
+
+        LocalDate date = request.getEffectiveDate() == null ? LocalDate.now() : request.getEffectiveDate();
+
+        if (date.isAfter(LocalDate.now())) {
+            throw new BadRequestException("A transfer cannot take effect in the future");
+        }
+
+        Placement current = openPlacement(student);
+
+        if (date.isBefore(current.getStartDate())) {
+            throw new BadRequestException(student.getName() + " has only been in " + current.getHall()
+                    + " since " + current.getStartDate());
+        }
+
+        if (request.getMonthlyFee() == null || request.getMonthlyFee() < 0) {
+            throw new BadRequestException("Monthly fee at the new hall cannot be negative");
+        }
+
+        seatService.validateCabin(hall.getId(), request.getCabin(), request.getShiftId(), studentId);
+
+        Map<String, String> before = auditService.snapshot(student);
+
+        // Charged at the old hall's rate, so the ledger entry is snapshotted against the old hall
+        prorationService.applyTransfer(student, hall.getName(), request.getMonthlyFee(), date);
+
+        current.setEndDate(date);
+        placementRepo.save(current);
+
+        student.setHallId(hall.getId());
+        student.setHall(hall.getName());
+        student.setCabin(request.getCabin() == null || request.getCabin().isBlank() ? null : request.getCabin().trim());
+        student.setShiftId(request.getShiftId());
+        student.setMonthlyFee(request.getMonthlyFee());
+
+        String reason = request.getReason() == null || request.getReason().isBlank()
+                ? "Transferred from " + current.getHall()
+                : request.getReason().trim();
+
+        placementRepo.save(newPlacement(student, date, reason));
+
+        Student saved = studentRepo.save(student);
+
+        auditService.record(AuditEntityType.STUDENT, studentId, saved.getName(), AuditAction.UPDATE,
+                "Transferred from " + current.getHall() + " to " + hall.getName() + " on " + date,
+                before, auditService.snapshot(saved));
+
+        return saved;
+    }
+
+    public void close(Student student, LocalDate date) {
+
+        Placement placement = openPlacement(student);
+
+        placement.setEndDate(date);
+
+        placementRepo.save(placement);
+    }
+
+    public void reopen(Student student, LocalDate date) {
+        placementRepo.save(newPlacement(student, date, "Reactivated"));
+    }
+
+    /**
+     * The student's current placement, backfilled for records that predate
+     * placements or were reactivated by editing the left date.
+     */
+    private Placement openPlacement(Student student) {
+
+        Placement open = placementRepo.findFirstByStudentIdAndEndDateIsNullOrderByIdDesc(student.getId())
+                .orElse(null);
+
+        if (open != null) {
+            return open;
+        }
+
+        List<Placement> history = placementRepo.findByStudentIdOrderByStartDateDescIdDesc(student.getId());
+
+        if (history.isEmpty()) {
+            Placement admission = newPlacement(student,
+                    student.getJoinDate() == null ? LocalDate.now() : student.getJoinDate(), "Admission");
+            return placementRepo.save(admission);
+        }
+
+        LocalDate lastEnd = history.get(0).getEndDate();
+
+        return placementRepo.save(newPlacement(student, lastEnd == null ? LocalDate.now() : lastEnd, "Reactivated"));
+    }
+
+    private Placement newPlacement(Student student, LocalDate start, String reason) {
+
+        Placement placement = new Placement();
+
+        placement.setStudentId(student.getId());
+        placement.setHallId(student.getHallId());
+        placement.setHall(student.getHall());
+        placement.setCabin(student.getCabin());
+        placement.setShiftId(student.getShiftId());
+        placement.setMonthlyFee(student.getMonthlyFee());
+        placement.setStartDate(start);
+        placement.setReason(reason);
+        placement.setCreatedAt(LocalDateTime.now());
+
+        return placement;
+    }
+
+    private Student findStudent(Long studentId) {
+        return studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+    }
+}
@@ -0,0 +1,136 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.HashSet;
+import java.util.List;
+import java.util.Set;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.dto.PrepaidPlanDTO;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.PrepaidPlan;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.PrepaidPlanRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+/**
+ * Multi-month plans paid upfront. A plan covers the next N cycles that
+ * have not been invoiced yet; its payment sits in the ledger as advance
+ * credit and each billing cycle's charge draws it down.
+ */
+@Service
+public class PrepaidService {
+
+    public static final int MAX_MONTHS = 12;
+
+    @Autowired
+    private PrepaidPlanRepository planRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private LedgerService ledgerService;
+
+    @Autowired
+    private ConcessionService concessionService;
+
+    public List<PrepaidPlan> getStudentPlans(Long studentId) {
+        findStudent(studentId);
+        return planRepo.findByStudentIdOrderByIdDesc(studentId);
+    }
+
+    public PrepaidPlanDTO quote(Long studentId, Integer months) {
+
+        Student s = findStudent(studentId);
+
+        if (s.getLeftDate() != null) {
+            throw new BadRequestException("Prepaid plans are only available for active students");
+        }
+
+        if (s.getJoinDate() == null || s.getMonthlyFee() == null) {
+            throw new BadRequestException("Student needs a join date and monthly fee for a prepaid plan");
+        }
+
+        if (months == null || months < 1 || months > MAX_MONTHS) {
+            throw new BadRequestException("Prepaid plans cover between 1 and " + MAX_MONTHS + " months");
+        }
+
+        int balance = s.getFeeDue() == null ? 0 : s.getFeeDue();
+        int index = BillingService.firstUnbilledCycle(s);
+        int cyclesAmount = 0;
+        Set<Long> usedWaivers = new HashSet<>();
+
+        for (int i = 0; i < months; i++) {
+            cyclesAmount += concessionService.netFee(
+                    s, BillingService.cycleStart(s.getJoinDate(), index + i), usedWaivers);
+        }
+
+        int arrears = Math.max(0, balance);
+        int creditApplied = Math.min(Math.max(0, -balance), cyclesAmount);
+
+        PrepaidPlanDTO dto = new PrepaidPlanDTO();
+
+        dto.setStudentId(studentId);
+        dto.setMonths(months);
+        dto.setArrears(arrears);
+        dto.setCyclesAmount(cyclesAmount);
+        dto.setCreditApplied(creditApplied);
+        dto.setAmount(arrears + cyclesAmount - creditApplied);
+        dto.setCoverFrom(BillingService.cycleStart(s.getJoinDate(), index));
+        dto.setPaidThrough(BillingService.cycleEnd(s.getJoinDate(), index + months - 1));
+
+        return dto;
+    }
+
+    /**
+     * Records the plan's payment, with a receipt like any other payment,
+     * and keeps the plan alongside it.
+     */
+    @Transactional
+    public PrepaidPlan purchase(Long studentId, PrepaidPlanDTO request) {
+
+        PrepaidPlanDTO quote = quote(studentId, request.getMonths());
+
+        if (quote.getAmount() <= 0) {
+            throw new BadRequestException("Advance credit already covers these months");
+        }
+
+        LedgerEntry payment = new LedgerEntry();
+
+        payment.setAmount(quote.getAmount());
+        payment.setMode(request.getMode());
+        payment.setReferenceNumber(request.getReferenceNumber());
+        payment.setEntryDate(request.getEntryDate());
+        payment.setPeriodStart(quote.getCoverFrom());
+        payment.setPeriodEnd(quote.getPaidThrough());
+        payment.setNote("Prepaid plan: " + quote.getMonths() + " months");
+
+        payment = ledgerService.recordPayment(studentId, payment, "Prepaid plan for " + quote.getMonths()
+                + " months bought for Rs. " + quote.getAmount() + ", paid through " + quote.getPaidThrough());
+
+        PrepaidPlan plan = new PrepaidPlan();
+
+        plan.setStudentId(studentId);
+        plan.setMonths(quote.getMonths());
+        plan.setAmount(quote.getAmount());
+        plan.setCoverFrom(quote.getCoverFrom());
+        plan.setPaidThrough(quote.getPaidThrough());
+        plan.setPaymentId(payment.getId());
+        plan.setCreatedAt(LocalDateTime.now());
+
+        return planRepo.save(plan);
+    }
+
+    private Student findStudent(Long studentId) {
+        return studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+    }
+}
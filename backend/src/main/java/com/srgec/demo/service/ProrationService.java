@@ -0,0 +1,295 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.time.temporal.ChronoUnit;
+import java.util.Optional;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.dto.ProrationDTO;
+import com.srgec.demo.entity.BillingCycle;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.ProrationPolicy;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.BillingCycleRepository;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.repository.StudyHallRepository;
+
+/**
+ * Pro-rates the billing cycle a student leaves, rejoins or changes hall in,
+ * using the policy of the hall they are in at the time. Earlier cycles are
+ * always billed in full and later cycles at the new rate.
+ */
+@Service
+public class ProrationService {
+
+    public static final String LEAVE = "LEAVE";
+    public static final String REACTIVATE = "REACTIVATE";
+    public static final String TRANSFER = "TRANSFER";
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private StudyHallRepository hallRepo;
+
+    @Autowired
+    private BillingCycleRepository cycleRepo;
+
+    @Autowired
+    private LedgerEntryRepository ledgerRepo;
+
+    @Autowired
+    private BillingService billingService;
+
+    @Autowired
+    private LedgerService ledgerService;
+
+    @Autowired
+    private ConcessionService concessionService;
+
+    public ProrationDTO previewLeave(Long studentId, LocalDate date) {
+        return compute(findStudent(studentId), LEAVE, date, null);
+    }
+
+    public ProrationDTO previewReactivation(Long studentId, LocalDate date) {
+        return compute(findStudent(studentId), REACTIVATE, date, null);
+    }
+
+    public ProrationDTO previewTransfer(Long studentId, Integer newMonthlyFee, LocalDate date) {
+        return compute(findStudent(studentId), TRANSFER, date, newMonthlyFee);
+    }
+
+    /**
+     * Call before the student is marked as left. Bills any full cycles
+     * still outstanding, then charges or credits the final cycle for the
+     * days used before the leave date.
+     */
+    @Transactional
+    public ProrationDTO applyLeave(Student s, LocalDate date) {
+
+        invoiceEarlierCycles(s, date);
+
+        ProrationDTO dto = compute(s, LEAVE, date, null);
+
+        post(s, dto, "Pro-rated fee, left on " + date);
+
+        return dto;
+    }
+
+    /**
+     * Call after the leave date has been cleared. Cycles missed while away
+     * are never billed; the cycle the student rejoins in is charged for the
+     * remaining days only.
+     */
+    @Transactional
+    public ProrationDTO applyReactivation(Student s, LocalDate date) {
+
+        ProrationDTO dto = compute(s, REACTIVATE, date, null);
+
+        post(s, dto, "Pro-rated fee, rejoined on " + date);
+
+        if (dto.getCycleEnd() != null
+                && (s.getBilledThrough() == null || dto.getCycleEnd().isAfter(s.getBilledThrough()))) {
+            s.setBilledThrough(dto.getCycleEnd());
+            studentRepo.save(s);
+        }
+
+        return dto;
+    }
+
+    /**
+     * Call before the student's hall and fee are changed. The current cycle
+     * is split between the old and the new monthly fee according to the
+     * policy of the hall being left.
+     */
+    @Transactional
+    public ProrationDTO applyTransfer(Student s, String newHall, Integer newMonthlyFee, LocalDate date) {
+
+        invoiceEarlierCycles(s, date);
+
+        ProrationDTO dto = compute(s, TRANSFER, date, newMonthlyFee);
+
+        post(s, dto, "Pro-rated fee, moved to " + newHall + " on " + date);
+
+        return dto;
+    }
+
+    /**
+     * Share of a cycle that is charged when only part of it is used.
+     */
+    public static double chargedFraction(ProrationPolicy policy, long daysUsed, long cycleDays) {
+
+        if (daysUsed <= 0) {
+            return 0;
+        }
+
+        if (daysUsed >= cycleDays) {
+            return 1;
+        }
+
+        switch (policy) {
+            case DAILY:
+                return (double) daysUsed / cycleDays;
+            case HALF_MONTH:
+                return daysUsed * 2 <= cycleDays ? 0.5 : 1;
+            default:
+                return 1;
+        }
+    }
+
+    private ProrationDTO compute(Student s, String action, LocalDate date, Integer newMonthlyFee) {
+
+        ProrationDTO dto = new ProrationDTO();
+
+        dto.setStudentId(s.getId());
+        dto.setAction(action);
+        dto.setEffectiveDate(date);
+        dto.setPolicy(policyFor(s.getHallId()));
+        dto.setMonthlyFee(s.getMonthlyFee());
+        dto.setNewMonthlyFee(newMonthlyFee);
+        dto.setAdjustment(0);
+
+        // Nothing to pro-rate before the first cycle has started
+        if (s.getJoinDate() == null
+                || s.getMonthlyFee() == null
+                || date.isBefore(s.getJoinDate())) {
+            return dto;
+        }
+
+        LocalDate joinDate = s.getJoinDate();
+        int index = BillingService.cycleIndexOn(joinDate, date);
+
+        LocalDate start = BillingService.cycleStart(joinDate, index);
+        LocalDate end = BillingService.cycleEnd(joinDate, index);
+
+        int cycleDays = (int) ChronoUnit.DAYS.between(start, end) + 1;
+
+        Optional<BillingCycle> cycle = cycleRepo.findByStudentIdAndCycleStart(s.getId(), start);
+        Long cycleId = cycle.map(BillingCycle::getId).orElse(null);
+
+        // Pro-rate the fee the student actually pays, after concessions, including a waiver used on this cycle
+        int fee = s.getMonthlyFee() - concessionService.totalDiscount(s, s.getMonthlyFee(), start, cycleId);
+        int newFee = newMonthlyFee == null
+                ? fee
+                : newMonthlyFee - concessionService.totalDiscount(s, newMonthlyFee, start, cycleId);
+
+        int billed = cycle.map(this::netAmount).orElse(0);
+
+        int daysCharged;
+        int prorated;
+
+        if (REACTIVATE.equals(action)) {
+
+            // The rejoin day counts as used; never charge more than one full cycle
+            daysCharged = (int) ChronoUnit.DAYS.between(date, end) + 1;
+            int remaining = (int) Math.round(fee * chargedFraction(dto.getPolicy(), daysCharged, cycleDays));
+            prorated = Math.max(billed, Math.min(fee, billed + remaining));
+
+        } else {
+
+            // Days before the leave or transfer date were used at the current rate
+            daysCharged = (int) ChronoUnit.DAYS.between(start, date);
+            double fraction = chargedFraction(dto.getPolicy(), daysCharged, cycleDays);
+
+            prorated = TRANSFER.equals(action)
+                    ? (int) Math.round(fee * fraction + newFee * (1 - fraction))
+                    : (int) Math.round(fee * fraction);
+        }
+
+        dto.setCycleStart(start);
+        dto.setCycleEnd(end);
+        dto.setCycleDays(cycleDays);
+        dto.setDaysCharged(daysCharged);
+        dto.setAlreadyBilled(billed);
+        dto.setProratedAmount(prorated);
+        dto.setAdjustment(prorated - billed);
+
+        return dto;
+    }
+
+    private void invoiceEarlierCycles(Student s, LocalDate date) {
+
+        if (s.getJoinDate() == null || date.isBefore(s.getJoinDate())) {
+            return;
+        }
+
+        int index = BillingService.cycleIndexOn(s.getJoinDate(), date);
+
+        billingService.invoiceThrough(s, BillingService.cycleStart(s.getJoinDate(), index).minusDays(1));
+    }
+
+    private void post(Student s, ProrationDTO dto, String note) {
+
+        if (dto.getCycleStart() == null) {
+            return;
+        }
+
+        Optional<BillingCycle> cycle = cycleRepo.findByStudentIdAndCycleStart(s.getId(), dto.getCycleStart());
+
+        if (cycle.isEmpty()) {
+
+            // Not invoiced yet, so invoice the pro-rated amount directly
+            if (dto.getProratedAmount() > 0) {
+                billingService.invoice(s, dto.getCycleStart(), dto.getCycleEnd(),
+                        dto.getProratedAmount(), null, note);
+            }
+
+            return;
+        }
+
+        if (dto.getAdjustment() == 0) {
+            return;
+        }
+
+        LedgerEntry entry = new LedgerEntry();
+
+        entry.setType(LedgerEntryType.ADJUSTMENT);
+        entry.setAmount(dto.getAdjustment());
+        entry.setEntryDate(dto.getEffectiveDate());
+        entry.setPeriodStart(dto.getCycleStart());
+        entry.setPeriodEnd(dto.getCycleEnd());
+        entry.setBillingCycleId(cycle.get().getId());
+        entry.setNote(note);
+
+        ledgerService.post(s, entry);
+    }
+
+    // What the cycle currently costs the student after earlier adjustments
+    private int netAmount(BillingCycle cycle) {
+
+        int net = cycle.getAmount();
+
+        for (LedgerEntry e : ledgerRepo.findByBillingCycleId(cycle.getId())) {
+
+            if (e.getType() == LedgerEntryType.ADJUSTMENT) {
+                net += e.getAmount();
+            }
+        }
+
+        return net;
+    }
+
+    private ProrationPolicy policyFor(Long hallId) {
+
+        if (hallId == null) {
+            return ProrationPolicy.FULL_MONTH;
+        }
+
+        return hallRepo.findById(hallId)
+                .map(hall -> hall.getProrationPolicy())
+                .filter(policy -> policy != null)
+                .orElse(ProrationPolicy.FULL_MONTH);
+    }
+
+    private Student findStudent(Long studentId) {
+        return studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+    }
+}
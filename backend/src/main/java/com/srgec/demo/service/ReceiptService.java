@@ -0,0 +1,92 @@
+package com.srgec.demo.service;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Propagation;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.dto.ReceiptDTO;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.ReceiptSequence;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.ReceiptSequenceRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+@Service
+public class ReceiptService {
+
+    private static final String RECEIPT_SEQUENCE = "RECEIPT";
+
+    @Autowired
+    private ReceiptSequenceRepository sequenceRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private LedgerEntryRepository ledgerRepo;
+
+    @Value("${app.study-hall.name:Study Hall}")
+    private String studyHallName;
+
+    /**
+     * Allocates the next receipt number. The counter row is locked and
+     * incremented inside the caller's transaction, so a payment that fails
+     * to save rolls the counter back and the series stays gap-free.
+     */
+    @Transactional(propagation = Propagation.MANDATORY)
+    public String nextReceiptNumber() {
+
+        ReceiptSequence sequence = sequenceRepo.findForUpdate(RECEIPT_SEQUENCE)
+                .orElseGet(() -> new ReceiptSequence(RECEIPT_SEQUENCE, 0L));
+
+        sequence.setLastValue(sequence.getLastValue() + 1);
+        sequenceRepo.save(sequence);
+
+        return String.format("RCT-%06d", sequence.getLastValue());
+    }
+
+    public ReceiptDTO getReceipt(Long paymentId) {
+
+        LedgerEntry payment = ledgerRepo.findById(paymentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Payment not found with id " + paymentId));
+
+        if (payment.getType() != LedgerEntryType.PAYMENT
+                || payment.getReceiptNumber() == null) {
+            throw new BadRequestException("No receipt was issued for ledger entry " + paymentId);
+        }
+
+        Student student = studentRepo.findById(payment.getStudentId()).orElse(null);
+
+        // Hall and cabin come from the snapshot taken when the payment was
+        // recorded, so reprints match the original slip
+        ReceiptDTO receipt = new ReceiptDTO();
+
+        receipt.setReceiptNumber(payment.getReceiptNumber());
+        receipt.setPaymentId(payment.getId());
+        receipt.setStudyHallName(studyHallName);
+        receipt.setPaymentDate(payment.getEntryDate());
+        receipt.setAmount(payment.getAmount());
+        receipt.setMode(payment.getMode());
+        receipt.setReferenceNumber(payment.getReferenceNumber());
+        receipt.setNote(payment.getNote());
+        receipt.setPeriodStart(payment.getPeriodStart());
+        receipt.setPeriodEnd(payment.getPeriodEnd());
+        receipt.setIssuedAt(payment.getCreatedAt());
+        receipt.setHall(payment.getHall());
+        receipt.setCabin(payment.getCabin());
+        receipt.setStudentId(payment.getStudentId());
+
+        if (student != null) {
+            receipt.setStudentName(student.getName());
+        }
+
+        return receipt;
+    }
+}
@@ -0,0 +1,281 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDateTime;
+import java.util.Map;
+
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.scheduling.annotation.Scheduled;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.config.AuthInterceptor;
+import com.srgec.demo.dto.RecycleBinDTO;
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.entity.User;
+import com.srgec.demo.entity.WaitlistEntry;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.AttendanceRepository;
+import com.srgec.demo.repository.BillingCycleRepository;
+import com.srgec.demo.repository.ConcessionRepository;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.PlacementRepository;
+import com.srgec.demo.repository.PrepaidPlanRepository;
+import com.srgec.demo.repository.StudentDocumentRepository;
+import com.srgec.demo.repository.StudentNoteRepository;
+import com.srgec.demo.repository.StudentPhotoRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.repository.StudyHallRepository;
+import com.srgec.demo.repository.WaitlistRepository;
+
+/**
+ * Deleting a student or hall moves it to the Recycle Bin: the row is
+ * stamped with deletedAt and every query leaves it out, while its
+ * payments, seats and history stay untouched. It can be restored, or
+ * purged for good by the owner, which removes the history with it;
+ * anything left in the bin longer than app.recycle-bin.retention-days is
+ * purged every night.
+ */
+@Service
+public class RecycleBinService {
+
+    private static final Logger log = LoggerFactory.getLogger(RecycleBinService.class);
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private StudyHallRepository hallRepo;
+
+    @Autowired
+    private LedgerEntryRepository ledgerRepo;
+
+    @Autowired
+    private BillingCycleRepository cycleRepo;
+
+    @Autowired
+    private PlacementRepository placementRepo;
+
+    @Autowired
+    private ConcessionRepository concessionRepo;
+
+    @Autowired
+    private PrepaidPlanRepository planRepo;
+
+    @Autowired
+    private AttendanceRepository attendanceRepo;
+
+    @Autowired
+    private StudentNoteRepository noteRepo;
+
+    @Autowired
+    private StudentDocumentRepository documentRepo;
+
+    @Autowired
+    private StudentPhotoRepository photoRepo;
+
+    @Autowired
+    private WaitlistRepository waitlistRepo;
+
+    @Autowired
+    private SeatService seatService;
+
+    @Autowired
+    private AuditService auditService;
+
+    @Value("${app.recycle-bin.retention-days:30}")
+    private long retentionDays;
+
+    public RecycleBinDTO getRecycleBin() {
+        return new RecycleBinDTO(studentRepo.findDeleted(), hallRepo.findDeleted(), retentionDays);
+    }
+
+    @Transactional
+    public void deleteStudent(Long id) {
+
+        Student student = studentRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException("Student not found with id " + id));
+
+        student.setDeletedAt(LocalDateTime.now());
+        student.setDeletedBy(currentUserName());
+
+        studentRepo.save(student);
+
+        auditService.record(AuditEntityType.STUDENT, id, student.getName(), AuditAction.DELETE,
+                "Moved to the Recycle Bin", null, null);
+    }
+
+    @Transactional
+    public void deleteHall(Long id) {
+
+        StudyHall hall = hallRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException("Study hall not found with id " + id));
+
+        hall.setDeletedAt(LocalDateTime.now());
+        hall.setDeletedBy(currentUserName());
+
+        hallRepo.save(hall);
+
+        auditService.record(AuditEntityType.STUDY_HALL, id, hall.getName(), AuditAction.DELETE,
+                "Moved to the Recycle Bin", null, null);
+    }
+
+    /**
+     * Brings a student back as they were. Their hall has to be restored
+     * first, and a seat given to someone else meanwhile is cleared.
+     */
+    @Transactional
+    public Student restoreStudent(Long id) {
+
+        Student student = studentRepo.findDeletedById(id)
+                .orElseThrow(() -> new ResourceNotFoundException("No deleted student with id " + id));
+
+        if (student.getHallId() != null && hallRepo.findById(student.getHallId()).isEmpty()) {
+
+            String hall = hallRepo.findDeletedById(student.getHallId()).map(StudyHall::getName).orElse(null);
+
+            if (hall != null) {
+                throw new BadRequestException("Restore the hall " + hall + " before restoring " + student.getName());
+            }
+        }
+
+        Map<String, String> before = auditService.snapshot(student);
+
+        String summary = "Restored from the Recycle Bin";
+
+        if (student.getLeftDate() == null
+                && !seatService.isAvailable(student.getHallId(), student.getCabin(), student.getShiftId(), id)) {
+
+            student.setCabin(null);
+            summary += "; their seat had been taken, so a new one needs assigning";
+        }
+
+        student.setDeletedAt(null);
+        student.setDeletedBy(null);
+
+        Student saved = studentRepo.save(student);
+
+        auditService.record(AuditEntityType.STUDENT, id, saved.getName(), AuditAction.RESTORE,
+                summary, before, auditService.snapshot(saved));
+
+        return saved;
+    }
+
+    // A hall whose name was taken while it was deleted must be renamed first
+    @Transactional
+    public StudyHall restoreHall(Long id) {
+
+        StudyHall hall = hallRepo.findDeletedById(id)
+                .orElseThrow(() -> new ResourceNotFoundException("No deleted study hall with id " + id));
+
+        hallRepo.findFirstByNameIgnoreCase(hall.getName()).ifPresent(other -> {
+            throw new BadRequestException("There is already a study hall named " + other.getName()
+                    + ". Rename it before restoring this one");
+        });
+
+        hall.setDeletedAt(null);
+        hall.setDeletedBy(null);
+
+        StudyHall saved = hallRepo.save(hall);
+
+        auditService.record(AuditEntityType.STUDY_HALL, id, saved.getName(), AuditAction.RESTORE,
+                "Restored from the Recycle Bin", null, null);
+
+        return saved;
+    }
+
+    /**
+     * Deletes the student with everything kept under their id: ledger,
+     * billing cycles, placements, concessions, prepaid plans, attendance,
+     * notes, and the documents and photo stored with them. Waitlist
+     * entries belong to the applicant and only lose their link to the
+     * student. The audit trail keeps the student's name.
+     */
+    @Transactional
+    public void purgeStudent(Long id) {
+
+        Student student = studentRepo.findDeletedById(id)
+                .orElseThrow(() -> new ResourceNotFoundException("No deleted student with id " + id));
+
+        ledgerRepo.deleteByStudentId(id);
+        cycleRepo.deleteByStudentId(id);
+        placementRepo.deleteByStudentId(id);
+        concessionRepo.deleteByStudentId(id);
+        planRepo.deleteByStudentId(id);
+        attendanceRepo.deleteByStudentId(id);
+        noteRepo.deleteByStudentId(id);
+        documentRepo.deleteByStudentId(id);
+        photoRepo.deleteByStudentId(id);
+
+        for (WaitlistEntry entry : waitlistRepo.findByStudentIdOrVacatedStudentId(id, id)) {
+
+            if (id.equals(entry.getStudentId())) {
+                entry.setStudentId(null);
+            }
+
+            if (id.equals(entry.getVacatedStudentId())) {
+                entry.setVacatedStudentId(null);
+            }
+
+            waitlistRepo.save(entry);
+        }
+
+        studentRepo.purge(id);
+
+        auditService.record(AuditEntityType.STUDENT, id, student.getName(), AuditAction.PURGE,
+                "Deleted permanently", auditService.snapshot(student), null);
+    }
+
+    @Transactional
+    public void purgeHall(Long id) {
+
+        StudyHall hall = hallRepo.findDeletedById(id)
+                .orElseThrow(() -> new ResourceNotFoundException("No deleted study hall with id " + id));
+
+        seatService.deleteHallLayout(id);
+        hallRepo.purge(id);
+
+        auditService.record(AuditEntityType.STUDY_HALL, id, hall.getName(), AuditAction.PURGE,
+                "Deleted permanently", auditService.snapshot(hall), null);
+    }
+
+    @Scheduled(cron = "${app.recycle-bin.purge-cron:0 0 3 * * *}")
+    @Transactional
+    public void purgeExpired() {
+
+        LocalDateTime cutoff = LocalDateTime.now().minusDays(retentionDays);
+
+        int purged = 0;
+
+        for (Student student : studentRepo.findDeletedBefore(cutoff)) {
+            purgeStudent(student.getId());
+            purged++;
+        }
+
+        for (StudyHall hall : hallRepo.findDeletedBefore(cutoff)) {
+            purgeHall(hall.getId());
+            purged++;
+        }
+
+        if (purged > 0) {
+            log.info("Purged {} records kept in the Recycle Bin for over {} days", purged, retentionDays);
+        }
+    }
+
+    private static String currentUserName() {
+
+        User user = AuthInterceptor.currentUser();
+
+        if (user == null) {
+            return null;
+        }
+
+        return user.getFullName() != null ? user.getFullName() : user.getUsername();
+    }
+}
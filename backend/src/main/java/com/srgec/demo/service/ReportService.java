@@ -5,8 +5,13 @@ import java.util.*;
 import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.stereotype.Service;
 
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
 import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.repository.LedgerEntryRepository;
 import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.repository.StudyHallRepository;
 
 @Service
 public class ReportService {
@@ -14,43 +19,86 @@ public class ReportService {
     @Autowired
     private StudentRepository repo;
 
+    @Autowired
+    private LedgerEntryRepository ledgerRepo;
+
+    @Autowired
+    private StudyHallRepository hallRepo;
+
+    /**
+     * Students, fees collected, fees pending and discounts given per hall.
+     * Rows are grouped by hall id and labelled with the hall's current
+     * name, so a renamed hall stays one row; only legacy rows without a
+     * hall id are grouped by the name they were saved with.
+     */
     public List<Map<String, Object>> feeCollectionReport() {
 
         List<Student> students = repo.findAll();
 
-        Map<String, Map<String, Object>> hallReport =
+        // Halls in the Recycle Bin still have past revenue to report
+        Map<Long, String> hallNames =
                 new HashMap<>();
 
-        for (Student s : students) {
+        for (StudyHall h : hallRepo.findAll()) {
+            hallNames.put(h.getId(), h.getName());
+        }
 
-            String hall = s.getHall();
+        for (StudyHall h : hallRepo.findDeleted()) {
+            hallNames.put(h.getId(), h.getName());
+        }
 
-            hallReport.putIfAbsent(
-                    hall,
-                    new HashMap<>());
+        Map<Object, Map<String, Object>> hallReport =
+                new LinkedHashMap<>();
 
-            Map<String, Object> data =
-                    hallReport.get(hall);
+        // Payments from before the ledger recorded a hall fall back to the student's current one
+        Map<Long, Student> byId =
+                new HashMap<>();
 
-            data.put("hall", hall);
+        for (Student s : students) {
+
+            byId.put(s.getId(), s);
+
+            Map<String, Object> data =
+                    row(hallReport, hallNames, s.getHallId(), s.getHall());
 
             data.put(
                     "totalStudents",
-                    (Integer) data.getOrDefault(
-                            "totalStudents",
-                            0) + 1);
+                    (Integer) data.get("totalStudents") + 1);
+
+            data.put(
+                    "feesPending",
+                    (Integer) data.get("feesPending") + s.getFeeDue());
+        }
+
+        // Payments are attributed to the hall the student was in when they paid, so a transfer does not move past revenue
+        for (LedgerEntry e : ledgerRepo.findByTypeOrderByEntryDateDescIdDesc(LedgerEntryType.PAYMENT)) {
+
+            Map<String, Object> data;
+
+            if (e.getHallId() != null || e.getHall() != null) {
+                data = row(hallReport, hallNames, e.getHallId(), e.getHall());
+            } else {
+                Student s = byId.get(e.getStudentId());
+                data = row(hallReport, hallNames, s == null ? null : s.getHallId(), s == null ? null : s.getHall());
+            }
 
             data.put(
                     "feesCollected",
-                    (Integer) data.getOrDefault(
-                            "feesCollected",
-                            0) + s.getFeePaid());
+                    (Integer) data.get("feesCollected") + e.getAmount());
+        }
+
+        // Discounts are attributed to the hall the student was in when billed
+        for (LedgerEntry e : ledgerRepo.findByTypeOrderByEntryDateDescIdDesc(LedgerEntryType.DISCOUNT)) {
+
+            Map<String, Object> data =
+                    row(hallReport, hallNames, e.getHallId(), e.getHall());
 
             data.put(
-                    "feesPending",
-                    (Integer) data.getOrDefault(
-                            "feesPending",
-                            0) + s.getFeeDue());
+                    "discountsGiven",
+                    (Integer) data.get("discountsGiven") - e.getAmount());
+        }
+
+        for (Map<String, Object> data : hallReport.values()) {
 
             double collected =
                     (Integer) data.get("feesCollected");
@@ -71,4 +119,25 @@ public class ReportService {
 
         return new ArrayList<>(hallReport.values());
     }
-}
\ No newline at end of file
+
+    // The report row for a hall, keyed by id, or by name for legacy rows saved without one
+    private static Map<String, Object> row(Map<Object, Map<String, Object>> hallReport,
+            Map<Long, String> hallNames, Long hallId, String hall) {
+
+        Object key = hallId != null ? hallId : hall;
+
+        return hallReport.computeIfAbsent(key, k -> {
+
+            Map<String, Object> data = new HashMap<>();
+
+            data.put("hallId", hallId);
+            data.put("hall", hallId != null ? hallNames.getOrDefault(hallId, hall) : hall);
+            data.put("totalStudents", 0);
+            data.put("feesCollected", 0);
+            data.put("feesPending", 0);
+            data.put("discountsGiven", 0);
+
+            return data;
+        });
+    }
+}
@@ -0,0 +1,442 @@
+package com.srgec.demo.service;
+
+import java.util.ArrayList;
+import java.util.HashMap;
+import java.util.HashSet;
+import java.util.List;
+import java.util.Map;
+import java.util.Set;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.dto.SeatMapDTO;
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.Seat;
+import com.srgec.demo.entity.Shift;
+import com.srgec.demo.entity.SeatTier;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.SeatRepository;
+import com.srgec.demo.repository.SeatTierRepository;
+import com.srgec.demo.repository.ShiftRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.repository.StudyHallRepository;
+
+/**
+ * Seat maps, seat price tiers and seat assignment. A student holds a seat
+ * through their cabin for their shift, and no two active students in a
+ * hall may hold the same seat in overlapping shifts.
+ */
+@Service
+public class SeatService {
+
+    private static final int MAX_GRID_SIZE = 30;
+
+    // Grid width suggested for halls that have no layout yet
+    private static final int DEFAULT_COLUMNS = 8;
+
+    @Autowired
+    private SeatRepository seatRepo;
+
+    @Autowired
+    private SeatTierRepository tierRepo;
+
+    @Autowired
+    private ShiftRepository shiftRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private StudyHallRepository hallRepo;
+
+    @Autowired
+    private AuditService auditService;
+
+    public SeatMapDTO getSeatMap(Long hallId) {
+
+        StudyHall hall = findHall(hallId);
+
+        SeatMapDTO map = new SeatMapDTO();
+
+        map.setHallId(hall.getId());
+        map.setHallName(hall.getName());
+        map.setCapacity(hall.getCapacity());
+        map.setMonthlyFee(hall.getMonthlyFee());
+        map.setSeats(seatRepo.findByHallIdOrderByGridRowAscGridColumnAsc(hallId));
+        map.setTiers(tierRepo.findByHallIdOrderByMonthlyFeeAsc(hallId));
+        map.setShifts(shiftRepo.findByHallIdOrderByStartTimeAsc(hallId));
+        map.setStudents(studentRepo.findByHallIdAndLeftDateIsNull(hallId));
+
+        if (hall.getSeatRows() != null && hall.getSeatColumns() != null) {
+            map.setRows(hall.getSeatRows());
+            map.setColumns(hall.getSeatColumns());
+        } else {
+            int capacity = hall.getCapacity() == null ? 0 : hall.getCapacity();
+            int columns = Math.max(1, Math.min(capacity, DEFAULT_COLUMNS));
+
+            map.setColumns(columns);
+            map.setRows(Math.max(1, (capacity + columns - 1) / columns));
+        }
+
+        return map;
+    }
+
+    /**
+     * Replaces a hall's layout. Seats keep their id when moved or renamed,
+     * and a renamed seat takes its occupant with it. Seats that are taken
+     * cannot be removed.
+     */
+    @Transactional
+    public SeatMapDTO saveLayout(Long hallId, SeatMapDTO layout) {
+
+        StudyHall hall = findHall(hallId);
+
+        int rows = layout.getRows() == null ? 0 : layout.getRows();
+        int columns = layout.getColumns() == null ? 0 : layout.getColumns();
+
+        if (rows < 1 || rows > MAX_GRID_SIZE || columns < 1 || columns > MAX_GRID_SIZE) {
+            throw new BadRequestException(
+                    "Seat map rows and columns must be between 1 and " + MAX_GRID_SIZE);
+        }
+
+        List<Seat> seats = layout.getSeats() == null ? new ArrayList<>() : layout.getSeats();
+
+        validateLayout(hallId, seats, rows, columns);
+
+        List<Student> students = studentRepo.findByHallIdAndLeftDateIsNull(hallId);
+
+        Map<Long, Seat> existing = new HashMap<>();
+        Map<Long, List<Student>> occupants = new HashMap<>();
+
+        for (Seat seat : seatRepo.findByHallIdOrderByGridRowAscGridColumnAsc(hallId)) {
+
+            existing.put(seat.getId(), seat);
+
+            // Students in different shifts can share a seat
+            List<Student> seated = new ArrayList<>();
+
+            for (Student s : students) {
+                if (sameSeat(s.getCabin(), seat.getLabel())) {
+                    seated.add(s);
+                }
+            }
+
+            occupants.put(seat.getId(), seated);
+        }
+
+        Set<Long> kept = new HashSet<>();
+
+        for (Seat seat : seats) {
+
+            if (seat.getId() != null && existing.containsKey(seat.getId())) {
+                kept.add(seat.getId());
+            } else {
+                seat.setId(null);
+            }
+        }
+
+        List<Seat> removed = new ArrayList<>();
+
+        for (Seat seat : existing.values()) {
+
+            if (kept.contains(seat.getId())) {
+                continue;
+            }
+
+            List<Student> seated = occupants.get(seat.getId());
+
+            if (!seated.isEmpty()) {
+                throw new BadRequestException("Seat " + seat.getLabel() + " is taken by "
+                        + seated.get(0).getName() + ". Move them to another seat before removing it");
+            }
+
+            removed.add(seat);
+        }
+
+        for (Seat seat : seats) {
+
+            List<Student> seated = seat.getId() == null ? new ArrayList<>() : occupants.get(seat.getId());
+
+            for (Student occupant : seated) {
+                if (!occupant.getCabin().equals(seat.getLabel())) {
+                    occupant.setCabin(seat.getLabel());
+                    studentRepo.save(occupant);
+                }
+            }
+
+            seat.setHallId(hallId);
+        }
+
+        seatRepo.deleteAll(removed);
+        seatRepo.saveAll(seats);
+
+        hall.setSeatRows(rows);
+        hall.setSeatColumns(columns);
+        hallRepo.save(hall);
+
+        return getSeatMap(hallId);
+    }
+
+    public Student assign(Long studentId, Long seatId) {
+
+        Student student = findStudent(studentId);
+        Seat seat = findSeat(seatId);
+        StudyHall hall = findHall(seat.getHallId());
+
+        if (student.getLeftDate() != null) {
+            throw new BadRequestException(
+                    student.getName() + " has left. Reactivate them before assigning a seat");
+        }
+
+        if (!hall.getId().equals(student.getHallId())) {
+            throw new BadRequestException(student.getName() + " is in " + student.getHall()
+                    + ". Move them to " + hall.getName() + " before giving them a seat there");
+        }
+
+        validateCabin(hall.getId(), seat.getLabel(), student.getShiftId(), student.getId());
+
+        Map<String, String> before = auditService.snapshot(student);
+
+        student.setCabin(seat.getLabel());
+
+        Student saved = studentRepo.save(student);
+
+        auditService.record(AuditEntityType.STUDENT, studentId, saved.getName(), AuditAction.UPDATE,
+                "Seated at " + seat.getLabel() + " from the seat map", before, auditService.snapshot(saved));
+
+        return saved;
+    }
+
+    public Student unassign(Long studentId) {
+
+        Student student = findStudent(studentId);
+
+        Map<String, String> before = auditService.snapshot(student);
+
+        student.setCabin(null);
+
+        Student saved = studentRepo.save(student);
+
+        auditService.record(AuditEntityType.STUDENT, studentId, saved.getName(), AuditAction.UPDATE,
+                "Seat cleared from the seat map", before, auditService.snapshot(saved));
+
+        return saved;
+    }
+
+    /**
+     * Rejects a shift from another hall, a cabin that is not a seat on the
+     * hall's map, or a seat that another active student in the hall holds
+     * in an overlapping shift. Halls without a seat map still take any
+     * cabin. studentId is the student being seated, who may keep their own
+     * seat.
+     */
+    public void validateCabin(Long hallId, String cabin, Long shiftId, Long studentId) {
+
+        if (hallId == null) {
+            return;
+        }
+
+        StudyHall hall = findHall(hallId);
+
+        if (shiftId != null) {
+
+            Shift shift = shiftRepo.findById(shiftId).orElse(null);
+
+            if (shift == null || !shift.getHallId().equals(hallId)) {
+                throw new BadRequestException("The selected shift is not one of " + hall.getName() + "'s shifts");
+            }
+        }
+
+        if (cabin == null || cabin.isBlank()) {
+            return;
+        }
+
+        List<Seat> seats = seatRepo.findByHallIdOrderByGridRowAscGridColumnAsc(hallId);
+
+        if (!seats.isEmpty() && seats.stream().noneMatch(seat -> sameSeat(seat.getLabel(), cabin))) {
+            throw new BadRequestException("Cabin " + cabin.trim() + " is not a seat in " + hall.getName()
+                    + ". Pick a vacant seat from the hall's seat map");
+        }
+
+        Student occupant = findOccupant(hallId, cabin, shiftId, studentId);
+
+        if (occupant != null) {
+            throw new BadRequestException("Cabin " + cabin.trim() + " in " + hall.getName()
+                    + " is already taken by " + occupant.getName() + describeShift(occupant.getShiftId()));
+        }
+    }
+
+    public boolean isAvailable(Long hallId, String cabin, Long shiftId, Long studentId) {
+
+        if (hallId == null || cabin == null || cabin.isBlank()) {
+            return true;
+        }
+
+        return findOccupant(hallId, cabin, shiftId, studentId) == null;
+    }
+
+    public void deleteHallLayout(Long hallId) {
+        seatRepo.deleteAll(seatRepo.findByHallIdOrderByGridRowAscGridColumnAsc(hallId));
+        tierRepo.deleteAll(tierRepo.findByHallIdOrderByMonthlyFeeAsc(hallId));
+        shiftRepo.deleteAll(shiftRepo.findByHallIdOrderByStartTimeAsc(hallId));
+    }
+
+    public List<SeatTier> getTiers(Long hallId) {
+        findHall(hallId);
+        return tierRepo.findByHallIdOrderByMonthlyFeeAsc(hallId);
+    }
+
+    public SeatTier createTier(Long hallId, SeatTier tier) {
+
+        findHall(hallId);
+        validateTier(tier);
+
+        tier.setId(null);
+        tier.setHallId(hallId);
+        tier.setName(tier.getName().trim());
+
+        return tierRepo.save(tier);
+    }
+
+    public SeatTier updateTier(Long id, SeatTier updatedTier) {
+
+        SeatTier tier = findTier(id);
+
+        validateTier(updatedTier);
+
+        tier.setName(updatedTier.getName().trim());
+        tier.setMonthlyFee(updatedTier.getMonthlyFee());
+
+        return tierRepo.save(tier);
+    }
+
+    public void deleteTier(Long id) {
+
+        SeatTier tier = findTier(id);
+
+        long seats = seatRepo.countByTierId(id);
+
+        if (seats > 0) {
+            throw new BadRequestException("The " + tier.getName() + " tier is used by " + seats
+                    + " seats. Move them to another tier first");
+        }
+
+        tierRepo.delete(tier);
+    }
+
+    private void validateTier(SeatTier tier) {
+
+        if (tier.getName() == null || tier.getName().isBlank()) {
+            throw new BadRequestException("Price tier name is required");
+        }
+
+        if (tier.getMonthlyFee() == null || tier.getMonthlyFee() < 0) {
+            throw new BadRequestException("Price tier fee cannot be negative");
+        }
+    }
+
+    private void validateLayout(Long hallId, List<Seat> seats, int rows, int columns) {
+
+        Set<String> labels = new HashSet<>();
+        Set<String> cells = new HashSet<>();
+        Set<Long> tierIds = new HashSet<>();
+
+        for (SeatTier tier : tierRepo.findByHallIdOrderByMonthlyFeeAsc(hallId)) {
+            tierIds.add(tier.getId());
+        }
+
+        for (Seat seat : seats) {
+
+            if (seat.getLabel() == null || seat.getLabel().isBlank()) {
+                throw new BadRequestException("Every seat needs a number");
+            }
+
+            seat.setLabel(seat.getLabel().trim());
+
+            if (!labels.add(seat.getLabel().toUpperCase())) {
+                throw new BadRequestException("Seat number " + seat.getLabel() + " is used more than once");
+            }
+
+            if (seat.getGridRow() == null || seat.getGridColumn() == null
+                    || seat.getGridRow() < 0 || seat.getGridRow() >= rows
+                    || seat.getGridColumn() < 0 || seat.getGridColumn() >= columns) {
+                throw new BadRequestException("Seat " + seat.getLabel() + " is outside the grid");
+            }
+
+            if (!cells.add(seat.getGridRow() + ":" + seat.getGridColumn())) {
+                throw new BadRequestException("Seat " + seat.getLabel() + " is placed on a cell that already has a seat");
+            }
+
+            if (seat.getTierId() != null && !tierIds.contains(seat.getTierId())) {
+                throw new BadRequestException("Seat " + seat.getLabel() + " has a price tier from another hall");
+            }
+        }
+    }
+
+    // The active student holding the seat at a time that overlaps the shift
+    private Student findOccupant(Long hallId, String cabin, Long shiftId, Long exceptStudentId) {
+
+        Map<Long, Shift> shifts = new HashMap<>();
+
+        for (Shift shift : shiftRepo.findAll()) {
+            shifts.put(shift.getId(), shift);
+        }
+
+        for (Student s : studentRepo.findByHallIdAndLeftDateIsNull(hallId)) {
+
+            if (!s.getId().equals(exceptStudentId)
+                    && sameSeat(s.getCabin(), cabin)
+                    && ShiftService.overlaps(shifts.get(shiftId), shifts.get(s.getShiftId()))) {
+                return s;
+            }
+        }
+
+        return null;
+    }
+
+    private String describeShift(Long shiftId) {
+
+        if (shiftId == null) {
+            return "";
+        }
+
+        return shiftRepo.findById(shiftId)
+                .map(shift -> " for the " + shift.getName() + " shift")
+                .orElse("");
+    }
+
+    // Cabins are typed by hand, so "c-12 " and "C-12" are the same seat
+    public static boolean sameSeat(String a, String b) {
+        return a != null && b != null && a.trim().equalsIgnoreCase(b.trim());
+    }
+
+    private StudyHall findHall(Long hallId) {
+        return hallRepo.findById(hallId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Study hall not found with id " + hallId));
+    }
+
+    private Seat findSeat(Long seatId) {
+        return seatRepo.findById(seatId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Seat not found with id " + seatId));
+    }
+
+    private SeatTier findTier(Long id) {
+        return tierRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Price tier not found with id " + id));
+    }
+
+    private Student findStudent(Long studentId) {
+        return studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+    }
+}
@@ -0,0 +1,166 @@
+package com.srgec.demo.service;
+
+import java.util.HashMap;
+import java.util.List;
+import java.util.Map;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+
+import com.srgec.demo.entity.Shift;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.ShiftRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.repository.StudyHallRepository;
+
+/**
+ * Time-slot shifts in a hall. Shifts may overlap (a full-day shift covers
+ * morning and evening), but a seat cannot be held by two students whose
+ * shifts overlap.
+ */
+@Service
+public class ShiftService {
+
+    @Autowired
+    private ShiftRepository shiftRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private StudyHallRepository hallRepo;
+
+    public List<Shift> getAllShifts() {
+        return shiftRepo.findAllByOrderByStartTimeAsc();
+    }
+
+    public List<Shift> getHallShifts(Long hallId) {
+        findHall(hallId);
+        return shiftRepo.findByHallIdOrderByStartTimeAsc(hallId);
+    }
+
+    public Shift create(Long hallId, Shift shift) {
+
+        findHall(hallId);
+        validate(shift);
+
+        shift.setId(null);
+        shift.setHallId(hallId);
+        shift.setName(shift.getName().trim());
+
+        return shiftRepo.save(shift);
+    }
+
+    /**
+     * Changing a shift's hours is rejected if it would make two students
+     * who share a seat overlap.
+     */
+    public Shift update(Long id, Shift updatedShift) {
+
+        Shift shift = findShift(id);
+
+        validate(updatedShift);
+
+        Shift changed = new Shift();
+
+        changed.setId(shift.getId());
+        changed.setHallId(shift.getHallId());
+        changed.setName(updatedShift.getName().trim());
+        changed.setStartTime(updatedShift.getStartTime());
+        changed.setEndTime(updatedShift.getEndTime());
+        changed.setMonthlyFee(updatedShift.getMonthlyFee());
+
+        checkSeatConflicts(changed);
+
+        return shiftRepo.save(changed);
+    }
+
+    public void delete(Long id) {
+
+        Shift shift = findShift(id);
+
+        long students = studentRepo.countByShiftIdAndLeftDateIsNull(id);
+
+        if (students > 0) {
+            throw new BadRequestException("The " + shift.getName() + " shift has " + students
+                    + " active students. Move them to another shift first");
+        }
+
+        shiftRepo.delete(shift);
+    }
+
+    // No shift means the whole day, which overlaps every shift
+    public static boolean overlaps(Shift a, Shift b) {
+
+        if (a == null || b == null) {
+            return true;
+        }
+
+        return a.getStartTime().isBefore(b.getEndTime())
+                && b.getStartTime().isBefore(a.getEndTime());
+    }
+
+    private void checkSeatConflicts(Shift changed) {
+
+        StudyHall hall = findHall(changed.getHallId());
+
+        Map<Long, Shift> shifts = new HashMap<>();
+
+        for (Shift shift : shiftRepo.findByHallIdOrderByStartTimeAsc(hall.getId())) {
+            shifts.put(shift.getId(), shift);
+        }
+
+        shifts.put(changed.getId(), changed);
+
+        List<Student> students = studentRepo.findByHallIdAndLeftDateIsNull(hall.getId());
+
+        for (int i = 0; i < students.size(); i++) {
+            for (int j = i + 1; j < students.size(); j++) {
+
+                Student a = students.get(i);
+                Student b = students.get(j);
+
+                if (SeatService.sameSeat(a.getCabin(), b.getCabin())
+                        && overlaps(shifts.get(a.getShiftId()), shifts.get(b.getShiftId()))) {
+
+                    throw new BadRequestException("With these hours " + a.getName() + " and " + b.getName()
+                            + " would both be in seat " + a.getCabin() + " at the same time");
+                }
+            }
+        }
+    }
+
+    private void validate(Shift shift) {
+
+        if (shift.getName() == null || shift.getName().isBlank()) {
+            throw new BadRequestException("Shift name is required");
+        }
+
+        if (shift.getStartTime() == null || shift.getEndTime() == null) {
+            throw new BadRequestException("Shift start and end times are required");
+        }
+
+        if (!shift.getStartTime().isBefore(shift.getEndTime())) {
+            throw new BadRequestException("A shift must end after it starts on the same day");
+        }
+
+        if (shift.getMonthlyFee() == null || shift.getMonthlyFee() < 0) {
+            throw new BadRequestException("Shift fee cannot be negative");
+        }
+    }
+
+    private Shift findShift(Long id) {
+        return shiftRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Shift not found with id " + id));
+    }
+
+    private StudyHall findHall(Long hallId) {
+        return hallRepo.findById(hallId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Study hall not found with id " + hallId));
+    }
+}
@@ -0,0 +1,160 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.util.Map;
+import java.util.regex.Pattern;
+
+import org.springframework.stereotype.Service;
+
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.FieldErrors;
+
+/**
+ * Checks the admission details on a student before it is saved: contact
+ * numbers, email, fee, dates and the government ID. Text is trimmed and
+ * blank optional fields are stored as null.
+ */
+@Service
+public class StudentDetailsService {
+
+    private static final Pattern EMAIL = Pattern.compile("^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$");
+
+    // Format of the number on each kind of government ID
+    private static final Map<String, Pattern> ID_PROOF_FORMATS = Map.of(
+            "AADHAAR", Pattern.compile("^\\d{12}$"),
+            "PAN", Pattern.compile("^[A-Z]{5}\\d{4}[A-Z]$"),
+            "VOTER_ID", Pattern.compile("^[A-Z]{3}\\d{7}$"),
+            "DRIVING_LICENCE", Pattern.compile("^[A-Z]{2}\\d{2}[A-Z0-9]{9,12}$"),
+            "PASSPORT", Pattern.compile("^[A-Z]\\d{7}$"));
+
+    private static final Map<String, String> ID_PROOF_LABELS = Map.of(
+            "AADHAAR", "Aadhaar number must be 12 digits",
+            "PAN", "PAN must look like ABCDE1234F",
+            "VOTER_ID", "Voter ID must look like ABC1234567",
+            "DRIVING_LICENCE", "Driving licence number must look like MH1220110012345",
+            "PASSPORT", "Passport number must look like A1234567");
+
+    private static final int MAX_ADDRESS_LENGTH = 500;
+
+    // Ten-digit Indian mobile number, optionally written with +91 or a leading 0
+    private static final Pattern INDIAN_MOBILE = Pattern.compile("^(?:91|0)?[6-9]\\d{9}$");
+
+    /**
+     * Collects every problem before failing so the form can mark each
+     * field at once. Field names match the properties of Student.
+     */
+    public void validate(Student student) {
+
+        FieldErrors errors = new FieldErrors();
+
+        String name = trim(student.getName());
+
+        if (name == null) {
+            errors.add("name", "Student name is required");
+        }
+
+        student.setName(name);
+        student.setPhone(trim(student.getPhone()));
+        student.setEmail(trim(student.getEmail()));
+        student.setAddress(trim(student.getAddress()));
+        student.setGuardianName(trim(student.getGuardianName()));
+        student.setGuardianPhone(trim(student.getGuardianPhone()));
+        student.setEmergencyContactName(trim(student.getEmergencyContactName()));
+        student.setEmergencyContactPhone(trim(student.getEmergencyContactPhone()));
+        student.setExamTarget(trim(student.getExamTarget()));
+
+        checkPhone(errors, "phone", student.getPhone(), "Phone");
+        checkPhone(errors, "guardianPhone", student.getGuardianPhone(), "Guardian phone");
+        checkPhone(errors, "emergencyContactPhone", student.getEmergencyContactPhone(), "Emergency contact phone");
+
+        if (student.getEmail() != null && !EMAIL.matcher(student.getEmail()).matches()) {
+            errors.add("email", "Email address is not valid");
+        }
+
+        if (student.getAddress() != null && student.getAddress().length() > MAX_ADDRESS_LENGTH) {
+            errors.add("address", "Address cannot be longer than " + MAX_ADDRESS_LENGTH + " characters");
+        }
+
+        if (student.getEmergencyContactPhone() != null && student.getEmergencyContactName() == null) {
+            errors.add("emergencyContactName", "Emergency contact name is required with their phone number");
+        }
+
+        if (student.getMonthlyFee() != null && student.getMonthlyFee() < 0) {
+            errors.add("monthlyFee", "Monthly fee cannot be negative");
+        }
+
+        validateDates(errors, student);
+        validateIdProof(errors, student);
+
+        errors.throwIfAny();
+    }
+
+    private void validateDates(FieldErrors errors, Student student) {
+
+        LocalDate joinDate = student.getJoinDate();
+        LocalDate leftDate = student.getLeftDate();
+
+        if (joinDate != null && joinDate.isAfter(LocalDate.now())) {
+            errors.add("joinDate", "Join date cannot be in the future");
+        }
+
+        if (joinDate != null && leftDate != null && leftDate.isBefore(joinDate)) {
+            errors.add("leftDate", "Left date cannot be before the join date");
+        }
+    }
+
+    // ID numbers are stored in capitals without spaces, the way they are printed on the card
+    private void validateIdProof(FieldErrors errors, Student student) {
+
+        String type = trim(student.getIdProofType());
+        String number = trim(student.getIdProofNumber());
+
+        if (number != null) {
+            number = number.replaceAll("[\\s-]", "").toUpperCase();
+        }
+
+        if (type == null) {
+
+            if (number != null) {
+                errors.add("idProofType", "Choose the type of ID proof");
+            }
+
+        } else {
+
+            Pattern format = ID_PROOF_FORMATS.get(type);
+
+            if (format == null) {
+                errors.add("idProofType", "Unknown ID proof type " + type);
+            } else if (number == null) {
+                errors.add("idProofNumber", "ID proof number is required");
+            } else if (!format.matcher(number).matches()) {
+                errors.add("idProofNumber", ID_PROOF_LABELS.get(type));
+            }
+        }
+
+        student.setIdProofType(type);
+        student.setIdProofNumber(number);
+    }
+
+    private void checkPhone(FieldErrors errors, String field, String phone, String label) {
+        if (phone != null && !INDIAN_MOBILE.matcher(phone.replaceAll("\\D", "")).matches()) {
+            errors.add(field, label + " must be a 10-digit Indian mobile number");
+        }
+    }
+
+    /**
+     * Phone numbers are typed by hand, so "+91 98765 43210", "098765 43210"
+     * and "9876543210" are the same number. Anything shorter than ten
+     * digits comes back as is and matches nothing.
+     */
+    public static String lastTenDigits(String phone) {
+
+        String digits = phone == null ? "" : phone.replaceAll("\\D", "");
+
+        return digits.length() > 10 ? digits.substring(digits.length() - 10) : digits;
+    }
+
+    private static String trim(String value) {
+        return value == null || value.isBlank() ? null : value.trim();
+    }
+}
@@ -0,0 +1,88 @@
+package com.srgec.demo.service;
+
+import java.io.IOException;
+import java.time.LocalDateTime;
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.MediaType;
+import org.springframework.stereotype.Service;
+import org.springframework.web.multipart.MultipartFile;
+
+import com.srgec.demo.entity.StudentDocument;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.StudentDocumentRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+/**
+ * Files kept on a student's profile. Uploads are limited to 5 MB by
+ * spring.servlet.multipart.max-file-size.
+ */
+@Service
+public class StudentDocumentService {
+
+    @Autowired
+    private StudentDocumentRepository documentRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    public List<StudentDocument> getStudentDocuments(Long studentId) {
+        findStudent(studentId);
+        return documentRepo.findByStudentIdOrderByUploadedAtDesc(studentId);
+    }
+
+    public StudentDocument upload(Long studentId, MultipartFile file) {
+
+        findStudent(studentId);
+
+        if (file == null || file.isEmpty()) {
+            throw new BadRequestException("Choose a file to upload");
+        }
+
+        StudentDocument document = new StudentDocument();
+
+        document.setStudentId(studentId);
+        document.setName(file.getOriginalFilename() == null || file.getOriginalFilename().isBlank()
+                ? "document"
+                : file.getOriginalFilename());
+        document.setContentType(contentType(file));
+        document.setSize(file.getSize());
+        document.setUploadedAt(LocalDateTime.now());
+
+        try {
+            document.setContent(file.getBytes());
+        } catch (IOException e) {
+            throw new BadRequestException("Could not read the uploaded file");
+        }
+
+        return documentRepo.save(document);
+    }
+
+    public StudentDocument getDocument(Long id) {
+        return documentRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Document not found with id " + id));
+    }
+
+    public void delete(Long id) {
+        documentRepo.delete(getDocument(id));
+    }
+
+    // The browser's guess at the file type, if it is one that can be sent back when downloading
+    private String contentType(MultipartFile file) {
+
+        try {
+            return MediaType.parseMediaType(file.getContentType()).toString();
+        } catch (IllegalArgumentException e) {
+            return MediaType.APPLICATION_OCTET_STREAM_VALUE;
+        }
+    }
+
+    private void findStudent(Long studentId) {
+        studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+    }
+}
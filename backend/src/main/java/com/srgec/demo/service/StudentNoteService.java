@@ -0,0 +1,71 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDateTime;
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+
+import com.srgec.demo.entity.StudentNote;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.StudentNoteRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+/**
+ * Remarks staff keep on a student's profile, newest first. Notes are
+ * not edited; a wrong one is deleted and written again.
+ */
+@Service
+public class StudentNoteService {
+
+    private static final int MAX_LENGTH = 2000;
+
+    @Autowired
+    private StudentNoteRepository noteRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    public List<StudentNote> getStudentNotes(Long studentId) {
+        findStudent(studentId);
+        return noteRepo.findByStudentIdOrderByCreatedAtDesc(studentId);
+    }
+
+    public StudentNote create(Long studentId, StudentNote note) {
+
+        findStudent(studentId);
+
+        String text = note.getText() == null ? "" : note.getText().trim();
+
+        if (text.isEmpty()) {
+            throw new BadRequestException("Note cannot be empty");
+        }
+
+        if (text.length() > MAX_LENGTH) {
+            throw new BadRequestException("Note cannot be longer than " + MAX_LENGTH + " characters");
+        }
+
+        note.setId(null);
+        note.setStudentId(studentId);
+        note.setText(text);
+        note.setCreatedAt(LocalDateTime.now());
+
+        return noteRepo.save(note);
+    }
+
+    public void delete(Long id) {
+
+        StudentNote note = noteRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Note not found with id " + id));
+
+        noteRepo.delete(note);
+    }
+
+    private void findStudent(Long studentId) {
+        studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+    }
+}
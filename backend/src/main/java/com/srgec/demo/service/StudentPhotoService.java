@@ -0,0 +1,96 @@
+package com.srgec.demo.service;
+
+import java.io.IOException;
+import java.time.LocalDateTime;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.MediaType;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.web.multipart.MultipartFile;
+
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudentPhoto;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.StudentPhotoRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+/**
+ * Profile photos, taken with the webcam at the front desk or uploaded.
+ * A student has at most one; a new photo replaces the old one.
+ */
+@Service
+public class StudentPhotoService {
+
+    @Autowired
+    private StudentPhotoRepository photoRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Transactional
+    public Student save(Long studentId, MultipartFile file) {
+
+        Student student = findStudent(studentId);
+
+        if (file == null || file.isEmpty()) {
+            throw new BadRequestException("Choose a photo to upload");
+        }
+
+        if (!isImage(file.getContentType())) {
+            throw new BadRequestException("Profile photo must be an image");
+        }
+
+        StudentPhoto photo = photoRepo.findByStudentId(studentId).orElse(new StudentPhoto());
+
+        photo.setStudentId(studentId);
+        photo.setContentType(file.getContentType());
+        photo.setUploadedAt(LocalDateTime.now());
+
+        try {
+            photo.setContent(file.getBytes());
+        } catch (IOException e) {
+            throw new BadRequestException("Could not read the uploaded photo");
+        }
+
+        photoRepo.save(photo);
+
+        student.setPhotoUpdatedAt(photo.getUploadedAt());
+
+        return studentRepo.save(student);
+    }
+
+    public StudentPhoto getPhoto(Long studentId) {
+        return photoRepo.findByStudentId(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Photo not found for student with id " + studentId));
+    }
+
+    @Transactional
+    public Student delete(Long studentId) {
+
+        Student student = findStudent(studentId);
+
+        photoRepo.findByStudentId(studentId).ifPresent(photoRepo::delete);
+
+        student.setPhotoUpdatedAt(null);
+
+        return studentRepo.save(student);
+    }
+
+    private boolean isImage(String contentType) {
+
+        try {
+            return "image".equals(MediaType.parseMediaType(contentType).getType());
+        } catch (IllegalArgumentException e) {
+            return false;
+        }
+    }
+
+    private Student findStudent(Long studentId) {
+        return studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+    }
+}
@@ -2,11 +2,18 @@ package com.srgec.demo.service;
 
 import java.time.LocalDate;
 import java.util.List;
+import java.util.Map;
+import java.util.Objects;
 
 import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
 
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
 import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.repository.BillingCycleRepository;
 import com.srgec.demo.repository.StudentRepository;
 
 @Service
@@ -15,6 +22,42 @@ public class StudentService {
     @Autowired
     private StudentRepository repo;
 
+    @Autowired
+    private BillingCycleRepository cycleRepo;
+
+    @Autowired
+    private ProrationService prorationService;
+
+    @Autowired
+    private LedgerService ledgerService;
+
+    @Autowired
+    private DepositService depositService;
+
+    @Autowired
+    private SeatService seatService;
+
+    @Autowired
+    private WaitlistService waitlistService;
+
+    @Autowired
+    private PlacementService placementService;
+
+    @Autowired
+    private StudyHallService studyHallService;
+
+    @Autowired
+    private StudentDetailsService studentDetailsService;
+
+    @Autowired
+    private AuditService auditService;
+
+    @Autowired
+    private RecycleBinService recycleBinService;
+
+    @Autowired
+    private UndoService undoService;
+
     public List<Student> getAllStudents() {
         return repo.findAll();
     }
@@ -29,7 +72,29 @@ public class StudentService {
             student.setStatus("Pending");
         }
 
-        return repo.save(student);
+        // Fee totals are derived from the payment ledger
+        student.setFeePaid(0);
+        student.setFeeDue(0);
+        student.setDepositHeld(0);
+        student.setBilledThrough(null);
+        student.setPhotoUpdatedAt(null);
+
+        studentDetailsService.validate(student);
+
+        studyHallService.linkHall(student);
+
+        if (student.getLeftDate() == null) {
+            seatService.validateCabin(student.getHallId(), student.getCabin(), student.getShiftId(), null);
+        }
+
+        Student saved = repo.save(student);
+
+        placementService.recordAdmission(saved);
+
+        auditService.record(AuditEntityType.STUDENT, saved.getId(), saved.getName(),
+                AuditAction.CREATE, null, null, auditService.snapshot(saved));
+
+        return saved;
     }
 
     public Student updateStudent(Long id, Student updatedStudent) {
@@ -38,54 +103,149 @@ public class StudentService {
 
         if (student != null) {
 
+            studentDetailsService.validate(updatedStudent);
+
+            studyHallService.linkHall(updatedStudent);
+
+            // Hall moves go through a transfer so the placement history is kept
+            if (student.getLeftDate() == null
+                    && updatedStudent.getHallId() != null
+                    && !updatedStudent.getHallId().equals(student.getHallId())) {
+
+                throw new BadRequestException("Use Transfer to move " + student.getName()
+                        + " to another hall");
+            }
+
+            // Only a new seat is checked, so students with an old free-text cabin can still be edited
+            if (student.getLeftDate() == null
+                    && (!Objects.equals(student.getHallId(), updatedStudent.getHallId())
+                            || !Objects.equals(student.getCabin(), updatedStudent.getCabin())
+                            || !Objects.equals(student.getShiftId(), updatedStudent.getShiftId()))) {
+
+                seatService.validateCabin(updatedStudent.getHallId(), updatedStudent.getCabin(),
+                        updatedStudent.getShiftId(), id);
+            }
+
+            // Billing cycles are anchored on the join date, so it is fixed once one has been invoiced
+            if (!Objects.equals(student.getJoinDate(), updatedStudent.getJoinDate())
+                    && cycleRepo.existsByStudentId(id)) {
+
+                throw new BadRequestException("The join date of " + student.getName()
+                        + " cannot change after their fees have been billed");
+            }
+
+            Map<String, String> before = auditService.snapshot(student);
+
             student.setName(updatedStudent.getName());
             student.setCabin(updatedStudent.getCabin());
+            student.setHallId(updatedStudent.getHallId());
             student.setHall(updatedStudent.getHall());
+            student.setShiftId(updatedStudent.getShiftId());
             student.setPhone(updatedStudent.getPhone());
 
+            student.setEmail(updatedStudent.getEmail());
+            student.setAddress(updatedStudent.getAddress());
+            student.setGuardianName(updatedStudent.getGuardianName());
+            student.setGuardianPhone(updatedStudent.getGuardianPhone());
+            student.setEmergencyContactName(updatedStudent.getEmergencyContactName());
+            student.setEmergencyContactPhone(updatedStudent.getEmergencyContactPhone());
+            student.setExamTarget(updatedStudent.getExamTarget());
+            student.setIdProofType(updatedStudent.getIdProofType());
+            student.setIdProofNumber(updatedStudent.getIdProofNumber());
+
+            // Leaving and coming back go through markAsLeft and reactivate, which settle the
+            // fees and seat, and the status follows the ledger, so neither is taken from an edit
             student.setJoinDate(updatedStudent.getJoinDate());
-            student.setLeftDate(updatedStudent.getLeftDate());
 
             student.setMonthlyFee(updatedStudent.getMonthlyFee());
-            student.setFeePaid(updatedStudent.getFeePaid());
-            student.setFeeDue(updatedStudent.getFeeDue());
-            student.setStatus(updatedStudent.getStatus());
 
-            return repo.save(student);
+            Student saved = repo.save(student);
+
+            auditService.record(AuditEntityType.STUDENT, id, saved.getName(),
+                    AuditAction.UPDATE, null, before, auditService.snapshot(saved));
+
+            return saved;
         }
 
         return null;
     }
 
     public void deleteStudent(Long id) {
-        repo.deleteById(id);
+        // Kept in the Recycle Bin, with its payment history, until restored or purged
+        recycleBinService.deleteStudent(id);
     }
 
-    public Student markAsLeft(Long id) {
+    @Transactional
+    public Student markAsLeft(Long id, LocalDate leftDate, Integer damages,
+            String damageNote, String refundMode) {
 
         Student student = repo.findById(id).orElse(null);
 
         if (student != null) {
 
-            student.setLeftDate(LocalDate.now());
+            Map<String, String> before = auditService.snapshot(student);
+
+            depositService.validateSettlement(damages, refundMode);
+
+            UndoService.Checkpoint checkpoint = undoService.checkpoint(student);
+
+            prorationService.applyLeave(student, leftDate);
+
+            student.setLeftDate(leftDate);
             student.setStatus("Left");
 
-            return repo.save(student);
+            student = repo.save(student);
+
+            // Settle the deposit against the final dues, including the pro-rated last cycle
+            depositService.settle(student, leftDate, damages, damageNote, refundMode);
+
+            placementService.close(student, leftDate);
+
+            // The freed seat goes to the next applicant waiting for this hall
+            waitlistService.offerVacancy(student);
+
+            auditService.record(AuditEntityType.STUDENT, id, student.getName(),
+                    AuditAction.LEAVE, null, before, auditService.snapshot(student));
+
+            undoService.keep(UndoService.LEAVE, checkpoint);
+
+            return student;
         }
 
         return null;
     }
 
+    @Transactional
     public Student reactivate(Long id) {
 
         Student student = repo.findById(id).orElse(null);
 
         if (student != null) {
 
+            Map<String, String> before = auditService.snapshot(student);
+
+            UndoService.Checkpoint checkpoint = undoService.checkpoint(student);
+
             student.setLeftDate(null);
-            student.setStatus("Paid");
 
-            return repo.save(student);
+            // Their old seat may have been given to someone else while they were away
+            if (!seatService.isAvailable(student.getHallId(), student.getCabin(), student.getShiftId(), id)) {
+                student.setCabin(null);
+            }
+
+            prorationService.applyReactivation(student, LocalDate.now());
+
+            placementService.reopen(student, LocalDate.now());
+
+            // Status follows the balance again once the student is active
+            student = ledgerService.recalculate(student);
+
+            auditService.record(AuditEntityType.STUDENT, id, student.getName(),
+                    AuditAction.REACTIVATE, null, before, auditService.snapshot(student));
+
+            undoService.keep(UndoService.REACTIVATE, checkpoint);
+
+            return student;
         }
 
         return null;
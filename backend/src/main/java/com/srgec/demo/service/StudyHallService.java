@@ -1,19 +1,59 @@
 package com.srgec.demo.service;
 
+import java.util.HashMap;
 import java.util.List;
+import java.util.Map;
 
 import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
 
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.Placement;
+import com.srgec.demo.entity.Shift;
+import com.srgec.demo.entity.Student;
 import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.entity.WaitlistEntry;
+import com.srgec.demo.entity.WaitlistStatus;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.FieldErrors;
+import com.srgec.demo.repository.PlacementRepository;
+import com.srgec.demo.repository.ShiftRepository;
+import com.srgec.demo.repository.StudentRepository;
 import com.srgec.demo.repository.StudyHallRepository;
+import com.srgec.demo.repository.WaitlistRepository;
 
+/**
+ * Study halls. Students, applicants, placements, ledger entries, billing
+ * cycles and attendance visits point at a hall by id and keep a copy of
+ * its name for display. A rename brings the current ones up to date; the
+ * rest keep the name the hall had at the time, as printed on receipts.
+ */
 @Service
 public class StudyHallService {
 
     @Autowired
     private StudyHallRepository repo;
 
+    @Autowired
+    private RecycleBinService recycleBinService;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private WaitlistRepository waitlistRepo;
+
+    @Autowired
+    private PlacementRepository placementRepo;
+
+    @Autowired
+    private ShiftRepository shiftRepo;
+
+    @Autowired
+    private AuditService auditService;
+
     public List<StudyHall> getAllHalls() {
         return repo.findAll();
     }
@@ -23,27 +63,195 @@ public class StudyHallService {
     }
 
     public StudyHall saveHall(StudyHall hall) {
-        return repo.save(hall);
+
+        validate(hall, null);
+
+        StudyHall saved = repo.save(hall);
+
+        auditService.record(AuditEntityType.STUDY_HALL, saved.getId(), saved.getName(),
+                AuditAction.CREATE, null, null, auditService.snapshot(saved));
+
+        return saved;
     }
 
+    @Transactional
     public StudyHall updateHall(Long id, StudyHall updatedHall) {
 
         StudyHall hall = repo.findById(id).orElse(null);
 
         if (hall != null) {
 
+            validate(updatedHall, id);
+
+            Map<String, String> before = auditService.snapshot(hall);
+
             hall.setName(updatedHall.getName());
             hall.setCapacity(updatedHall.getCapacity());
             hall.setLocation(updatedHall.getLocation());
             hall.setDescription(updatedHall.getDescription());
+            hall.setMonthlyFee(updatedHall.getMonthlyFee());
+            hall.setProrationPolicy(updatedHall.getProrationPolicy());
+
+            StudyHall saved = repo.save(hall);
 
-            return repo.save(hall);
+            // Its students, waiting applicants and open placements pick up a new name
+            propagateName(saved);
+
+            auditService.record(AuditEntityType.STUDY_HALL, id, saved.getName(),
+                    AuditAction.UPDATE, null, before, auditService.snapshot(saved));
+
+            return saved;
         }
 
         return null;
     }
 
     public void deleteHall(Long id) {
-        repo.deleteById(id);
+
+        validateDelete(id);
+
+        // The seat layout and shifts are kept so a restored hall comes back whole
+        recycleBinService.deleteHall(id);
+    }
+
+    /**
+     * Checks a hall before it is saved, collecting every problem by field.
+     * The name is trimmed and must not be blank or taken by another hall,
+     * ignoring case. id is the hall being edited, if any; its capacity
+     * cannot drop below the seats its students already hold.
+     */
+    public void validate(StudyHall hall, Long id) {
+
+        FieldErrors errors = new FieldErrors();
+
+        String name = hall.getName() == null ? "" : hall.getName().trim();
+
+        if (name.isEmpty()) {
+            errors.add("name", "Study hall name is required");
+        } else {
+            repo.findFirstByNameIgnoreCase(name)
+                    .filter(other -> !other.getId().equals(id))
+                    .ifPresent(other -> errors.add("name", "There is already a study hall named " + other.getName()));
+        }
+
+        hall.setName(name);
+
+        if (hall.getCapacity() == null || hall.getCapacity() < 1) {
+            errors.add("capacity", "Capacity must be at least 1 seat");
+        } else if (id != null) {
+
+            long occupied = peakOccupancy(id);
+
+            if (hall.getCapacity() < occupied) {
+                errors.add("capacity", "Capacity cannot be less than the " + occupied
+                        + " seats already taken by active students");
+            }
+        }
+
+        if (hall.getMonthlyFee() != null && hall.getMonthlyFee() < 0) {
+            errors.add("monthlyFee", "Monthly fee cannot be negative");
+        }
+
+        errors.throwIfAny();
+    }
+
+    /**
+     * Seats in use at the hall's busiest time: active students whose
+     * shift overlaps the most crowded shift, or every active student when
+     * the hall has no shifts.
+     */
+    public long peakOccupancy(Long hallId) {
+
+        List<Student> active = studentRepo.findByHallIdAndLeftDateIsNull(hallId);
+        List<Shift> shifts = shiftRepo.findByHallIdOrderByStartTimeAsc(hallId);
+
+        if (shifts.isEmpty()) {
+            return active.size();
+        }
+
+        Map<Long, Shift> byId = new HashMap<>();
+
+        for (Shift shift : shifts) {
+            byId.put(shift.getId(), shift);
+        }
+
+        long peak = 0;
+
+        for (Shift shift : shifts) {
+            long count = active.stream()
+                    .filter(student -> ShiftService.overlaps(shift, byId.get(student.getShiftId())))
+                    .count();
+
+            peak = Math.max(peak, count);
+        }
+
+        return peak;
+    }
+
+    // A hall is only deleted once nobody is studying there
+    public void validateDelete(Long id) {
+
+        long active = studentRepo.countByHallIdAndLeftDateIsNull(id);
+
+        if (active > 0) {
+            String name = repo.findById(id).map(StudyHall::getName).orElse("This hall");
+
+            throw new BadRequestException(name + " has " + active
+                    + " active students. Transfer them to another hall before deleting it");
+        }
+    }
+
+    /**
+     * Gives the hall's new name to the records that describe it now: its
+     * students, including any in the Recycle Bin, applicants still waiting
+     * or offered a seat, and open placements. Ledger entries, billing
+     * cycles, closed placements and attendance visits are left as they
+     * were, so receipts and reports still show the name at the time.
+     */
+    @Transactional
+    public void propagateName(StudyHall hall) {
+
+        String name = hall.getName();
+
+        studentRepo.renameHall(hall.getId(), name);
+
+        List<WaitlistEntry> entries = waitlistRepo.findByHallIdAndStatusIn(hall.getId(),
+                List.of(WaitlistStatus.WAITING, WaitlistStatus.OFFERED));
+        entries.removeIf(e -> name.equals(e.getHall()));
+        entries.forEach(e -> e.setHall(name));
+        waitlistRepo.saveAll(entries);
+
+        List<Placement> placements = placementRepo.findByHallIdAndEndDateIsNull(hall.getId());
+        placements.removeIf(p -> name.equals(p.getHall()));
+        placements.forEach(p -> p.setHall(name));
+        placementRepo.saveAll(placements);
+    }
+
+    /**
+     * The hall a request refers to: by id, or by name for clients that
+     * still send only the name. Null when neither is given.
+     */
+    public StudyHall resolveHall(Long hallId, String name) {
+
+        if (hallId != null) {
+            return repo.findById(hallId)
+                    .orElseThrow(() -> new BadRequestException("Study hall not found with id " + hallId));
+        }
+
+        if (name == null || name.isBlank()) {
+            return null;
+        }
+
+        return repo.findFirstByName(name.trim())
+                .orElseThrow(() -> new BadRequestException("There is no study hall named " + name.trim()));
+    }
+
+    // Points the student at their hall by id and refreshes the name kept with it
+    public void linkHall(Student student) {
+
+        StudyHall hall = resolveHall(student.getHallId(), student.getHall());
+
+        student.setHallId(hall == null ? null : hall.getId());
+        student.setHall(hall == null ? null : hall.getName());
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,308 @@
+package com.srgec.demo.service;
+
+import java.time.Duration;
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.ArrayList;
+import java.util.HashMap;
+import java.util.LinkedHashSet;
+import java.util.List;
+import java.util.Map;
+import java.util.Set;
+import java.util.concurrent.ConcurrentHashMap;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.entity.AuditAction;
+import com.srgec.demo.entity.AuditEntityType;
+import com.srgec.demo.entity.BillingCycle;
+import com.srgec.demo.entity.BillingRun;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.Placement;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.WaitlistEntry;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.BillingCycleRepository;
+import com.srgec.demo.repository.BillingRunRepository;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.PlacementRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+/**
+ * Takes back a leave, a reactivation or a billing run shortly after it was
+ * made, from the "Undo" button on its toast. Before a student is marked
+ * left or reactivated a checkpoint of their record is taken; undoing puts
+ * the record back and removes the ledger entries, billing cycles and
+ * placements added since, as long as nothing else was recorded for the
+ * student in between. Deletes are undone by restoring from the Recycle Bin.
+ */
+@Service
+public class UndoService {
+
+    public static final String LEAVE = "LEAVE";
+    public static final String REACTIVATE = "REACTIVATE";
+
+    // How long after an action its Undo button keeps working
+    public static final Duration UNDO_WINDOW = Duration.ofMinutes(2);
+
+    // The last undoable action per student, keyed by action and student id
+    private final Map<String, Checkpoint> checkpoints = new ConcurrentHashMap<>();
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private LedgerEntryRepository ledgerRepo;
+
+    @Autowired
+    private BillingCycleRepository cycleRepo;
+
+    @Autowired
+    private BillingRunRepository runRepo;
+
+    @Autowired
+    private PlacementRepository placementRepo;
+
+    @Autowired
+    private LedgerService ledgerService;
+
+    @Autowired
+    private ConcessionService concessionService;
+
+    @Autowired
+    private SeatService seatService;
+
+    @Autowired
+    private WaitlistService waitlistService;
+
+    @Autowired
+    private AuditService auditService;
+
+    @Autowired
+    private AlertService alertService;
+
+    /**
+     * The student as they are before an undoable action. Pass it to keep()
+     * once the action has been saved.
+     */
+    public Checkpoint checkpoint(Student s) {
+
+        Checkpoint checkpoint = new Checkpoint();
+
+        checkpoint.studentId = s.getId();
+        checkpoint.leftDate = s.getLeftDate();
+        checkpoint.status = s.getStatus();
+        checkpoint.cabin = s.getCabin();
+        checkpoint.shiftId = s.getShiftId();
+        checkpoint.billedThrough = s.getBilledThrough();
+        checkpoint.lastLedgerId = lastLedgerId(s.getId());
+        checkpoint.lastCycleId = lastCycleId(s.getId());
+        checkpoint.lastPlacementId = lastPlacementId(s.getId());
+
+        checkpoint.openPlacementId = placementRepo.findFirstByStudentIdAndEndDateIsNullOrderByIdDesc(s.getId())
+                .map(Placement::getId)
+                .orElse(null);
+
+        WaitlistEntry offer = waitlistService.getOpenOffer(s.getId());
+        checkpoint.openOfferId = offer == null ? null : offer.getId();
+
+        return checkpoint;
+    }
+
+    public void keep(String action, Checkpoint checkpoint) {
+
+        checkpoints.values().removeIf(Checkpoint::isExpired);
+
+        checkpoint.takenAt = LocalDateTime.now();
+        checkpoint.ledgerIdAfter = lastLedgerId(checkpoint.studentId);
+
+        checkpoints.put(action + ":" + checkpoint.studentId, checkpoint);
+    }
+
+    @Transactional
+    public Student undo(String action, Long studentId) {
+
+        Checkpoint checkpoint = checkpoints.get(action + ":" + studentId);
+
+        if (checkpoint == null || checkpoint.isExpired()) {
+            throw new BadRequestException("This can no longer be undone");
+        }
+
+        Student student = studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException("Student not found with id " + studentId));
+
+        // A payment or charge recorded since would be lost along with the action's own entries
+        if (lastLedgerId(studentId) != checkpoint.ledgerIdAfter) {
+            throw new BadRequestException("Fees were recorded for " + student.getName()
+                    + " since, so this can no longer be undone");
+        }
+
+        Map<String, String> before = auditService.snapshot(student);
+
+        for (LedgerEntry entry : ledgerRepo.findByStudentIdOrderByEntryDateDescIdDesc(studentId)) {
+            if (entry.getId() > checkpoint.lastLedgerId) {
+                ledgerRepo.delete(entry);
+            }
+        }
+
+        List<BillingCycle> newCycles = new ArrayList<>();
+
+        for (BillingCycle cycle : cycleRepo.findByStudentIdOrderByCycleStartDesc(studentId)) {
+            if (cycle.getId() > checkpoint.lastCycleId) {
+                newCycles.add(cycle);
+            }
+        }
+
+        concessionService.clearApplied(newCycles.stream().map(BillingCycle::getId).toList());
+        cycleRepo.deleteAll(newCycles);
+
+        for (Placement placement : placementRepo.findByStudentIdOrderByStartDateDescIdDesc(studentId)) {
+
+            if (placement.getId() > checkpoint.lastPlacementId) {
+                placementRepo.delete(placement);
+            } else if (placement.getId().equals(checkpoint.openPlacementId)) {
+                placement.setEndDate(null);
+                placementRepo.save(placement);
+            }
+        }
+
+        // The seat offered to the next applicant is not free after all
+        WaitlistEntry offer = waitlistService.getOpenOffer(studentId);
+
+        if (offer != null && !offer.getId().equals(checkpoint.openOfferId)) {
+            waitlistService.retractOffer(offer);
+        }
+
+        student.setLeftDate(checkpoint.leftDate);
+        student.setStatus(checkpoint.status);
+        student.setShiftId(checkpoint.shiftId);
+        student.setBilledThrough(checkpoint.billedThrough);
+
+        // Someone may have been given the seat in the meantime
+        boolean seatTaken = checkpoint.leftDate == null
+                && !seatService.isAvailable(student.getHallId(), checkpoint.cabin, checkpoint.shiftId, studentId);
+
+        student.setCabin(seatTaken ? null : checkpoint.cabin);
+
+        student = ledgerService.recalculate(student);
+
+        checkpoints.remove(action + ":" + studentId);
+
+        auditService.record(AuditEntityType.STUDENT, studentId, student.getName(), AuditAction.UNDO,
+                LEAVE.equals(action) ? "Undid marking as left" : "Undid reactivation",
+                before, auditService.snapshot(student));
+
+        return student;
+    }
+
+    /**
+     * Removes a billing run's cycles with their charges and discounts, and
+     * the run itself. Refused once a late fee has been charged on one of
+     * its cycles.
+     */
+    @Transactional
+    public void undoBillingRun(Long runId) {
+
+        BillingRun run = runRepo.findById(runId)
+                .orElseThrow(() -> new ResourceNotFoundException("Billing run not found with id " + runId));
+
+        if (run.getExecutedAt().isBefore(LocalDateTime.now().minus(UNDO_WINDOW))) {
+            throw new BadRequestException("Billing run #" + runId + " can no longer be undone");
+        }
+
+        List<BillingCycle> cycles = cycleRepo.findByRunIdOrderByStudentIdAsc(runId);
+        List<LedgerEntry> entries = new ArrayList<>();
+        Set<Long> studentIds = new LinkedHashSet<>();
+
+        for (BillingCycle cycle : cycles) {
+
+            for (LedgerEntry entry : ledgerRepo.findByBillingCycleId(cycle.getId())) {
+
+                if (entry.getType() != LedgerEntryType.CHARGE && entry.getType() != LedgerEntryType.DISCOUNT) {
+                    throw new BadRequestException("Billing run #" + runId
+                            + " has cycles with late fees or adjustments, so it can no longer be undone");
+                }
+
+                entries.add(entry);
+            }
+
+            studentIds.add(cycle.getStudentId());
+        }
+
+        Map<Long, Map<String, String>> before = new HashMap<>();
+
+        for (Student s : studentRepo.findAllById(studentIds)) {
+            before.put(s.getId(), auditService.snapshot(s));
+        }
+
+        ledgerRepo.deleteAll(entries);
+        concessionService.clearApplied(cycles.stream().map(BillingCycle::getId).toList());
+        cycleRepo.deleteAll(cycles);
+        runRepo.delete(run);
+        alertService.withdrawFeeRun(runId);
+
+        for (Student s : studentRepo.findAllById(studentIds)) {
+
+            // Billed up to the end of the latest cycle left, or not at all
+            List<BillingCycle> remaining = cycleRepo.findByStudentIdOrderByCycleStartDesc(s.getId());
+            s.setBilledThrough(remaining.isEmpty() ? null : remaining.get(0).getCycleEnd());
+
+            ledgerService.recalculate(s);
+
+            auditService.record(AuditEntityType.STUDENT, s.getId(), s.getName(), AuditAction.UNDO,
+                    "Undid billing run #" + runId, before.get(s.getId()), auditService.snapshot(s));
+        }
+
+        auditService.record(AuditEntityType.BILLING_RUN, runId, "Billing run #" + runId, AuditAction.UNDO,
+                "Undid " + cycles.size() + (cycles.size() == 1 ? " cycle" : " cycles"), null, null);
+    }
+
+    private long lastLedgerId(Long studentId) {
+        return ledgerRepo.findByStudentIdOrderByEntryDateDescIdDesc(studentId).stream()
+                .mapToLong(LedgerEntry::getId).max().orElse(0);
+    }
+
+    private long lastCycleId(Long studentId) {
+        return cycleRepo.findByStudentIdOrderByCycleStartDesc(studentId).stream()
+                .mapToLong(BillingCycle::getId).max().orElse(0);
+    }
+
+    private long lastPlacementId(Long studentId) {
+        return placementRepo.findByStudentIdOrderByStartDateDescIdDesc(studentId).stream()
+                .mapToLong(Placement::getId).max().orElse(0);
+    }
+
+    /**
+     * A student's record before an undoable action, and the highest ledger,
+     * cycle and placement ids they had then; anything newer belongs to
+     * the action.
+     */
+    public static class Checkpoint {
+
+        private Long studentId;
+        private LocalDateTime takenAt;
+
+        private LocalDate leftDate;
+        private String status;
+        private String cabin;
+        private Long shiftId;
+        private LocalDate billedThrough;
+
+        private long lastLedgerId;
+        private long lastCycleId;
+        private long lastPlacementId;
+        private Long openPlacementId;
+        private Long openOfferId;
+
+        // Highest ledger id once the action was saved
+        private long ledgerIdAfter;
+
+        private boolean isExpired() {
+            return takenAt.isBefore(LocalDateTime.now().minus(UNDO_WINDOW));
+        }
+    }
+}
@@ -0,0 +1,147 @@
+package com.srgec.demo.service;
+
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import com.srgec.demo.entity.User;
+import com.srgec.demo.entity.UserRole;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.FieldErrors;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.UserRepository;
+
+/**
+ * Staff accounts, managed by the owner. There is always at least one
+ * active owner, so nobody can lock the study hall out of its own app.
+ */
+@Service
+public class UserService {
+
+    private static final int MIN_PASSWORD_LENGTH = 8;
+
+    @Autowired
+    private UserRepository userRepo;
+
+    @Autowired
+    private AuthService authService;
+
+    public List<User> getUsers() {
+        return userRepo.findAll();
+    }
+
+    public User create(User user) {
+
+        validate(user, null, true);
+
+        user.setId(null);
+        user.setPassword(authService.hashPassword(user.getPassword()));
+
+        if (user.getActive() == null) {
+            user.setActive(true);
+        }
+
+        return userRepo.save(user);
+    }
+
+    // A blank password keeps the current one; a new one signs the user out everywhere
+    @Transactional
+    public User update(Long id, User updatedUser) {
+
+        User user = findUser(id);
+
+        boolean resetPassword = updatedUser.getPassword() != null && !updatedUser.getPassword().isBlank();
+
+        validate(updatedUser, id, resetPassword);
+
+        boolean stillOwner = updatedUser.getRole() == UserRole.OWNER && !Boolean.FALSE.equals(updatedUser.getActive());
+
+        if (!stillOwner) {
+            checkNotLastOwner(user);
+        }
+
+        user.setUsername(updatedUser.getUsername());
+        user.setFullName(updatedUser.getFullName());
+        user.setRole(updatedUser.getRole());
+        user.setActive(!Boolean.FALSE.equals(updatedUser.getActive()));
+
+        if (resetPassword) {
+            user.setPassword(authService.hashPassword(updatedUser.getPassword()));
+        }
+
+        if (resetPassword || !user.getActive()) {
+            authService.endSessions(id);
+        }
+
+        return userRepo.save(user);
+    }
+
+    @Transactional
+    public void delete(Long id, User currentUser) {
+
+        User user = findUser(id);
+
+        if (user.getId().equals(currentUser.getId())) {
+            throw new BadRequestException("You cannot delete your own account");
+        }
+
+        checkNotLastOwner(user);
+
+        authService.endSessions(id);
+        userRepo.delete(user);
+    }
+
+    private void validate(User user, Long id, boolean passwordRequired) {
+
+        FieldErrors errors = new FieldErrors();
+
+        String username = user.getUsername() == null ? "" : user.getUsername().trim().toLowerCase();
+
+        if (username.isEmpty()) {
+            errors.add("username", "Username is required");
+        } else if (!username.matches("[a-z0-9._-]+")) {
+            errors.add("username", "Use only letters, numbers, dots, dashes and underscores");
+        } else {
+            User other = userRepo.findByUsernameIgnoreCase(username);
+
+            if (other != null && !other.getId().equals(id)) {
+                errors.add("username", "The username " + username + " is already taken");
+            }
+        }
+
+        user.setUsername(username);
+        user.setFullName(user.getFullName() == null || user.getFullName().isBlank() ? null : user.getFullName().trim());
+
+        if (user.getFullName() == null) {
+            errors.add("fullName", "Full name is required");
+        }
+
+        if (user.getRole() == null) {
+            errors.add("role", "Choose a role");
+        }
+
+        if (passwordRequired && (user.getPassword() == null || user.getPassword().length() < MIN_PASSWORD_LENGTH)) {
+            errors.add("password", "Password must be at least " + MIN_PASSWORD_LENGTH + " characters");
+        }
+
+        errors.throwIfAny();
+    }
+
+    private void checkNotLastOwner(User user) {
+
+        if (user.getRole() == UserRole.OWNER
+                && Boolean.TRUE.equals(user.getActive())
+                && userRepo.countByRoleAndActiveTrue(UserRole.OWNER) <= 1) {
+
+            throw new BadRequestException("There must be at least one active owner");
+        }
+    }
+
+    private User findUser(Long id) {
+        return userRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "User not found with id " + id));
+    }
+}
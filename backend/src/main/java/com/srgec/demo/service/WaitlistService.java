@@ -0,0 +1,250 @@
+package com.srgec.demo.service;
+
+import java.time.LocalDate;
+import java.util.List;
+
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+
+import com.srgec.demo.entity.Shift;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.entity.WaitlistEntry;
+import com.srgec.demo.entity.WaitlistStatus;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.exception.ResourceNotFoundException;
+import com.srgec.demo.repository.ShiftRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.repository.WaitlistRepository;
+
+/**
+ * Applicants waiting for a seat in a full hall. When a student leaves, the
+ * first waiting applicant for that hall and shift is flagged with an offer
+ * of the freed seat.
+ */
+@Service
+public class WaitlistService {
+
+    public static final int HIGHEST_PRIORITY = 1;
+    public static final int LOWEST_PRIORITY = 3;
+    public static final int DEFAULT_PRIORITY = 2;
+
+    @Autowired
+    private WaitlistRepository waitlistRepo;
+
+    @Autowired
+    private StudentRepository studentRepo;
+
+    @Autowired
+    private StudyHallService studyHallService;
+
+    @Autowired
+    private ShiftRepository shiftRepo;
+
+    public List<WaitlistEntry> getAllEntries() {
+        return waitlistRepo.findAllByOrderByPriorityAscRequestedOnAscIdAsc();
+    }
+
+    public WaitlistEntry getEntry(Long id) {
+        return findEntry(id);
+    }
+
+    public WaitlistEntry create(WaitlistEntry entry) {
+
+        validate(entry);
+
+        entry.setId(null);
+        entry.setName(entry.getName().trim());
+        entry.setStatus(WaitlistStatus.WAITING);
+        entry.setOfferedOn(null);
+        entry.setOfferedCabin(null);
+        entry.setOfferedShiftId(null);
+        entry.setVacatedStudentId(null);
+        entry.setStudentId(null);
+
+        if (entry.getPriority() == null) {
+            entry.setPriority(DEFAULT_PRIORITY);
+        }
+
+        if (entry.getRequestedOn() == null) {
+            entry.setRequestedOn(LocalDate.now());
+        }
+
+        return waitlistRepo.save(entry);
+    }
+
+    public WaitlistEntry update(Long id, WaitlistEntry updatedEntry) {
+
+        WaitlistEntry entry = findEntry(id);
+
+        validate(updatedEntry);
+
+        entry.setName(updatedEntry.getName().trim());
+        entry.setPhone(updatedEntry.getPhone());
+        entry.setHallId(updatedEntry.getHallId());
+        entry.setHall(updatedEntry.getHall());
+        entry.setShiftId(updatedEntry.getShiftId());
+        entry.setNotes(updatedEntry.getNotes());
+
+        if (updatedEntry.getPriority() != null) {
+            entry.setPriority(updatedEntry.getPriority());
+        }
+
+        if (updatedEntry.getRequestedOn() != null) {
+            entry.setRequestedOn(updatedEntry.getRequestedOn());
+        }
+
+        return waitlistRepo.save(entry);
+    }
+
+    public void delete(Long id) {
+        waitlistRepo.delete(findEntry(id));
+    }
+
+    /**
+     * Flags the next applicant for the seat a leaving student gave up.
+     * Returns null when nobody is waiting for that hall and shift.
+     */
+    public WaitlistEntry offerVacancy(Student leaver) {
+
+        if (leaver.getHallId() == null) {
+            return null;
+        }
+
+        return offerNext(leaver.getHallId(), leaver.getCabin(), leaver.getShiftId(), leaver.getId());
+    }
+
+    // The offer made when this student left, if it is still open
+    public WaitlistEntry getOpenOffer(Long studentId) {
+        return waitlistRepo.findFirstByVacatedStudentIdAndStatus(studentId, WaitlistStatus.OFFERED)
+                .orElse(null);
+    }
+
+    // Puts an applicant back in line when the seat offered to them was not freed after all
+    public WaitlistEntry retractOffer(WaitlistEntry entry) {
+
+        entry.setStatus(WaitlistStatus.WAITING);
+        entry.setOfferedOn(null);
+        entry.setOfferedCabin(null);
+        entry.setOfferedShiftId(null);
+        entry.setVacatedStudentId(null);
+
+        return waitlistRepo.save(entry);
+    }
+
+    /**
+     * The applicant turned the seat down, so it passes to the next one in
+     * line.
+     */
+    public WaitlistEntry decline(Long id) {
+
+        WaitlistEntry entry = findEntry(id);
+
+        if (entry.getStatus() != WaitlistStatus.OFFERED) {
+            throw new BadRequestException(entry.getName() + " has no open offer to decline");
+        }
+
+        entry.setStatus(WaitlistStatus.WITHDRAWN);
+        waitlistRepo.save(entry);
+
+        offerNext(entry.getHallId(), entry.getOfferedCabin(), entry.getOfferedShiftId(),
+                entry.getVacatedStudentId());
+
+        return entry;
+    }
+
+    public WaitlistEntry withdraw(Long id) {
+
+        WaitlistEntry entry = findEntry(id);
+
+        if (entry.getStatus() == WaitlistStatus.CONVERTED) {
+            throw new BadRequestException(entry.getName() + " is already a student");
+        }
+
+        entry.setStatus(WaitlistStatus.WITHDRAWN);
+
+        return waitlistRepo.save(entry);
+    }
+
+    public WaitlistEntry convert(Long id, Long studentId) {
+
+        WaitlistEntry entry = findEntry(id);
+
+        if (entry.getStatus() == WaitlistStatus.CONVERTED) {
+            throw new BadRequestException(entry.getName() + " has already been admitted");
+        }
+
+        Student student = studentRepo.findById(studentId)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Student not found with id " + studentId));
+
+        entry.setStatus(WaitlistStatus.CONVERTED);
+        entry.setStudentId(student.getId());
+
+        return waitlistRepo.save(entry);
+    }
+
+    private WaitlistEntry offerNext(Long hallId, String cabin, Long shiftId, Long vacatedStudentId) {
+
+        List<WaitlistEntry> waiting = waitlistRepo
+                .findByHallIdAndStatusOrderByPriorityAscRequestedOnAscIdAsc(hallId, WaitlistStatus.WAITING);
+
+        for (WaitlistEntry entry : waiting) {
+
+            if (fitsShift(entry.getShiftId(), shiftId)) {
+
+                entry.setStatus(WaitlistStatus.OFFERED);
+                entry.setOfferedOn(LocalDate.now());
+                entry.setOfferedCabin(cabin);
+                entry.setOfferedShiftId(shiftId);
+                entry.setVacatedStudentId(vacatedStudentId);
+
+                return waitlistRepo.save(entry);
+            }
+        }
+
+        return null;
+    }
+
+    // A full-day seat suits any applicant, and an applicant with no preference takes any shift
+    private boolean fitsShift(Long wantedShiftId, Long vacatedShiftId) {
+        return wantedShiftId == null || vacatedShiftId == null || wantedShiftId.equals(vacatedShiftId);
+    }
+
+    private void validate(WaitlistEntry entry) {
+
+        if (entry.getName() == null || entry.getName().isBlank()) {
+            throw new BadRequestException("Applicant name is required");
+        }
+
+        StudyHall hall = studyHallService.resolveHall(entry.getHallId(), entry.getHall());
+
+        if (hall == null) {
+            throw new BadRequestException("Choose the hall the applicant is waiting for");
+        }
+
+        entry.setHallId(hall.getId());
+        entry.setHall(hall.getName());
+
+        if (entry.getShiftId() != null) {
+
+            Shift shift = shiftRepo.findById(entry.getShiftId()).orElse(null);
+
+            if (shift == null || !hall.getId().equals(shift.getHallId())) {
+                throw new BadRequestException("The preferred shift does not belong to " + hall.getName());
+            }
+        }
+
+        if (entry.getPriority() != null
+                && (entry.getPriority() < HIGHEST_PRIORITY || entry.getPriority() > LOWEST_PRIORITY)) {
+            throw new BadRequestException("Priority must be between " + HIGHEST_PRIORITY
+                    + " and " + LOWEST_PRIORITY);
+        }
+    }
+
+    private WaitlistEntry findEntry(Long id) {
+        return waitlistRepo.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException(
+                        "Waitlist entry not found with id " + id));
+    }
+}
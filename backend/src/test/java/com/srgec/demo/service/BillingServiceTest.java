@@ -0,0 +1,118 @@
+package com.srgec.demo.service;
+
+import static org.assertj.core.api.Assertions.assertThat;
+import static org.assertj.core.api.Assertions.assertThatThrownBy;
+import static org.mockito.Mockito.verifyNoInteractions;
+
+import java.time.LocalDate;
+
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.extension.ExtendWith;
+import org.mockito.InjectMocks;
+import org.mockito.Mock;
+import org.mockito.junit.jupiter.MockitoExtension;
+
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.exception.BadRequestException;
+import com.srgec.demo.repository.BillingCycleRepository;
+import com.srgec.demo.repository.BillingRunRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+@ExtendWith(MockitoExtension.class)
+class BillingServiceTest {
+
+    private static final LocalDate JOIN_DATE = LocalDate.of(2026, 1, 10);
+
+    // Joined on the 31st, so every shorter month moves the cycle start back
+    private static final LocalDate MONTH_END_JOIN = LocalDate.of(2026, 1, 31);
+
+    @Mock
+    private StudentRepository studentRepo;
+
+    @Mock
+    private BillingCycleRepository cycleRepo;
+
+    @Mock
+    private BillingRunRepository runRepo;
+
+    @InjectMocks
+    private BillingService billingService;
+
+    @Test
+    void runDatedInTheFutureIsRejected() {
+
+        LocalDate tomorrow = LocalDate.now().plusDays(1);
+
+        assertThatThrownBy(() -> billingService.run(tomorrow))
+                .isInstanceOf(BadRequestException.class);
+
+        verifyNoInteractions(studentRepo, cycleRepo, runRepo);
+    }
+
+    @Test
+    void cyclesRunFromTheJoinDayToTheDayBeforeItNextMonth() {
+
+        assertThat(BillingService.cycleStart(JOIN_DATE, 0)).isEqualTo(JOIN_DATE);
+        assertThat(BillingService.cycleEnd(JOIN_DATE, 0)).isEqualTo(LocalDate.of(2026, 2, 9));
+        assertThat(BillingService.cycleStart(JOIN_DATE, 2)).isEqualTo(LocalDate.of(2026, 3, 10));
+        assertThat(BillingService.cycleEnd(JOIN_DATE, 2)).isEqualTo(LocalDate.of(2026, 4, 9));
+    }
+
+    @Test
+    void cycleIndexChangesOnTheCycleStartDay() {
+
+        assertThat(BillingService.cycleIndexOn(JOIN_DATE, JOIN_DATE)).isZero();
+        assertThat(BillingService.cycleIndexOn(JOIN_DATE, LocalDate.of(2026, 2, 9))).isZero();
+        assertThat(BillingService.cycleIndexOn(JOIN_DATE, LocalDate.of(2026, 2, 10))).isEqualTo(1);
+        assertThat(BillingService.cycleIndexOn(JOIN_DATE, LocalDate.of(2027, 1, 10))).isEqualTo(12);
+    }
+
+    @Test
+    void joiningOnTheThirtyFirstBillsOnTheLastDayOfFebruary() {
+
+        assertThat(BillingService.cycleEnd(MONTH_END_JOIN, 0)).isEqualTo(LocalDate.of(2026, 2, 27));
+        assertThat(BillingService.cycleStart(MONTH_END_JOIN, 1)).isEqualTo(LocalDate.of(2026, 2, 28));
+        assertThat(BillingService.cycleEnd(MONTH_END_JOIN, 1)).isEqualTo(LocalDate.of(2026, 3, 30));
+        assertThat(BillingService.cycleStart(MONTH_END_JOIN, 2)).isEqualTo(LocalDate.of(2026, 3, 31));
+        assertThat(BillingService.cycleStart(MONTH_END_JOIN, 3)).isEqualTo(LocalDate.of(2026, 4, 30));
+
+        assertThat(BillingService.cycleIndexOn(MONTH_END_JOIN, LocalDate.of(2026, 2, 27))).isZero();
+        assertThat(BillingService.cycleIndexOn(MONTH_END_JOIN, LocalDate.of(2026, 2, 28))).isEqualTo(1);
+        assertThat(BillingService.cycleIndexOn(MONTH_END_JOIN, LocalDate.of(2026, 3, 30))).isEqualTo(1);
+        assertThat(BillingService.cycleIndexOn(MONTH_END_JOIN, LocalDate.of(2026, 3, 31))).isEqualTo(2);
+    }
+
+    @Test
+    void leapYearCycleStartsOnTheTwentyNinth() {
+
+        LocalDate joined = LocalDate.of(2028, 1, 31);
+
+        assertThat(BillingService.cycleStart(joined, 1)).isEqualTo(LocalDate.of(2028, 2, 29));
+        assertThat(BillingService.cycleIndexOn(joined, LocalDate.of(2028, 2, 28))).isZero();
+        assertThat(BillingService.cycleIndexOn(joined, LocalDate.of(2028, 2, 29))).isEqualTo(1);
+    }
+
+    @Test
+    void consecutiveCyclesNeitherOverlapNorLeaveAGap() {
+
+        for (int i = 0; i < 24; i++) {
+            assertThat(BillingService.cycleEnd(MONTH_END_JOIN, i).plusDays(1))
+                    .isEqualTo(BillingService.cycleStart(MONTH_END_JOIN, i + 1));
+        }
+    }
+
+    @Test
+    void firstUnbilledCycleFollowsBilledThrough() {
+
+        Student s = new Student();
+        s.setJoinDate(MONTH_END_JOIN);
+
+        assertThat(BillingService.firstUnbilledCycle(s)).isZero();
+
+        s.setBilledThrough(LocalDate.of(2026, 2, 27));
+        assertThat(BillingService.firstUnbilledCycle(s)).isEqualTo(1);
+
+        s.setBilledThrough(LocalDate.of(2026, 3, 30));
+        assertThat(BillingService.firstUnbilledCycle(s)).isEqualTo(2);
+    }
+}
@@ -0,0 +1,114 @@
+package com.srgec.demo.service;
+
+import static org.assertj.core.api.Assertions.assertThat;
+import static org.assertj.core.api.Assertions.tuple;
+import static org.mockito.ArgumentMatchers.any;
+import static org.mockito.Mockito.times;
+import static org.mockito.Mockito.verify;
+
+import java.time.LocalDate;
+import java.util.List;
+
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.extension.ExtendWith;
+import org.mockito.ArgumentCaptor;
+import org.mockito.InjectMocks;
+import org.mockito.Mock;
+import org.mockito.junit.jupiter.MockitoExtension;
+
+import com.srgec.demo.dto.DepositSettlementDTO;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.repository.StudentRepository;
+
+@ExtendWith(MockitoExtension.class)
+class DepositServiceTest {
+
+    private static final LocalDate LEFT_ON = LocalDate.of(2026, 4, 15);
+
+    @Mock
+    private StudentRepository studentRepo;
+
+    @Mock
+    private LedgerService ledgerService;
+
+    @Mock
+    private BillingService billingService;
+
+    @Mock
+    private ProrationService prorationService;
+
+    @Mock
+    private AuditService auditService;
+
+    @InjectMocks
+    private DepositService depositService;
+
+    @Test
+    void creditBalanceIsRefundedWithTheDeposit() {
+
+        DepositSettlementDTO dto = depositService.settle(student(1000, -300), LEFT_ON, null, null, "UPI");
+
+        assertThat(dto.getSettlement()).isEqualTo(1300);
+        assertThat(dto.getAppliedToDues()).isZero();
+        assertThat(dto.getCreditRefund()).isEqualTo(300);
+        assertThat(dto.getRefund()).isEqualTo(1300);
+        assertThat(dto.getBalanceDue()).isZero();
+
+        assertThat(posted(2)).extracting(LedgerEntry::getType, LedgerEntry::getAmount).containsExactly(
+                tuple(LedgerEntryType.ADJUSTMENT, 300),
+                tuple(LedgerEntryType.DEPOSIT_REFUND, 1000));
+    }
+
+    @Test
+    void damagesComeOutOfTheCreditBeforeTheDeposit() {
+
+        DepositSettlementDTO dto = depositService.settle(student(1000, -300), LEFT_ON, 500, "Broken chair", null);
+
+        // 300 of the damages from the credit, the other 200 kept from the deposit
+        assertThat(dto.getSettlement()).isEqualTo(800);
+        assertThat(dto.getAppliedToDues()).isEqualTo(200);
+        assertThat(dto.getCreditRefund()).isZero();
+        assertThat(dto.getRefund()).isEqualTo(800);
+        assertThat(dto.getBalanceDue()).isZero();
+
+        assertThat(posted(3)).extracting(LedgerEntry::getType, LedgerEntry::getAmount).containsExactly(
+                tuple(LedgerEntryType.CHARGE, 500),
+                tuple(LedgerEntryType.DEPOSIT_APPLIED, -200),
+                tuple(LedgerEntryType.DEPOSIT_REFUND, 800));
+    }
+
+    @Test
+    void feesDueAreKeptFromTheDeposit() {
+
+        DepositSettlementDTO dto = depositService.settle(student(1000, 1200), LEFT_ON, null, null, null);
+
+        assertThat(dto.getSettlement()).isEqualTo(-200);
+        assertThat(dto.getAppliedToDues()).isEqualTo(1000);
+        assertThat(dto.getCreditRefund()).isZero();
+        assertThat(dto.getRefund()).isZero();
+        assertThat(dto.getBalanceDue()).isEqualTo(200);
+    }
+
+    private List<LedgerEntry> posted(int count) {
+
+        ArgumentCaptor<LedgerEntry> entries = ArgumentCaptor.forClass(LedgerEntry.class);
+
+        verify(ledgerService, times(count)).post(any(Student.class), entries.capture());
+
+        return entries.getAllValues();
+    }
+
+    private static Student student(int depositHeld, int feeDue) {
+
+        Student s = new Student();
+
+        s.setId(1L);
+        s.setName("Asha");
+        s.setDepositHeld(depositHeld);
+        s.setFeeDue(feeDue);
+
+        return s;
+    }
+}
@@ -0,0 +1,122 @@
+package com.srgec.demo.service;
+
+import static org.assertj.core.api.Assertions.assertThat;
+import static org.mockito.Mockito.when;
+
+import java.util.List;
+
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.extension.ExtendWith;
+import org.mockito.InjectMocks;
+import org.mockito.Mock;
+import org.mockito.junit.jupiter.MockitoExtension;
+
+import com.srgec.demo.dto.DuplicateStudentDTO;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.repository.StudentRepository;
+
+@ExtendWith(MockitoExtension.class)
+class DuplicateStudentServiceTest {
+
+    @Mock
+    private StudentRepository studentRepo;
+
+    @InjectMocks
+    private DuplicateStudentService duplicateStudentService;
+
+    @Test
+    void namesMatchInAnyOrderAndCase() {
+        assertThat(DuplicateStudentService.similarNames("Rahul Sharma", "sharma RAHUL")).isTrue();
+        assertThat(DuplicateStudentService.similarNames("Rahul  Sharma.", "Rahul Sharma")).isTrue();
+    }
+
+    @Test
+    void namesMatchAcrossASingleTypo() {
+        assertThat(DuplicateStudentService.similarNames("Rahul Sharma", "Rahul Sarma")).isTrue();
+        assertThat(DuplicateStudentService.similarNames("Venkata Subramanian", "Venkata Subramaniam")).isTrue();
+    }
+
+    @Test
+    void nearMissNamesDoNotMatch() {
+        assertThat(DuplicateStudentService.similarNames("Rahul Sharma", "Rohit Sharma")).isFalse();
+        assertThat(DuplicateStudentService.similarNames("Rahul Sharma", "Rahul Verma")).isFalse();
+        assertThat(DuplicateStudentService.similarNames("Priya", "Priyanka")).isFalse();
+    }
+
+    @Test
+    void missingNamesNeverMatch() {
+        assertThat(DuplicateStudentService.similarNames(null, "Rahul Sharma")).isFalse();
+        assertThat(DuplicateStudentService.similarNames("  ", "")).isFalse();
+    }
+
+    @Test
+    void phoneWithCountryCodeMatchesThePlainNumber() {
+
+        assertThat(StudentDetailsService.lastTenDigits("+91 98765 43210")).isEqualTo("9876543210");
+        assertThat(StudentDetailsService.lastTenDigits("098765-43210")).isEqualTo("9876543210");
+        assertThat(StudentDetailsService.lastTenDigits(null)).isEmpty();
+
+        Student existing = student(2L, "Asha Verma", "9876543210", null);
+
+        when(studentRepo.findAll()).thenReturn(List.of(existing));
+
+        List<DuplicateStudentDTO> matches = duplicateStudentService.findDuplicates(
+                student(null, "Someone Else", "+91 98765 43210", null));
+
+        assertThat(matches).hasSize(1);
+        assertThat(matches.get(0).getStudent()).isSameAs(existing);
+        assertThat(matches.get(0).getReasons()).containsExactly("Same phone number");
+    }
+
+    @Test
+    void partialPhoneNumbersDoNotMatch() {
+
+        when(studentRepo.findAll()).thenReturn(List.of(student(2L, "Asha Verma", "98765", null)));
+
+        assertThat(duplicateStudentService.findDuplicates(student(null, "Asha Verma", "98765", null))).isEmpty();
+    }
+
+    @Test
+    void similarNameWithTheSameGuardianPhoneMatches() {
+
+        when(studentRepo.findAll()).thenReturn(List.of(student(2L, "Rahul Sarma", "9000000001", "9812345678")));
+
+        List<DuplicateStudentDTO> matches = duplicateStudentService.findDuplicates(
+                student(null, "Rahul Sharma", "9000000002", "+91 98123 45678"));
+
+        assertThat(matches).hasSize(1);
+        assertThat(matches.get(0).getReasons()).containsExactly("Similar name with the same guardian phone");
+    }
+
+    // Siblings share a guardian but are different students
+    @Test
+    void differentNameWithTheSameGuardianPhoneDoesNotMatch() {
+
+        when(studentRepo.findAll()).thenReturn(List.of(student(2L, "Rohit Sharma", "9000000001", "9812345678")));
+
+        assertThat(duplicateStudentService.findDuplicates(
+                student(null, "Rahul Sharma", "9000000002", "9812345678"))).isEmpty();
+    }
+
+    @Test
+    void studentBeingEditedIsNotItsOwnDuplicate() {
+
+        Student existing = student(2L, "Asha Verma", "9876543210", null);
+
+        when(studentRepo.findAll()).thenReturn(List.of(existing));
+
+        assertThat(duplicateStudentService.findDuplicates(student(2L, "Asha Verma", "9876543210", null))).isEmpty();
+    }
+
+    private static Student student(Long id, String name, String phone, String guardianPhone) {
+
+        Student s = new Student();
+
+        s.setId(id);
+        s.setName(name);
+        s.setPhone(phone);
+        s.setGuardianPhone(guardianPhone);
+
+        return s;
+    }
+}
@@ -0,0 +1,105 @@
+package com.srgec.demo.service;
+
+import static org.assertj.core.api.Assertions.assertThat;
+import static org.mockito.Mockito.when;
+
+import java.time.LocalDate;
+import java.util.ArrayList;
+import java.util.List;
+
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.extension.ExtendWith;
+import org.mockito.InjectMocks;
+import org.mockito.Mock;
+import org.mockito.junit.jupiter.MockitoExtension;
+
+import com.srgec.demo.dto.FeeAgingDTO;
+import com.srgec.demo.dto.LateFeeDTO;
+import com.srgec.demo.entity.LateFeeRule;
+import com.srgec.demo.entity.LateFeeType;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.repository.BillingCycleRepository;
+import com.srgec.demo.repository.LateFeeRuleRepository;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.StudentRepository;
+
+@ExtendWith(MockitoExtension.class)
+class LateFeeServiceTest {
+
+    private static final LocalDate AS_OF = LocalDate.of(2026, 4, 1);
+
+    @Mock
+    private LateFeeRuleRepository ruleRepo;
+
+    @Mock
+    private LedgerEntryRepository ledgerRepo;
+
+    @Mock
+    private StudentRepository studentRepo;
+
+    @Mock
+    private BillingCycleRepository cycleRepo;
+
+    @InjectMocks
+    private LateFeeService lateFeeService;
+
+    @BeforeEach
+    void setUp() {
+
+        Student student = new Student();
+        student.setId(1L);
+        student.setName("Asha");
+
+        // Cycles 1 and 2 unpaid, cycle 3 fully waived
+        List<LedgerEntry> ledger = new ArrayList<>(List.of(
+                entry(LedgerEntryType.CHARGE, 1000, 1L, LocalDate.of(2026, 1, 10)),
+                entry(LedgerEntryType.CHARGE, 1000, 2L, LocalDate.of(2026, 2, 10)),
+                entry(LedgerEntryType.CHARGE, 1000, 3L, LocalDate.of(2026, 3, 10)),
+                entry(LedgerEntryType.DISCOUNT, -1000, 3L, LocalDate.of(2026, 3, 10))));
+
+        when(studentRepo.findAll()).thenReturn(List.of(student));
+        when(ledgerRepo.findByStudentIdOrderByEntryDateAscIdAsc(1L)).thenReturn(ledger);
+    }
+
+    @Test
+    void waiverSettlesItsOwnCycleNotTheOldest() {
+
+        FeeAgingDTO aging = lateFeeService.getAging(AS_OF).get(0);
+
+        assertThat(aging.getOldestDueDate()).isEqualTo(LocalDate.of(2026, 1, 10));
+        assertThat(aging.getOverdueAmount()).isEqualTo(2000);
+    }
+
+    @Test
+    void waivedCycleIsNotCharged() {
+
+        LateFeeRule rule = new LateFeeRule();
+        rule.setId(9L);
+        rule.setName("Late");
+        rule.setType(LateFeeType.FLAT);
+        rule.setAmount(100);
+        rule.setGraceDays(7);
+
+        when(ruleRepo.findByActiveTrueOrderByGraceDaysAsc()).thenReturn(List.of(rule));
+
+        List<LateFeeDTO> fees = lateFeeService.preview(AS_OF);
+
+        assertThat(fees).extracting(LateFeeDTO::getBillingCycleId).containsExactly(1L, 2L);
+    }
+
+    private static LedgerEntry entry(LedgerEntryType type, int amount, Long cycleId, LocalDate date) {
+
+        LedgerEntry entry = new LedgerEntry();
+
+        entry.setStudentId(1L);
+        entry.setType(type);
+        entry.setAmount(amount);
+        entry.setBillingCycleId(cycleId);
+        entry.setEntryDate(date);
+
+        return entry;
+    }
+}
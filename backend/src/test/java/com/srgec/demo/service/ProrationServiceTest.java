@@ -0,0 +1,307 @@
+package com.srgec.demo.service;
+
+import static org.assertj.core.api.Assertions.assertThat;
+import static org.mockito.Mockito.lenient;
+import static org.mockito.Mockito.when;
+
+import java.time.LocalDate;
+import java.util.List;
+import java.util.Optional;
+
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.extension.ExtendWith;
+import org.mockito.InjectMocks;
+import org.mockito.Mock;
+import org.mockito.junit.jupiter.MockitoExtension;
+import org.springframework.test.util.ReflectionTestUtils;
+
+import com.srgec.demo.dto.ProrationDTO;
+import com.srgec.demo.entity.BillingCycle;
+import com.srgec.demo.entity.Concession;
+import com.srgec.demo.entity.ConcessionType;
+import com.srgec.demo.entity.LedgerEntry;
+import com.srgec.demo.entity.LedgerEntryType;
+import com.srgec.demo.entity.ProrationPolicy;
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.StudyHall;
+import com.srgec.demo.repository.BillingCycleRepository;
+import com.srgec.demo.repository.ConcessionRepository;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.repository.StudyHallRepository;
+
+@ExtendWith(MockitoExtension.class)
+class ProrationServiceTest {
+
+    private static final LocalDate JOIN_DATE = LocalDate.of(2026, 1, 10);
+    private static final LocalDate CYCLE_START = LocalDate.of(2026, 3, 10);
+    private static final LocalDate CYCLE_END = LocalDate.of(2026, 4, 9);
+
+    @Mock
+    private StudentRepository studentRepo;
+
+    @Mock
+    private StudyHallRepository hallRepo;
+
+    @Mock
+    private BillingCycleRepository cycleRepo;
+
+    @Mock
+    private LedgerEntryRepository ledgerRepo;
+
+    @Mock
+    private ConcessionRepository concessionRepo;
+
+    @InjectMocks
+    private ConcessionService concessionService;
+
+    @InjectMocks
+    private ProrationService prorationService;
+
+    private Student student;
+
+    @BeforeEach
+    void setUp() {
+
+        ReflectionTestUtils.setField(prorationService, "concessionService", concessionService);
+
+        student = new Student();
+        student.setId(1L);
+        student.setName("Asha");
+        student.setJoinDate(JOIN_DATE);
+        student.setMonthlyFee(1000);
+
+        // Not every test looks the student up
+        lenient().when(studentRepo.findById(1L)).thenReturn(Optional.of(student));
+    }
+
+    @Test
+    void leavingInAWaivedCycleChargesNothingMore() {
+
+        Concession waiver = concession(ConcessionType.WAIVER, 100);
+        waiver.setAppliedCycleId(5L);
+
+        BillingCycle cycle = cycle(5L, 1000, 1000);
+
+        when(concessionRepo.findByStudentIdOrderByIdAsc(1L)).thenReturn(List.of(waiver));
+        when(cycleRepo.findByStudentIdAndCycleStart(1L, CYCLE_START)).thenReturn(Optional.of(cycle));
+        when(ledgerRepo.findByBillingCycleId(5L)).thenReturn(List.of(
+                entry(LedgerEntryType.CHARGE, 1000),
+                entry(LedgerEntryType.DISCOUNT, -1000)));
+
+        ProrationDTO dto = prorationService.previewLeave(1L, LocalDate.of(2026, 3, 20));
+
+        assertThat(dto.getCycleStart()).isEqualTo(CYCLE_START);
+        assertThat(dto.getAlreadyBilled()).isZero();
+        assertThat(dto.getProratedAmount()).isZero();
+        assertThat(dto.getAdjustment()).isZero();
+    }
+
+    @Test
+    void waiverUsedOnAnotherCycleDoesNotReduceThisOne() {
+
+        Concession waiver = concession(ConcessionType.WAIVER, 100);
+        waiver.setAppliedCycleId(4L);
+
+        BillingCycle cycle = cycle(5L, 1000, 0);
+
+        when(concessionRepo.findByStudentIdOrderByIdAsc(1L)).thenReturn(List.of(waiver));
+        when(cycleRepo.findByStudentIdAndCycleStart(1L, CYCLE_START)).thenReturn(Optional.of(cycle));
+        when(ledgerRepo.findByBillingCycleId(5L)).thenReturn(List.of(entry(LedgerEntryType.CHARGE, 1000)));
+
+        ProrationDTO dto = prorationService.previewLeave(1L, LocalDate.of(2026, 3, 20));
+
+        assertThat(dto.getAlreadyBilled()).isEqualTo(1000);
+        assertThat(dto.getProratedAmount()).isEqualTo(1000);
+        assertThat(dto.getAdjustment()).isZero();
+    }
+
+    @Test
+    void chargedFractionFollowsThePolicy() {
+
+        assertThat(ProrationService.chargedFraction(ProrationPolicy.FULL_MONTH, 1, 30)).isEqualTo(1);
+        assertThat(ProrationService.chargedFraction(ProrationPolicy.DAILY, 12, 30)).isEqualTo(0.4);
+        assertThat(ProrationService.chargedFraction(ProrationPolicy.HALF_MONTH, 15, 30)).isEqualTo(0.5);
+        assertThat(ProrationService.chargedFraction(ProrationPolicy.HALF_MONTH, 16, 30)).isEqualTo(1);
+    }
+
+    @Test
+    void chargedFractionIsNothingForNoDaysAndAllForTheWholeCycle() {
+
+        for (ProrationPolicy policy : ProrationPolicy.values()) {
+            assertThat(ProrationService.chargedFraction(policy, 0, 31)).isZero();
+            assertThat(ProrationService.chargedFraction(policy, 31, 31)).isEqualTo(1);
+        }
+    }
+
+    @Test
+    void dailyPolicyChargesTheDaysBeforeLeaving() {
+
+        inHall(ProrationPolicy.DAILY);
+
+        when(cycleRepo.findByStudentIdAndCycleStart(1L, CYCLE_START)).thenReturn(Optional.of(cycle(5L, 1000, 0)));
+
+        ProrationDTO dto = prorationService.previewLeave(1L, LocalDate.of(2026, 3, 20));
+
+        assertThat(dto.getCycleDays()).isEqualTo(31);
+        assertThat(dto.getDaysCharged()).isEqualTo(10);
+        assertThat(dto.getProratedAmount()).isEqualTo(323);
+        assertThat(dto.getAdjustment()).isEqualTo(-677);
+    }
+
+    @Test
+    void halfMonthPolicyChargesHalfUpToMidCycle() {
+
+        inHall(ProrationPolicy.HALF_MONTH);
+
+        when(cycleRepo.findByStudentIdAndCycleStart(1L, CYCLE_START)).thenReturn(Optional.of(cycle(5L, 1000, 0)));
+
+        assertThat(prorationService.previewLeave(1L, LocalDate.of(2026, 3, 20)).getAdjustment()).isEqualTo(-500);
+        assertThat(prorationService.previewLeave(1L, LocalDate.of(2026, 3, 27)).getAdjustment()).isZero();
+    }
+
+    @Test
+    void fullMonthPolicyKeepsTheWholeCycle() {
+
+        when(cycleRepo.findByStudentIdAndCycleStart(1L, CYCLE_START)).thenReturn(Optional.of(cycle(5L, 1000, 0)));
+
+        ProrationDTO dto = prorationService.previewLeave(1L, LocalDate.of(2026, 3, 11));
+
+        assertThat(dto.getProratedAmount()).isEqualTo(1000);
+        assertThat(dto.getAdjustment()).isZero();
+    }
+
+    // The billing run may already have invoiced the cycle starting on the leave date
+    @Test
+    void leavingOnTheDayACycleStartsCreditsItInFull() {
+
+        inHall(ProrationPolicy.FULL_MONTH);
+
+        when(cycleRepo.findByStudentIdAndCycleStart(1L, CYCLE_START)).thenReturn(Optional.of(cycle(5L, 1000, 0)));
+
+        ProrationDTO dto = prorationService.previewLeave(1L, CYCLE_START);
+
+        assertThat(dto.getCycleStart()).isEqualTo(CYCLE_START);
+        assertThat(dto.getDaysCharged()).isZero();
+        assertThat(dto.getProratedAmount()).isZero();
+        assertThat(dto.getAdjustment()).isEqualTo(-1000);
+    }
+
+    @Test
+    void leavingOnTheLastDayOfACycleStaysInThatCycle() {
+
+        inHall(ProrationPolicy.DAILY);
+
+        ProrationDTO dto = prorationService.previewLeave(1L, CYCLE_END);
+
+        assertThat(dto.getCycleStart()).isEqualTo(CYCLE_START);
+        assertThat(dto.getDaysCharged()).isEqualTo(30);
+        assertThat(dto.getProratedAmount()).isEqualTo(968);
+    }
+
+    @Test
+    void monthEndJoinProratesOverTheShortFebruaryCycle() {
+
+        inHall(ProrationPolicy.DAILY);
+        student.setJoinDate(LocalDate.of(2026, 1, 31));
+
+        ProrationDTO dto = prorationService.previewLeave(1L, LocalDate.of(2026, 2, 15));
+
+        assertThat(dto.getCycleStart()).isEqualTo(LocalDate.of(2026, 1, 31));
+        assertThat(dto.getCycleEnd()).isEqualTo(LocalDate.of(2026, 2, 27));
+        assertThat(dto.getCycleDays()).isEqualTo(28);
+        assertThat(dto.getDaysCharged()).isEqualTo(15);
+        assertThat(dto.getProratedAmount()).isEqualTo(536);
+    }
+
+    @Test
+    void monthEndJoinCycleStartsOnTheTwentyEighthOfFebruary() {
+
+        inHall(ProrationPolicy.DAILY);
+        student.setJoinDate(LocalDate.of(2026, 1, 31));
+
+        ProrationDTO dto = prorationService.previewLeave(1L, LocalDate.of(2026, 3, 14));
+
+        assertThat(dto.getCycleStart()).isEqualTo(LocalDate.of(2026, 2, 28));
+        assertThat(dto.getCycleEnd()).isEqualTo(LocalDate.of(2026, 3, 30));
+        assertThat(dto.getCycleDays()).isEqualTo(31);
+        assertThat(dto.getProratedAmount()).isEqualTo(452);
+    }
+
+    @Test
+    void rejoiningChargesTheRemainingDaysIncludingTheRejoinDay() {
+
+        inHall(ProrationPolicy.DAILY);
+
+        ProrationDTO dto = prorationService.previewReactivation(1L, LocalDate.of(2026, 3, 20));
+
+        assertThat(dto.getDaysCharged()).isEqualTo(21);
+        assertThat(dto.getAlreadyBilled()).isZero();
+        assertThat(dto.getProratedAmount()).isEqualTo(677);
+    }
+
+    @Test
+    void transferSplitsTheCycleBetweenTheOldAndNewFee() {
+
+        inHall(ProrationPolicy.DAILY);
+
+        when(cycleRepo.findByStudentIdAndCycleStart(1L, CYCLE_START)).thenReturn(Optional.of(cycle(5L, 1000, 0)));
+
+        ProrationDTO dto = prorationService.previewTransfer(1L, 1500, LocalDate.of(2026, 3, 20));
+
+        assertThat(dto.getProratedAmount()).isEqualTo(1339);
+        assertThat(dto.getAdjustment()).isEqualTo(339);
+    }
+
+    private void inHall(ProrationPolicy policy) {
+
+        StudyHall hall = new StudyHall();
+        hall.setId(3L);
+        hall.setProrationPolicy(policy);
+
+        student.setHallId(3L);
+
+        when(hallRepo.findById(3L)).thenReturn(Optional.of(hall));
+    }
+
+    private static Concession concession(ConcessionType type, int percent) {
+
+        Concession c = new Concession();
+
+        c.setId(7L);
+        c.setStudentId(1L);
+        c.setType(type);
+        c.setPercent(percent);
+        c.setReason("Test");
+        c.setValidFrom(JOIN_DATE);
+
+        return c;
+    }
+
+    private static BillingCycle cycle(Long id, int baseAmount, int discountAmount) {
+
+        BillingCycle cycle = new BillingCycle();
+
+        cycle.setId(id);
+        cycle.setStudentId(1L);
+        cycle.setCycleStart(CYCLE_START);
+        cycle.setCycleEnd(CYCLE_END);
+        cycle.setBaseAmount(baseAmount);
+        cycle.setDiscountAmount(discountAmount);
+        cycle.setAmount(baseAmount - discountAmount);
+
+        return cycle;
+    }
+
+    private static LedgerEntry entry(LedgerEntryType type, int amount) {
+
+        LedgerEntry entry = new LedgerEntry();
+
+        entry.setType(type);
+        entry.setAmount(amount);
+        entry.setBillingCycleId(5L);
+
+        return entry;
+    }
+}
@@ -0,0 +1,151 @@
+package com.srgec.demo.service;
+
+import static org.assertj.core.api.Assertions.assertThat;
+import static org.mockito.Mockito.verify;
+import static org.mockito.Mockito.when;
+
+import java.lang.reflect.Field;
+import java.time.LocalDateTime;
+import java.util.List;
+import java.util.Optional;
+import java.util.Set;
+import java.util.TreeSet;
+
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.extension.ExtendWith;
+import org.mockito.InjectMocks;
+import org.mockito.Mock;
+import org.mockito.junit.jupiter.MockitoExtension;
+import org.springframework.beans.factory.config.BeanDefinition;
+import org.springframework.context.annotation.ClassPathScanningCandidateComponentProvider;
+import org.springframework.core.type.filter.AnnotationTypeFilter;
+
+import com.srgec.demo.entity.Student;
+import com.srgec.demo.entity.WaitlistEntry;
+import com.srgec.demo.repository.AttendanceRepository;
+import com.srgec.demo.repository.BillingCycleRepository;
+import com.srgec.demo.repository.ConcessionRepository;
+import com.srgec.demo.repository.LedgerEntryRepository;
+import com.srgec.demo.repository.PlacementRepository;
+import com.srgec.demo.repository.PrepaidPlanRepository;
+import com.srgec.demo.repository.StudentDocumentRepository;
+import com.srgec.demo.repository.StudentNoteRepository;
+import com.srgec.demo.repository.StudentPhotoRepository;
+import com.srgec.demo.repository.StudentRepository;
+import com.srgec.demo.repository.StudyHallRepository;
+import com.srgec.demo.repository.WaitlistRepository;
+
+import jakarta.persistence.Entity;
+
+@ExtendWith(MockitoExtension.class)
+class RecycleBinServiceTest {
+
+    // Every entity holding a student's id, and so cleared by purgeStudent
+    private static final Set<String> CLEARED_ON_PURGE = Set.of(
+            "Attendance", "BillingCycle", "Concession", "LedgerEntry", "Placement", "PrepaidPlan",
+            "StudentDocument", "StudentNote", "StudentPhoto", "WaitlistEntry");
+
+    @Mock
+    private StudentRepository studentRepo;
+
+    @Mock
+    private StudyHallRepository hallRepo;
+
+    @Mock
+    private LedgerEntryRepository ledgerRepo;
+
+    @Mock
+    private BillingCycleRepository cycleRepo;
+
+    @Mock
+    private PlacementRepository placementRepo;
+
+    @Mock
+    private ConcessionRepository concessionRepo;
+
+    @Mock
+    private PrepaidPlanRepository planRepo;
+
+    @Mock
+    private AttendanceRepository attendanceRepo;
+
+    @Mock
+    private StudentNoteRepository noteRepo;
+
+    @Mock
+    private StudentDocumentRepository documentRepo;
+
+    @Mock
+    private StudentPhotoRepository photoRepo;
+
+    @Mock
+    private WaitlistRepository waitlistRepo;
+
+    @Mock
+    private SeatService seatService;
+
+    @Mock
+    private AuditService auditService;
+
+    @InjectMocks
+    private RecycleBinService recycleBinService;
+
+    @Test
+    void purgingAStudentLeavesNothingUnderTheirId() {
+
+        Student student = new Student();
+        student.setId(1L);
+        student.setName("Asha");
+        student.setDeletedAt(LocalDateTime.now().minusDays(40));
+
+        WaitlistEntry converted = new WaitlistEntry();
+        converted.setStudentId(1L);
+
+        WaitlistEntry offered = new WaitlistEntry();
+        offered.setVacatedStudentId(1L);
+
+        when(studentRepo.findDeletedById(1L)).thenReturn(Optional.of(student));
+        when(waitlistRepo.findByStudentIdOrVacatedStudentId(1L, 1L)).thenReturn(List.of(converted, offered));
+
+        recycleBinService.purgeStudent(1L);
+
+        verify(ledgerRepo).deleteByStudentId(1L);
+        verify(cycleRepo).deleteByStudentId(1L);
+        verify(placementRepo).deleteByStudentId(1L);
+        verify(concessionRepo).deleteByStudentId(1L);
+        verify(planRepo).deleteByStudentId(1L);
+        verify(attendanceRepo).deleteByStudentId(1L);
+        verify(noteRepo).deleteByStudentId(1L);
+        verify(documentRepo).deleteByStudentId(1L);
+        verify(photoRepo).deleteByStudentId(1L);
+        verify(studentRepo).purge(1L);
+
+        assertThat(converted.getStudentId()).isNull();
+        assertThat(offered.getVacatedStudentId()).isNull();
+        verify(waitlistRepo).save(converted);
+        verify(waitlistRepo).save(offered);
+    }
+
+    // A new table keyed by student has to be added to purgeStudent, and then to the list above
+    @Test
+    void everyEntityWithAStudentIdIsClearedOnPurge() throws Exception {
+
+        ClassPathScanningCandidateComponentProvider scanner = new ClassPathScanningCandidateComponentProvider(false);
+        scanner.addIncludeFilter(new AnnotationTypeFilter(Entity.class));
+
+        Set<String> withStudentId = new TreeSet<>();
+
+        for (BeanDefinition definition : scanner.findCandidateComponents("com.srgec.demo.entity")) {
+
+            Class<?> type = Class.forName(definition.getBeanClassName());
+
+            for (Field field : type.getDeclaredFields()) {
+                if (field.getName().equals("studentId") || field.getName().endsWith("StudentId")) {
+                    withStudentId.add(type.getSimpleName());
+                }
+            }
+        }
+
+        assertThat(withStudentId).containsExactlyInAnyOrderElementsOf(CLEARED_ON_PURGE);
+    }
+}
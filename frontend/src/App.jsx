@@ -5,11 +5,25 @@ import Navbar from './components/Navbar';
 import Dashboard from './pages/Dashboard';
 import StudentsManagement from './pages/StudentsManagement';
 import StudentForm from './pages/StudentForm';
+import StudentProfile from './pages/StudentProfile';
 import StudyHallManagement from './pages/StudyHallManagement';
 import StudyHallForm from './pages/StudyHallForm';
+import SeatMap from './pages/SeatMap';
+import Waitlist from './pages/Waitlist';
+import Attendance from './pages/Attendance';
+import AttendanceKiosk from './pages/AttendanceKiosk';
 import Reports from './pages/Reports';
 import UpcomingFees from './pages/UpcomingFees';
+import PaymentHistory from './pages/PaymentHistory';
+import Receipt from './pages/Receipt';
+import BillingRuns from './pages/BillingRuns';
+import Login from './pages/Login';
+import Staff from './pages/Staff';
+import Activity from './pages/Activity';
+import RecycleBin from './pages/RecycleBin';
+import ProtectedRoute from './components/ProtectedRoute';
 import { NotificationProvider } from './components/NotificationContext';
+import { AuthProvider } from './components/AuthContext';
 import './App.css';
 
 function App() {
@@ -21,44 +35,68 @@ function App() {
 
   return (
     <NotificationProvider>
-      <Router>
-        <div className="flex h-screen bg-gray-50 overflow-hidden font-sans">
+      <AuthProvider>
+        <Router>
+          <Routes>
+            {/* Full-screen kiosk for the hall entrance, outside the staff layout; nobody signs in to it */}
+            <Route path="/kiosk" element={<AttendanceKiosk />} />
+            <Route path="/login" element={<Login />} />
+
+            <Route path="*" element={
+              <ProtectedRoute>
+                <div className="flex h-screen bg-gray-50 overflow-hidden font-sans print:h-auto print:overflow-visible print:bg-white">
           
-          {/* Collapsible/Drawer Sidebar Component */}
-          <Sidebar isOpen={sidebarOpen} toggleSidebar={toggleSidebar} />
+                  {/* Collapsible/Drawer Sidebar Component */}
+                  <Sidebar isOpen={sidebarOpen} toggleSidebar={toggleSidebar} />
 
-          {/* Main Content Area Wrapper */}
-          <div className="flex-1 flex flex-col min-w-0 overflow-hidden">
+                  {/* Main Content Area Wrapper */}
+                  <div className="flex-1 flex flex-col min-w-0 overflow-hidden print:overflow-visible">
             
-            {/* Navbar Component */}
-            <Navbar toggleSidebar={toggleSidebar} />
+                    {/* Navbar Component */}
+                    <Navbar toggleSidebar={toggleSidebar} />
 
-            {/* Scrollable Main View Container */}
-            <main className="flex-1 overflow-y-auto bg-gray-50 focus:outline-none">
-              <Routes>
-                <Route path="/" element={<Dashboard />} />
+                    {/* Scrollable Main View Container */}
+                    <main className="flex-1 overflow-y-auto bg-gray-50 focus:outline-none print:overflow-visible print:bg-white">
+                      <Routes>
+                        <Route path="/" element={<Dashboard />} />
                 
-                {/* Students Routes */}
-                <Route path="/students" element={<StudentsManagement />} />
-                <Route path="/students/new" element={<StudentForm />} />
-                <Route path="/students/edit/:id" element={<StudentForm />} />
+                        {/* Students Routes */}
+                        <Route path="/students" element={<StudentsManagement />} />
+                        <Route path="/students/new" element={<StudentForm />} />
+                        <Route path="/students/edit/:id" element={<StudentForm />} />
+                        <Route path="/students/:id" element={<StudentProfile />} />
+                        <Route path="/students/:id/payments" element={<PaymentHistory />} />
+
+                        {/* Study Hall Routes */}
+                        <Route path="/study-halls" element={<StudyHallManagement />} />
+                        <Route path="/study-halls/new" element={<ProtectedRoute permission="manageHalls"><StudyHallForm /></ProtectedRoute>} />
+                        <Route path="/study-halls/edit/:id" element={<ProtectedRoute permission="manageHalls"><StudyHallForm /></ProtectedRoute>} />
+                        <Route path="/study-halls/:id/seats" element={<SeatMap />} />
+                        <Route path="/waitlist" element={<Waitlist />} />
+                        <Route path="/attendance" element={<Attendance />} />
 
-                {/* Study Hall Routes */}
-                <Route path="/study-halls" element={<StudyHallManagement />} />
-                <Route path="/study-halls/new" element={<StudyHallForm />} />
-                <Route path="/study-halls/edit/:id" element={<StudyHallForm />} />
+                        {/* Reports & Upcoming Fees */}
+                        <Route path="/reports" element={<ProtectedRoute permission="viewReports"><Reports /></ProtectedRoute>} />
+                        <Route path="/upcoming-fees" element={<UpcomingFees />} />
+                        <Route path="/receipts/:paymentId" element={<Receipt />} />
+                        <Route path="/billing" element={<BillingRuns />} />
+                        <Route path="/activity" element={<ProtectedRoute permission="viewActivity"><Activity /></ProtectedRoute>} />
+                        <Route path="/recycle-bin" element={<ProtectedRoute permission="viewRecycleBin"><RecycleBin /></ProtectedRoute>} />
 
-                {/* Reports & Upcoming Fees */}
-                <Route path="/reports" element={<Reports />} />
-                <Route path="/upcoming-fees" element={<UpcomingFees />} />
+                        {/* Owner only */}
+                        <Route path="/staff" element={<ProtectedRoute permission="manageStaff"><Staff /></ProtectedRoute>} />
 
-                {/* Wildcard redirect fallback */}
-                <Route path="*" element={<Navigate to="/" replace />} />
-              </Routes>
-            </main>
-          </div>
-        </div>
-      </Router>
+                        {/* Wildcard redirect fallback */}
+                        <Route path="*" element={<Navigate to="/" replace />} />
+                      </Routes>
+                    </main>
+                  </div>
+                </div>
+              </ProtectedRoute>
+            } />
+          </Routes>
+        </Router>
+      </AuthProvider>
     </NotificationProvider>
   );
 }
@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ChevronLeft, ChevronRight, Loader2 } from 'lucide-react';
+import { AttendanceService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import {
+  calendarWeeks,
+  formatClock,
+  formatMonth,
+  shiftMonth,
+  toDateKey,
+  toMonthKey
+} from '../utils/attendance';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// A month of a student's attendance: days they came in, and days they were enrolled but stayed away
+const AttendanceCalendar = ({ student }) => {
+  const [month, setMonth] = useState(toMonthKey(new Date()));
+  const [visits, setVisits] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const { showNotification } = useNotification();
+
+  const fetchVisits = useCallback(
+    () => AttendanceService.getMonth(student.id, month)
+      .then(setVisits)
+      .catch((err) => showNotification(err.message || 'Failed to load attendance', 'error'))
+      .finally(() => setLoading(false)),
+    [student.id, month, showNotification]
+  );
+
+  useEffect(() => {
+    fetchVisits();
+  }, [fetchVisits]);
+
+  const changeMonth = (step) => {
+    setLoading(true);
+    setMonth(shiftMonth(month, step));
+  };
+
+  const today = toDateKey(new Date());
+
+  const visitsByDay = {};
+  visits.forEach((visit) => {
+    visitsByDay[visit.date] = [...(visitsByDay[visit.date] || []), visit];
+  });
+
+  const isEnrolled = (day) =>
+    (!student.joinDate || day >= student.joinDate) && (!student.leftDate || day <= student.leftDate);
+
+  const enrolledDays = calendarWeeks(month).flat().filter((day) => day && day <= today && isEnrolled(day));
+  const presentDays = enrolledDays.filter((day) => visitsByDay[day]).length;
+
+  const dayClassName = (day) => {
+    if (visitsByDay[day]) return 'bg-emerald-500 text-white';
+    if (day <= today && isEnrolled(day)) return 'bg-red-50 text-red-600';
+    return 'text-gray-300';
+  };
+
+  const describeDay = (day) => {
+    const dayVisits = visitsByDay[day];
+    if (!dayVisits) return undefined;
+    return dayVisits
+      .map((visit) => `${formatClock(visit.checkInAt)} to ${visit.checkOutAt ? formatClock(visit.checkOutAt) : 'no check-out'}`)
+      .join('\n');
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={() => changeMonth(-1)}
+          title="Previous Month"
+          className="inline-flex p-1.5 rounded-lg text-gray-600 hover:bg-gray-100 transition-colors"
+        >
+          <ChevronLeft className="h-4 w-4" />
+        </button>
+        <div className="text-center">
+          <p className="text-sm font-bold text-gray-900">{formatMonth(month)}</p>
+          <p className="text-xs font-medium text-gray-500">
+            {presentDays} of {enrolledDays.length} days present
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => changeMonth(1)}
+          disabled={month >= toMonthKey(new Date())}
+          title="Next Month"
+          className="inline-flex p-1.5 rounded-lg text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-30"
+        >
+          <ChevronRight className="h-4 w-4" />
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-5 w-5 animate-spin text-emerald-600" />
+        </div>
+      ) : (
+        <div className="grid grid-cols-7 gap-1 text-center">
+          {WEEKDAYS.map((weekday) => (
+            <span key={weekday} className="text-xs font-bold text-gray-400 uppercase py-1">{weekday}</span>
+          ))}
+          {calendarWeeks(month).flat().map((day, index) => (
+            <span
+              key={day || `blank-${index}`}
+              title={day ? describeDay(day) : undefined}
+              className={`py-1.5 rounded-lg text-xs font-semibold ${day ? dayClassName(day) : ''} ${day === today ? 'ring-2 ring-emerald-300' : ''}`}
+            >
+              {day ? Number(day.slice(8)) : ''}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center gap-4 text-xs font-medium text-gray-500">
+        <span className="inline-flex items-center gap-1.5"><span className="h-2.5 w-2.5 rounded bg-emerald-500" /> Present</span>
+        <span className="inline-flex items-center gap-1.5"><span className="h-2.5 w-2.5 rounded bg-red-100" /> Absent</span>
+      </div>
+    </div>
+  );
+};
+
+export default AttendanceCalendar;
@@ -0,0 +1,24 @@
+import { formatAuditField, formatAuditValue } from '../utils/audit';
+
+// Field-level before and after values of one audit event
+const AuditChanges = ({ changes }) => {
+  if (!changes || changes.length === 0) return null;
+
+  return (
+    <table className="mt-2 w-full text-xs">
+      <tbody className="divide-y divide-gray-100">
+        {changes.map((change) => (
+          <tr key={change.id}>
+            <td className="py-1 pr-3 font-semibold text-gray-500 whitespace-nowrap">{formatAuditField(change.field)}</td>
+            <td className={`py-1 pr-3 font-medium text-gray-400 ${change.oldValue != null ? 'line-through decoration-gray-300' : ''}`}>
+              {formatAuditValue(change.field, change.oldValue)}
+            </td>
+            <td className="py-1 font-medium text-gray-900">{formatAuditValue(change.field, change.newValue)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default AuditChanges;
@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+import { AuthService, setUnauthorizedHandler } from '../services/api';
+import { can, clearToken, getToken, setToken } from '../utils/auth';
+import { AuthContext } from './useAuth';
+
+// The signed-in staff member, restored from the saved token when the app is reopened
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(!!getToken());
+
+  useEffect(() => {
+    // Any request that comes back 401 signs the user out, which sends them to the login page
+    setUnauthorizedHandler(() => setUser(null));
+
+    if (getToken()) {
+      AuthService.me()
+        .then(setUser)
+        .catch(() => clearToken())
+        .finally(() => setChecking(false));
+    }
+  }, []);
+
+  const login = async (username, password) => {
+    const session = await AuthService.login(username, password);
+    setToken(session.token);
+    setUser(session.user);
+    return session.user;
+  };
+
+  const logout = async () => {
+    try {
+      await AuthService.logout();
+    } catch {
+      // The session is dropped locally even if the server could not be reached
+    } finally {
+      clearToken();
+      setUser(null);
+    }
+  };
+
+  return (
+    <AuthContext.Provider value={{ user, checking, login, logout, can: (permission) => can(user, permission) }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
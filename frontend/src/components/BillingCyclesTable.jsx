@@ -0,0 +1,45 @@
+import { formatPeriod, formatRupees } from '../utils/format';
+
+const BillingCyclesTable = ({ cycles }) => {
+  const total = cycles.reduce((sum, cycle) => sum + (cycle.amount || 0), 0);
+
+  return (
+    <div className="overflow-x-auto bg-white rounded-xl border border-gray-100">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Student</th>
+            <th className="px-4 py-3 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Study Hall</th>
+            <th className="px-4 py-3 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Cycle</th>
+            <th className="px-4 py-3 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Amount</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-150">
+          {cycles.map((cycle) => (
+            <tr key={`${cycle.studentId}-${cycle.cycleStart}`}>
+              <td className="px-4 py-3 whitespace-nowrap text-sm font-semibold text-gray-900">{cycle.studentName}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{cycle.hall}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{formatPeriod(cycle.cycleStart, cycle.cycleEnd)}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium text-gray-900">
+                {formatRupees(cycle.amount)}
+                {cycle.discountAmount > 0 && (
+                  <p className="text-xs font-medium text-indigo-600">
+                    {formatRupees(cycle.baseAmount)} less {formatRupees(cycle.discountAmount)} discount
+                  </p>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot className="bg-gray-50">
+          <tr>
+            <td colSpan={3} className="px-4 py-3 text-sm font-bold text-gray-700">{cycles.length} cycles</td>
+            <td className="px-4 py-3 text-right text-sm font-bold text-gray-900">{formatRupees(total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+};
+
+export default BillingCyclesTable;
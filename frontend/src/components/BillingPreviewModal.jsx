@@ -0,0 +1,137 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2, Calculator, CheckCircle2 } from 'lucide-react';
+import Modal from './Modal';
+import BillingCyclesTable from './BillingCyclesTable';
+import { BillingService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import { formatRupees } from '../utils/format';
+
+// Dry-run first: lists the cycles a billing run would invoice, then commits on confirmation
+const BillingPreviewModal = ({ onClose, onCompleted }) => {
+  const [asOf, setAsOf] = useState(new Date().toISOString().split('T')[0]);
+  const [preview, setPreview] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const { showNotification } = useNotification();
+
+  const fetchPreview = useCallback(
+    () => BillingService.preview(asOf)
+      .then(setPreview)
+      .catch((err) => showNotification(err.message || 'Failed to load billing preview', 'error'))
+      .finally(() => setLoading(false)),
+    [asOf, showNotification]
+  );
+
+  useEffect(() => {
+    fetchPreview();
+  }, [fetchPreview]);
+
+  const handleAsOfChange = (e) => {
+    setLoading(true);
+    setAsOf(e.target.value);
+  };
+
+  const handleRun = async () => {
+    try {
+      setRunning(true);
+      const run = await BillingService.run(asOf);
+      setResult(run);
+      showNotification(`${run.cyclesGenerated} billing cycles generated`, 'success', {
+        onUndo: async () => {
+          await BillingService.undoRun(run.id);
+          showNotification(`Billing run #${run.id} undone`);
+          onClose();
+          onCompleted?.();
+        }
+      });
+      onCompleted?.(run);
+    } catch (err) {
+      showNotification(err.message || 'Failed to run billing', 'error');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const total = preview.reduce((sum, cycle) => sum + (cycle.amount || 0), 0);
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title={result ? 'Billing Run Complete' : 'Calculate Monthly Fees'}
+      footerActions={result ? (
+        <button
+          onClick={onClose}
+          className="px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all"
+        >
+          Done
+        </button>
+      ) : (
+        <>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleRun}
+            disabled={loading || running || preview.length === 0}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+          >
+            {running ? <Loader2 className="h-4 w-4 animate-spin" /> : <Calculator className="h-4 w-4" />}
+            <span>Generate {preview.length} Cycles</span>
+          </button>
+        </>
+      )}
+    >
+      {result ? (
+        <div className="space-y-4">
+          <div className="flex items-center gap-3 p-3 bg-emerald-50 border border-emerald-100 rounded-xl">
+            <CheckCircle2 className="h-5 w-5 text-emerald-600 flex-shrink-0" />
+            <p className="text-sm font-semibold text-emerald-900">
+              Invoiced {result.cyclesGenerated} cycles totalling {formatRupees(result.totalAmount)}
+            </p>
+          </div>
+          {result.cycles.length > 0 && <BillingCyclesTable cycles={result.cycles} />}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <p className="font-semibold text-gray-700">
+            Each active student is invoiced once per cycle on the anniversary of their join date.
+          </p>
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Bill cycles starting on or before</label>
+            <input
+              type="date"
+              value={asOf}
+              onChange={handleAsOfChange}
+              className="block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all"
+            />
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center items-center h-24">
+              <Loader2 className="h-6 w-6 animate-spin text-emerald-600" />
+            </div>
+          ) : preview.length === 0 ? (
+            <p className="p-4 text-center text-sm font-medium text-gray-400 bg-gray-50 rounded-xl">
+              Every active student is already invoiced up to this date.
+            </p>
+          ) : (
+            <>
+              <p className="text-xs font-medium text-gray-400">
+                Preview only — nothing is charged until you confirm. {preview.length} cycles, {formatRupees(total)} in total.
+              </p>
+              <BillingCyclesTable cycles={preview} />
+            </>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default BillingPreviewModal;
@@ -0,0 +1,261 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2, Plus, Trash2, CalendarX } from 'lucide-react';
+import { ConcessionService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import { formatDate, formatRupees } from '../utils/format';
+import {
+  CONCESSION_TYPES,
+  calculateDiscounts,
+  defaultValidTo,
+  describeConcession,
+  formatConcessionType
+} from '../utils/concessions';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyConcession = () => ({
+  type: 'SIBLING',
+  valueType: 'percent',
+  value: '',
+  reason: '',
+  validFrom: today(),
+  validTo: ''
+});
+
+// Base fee, concessions and net fee for a student. Without a studentId the list
+// is kept by the parent in `pending` and saved once the student exists.
+const ConcessionsPanel = ({ studentId, baseFee, pending, onPendingChange }) => {
+  const [saved, setSaved] = useState([]);
+  const [loading, setLoading] = useState(!!studentId);
+  const [saving, setSaving] = useState(false);
+  const [newConcession, setNewConcession] = useState(emptyConcession);
+
+  const { showNotification } = useNotification();
+
+  const concessions = studentId ? saved : pending;
+
+  const fetchConcessions = useCallback(
+    () => ConcessionService.getForStudent(studentId)
+      .then(setSaved)
+      .catch((err) => showNotification(err.message || 'Failed to load concessions', 'error'))
+      .finally(() => setLoading(false)),
+    [studentId, showNotification]
+  );
+
+  useEffect(() => {
+    if (studentId) {
+      fetchConcessions();
+    }
+  }, [studentId, fetchConcessions]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setNewConcession((prev) => {
+      const next = { ...prev, [name]: value };
+      // Prepaid quarters and waivers come with a suggested end date
+      if (name === 'type' || name === 'validFrom') {
+        next.validTo = defaultValidTo(next.type, next.validFrom);
+      }
+      return next;
+    });
+  };
+
+  const handleAdd = async () => {
+    const value = parseInt(newConcession.value);
+
+    if (!value || value <= 0 || !newConcession.reason.trim()) {
+      showNotification('Enter a discount value and a reason for the concession', 'error');
+      return;
+    }
+
+    const concession = {
+      type: newConcession.type,
+      percent: newConcession.valueType === 'percent' ? value : null,
+      amount: newConcession.valueType === 'amount' ? value : null,
+      reason: newConcession.reason.trim(),
+      validFrom: newConcession.validFrom,
+      validTo: newConcession.validTo || null
+    };
+
+    if (!studentId) {
+      onPendingChange([...pending, { ...concession, key: Date.now() }]);
+      setNewConcession(emptyConcession());
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await ConcessionService.create(studentId, concession);
+      showNotification('Concession added');
+      setNewConcession(emptyConcession());
+      fetchConcessions();
+    } catch (err) {
+      showNotification(err.message || 'Failed to add concession', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEnd = async (concession) => {
+    try {
+      await ConcessionService.update(concession.id, { ...concession, validTo: today() });
+      showNotification('Concession ended');
+      fetchConcessions();
+    } catch (err) {
+      showNotification(err.message || 'Failed to end concession', 'error');
+    }
+  };
+
+  const handleRemove = async (concession) => {
+    if (!studentId) {
+      onPendingChange(pending.filter((c) => c.key !== concession.key));
+      return;
+    }
+
+    if (window.confirm(`Remove the ${formatConcessionType(concession.type).toLowerCase()}?`)) {
+      try {
+        await ConcessionService.delete(concession.id);
+        showNotification('Concession removed');
+        fetchConcessions();
+      } catch (err) {
+        showNotification(err.message || 'Failed to remove concession', 'error');
+      }
+    }
+  };
+
+  const discounts = calculateDiscounts(concessions, baseFee);
+  const netFee = (baseFee || 0) - discounts.reduce((sum, d) => sum + d.amount, 0);
+
+  const inputClassName = "block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-white";
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Loader2 className="h-6 w-6 animate-spin text-emerald-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Fee breakdown for the current cycle */}
+      <div className="p-4 bg-gray-50 border border-gray-100 rounded-xl space-y-2 text-sm">
+        <div className="flex justify-between">
+          <span className="font-medium text-gray-500">Base monthly fee</span>
+          <span className="font-semibold text-gray-900">{formatRupees(baseFee)}</span>
+        </div>
+        {discounts.map(({ concession, amount }) => (
+          <div key={concession.id ?? concession.key} className="flex justify-between">
+            <span className="font-medium text-gray-500">{formatConcessionType(concession.type)}</span>
+            <span className="font-semibold text-indigo-600">− {formatRupees(amount)}</span>
+          </div>
+        ))}
+        <div className="flex justify-between pt-2 border-t border-gray-200">
+          <span className="font-bold text-gray-700">Net monthly fee</span>
+          <span className="font-bold text-emerald-600">{formatRupees(netFee)}</span>
+        </div>
+      </div>
+
+      {concessions.length > 0 && (
+        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+          {concessions.map((concession) => {
+            const ended = concession.validTo && concession.validTo < today();
+            const used = concession.type === 'WAIVER' && concession.appliedCycleId;
+
+            return (
+              <li key={concession.id ?? concession.key} className="flex items-center justify-between gap-3 px-4 py-3">
+                <div className={ended || used ? 'opacity-50' : ''}>
+                  <p className="text-sm font-semibold text-gray-900">
+                    {formatConcessionType(concession.type)} · {describeConcession(concession)}
+                  </p>
+                  <p className="text-xs font-medium text-gray-500">{concession.reason}</p>
+                  <p className="text-xs font-medium text-gray-400">
+                    {formatDate(concession.validFrom)} to {concession.validTo ? formatDate(concession.validTo) : 'open-ended'}
+                    {used && ' · used'}
+                  </p>
+                </div>
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  {studentId && !ended && !used && (
+                    <button
+                      type="button"
+                      onClick={() => handleEnd(concession)}
+                      title="End Today"
+                      className="inline-flex p-1.5 rounded-lg text-amber-600 hover:bg-amber-50 transition-colors"
+                    >
+                      <CalendarX className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(concession)}
+                    title="Remove Concession"
+                    className="inline-flex p-1.5 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* Not a nested <form>: the panel sits inside the student form */}
+      <div className="space-y-3 p-4 bg-gray-50 rounded-xl">
+        <p className="text-xs font-bold text-gray-500 uppercase tracking-wide">Add Concession</p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <select name="type" value={newConcession.type} onChange={handleChange} className={inputClassName}>
+            {CONCESSION_TYPES.map((type) => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          <select name="valueType" value={newConcession.valueType} onChange={handleChange} className={inputClassName}>
+            <option value="percent">Percent of base fee</option>
+            <option value="amount">Flat amount (₹)</option>
+          </select>
+          <input
+            type="number"
+            name="value"
+            min="1"
+            max={newConcession.valueType === 'percent' ? 100 : undefined}
+            value={newConcession.value}
+            onChange={handleChange}
+            placeholder={newConcession.valueType === 'percent' ? 'Percent' : 'Amount'}
+            className={inputClassName}
+          />
+        </div>
+        <input
+          type="text"
+          name="reason"
+          value={newConcession.reason}
+          onChange={handleChange}
+          placeholder="Reason, e.g. Brother enrolled in Hall Alpha"
+          className={inputClassName}
+        />
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div className="space-y-1">
+            <label className="block text-xs font-medium text-gray-500">Valid from</label>
+            <input type="date" name="validFrom" value={newConcession.validFrom} onChange={handleChange} className={inputClassName} />
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs font-medium text-gray-500">Valid to (optional)</label>
+            <input type="date" name="validTo" value={newConcession.validTo} onChange={handleChange} className={inputClassName} />
+          </div>
+        </div>
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={saving}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+          >
+            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+            <span>Add Concession</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConcessionsPanel;
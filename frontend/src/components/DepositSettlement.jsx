@@ -0,0 +1,112 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2 } from 'lucide-react';
+import { DepositService } from '../services/api';
+import { PAYMENT_MODES } from '../utils/payments';
+import { formatRupees } from '../utils/format';
+
+const inputClassName = "block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all";
+
+// Deposit settlement on leaving (deposit − fee due − damages), fetched from the backend as damages are entered
+const DepositSettlement = ({ studentId, date, value, onChange }) => {
+  const [settlement, setSettlement] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchSettlement = useCallback(
+    () => DepositService.previewSettlement(studentId, date, value.damages || undefined)
+      .then((data) => {
+        setError(null);
+        setSettlement(data);
+      })
+      .catch((err) => setError(err.message || 'Failed to calculate deposit settlement')),
+    [studentId, date, value.damages]
+  );
+
+  useEffect(() => {
+    fetchSettlement();
+  }, [fetchSettlement]);
+
+  const handleChange = (e) => {
+    const { name, value: fieldValue } = e.target;
+    onChange({
+      ...value,
+      [name]: name === 'damages' ? (fieldValue === '' ? '' : parseInt(fieldValue) || 0) : fieldValue
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Damages (₹)</label>
+          <input
+            type="number"
+            name="damages"
+            min="0"
+            value={value.damages}
+            onChange={handleChange}
+            placeholder="0"
+            className={inputClassName}
+          />
+        </div>
+        <div className="space-y-1">
+          <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Refund Mode</label>
+          <select name="refundMode" value={value.refundMode} onChange={handleChange} className={inputClassName}>
+            {PAYMENT_MODES.map((mode) => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {value.damages > 0 && (
+        <input
+          type="text"
+          name="damageNote"
+          value={value.damageNote}
+          onChange={handleChange}
+          placeholder="What was damaged, e.g. Broken chair"
+          className={inputClassName}
+        />
+      )}
+
+      {error ? (
+        <p className="text-xs font-semibold text-red-600">{error}</p>
+      ) : !settlement ? (
+        <div className="flex justify-center py-3">
+          <Loader2 className="h-5 w-5 animate-spin text-emerald-600" />
+        </div>
+      ) : (
+        <div className="p-4 bg-gray-50 border border-gray-100 rounded-xl space-y-2 text-sm">
+          <div className="flex justify-between">
+            <span className="font-medium text-gray-500">Security deposit held</span>
+            <span className="font-semibold text-gray-900">{formatRupees(settlement.depositHeld)}</span>
+          </div>
+          {settlement.feeDue < 0 ? (
+            <div className="flex justify-between">
+              <span className="font-medium text-gray-500">Credit balance</span>
+              <span className="font-semibold text-gray-900">+ {formatRupees(-settlement.feeDue)}</span>
+            </div>
+          ) : (
+            <div className="flex justify-between">
+              <span className="font-medium text-gray-500">Fee due after leaving</span>
+              <span className="font-semibold text-gray-900">− {formatRupees(settlement.feeDue)}</span>
+            </div>
+          )}
+          <div className="flex justify-between">
+            <span className="font-medium text-gray-500">Damages</span>
+            <span className="font-semibold text-gray-900">− {formatRupees(settlement.damages)}</span>
+          </div>
+          <div className="flex justify-between pt-2 border-t border-gray-200">
+            <span className="font-bold text-gray-700">
+              {settlement.balanceDue > 0 ? 'Still owed by student' : 'Refund to student'}
+            </span>
+            <span className={`font-bold ${settlement.balanceDue > 0 ? 'text-red-600' : 'text-emerald-600'}`}>
+              {formatRupees(settlement.balanceDue > 0 ? settlement.balanceDue : settlement.refund)}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DepositSettlement;
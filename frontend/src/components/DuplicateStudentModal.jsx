@@ -0,0 +1,118 @@
+import { ExternalLink, RotateCcw } from 'lucide-react';
+import Modal from './Modal';
+import { formatDate } from '../utils/format';
+import { formatStudentCode } from '../utils/attendance';
+
+// "+91 98765 43210" and "9876543210" are the same number, as on the backend
+const lastTenDigits = (phone) => (phone || '').replace(/\D/g, '').slice(-10);
+
+const COMPARED_FIELDS = [
+  { label: 'Name', value: (s) => s.name, key: (s) => (s.name || '').trim().toLowerCase() },
+  { label: 'Phone', value: (s) => s.phone, key: (s) => lastTenDigits(s.phone) },
+  { label: 'Guardian', value: (s) => s.guardianName, key: (s) => (s.guardianName || '').trim().toLowerCase() },
+  { label: 'Guardian Phone', value: (s) => s.guardianPhone, key: (s) => lastTenDigits(s.guardianPhone) },
+  { label: 'Email', value: (s) => s.email, key: (s) => (s.email || '').trim().toLowerCase() },
+  { label: 'Study Hall', value: (s) => s.hall },
+  { label: 'Seat', value: (s) => s.cabin },
+  { label: 'Joined', value: (s) => s.joinDate && formatDate(s.joinDate) },
+];
+
+/**
+ * Shown when a new admission looks like someone already on record. Each
+ * match is compared with the form side by side, with matching details
+ * highlighted; staff open the existing record, reactivate it if the
+ * student had left, or save the admission anyway.
+ */
+const DuplicateStudentModal = ({ candidate, matches, onClose, onOpen, onReactivate, onProceed }) => (
+  <Modal
+    isOpen
+    onClose={onClose}
+    title="Possible Duplicate Student"
+    footerActions={
+      <>
+        <button
+          onClick={onClose}
+          className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={onProceed}
+          className="px-4 py-2 text-sm font-semibold text-white bg-amber-600 hover:bg-amber-700 rounded-xl shadow-md transition-all"
+        >
+          Save as New Student
+        </button>
+      </>
+    }
+  >
+    <div className="space-y-5">
+      <p className="text-gray-700 font-medium">
+        {matches.length === 1
+          ? 'A student on record may be the same person as this admission.'
+          : `${matches.length} students on record may be the same person as this admission.`}
+      </p>
+
+      {matches.map(({ student, reasons }) => (
+        <div key={student.id} className="border border-gray-100 rounded-xl overflow-hidden">
+          <div className="flex flex-wrap items-center gap-2 px-4 py-3 bg-gray-50 border-b border-gray-100">
+            {reasons.map((reason) => (
+              <span key={reason} className="px-2 py-0.5 rounded-full text-xs font-semibold bg-amber-100 text-amber-800 border border-amber-200">
+                {reason}
+              </span>
+            ))}
+            <span
+              className={`ml-auto px-2 py-0.5 rounded-full text-xs font-semibold border ${
+                student.leftDate ? 'bg-gray-100 text-gray-700 border-gray-200' : 'bg-emerald-100 text-emerald-800 border-emerald-200'
+              }`}
+            >
+              {student.leftDate ? `Left ${formatDate(student.leftDate)}` : 'Active'}
+            </span>
+          </div>
+
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500 uppercase tracking-wider">
+                <th className="px-4 py-2 font-bold" />
+                <th className="px-4 py-2 font-bold">This Admission</th>
+                <th className="px-4 py-2 font-bold">{formatStudentCode(student.id)}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {COMPARED_FIELDS.map((field) => {
+                const same = field.key && field.key(candidate) && field.key(candidate) === field.key(student);
+                return (
+                  <tr key={field.label} className={same ? 'bg-amber-50' : ''}>
+                    <td className="px-4 py-1.5 font-semibold text-gray-500">{field.label}</td>
+                    <td className="px-4 py-1.5 font-medium text-gray-900">{field.value(candidate) || '—'}</td>
+                    <td className="px-4 py-1.5 font-medium text-gray-900">{field.value(student) || '—'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div className="flex justify-end gap-2 px-4 py-3 border-t border-gray-100">
+            <button
+              onClick={() => onOpen(student)}
+              className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-all"
+            >
+              <ExternalLink className="h-3.5 w-3.5" />
+              <span>Open Existing</span>
+            </button>
+            {student.leftDate && (
+              <button
+                onClick={() => onReactivate(student)}
+                className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-lg transition-all"
+              >
+                <RotateCcw className="h-3.5 w-3.5" />
+                <span>Reactivate</span>
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  </Modal>
+);
+
+export default DuplicateStudentModal;
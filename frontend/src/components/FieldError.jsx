@@ -0,0 +1,4 @@
+// Message under an input that failed validation, on the client or the server
+const FieldError = ({ message }) => (message ? <p className="text-xs font-medium text-red-600">{message}</p> : null);
+
+export default FieldError;
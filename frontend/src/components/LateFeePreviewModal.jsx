@@ -0,0 +1,112 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2, AlarmClock } from 'lucide-react';
+import Modal from './Modal';
+import { LateFeeService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import { formatPeriod, formatRupees } from '../utils/format';
+
+// Lists the late fees the active rules would charge today, then posts them on confirmation
+const LateFeePreviewModal = ({ onClose, onApplied }) => {
+  const [preview, setPreview] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [applying, setApplying] = useState(false);
+
+  const { showNotification } = useNotification();
+
+  const fetchPreview = useCallback(
+    () => LateFeeService.preview()
+      .then(setPreview)
+      .catch((err) => showNotification(err.message || 'Failed to load late fee preview', 'error'))
+      .finally(() => setLoading(false)),
+    [showNotification]
+  );
+
+  useEffect(() => {
+    fetchPreview();
+  }, [fetchPreview]);
+
+  const handleApply = async () => {
+    try {
+      setApplying(true);
+      const applied = await LateFeeService.assess();
+      showNotification(`${applied.length} late fees charged`);
+      onApplied?.();
+      onClose();
+    } catch (err) {
+      showNotification(err.message || 'Failed to apply late fees', 'error');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const total = preview.reduce((sum, fee) => sum + fee.amount, 0);
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title="Apply Late Fees"
+      footerActions={
+        <>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={loading || applying || preview.length === 0}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-amber-600 hover:bg-amber-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+          >
+            {applying ? <Loader2 className="h-4 w-4 animate-spin" /> : <AlarmClock className="h-4 w-4" />}
+            <span>Charge {preview.length} Late Fees</span>
+          </button>
+        </>
+      }
+    >
+      {loading ? (
+        <div className="flex justify-center items-center h-24">
+          <Loader2 className="h-6 w-6 animate-spin text-emerald-600" />
+        </div>
+      ) : preview.length === 0 ? (
+        <p className="p-4 text-center text-sm font-medium text-gray-400 bg-gray-50 rounded-xl">
+          No cycle is past its grace period, or every late fee has already been charged.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          <p className="text-xs font-medium text-gray-400">
+            Each rule is charged at most once per billing cycle. {preview.length} late fees, {formatRupees(total)} in total.
+          </p>
+          <div className="overflow-x-auto border border-gray-100 rounded-xl">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Student</th>
+                  <th className="px-4 py-3 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Cycle</th>
+                  <th className="px-4 py-3 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Rule</th>
+                  <th className="px-4 py-3 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Late Fee</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-150">
+                {preview.map((fee) => (
+                  <tr key={`${fee.billingCycleId}-${fee.ruleId}`}>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-semibold text-gray-900">{fee.studentName}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                      {formatPeriod(fee.cycleStart, fee.cycleEnd)}
+                      <p className="text-xs font-medium text-gray-400">{fee.daysOverdue} days overdue</p>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{fee.ruleName}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium text-red-600">{formatRupees(fee.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default LateFeePreviewModal;
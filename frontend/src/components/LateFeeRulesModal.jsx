@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2, Plus, Trash2 } from 'lucide-react';
+import Modal from './Modal';
+import { LateFeeService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import { LATE_FEE_TYPES, describeLateFeeRule } from '../utils/aging';
+
+const EMPTY_RULE = { name: '', type: 'FLAT', amount: '', graceDays: 5 };
+
+const LateFeeRulesModal = ({ onClose }) => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+
+  const { showNotification } = useNotification();
+
+  const fetchRules = useCallback(
+    () => LateFeeService.getRules()
+      .then(setRules)
+      .catch((err) => showNotification(err.message || 'Failed to load late fee rules', 'error'))
+      .finally(() => setLoading(false)),
+    [showNotification]
+  );
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setNewRule((prev) => ({
+      ...prev,
+      [name]: name === 'amount' || name === 'graceDays' ? (value === '' ? '' : parseInt(value) || 0) : value
+    }));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await LateFeeService.createRule({ ...newRule, active: true });
+      showNotification('Late fee rule added');
+      setNewRule(EMPTY_RULE);
+      fetchRules();
+    } catch (err) {
+      showNotification(err.message || 'Failed to add late fee rule', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await LateFeeService.updateRule(rule.id, { ...rule, active: !rule.active });
+      fetchRules();
+    } catch (err) {
+      showNotification(err.message || 'Failed to update late fee rule', 'error');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (window.confirm(`Delete the late fee rule "${rule.name}"? Late fees already charged are kept.`)) {
+      try {
+        await LateFeeService.deleteRule(rule.id);
+        showNotification('Late fee rule deleted');
+        fetchRules();
+      } catch (err) {
+        showNotification(err.message || 'Failed to delete late fee rule', 'error');
+      }
+    }
+  };
+
+  const inputClassName = "block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all";
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title="Late Fee Rules"
+      footerActions={
+        <button
+          onClick={onClose}
+          className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+        >
+          Close
+        </button>
+      }
+    >
+      <div className="space-y-5">
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin text-emerald-600" />
+          </div>
+        ) : rules.length === 0 ? (
+          <p className="p-4 text-center text-sm font-medium text-gray-400 bg-gray-50 rounded-xl">
+            No late fee rules yet. Overdue students are not charged extra.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+            {rules.map((rule) => (
+              <li key={rule.id} className="flex items-center justify-between gap-3 px-4 py-3">
+                <div className={rule.active ? '' : 'opacity-50'}>
+                  <p className="text-sm font-semibold text-gray-900">{rule.name}</p>
+                  <p className="text-xs font-medium text-gray-500">{describeLateFeeRule(rule)}</p>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleToggle(rule)}
+                    className={`px-2.5 py-1 rounded-full text-xs font-semibold border ${
+                      rule.active
+                        ? 'bg-emerald-50 text-emerald-700 border-emerald-100'
+                        : 'bg-gray-50 text-gray-500 border-gray-200'
+                    }`}
+                  >
+                    {rule.active ? 'Active' : 'Paused'}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule)}
+                    title="Delete Rule"
+                    className="inline-flex p-1.5 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleAdd} className="space-y-3 p-4 bg-gray-50 rounded-xl">
+          <p className="text-xs font-bold text-gray-500 uppercase tracking-wide">New Rule</p>
+          <input
+            type="text"
+            name="name"
+            required
+            value={newRule.name}
+            onChange={handleChange}
+            placeholder="e.g. Late payment fee"
+            className={inputClassName}
+          />
+          <div className="grid grid-cols-3 gap-3">
+            <select name="type" value={newRule.type} onChange={handleChange} className={inputClassName}>
+              {LATE_FEE_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              name="amount"
+              required
+              min="1"
+              max={newRule.type === 'PERCENT' ? 100 : undefined}
+              value={newRule.amount}
+              onChange={handleChange}
+              placeholder={newRule.type === 'PERCENT' ? 'Percent' : 'Amount'}
+              className={inputClassName}
+            />
+            <input
+              type="number"
+              name="graceDays"
+              required
+              min="0"
+              value={newRule.graceDays}
+              onChange={handleChange}
+              title="Grace days"
+              placeholder="Grace days"
+              className={inputClassName}
+            />
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+            >
+              {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+              <span>Add Rule</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </Modal>
+  );
+};
+
+export default LateFeeRulesModal;
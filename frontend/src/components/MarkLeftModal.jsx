@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import Modal from './Modal';
+import ProrationPreview from './ProrationPreview';
+import DepositSettlement from './DepositSettlement';
+import { useNotification } from './NotificationContext';
+import { StudentService, WaitlistService } from '../services/api';
+import { EMPTY_DEPOSIT_SETTLEMENT } from '../utils/payments';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Marks a student as left; onOffer receives the waitlist offer for the freed seat, if one was made
+const MarkLeftModal = ({ student, onClose, onLeft, onOffer }) => {
+  const [leftDate, setLeftDate] = useState(today());
+  const [settlement, setSettlement] = useState(EMPTY_DEPOSIT_SETTLEMENT);
+
+  const { showNotification } = useNotification();
+
+  const handleMarkLeft = async () => {
+    try {
+      // The leave endpoint pro-rates the final cycle, then settles the deposit against the dues
+      await StudentService.markLeft(student.id, leftDate || undefined, settlement);
+      showNotification('Student marked as left successfully', 'success', {
+        onUndo: async () => {
+          await StudentService.undoLeave(student.id);
+          showNotification(`${student.name} is active again`);
+          onLeft();
+        }
+      });
+      onClose();
+      onLeft();
+      // The freed seat may have been offered to the next applicant on the waitlist
+      const offer = await WaitlistService.getOpenOffer(student.id);
+      if (offer) onOffer(offer);
+    } catch (err) {
+      showNotification(err.message || 'Failed to mark student as left', 'error');
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title="Mark Student as Left"
+      footerActions={
+        <>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleMarkLeft}
+            className="px-4 py-2 text-sm font-semibold text-white bg-amber-600 hover:bg-amber-700 rounded-xl shadow-md transition-all"
+          >
+            Confirm Leave
+          </button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <p className="text-gray-700 font-semibold">
+          Are you sure you want to mark <span className="text-gray-900 font-bold">{student.name}</span> as left?
+        </p>
+        <div className="space-y-1">
+          <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Left Date</label>
+          <div className="relative">
+            <input
+              type="date"
+              value={leftDate}
+              onChange={(e) => setLeftDate(e.target.value)}
+              className="block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all"
+            />
+          </div>
+        </div>
+        <ProrationPreview studentId={student.id} action="LEAVE" date={leftDate || undefined} />
+        <DepositSettlement
+          studentId={student.id}
+          date={leftDate || undefined}
+          value={settlement}
+          onChange={setSettlement}
+        />
+      </div>
+    </Modal>
+  );
+};
+
+export default MarkLeftModal;
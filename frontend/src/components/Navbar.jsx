@@ -1,10 +1,15 @@
 import React, { useState, useEffect } from 'react';
-import { useLocation } from 'react-router-dom';
-import { Menu, Wifi, WifiOff } from 'lucide-react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { LogOut, Menu, Wifi, WifiOff } from 'lucide-react';
+import { useAuth } from './useAuth';
+import NotificationCenter from './NotificationCenter';
+import { formatRole } from '../utils/auth';
 
 const Navbar = ({ toggleSidebar }) => {
   const [isOnline, setIsOnline] = useState(navigator.onLine);
   const location = useLocation();
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
 
   useEffect(() => {
     const handleOnline = () => setIsOnline(true);
@@ -25,16 +30,31 @@ const Navbar = ({ toggleSidebar }) => {
     if (path === '/students') return 'Student Management';
     if (path === '/students/new') return 'Add Student';
     if (path.startsWith('/students/edit/')) return 'Edit Student';
+    if (path.startsWith('/students/') && path.endsWith('/payments')) return 'Payment History';
+    if (/^\/students\/\d+$/.test(path)) return 'Student Profile';
     if (path === '/study-halls') return 'Study Hall Management';
     if (path === '/study-halls/new') return 'Add Study Hall';
     if (path.startsWith('/study-halls/edit/')) return 'Edit Study Hall';
+    if (path.startsWith('/study-halls/') && path.endsWith('/seats')) return 'Seat Map';
+    if (path === '/waitlist') return 'Waitlist';
+    if (path === '/attendance') return 'Attendance';
     if (path === '/reports') return 'Reports & Analytics';
     if (path === '/upcoming-fees') return 'Upcoming Fees';
+    if (path.startsWith('/receipts/')) return 'Fee Receipt';
+    if (path === '/billing') return 'Billing';
+    if (path === '/activity') return 'Activity Log';
+    if (path === '/recycle-bin') return 'Recycle Bin';
+    if (path === '/staff') return 'Staff Accounts';
     return 'Study Hall Manager';
   };
 
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login', { replace: true });
+  };
+
   return (
-    <header className="sticky top-0 z-30 flex items-center justify-between h-16 px-6 bg-white/80 backdrop-blur-md border-b border-gray-100 shadow-sm">
+    <header className="sticky top-0 z-30 print:hidden flex items-center justify-between h-16 px-6 bg-white/80 backdrop-blur-md border-b border-gray-100 shadow-sm">
       {/* Left side: Hamburger (mobile) & Title */}
       <div className="flex items-center gap-4">
         <button
@@ -59,6 +79,25 @@ const Navbar = ({ toggleSidebar }) => {
             <span>Connected</span>
           </div>
         )}
+
+        {user && <NotificationCenter />}
+
+        {/* Signed-in staff member */}
+        {user && (
+          <div className="flex items-center gap-3 pl-4 border-l border-gray-100">
+            <div className="hidden sm:block text-right leading-tight">
+              <p className="text-sm font-semibold text-gray-800">{user.fullName || user.username}</p>
+              <p className="text-xs font-medium text-gray-500">{formatRole(user.role)}</p>
+            </div>
+            <button
+              onClick={handleLogout}
+              title="Log Out"
+              className="p-2 rounded-xl text-gray-500 hover:bg-gray-100 hover:text-gray-700 transition-colors"
+            >
+              <LogOut className="h-5 w-5" />
+            </button>
+          </div>
+        )}
       </div>
     </header>
   );
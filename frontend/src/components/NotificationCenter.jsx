@@ -0,0 +1,142 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { AlarmClock, Bell, BellOff, Building2, CheckCheck, Receipt } from 'lucide-react';
+import { AlertService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import { formatAuditTime } from '../utils/audit';
+
+// Alerts are raised by an hourly check on the server, so a slow poll keeps the badge current
+const REFRESH_INTERVAL_MS = 60000;
+
+const ALERT_ICONS = {
+  OVERDUE_FEES: { icon: AlarmClock, className: 'bg-red-50 text-red-600' },
+  HALL_NEARLY_FULL: { icon: Building2, className: 'bg-amber-50 text-amber-600' },
+  FEE_RUN: { icon: Receipt, className: 'bg-emerald-50 text-emerald-600' },
+  PLANS_EXPIRING: { icon: AlarmClock, className: 'bg-blue-50 text-blue-600' },
+};
+
+// Bell in the navbar listing persistent alerts; opening one marks it read and follows its link
+const NotificationCenter = () => {
+  const [alerts, setAlerts] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  const navigate = useNavigate();
+  const { showNotification } = useNotification();
+
+  const fetchAlerts = useCallback(
+    (silent = false) => AlertService.getAll()
+      .then(setAlerts)
+      .catch((err) => {
+        if (!silent) showNotification(err.message || 'Failed to load notifications', 'error');
+      }),
+    [showNotification]
+  );
+
+  useEffect(() => {
+    fetchAlerts(true);
+    const timer = setInterval(() => fetchAlerts(true), REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [fetchAlerts]);
+
+  const unreadCount = alerts.filter((alert) => !alert.readAt).length;
+
+  const handleToggle = () => {
+    if (!open) fetchAlerts();
+    setOpen(!open);
+  };
+
+  const handleOpenAlert = async (alert) => {
+    setOpen(false);
+    if (alert.link) navigate(alert.link);
+    if (alert.readAt) return;
+    try {
+      const updated = await AlertService.markRead(alert.id);
+      setAlerts((prev) => prev.map((a) => (a.id === updated.id ? updated : a)));
+    } catch (err) {
+      showNotification(err.message || 'Failed to mark notification as read', 'error');
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await AlertService.markAllRead();
+      fetchAlerts();
+    } catch (err) {
+      showNotification(err.message || 'Failed to mark notifications as read', 'error');
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={handleToggle}
+        title="Notifications"
+        className="relative p-2 rounded-xl text-gray-500 hover:bg-gray-100 hover:text-gray-700 transition-colors"
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.125rem] h-[1.125rem] px-1 flex items-center justify-center rounded-full bg-red-500 text-[10px] font-bold text-white">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <>
+          {/* Clicking anywhere else closes the panel */}
+          <div className="fixed inset-0 z-40" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-50 mt-2 w-96 max-w-[calc(100vw-2rem)] bg-white border border-gray-100 rounded-2xl shadow-xl overflow-hidden">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+              <h3 className="text-sm font-bold text-gray-900">Notifications</h3>
+              {unreadCount > 0 && (
+                <button
+                  onClick={handleMarkAllRead}
+                  className="inline-flex items-center gap-1 text-xs font-semibold text-emerald-700 hover:text-emerald-800"
+                >
+                  <CheckCheck className="h-3.5 w-3.5" />
+                  <span>Mark all as read</span>
+                </button>
+              )}
+            </div>
+            {alerts.length === 0 ? (
+              <div className="flex flex-col items-center justify-center p-8 text-center space-y-2">
+                <BellOff className="h-6 w-6 text-gray-300" />
+                <p className="text-sm font-medium text-gray-400">No notifications yet</p>
+              </div>
+            ) : (
+              <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                {alerts.map((alert) => {
+                  const { icon: Icon, className } = ALERT_ICONS[alert.type] || ALERT_ICONS.FEE_RUN;
+                  return (
+                    <li key={alert.id}>
+                      <button
+                        onClick={() => handleOpenAlert(alert)}
+                        className={`w-full flex items-start gap-3 px-4 py-3 text-left hover:bg-gray-50 transition-colors ${alert.readAt ? '' : 'bg-emerald-50/40'}`}
+                      >
+                        <span className={`p-1.5 rounded-lg flex-shrink-0 ${className}`}>
+                          <Icon className="h-4 w-4" />
+                        </span>
+                        <span className="flex-1 min-w-0">
+                          <span className={`block text-sm ${alert.readAt ? 'font-medium text-gray-600' : 'font-semibold text-gray-900'}`}>
+                            {alert.message}
+                          </span>
+                          <span className="block text-xs font-medium text-gray-400">
+                            {formatAuditTime(alert.createdAt)}
+                            {alert.readBy && ` · Read by ${alert.readBy}`}
+                          </span>
+                        </span>
+                        {!alert.readAt && <span className="mt-1.5 h-2 w-2 rounded-full bg-emerald-500 flex-shrink-0" />}
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
@@ -1,8 +1,18 @@
-import React, { createContext, useContext, useState, useCallback } from 'react';
-import { CheckCircle2, AlertTriangle, X } from 'lucide-react';
+import React, { createContext, useContext, useState, useCallback, useRef } from 'react';
+import { CheckCircle2, AlertTriangle, Loader2, Undo2, X } from 'lucide-react';
 
 const NotificationContext = createContext(null);
 
+// Toasts shown at once; older ones give way to new ones
+const MAX_TOASTS = 5;
+
+const DEFAULT_DURATION = 4000;
+
+// Long enough to notice a misclick and take it back
+const UNDO_DURATION = 10000;
+
+let nextToastId = 1;
+
 export const useNotification = () => {
   const context = useContext(NotificationContext);
   if (!context) {
@@ -12,45 +22,92 @@ export const useNotification = () => {
 };
 
 export const NotificationProvider = ({ children }) => {
-  const [notification, setNotification] = useState(null);
-
-  const showNotification = useCallback((message, type = 'success') => {
-    setNotification({ message, type });
-    const timer = setTimeout(() => {
-      setNotification(null);
-    }, 4000);
-    return () => clearTimeout(timer);
+  const [toasts, setToasts] = useState([]);
+  const timers = useRef(new Map());
+
+  const dismiss = useCallback((id) => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
   }, []);
 
-  const clearNotification = () => setNotification(null);
+  /**
+   * Shows a toast on top of any already showing. Pass onUndo to give it an
+   * "Undo" button that takes the action back; it may return a promise, and
+   * a failure is shown as an error toast. Returns a function that dismisses
+   * the toast early.
+   */
+  const showNotification = useCallback((message, type = 'success', { onUndo, duration } = {}) => {
+    const id = nextToastId++;
+
+    setToasts((prev) => [...prev, { id, message, type, onUndo, undoing: false }].slice(-MAX_TOASTS));
+
+    timers.current.set(id, setTimeout(() => dismiss(id), duration ?? (onUndo ? UNDO_DURATION : DEFAULT_DURATION)));
+
+    // Timers are kept in the order the toasts were shown, so those pushed out above are the oldest
+    [...timers.current.keys()].slice(0, -MAX_TOASTS).forEach((oldId) => {
+      clearTimeout(timers.current.get(oldId));
+      timers.current.delete(oldId);
+    });
+
+    return () => dismiss(id);
+  }, [dismiss]);
+
+  const handleUndo = async (toast) => {
+    clearTimeout(timers.current.get(toast.id));
+    setToasts((prev) => prev.map((t) => (t.id === toast.id ? { ...t, undoing: true } : t)));
+    try {
+      await toast.onUndo();
+      dismiss(toast.id);
+    } catch (err) {
+      dismiss(toast.id);
+      showNotification(err.message || 'Failed to undo', 'error');
+    }
+  };
 
   return (
     <NotificationContext.Provider value={{ showNotification }}>
       {children}
-      {notification && (
-        <div 
-          className={`fixed top-5 right-5 z-50 flex items-center gap-3 p-4 rounded-xl shadow-xl border max-w-sm w-full animate-bounce-short transition-all duration-300 ${
-            notification.type === 'error'
-              ? 'bg-red-50 text-red-900 border-red-200'
-              : 'bg-emerald-50 text-emerald-950 border-emerald-200'
-          }`}
-        >
-          {notification.type === 'error' ? (
-            <AlertTriangle className="h-5 w-5 text-red-600 flex-shrink-0" />
-          ) : (
-            <CheckCircle2 className="h-5 w-5 text-emerald-600 flex-shrink-0" />
-          )}
-          
-          <div className="flex-1 text-sm font-semibold tracking-wide">
-            {notification.message}
-          </div>
-
-          <button 
-            onClick={clearNotification}
-            className="text-gray-400 hover:text-gray-600 p-0.5 rounded-lg hover:bg-black/5 transition-colors"
-          >
-            <X className="h-4 w-4" />
-          </button>
+      {toasts.length > 0 && (
+        <div className="fixed top-5 right-5 z-50 flex flex-col gap-2 max-w-sm w-full">
+          {toasts.map((toast) => (
+            <div
+              key={toast.id}
+              className={`flex items-center gap-3 p-4 rounded-xl shadow-xl border animate-bounce-short transition-all duration-300 ${
+                toast.type === 'error'
+                  ? 'bg-red-50 text-red-900 border-red-200'
+                  : 'bg-emerald-50 text-emerald-950 border-emerald-200'
+              }`}
+            >
+              {toast.type === 'error' ? (
+                <AlertTriangle className="h-5 w-5 text-red-600 flex-shrink-0" />
+              ) : (
+                <CheckCircle2 className="h-5 w-5 text-emerald-600 flex-shrink-0" />
+              )}
+
+              <div className="flex-1 text-sm font-semibold tracking-wide">
+                {toast.message}
+              </div>
+
+              {toast.onUndo && (
+                <button
+                  onClick={() => handleUndo(toast)}
+                  disabled={toast.undoing}
+                  className="inline-flex items-center gap-1 px-2.5 py-1 text-xs font-bold text-emerald-800 bg-white border border-emerald-200 rounded-lg hover:bg-emerald-100 disabled:opacity-60 transition-colors"
+                >
+                  {toast.undoing ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Undo2 className="h-3.5 w-3.5" />}
+                  <span>Undo</span>
+                </button>
+              )}
+
+              <button
+                onClick={() => dismiss(toast.id)}
+                className="text-gray-400 hover:text-gray-600 p-0.5 rounded-lg hover:bg-black/5 transition-colors"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
         </div>
       )}
     </NotificationContext.Provider>
@@ -0,0 +1,169 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Camera, Trash2, Upload, X } from 'lucide-react';
+import StudentPhoto from './StudentPhoto';
+import { useNotification } from './NotificationContext';
+
+const MAX_SIZE_MB = 5;
+
+// Captured photos are cropped square at this many pixels
+const CAPTURE_SIZE = 480;
+
+/**
+ * Picks a profile photo from the webcam or a file. `photo` is undefined
+ * while the saved photo is kept, a Blob for a new one and null when the
+ * saved photo is to be removed.
+ */
+const PhotoCapture = ({ student, photo, onChange }) => {
+  const [cameraOn, setCameraOn] = useState(false);
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const { showNotification } = useNotification();
+
+  const previewUrl = useMemo(() => (photo ? URL.createObjectURL(photo) : null), [photo]);
+
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+  }, [previewUrl]);
+
+  const stopCamera = () => {
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    setCameraOn(false);
+  };
+
+  // The camera is released if the form is left with it still on
+  useEffect(() => () => streamRef.current?.getTracks().forEach((track) => track.stop()), []);
+
+  const startCamera = async () => {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      showNotification('This browser cannot use the webcam. Upload a photo instead', 'error');
+      return;
+    }
+    try {
+      streamRef.current = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' } });
+      setCameraOn(true);
+    } catch {
+      showNotification('Could not open the webcam. Check the camera permission', 'error');
+    }
+  };
+
+  // The video element only exists once the camera view is shown
+  useEffect(() => {
+    if (cameraOn && videoRef.current) {
+      videoRef.current.srcObject = streamRef.current;
+    }
+  }, [cameraOn]);
+
+  const handleCapture = () => {
+    const video = videoRef.current;
+    const side = Math.min(video.videoWidth, video.videoHeight);
+    const canvas = document.createElement('canvas');
+    canvas.width = CAPTURE_SIZE;
+    canvas.height = CAPTURE_SIZE;
+    canvas.getContext('2d').drawImage(
+      video,
+      (video.videoWidth - side) / 2,
+      (video.videoHeight - side) / 2,
+      side,
+      side,
+      0,
+      0,
+      CAPTURE_SIZE,
+      CAPTURE_SIZE
+    );
+    canvas.toBlob((blob) => {
+      if (blob) onChange(blob);
+      stopCamera();
+    }, 'image/jpeg', 0.85);
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      showNotification('Profile photo must be an image', 'error');
+      return;
+    }
+    if (file.size > MAX_SIZE_MB * 1024 * 1024) {
+      showNotification(`Photo is too large. Upload one of up to ${MAX_SIZE_MB} MB`, 'error');
+      return;
+    }
+    onChange(file);
+  };
+
+  const hasSavedPhoto = photo === undefined && !!student?.photoUpdatedAt;
+
+  return (
+    <div className="flex items-center gap-4">
+      {cameraOn ? (
+        <video ref={videoRef} autoPlay playsInline muted className="h-28 w-28 rounded-2xl object-cover bg-gray-900" />
+      ) : previewUrl ? (
+        <img src={previewUrl} alt="New profile" className="h-28 w-28 rounded-2xl object-cover border border-gray-100" />
+      ) : hasSavedPhoto ? (
+        <StudentPhoto student={student} className="h-28 w-28 text-2xl" />
+      ) : (
+        <div className="h-28 w-28 flex items-center justify-center rounded-2xl bg-gray-50 border border-dashed border-gray-200">
+          <Camera className="h-8 w-8 text-gray-300" />
+        </div>
+      )}
+
+      <input ref={fileInputRef} type="file" accept="image/*" onChange={handleFile} className="hidden" />
+      <div className="flex flex-col gap-2">
+        {cameraOn ? (
+          <>
+            <button
+              type="button"
+              onClick={handleCapture}
+              className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-lg transition-all"
+            >
+              <Camera className="h-3.5 w-3.5" />
+              <span>Take Photo</span>
+            </button>
+            <button
+              type="button"
+              onClick={stopCamera}
+              className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-lg transition-all"
+            >
+              <X className="h-3.5 w-3.5" />
+              <span>Cancel</span>
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              type="button"
+              onClick={startCamera}
+              className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-emerald-700 bg-emerald-50 hover:bg-emerald-100 rounded-lg transition-all"
+            >
+              <Camera className="h-3.5 w-3.5" />
+              <span>Use Webcam</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-all"
+            >
+              <Upload className="h-3.5 w-3.5" />
+              <span>Upload Photo</span>
+            </button>
+            {(photo || hasSavedPhoto) && (
+              <button
+                type="button"
+                onClick={() => onChange(student?.photoUpdatedAt ? null : undefined)}
+                className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-red-600 hover:bg-red-50 rounded-lg transition-all"
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+                <span>Remove</span>
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PhotoCapture;
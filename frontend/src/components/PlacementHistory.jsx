@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2 } from 'lucide-react';
+import { PlacementService, ShiftService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import { formatDate, formatRupees } from '../utils/format';
+import { findShift, formatShift } from '../utils/shifts';
+
+// Halls a student has been placed in, newest first; the open placement is their current hall
+const PlacementHistory = ({ studentId }) => {
+  const [placements, setPlacements] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const { showNotification } = useNotification();
+
+  const fetchPlacements = useCallback(
+    () => Promise.all([
+      PlacementService.getHistory(studentId),
+      ShiftService.getAll()
+    ])
+      .then(([data, shiftData]) => {
+        setPlacements(data);
+        setShifts(shiftData);
+      })
+      .catch((err) => showNotification(err.message || 'Failed to load placement history', 'error'))
+      .finally(() => setLoading(false)),
+    [studentId, showNotification]
+  );
+
+  useEffect(() => {
+    fetchPlacements();
+  }, [fetchPlacements]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="h-5 w-5 animate-spin text-emerald-600" />
+      </div>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+      {placements.map((placement) => {
+        const shift = findShift(shifts, placement.shiftId);
+        return (
+          <li key={placement.id} className="flex items-start justify-between gap-3 px-4 py-3">
+            <div>
+              <p className="text-sm font-semibold text-gray-900">
+                {placement.hall}
+                {placement.cabin && <span className="font-medium text-gray-500"> · Seat {placement.cabin}</span>}
+                {shift && <span className="font-medium text-gray-500"> · {formatShift(shift)}</span>}
+              </p>
+              <p className="text-xs font-medium text-gray-500">{placement.reason}</p>
+            </div>
+            <div className="text-right flex-shrink-0">
+              <p className="text-xs font-semibold text-gray-700">
+                {formatDate(placement.startDate)} to {placement.endDate ? formatDate(placement.endDate) : 'present'}
+              </p>
+              <p className="text-xs font-medium text-gray-500">{formatRupees(placement.monthlyFee)} / month</p>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default PlacementHistory;
@@ -0,0 +1,156 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2, CalendarCheck } from 'lucide-react';
+import Modal from './Modal';
+import { PrepaidService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import { PAYMENT_MODES } from '../utils/payments';
+import { formatDate, formatPeriod, formatRupees } from '../utils/format';
+
+const PLAN_MONTHS = [3, 6, 12];
+
+const inputClassName = "block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all";
+
+// Collects several months upfront; the backend prices the plan from the student's net fee per cycle
+const PrepaidPlanModal = ({ student, onClose, onPurchased }) => {
+  const [months, setMonths] = useState(3);
+  const [mode, setMode] = useState('CASH');
+  const [referenceNumber, setReferenceNumber] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { showNotification } = useNotification();
+
+  const fetchQuote = useCallback(
+    () => PrepaidService.quote(student.id, months)
+      .then(setQuote)
+      .catch((err) => setError(err.message || 'Failed to price prepaid plan')),
+    [student.id, months]
+  );
+
+  useEffect(() => {
+    fetchQuote();
+  }, [fetchQuote]);
+
+  const handleMonthsChange = (option) => {
+    setError(null);
+    setQuote(null);
+    setMonths(option);
+  };
+
+  const handlePurchase = async () => {
+    try {
+      setSaving(true);
+      const plan = await PrepaidService.purchase(student.id, { months, mode, referenceNumber });
+      showNotification(`${months}-month plan recorded, paid through ${formatDate(plan.paidThrough)}`);
+      onPurchased?.(plan);
+      onClose();
+    } catch (err) {
+      showNotification(err.message || 'Failed to record prepaid plan', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title={`Prepaid Plan · ${student.name}`}
+      footerActions={
+        <>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handlePurchase}
+            disabled={saving || !quote || quote.amount <= 0}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+          >
+            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <CalendarCheck className="h-4 w-4" />}
+            <span>Collect {quote ? formatRupees(quote.amount) : ''}</span>
+          </button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <div className="flex gap-2">
+          {PLAN_MONTHS.map((option) => (
+            <button
+              key={option}
+              onClick={() => handleMonthsChange(option)}
+              className={`flex-1 px-3 py-2 rounded-xl text-sm font-semibold border transition-all ${
+                months === option
+                  ? 'bg-emerald-600 text-white border-emerald-600 shadow-sm'
+                  : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              {option} months
+            </button>
+          ))}
+        </div>
+
+        {error ? (
+          <p className="text-xs font-semibold text-red-600">{error}</p>
+        ) : !quote ? (
+          <div className="flex justify-center py-3">
+            <Loader2 className="h-5 w-5 animate-spin text-emerald-600" />
+          </div>
+        ) : (
+          <div className="p-4 bg-gray-50 border border-gray-100 rounded-xl space-y-2 text-sm">
+            <div className="flex justify-between">
+              <span className="font-medium text-gray-500">Covers</span>
+              <span className="font-semibold text-gray-900">{formatPeriod(quote.coverFrom, quote.paidThrough)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="font-medium text-gray-500">{quote.months} cycles at net fee</span>
+              <span className="font-semibold text-gray-900">{formatRupees(quote.cyclesAmount)}</span>
+            </div>
+            {quote.arrears > 0 && (
+              <div className="flex justify-between">
+                <span className="font-medium text-gray-500">Current dues</span>
+                <span className="font-semibold text-amber-600">{formatRupees(quote.arrears)}</span>
+              </div>
+            )}
+            {quote.creditApplied > 0 && (
+              <div className="flex justify-between">
+                <span className="font-medium text-gray-500">Existing advance credit</span>
+                <span className="font-semibold text-indigo-600">− {formatRupees(quote.creditApplied)}</span>
+              </div>
+            )}
+            <div className="flex justify-between pt-2 border-t border-gray-200">
+              <span className="font-bold text-gray-700">To collect</span>
+              <span className="font-bold text-emerald-600">{formatRupees(quote.amount)}</span>
+            </div>
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 gap-3">
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Mode</label>
+            <select value={mode} onChange={(e) => setMode(e.target.value)} className={inputClassName}>
+              {PAYMENT_MODES.map((m) => (
+                <option key={m.value} value={m.value}>{m.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Reference</label>
+            <input
+              type="text"
+              value={referenceNumber}
+              onChange={(e) => setReferenceNumber(e.target.value)}
+              placeholder="UPI / cheque no."
+              className={inputClassName}
+            />
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default PrepaidPlanModal;
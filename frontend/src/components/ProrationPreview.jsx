@@ -0,0 +1,93 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2 } from 'lucide-react';
+import { ProrationService } from '../services/api';
+import { formatProrationPolicy } from '../utils/billing';
+import { formatPeriod, formatRupees } from '../utils/format';
+
+const DAYS_LABELS = {
+  LEAVE: 'Days used before leaving',
+  REACTIVATE: 'Days remaining in cycle',
+  TRANSFER: 'Days at current hall',
+};
+
+// Shows the pro-rated charge or credit an action will post, fetched from the backend before confirming
+const ProrationPreview = ({ studentId, action, date, newMonthlyFee }) => {
+  const [proration, setProration] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchProration = useCallback(
+    () => (action === 'LEAVE'
+      ? ProrationService.previewLeave(studentId, date)
+      : action === 'REACTIVATE'
+        ? ProrationService.previewReactivation(studentId)
+        : ProrationService.previewTransfer(studentId, newMonthlyFee, date))
+      .then((data) => {
+        setError(null);
+        setProration(data);
+      })
+      .catch((err) => setError(err.message || 'Failed to calculate pro-rated fee')),
+    [studentId, action, date, newMonthlyFee]
+  );
+
+  useEffect(() => {
+    fetchProration();
+  }, [fetchProration]);
+
+  if (error) {
+    return <p className="text-xs font-semibold text-red-600">{error}</p>;
+  }
+
+  if (!proration) {
+    return (
+      <div className="flex justify-center py-3">
+        <Loader2 className="h-5 w-5 animate-spin text-emerald-600" />
+      </div>
+    );
+  }
+
+  if (!proration.cycleStart) {
+    return (
+      <p className="p-3 text-xs font-medium text-gray-500 bg-gray-50 rounded-xl">
+        No billing cycle is affected, so there is no pro-rated adjustment.
+      </p>
+    );
+  }
+
+  const { adjustment } = proration;
+  const adjustmentClass = adjustment > 0 ? 'text-red-600' : adjustment < 0 ? 'text-emerald-600' : 'text-gray-900';
+
+  return (
+    <div className="p-4 bg-gray-50 border border-gray-100 rounded-xl space-y-2 text-sm">
+      <div className="flex justify-between">
+        <span className="font-medium text-gray-500">Policy</span>
+        <span className="font-semibold text-gray-900">{formatProrationPolicy(proration.policy)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="font-medium text-gray-500">Cycle</span>
+        <span className="font-semibold text-gray-900">{formatPeriod(proration.cycleStart, proration.cycleEnd)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="font-medium text-gray-500">{DAYS_LABELS[proration.action]}</span>
+        <span className="font-semibold text-gray-900">{proration.daysCharged} of {proration.cycleDays}</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="font-medium text-gray-500">Already invoiced</span>
+        <span className="font-semibold text-gray-900">{formatRupees(proration.alreadyBilled)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="font-medium text-gray-500">Pro-rated cycle fee</span>
+        <span className="font-semibold text-gray-900">{formatRupees(proration.proratedAmount)}</span>
+      </div>
+      <div className="flex justify-between pt-2 border-t border-gray-200">
+        <span className="font-bold text-gray-700">
+          {adjustment > 0 ? 'Additional charge' : adjustment < 0 ? 'Credit to student' : 'Adjustment'}
+        </span>
+        <span className={`font-bold ${adjustmentClass}`}>
+          {adjustment === 0 ? 'None' : formatRupees(Math.abs(adjustment))}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ProrationPreview;
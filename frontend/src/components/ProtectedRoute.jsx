@@ -0,0 +1,35 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { Loader2, ShieldAlert } from 'lucide-react';
+import { useAuth } from './useAuth';
+
+// Sends anyone not signed in to the login page, and turns away roles without the permission
+const ProtectedRoute = ({ permission, children }) => {
+  const { user, checking, can } = useAuth();
+  const location = useLocation();
+
+  if (checking) {
+    return (
+      <div className="flex justify-center items-center h-screen">
+        <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  if (permission && !can(permission)) {
+    return (
+      <div className="flex flex-col items-center justify-center p-12 m-6 bg-white border border-gray-100 rounded-2xl text-center space-y-2">
+        <ShieldAlert className="h-8 w-8 text-gray-300" />
+        <h4 className="text-base font-bold text-gray-700">No Access</h4>
+        <p className="text-sm font-medium text-gray-400">Your role does not include this page. Ask the owner if you need it.</p>
+      </div>
+    );
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
@@ -0,0 +1,63 @@
+import Modal from './Modal';
+import ProrationPreview from './ProrationPreview';
+import { useNotification } from './NotificationContext';
+import { StudentService } from '../services/api';
+
+const ReactivateModal = ({ student, onClose, onReactivated }) => {
+  const { showNotification } = useNotification();
+
+  const handleReactivate = async () => {
+    try {
+      await StudentService.reactivate(student.id);
+      showNotification('Student reactivated successfully', 'success', {
+        onUndo: async () => {
+          await StudentService.undoReactivate(student.id);
+          showNotification(`${student.name} is marked as left again`);
+          onReactivated();
+        }
+      });
+      onClose();
+      onReactivated();
+    } catch (err) {
+      showNotification(err.message || 'Failed to reactivate student', 'error');
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title="Reactivate Student"
+      footerActions={
+        <>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleReactivate}
+            className="px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all"
+          >
+            Reactivate
+          </button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <div>
+          <p className="text-gray-700 font-semibold">
+            Are you sure you want to reactivate <span className="text-gray-900 font-bold">{student.name}</span>?
+          </p>
+          <p className="text-xs font-medium text-gray-400 mt-2">
+            This will reset their Left Date and status, reactivating their subscription record.
+          </p>
+        </div>
+        <ProrationPreview studentId={student.id} action="REACTIVATE" />
+      </div>
+    </Modal>
+  );
+};
+
+export default ReactivateModal;
@@ -0,0 +1,215 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Loader2, IndianRupee, Printer, CheckCircle2 } from 'lucide-react';
+import Modal from './Modal';
+import { PaymentService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import { PAYMENT_MODES } from '../utils/payments';
+import { getCurrentCycle } from '../utils/billing';
+import { formatRupees } from '../utils/format';
+
+const emptyPayment = (student) => {
+  const cycle = getCurrentCycle(student?.joinDate);
+  return {
+    amount: student && student.feeDue > 0 ? student.feeDue : student?.monthlyFee || '',
+    entryDate: new Date().toISOString().split('T')[0],
+    mode: 'CASH',
+    referenceNumber: '',
+    note: '',
+    periodStart: cycle?.start || '',
+    periodEnd: cycle?.end || ''
+  };
+};
+
+const inputClassName = "block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all";
+
+// Mounted per student (keyed by id) so the form always starts fresh
+const RecordPaymentModal = ({ student, onClose, onRecorded }) => {
+  const [formData, setFormData] = useState(emptyPayment(student));
+  const [saving, setSaving] = useState(false);
+  const [recorded, setRecorded] = useState(null);
+  const { showNotification } = useNotification();
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: name === 'amount' ? parseInt(value) || '' : value
+    }));
+  };
+
+  const handleSubmit = async () => {
+    if (!formData.amount || formData.amount <= 0) {
+      showNotification('Enter a payment amount greater than zero', 'error');
+      return;
+    }
+    try {
+      setSaving(true);
+      const payment = await PaymentService.record(student.id, {
+        ...formData,
+        periodStart: formData.periodStart || null,
+        periodEnd: formData.periodEnd || null
+      });
+      showNotification(`Payment of ${formatRupees(payment.amount)} recorded for ${student.name}`);
+      setRecorded(payment);
+      onRecorded?.(payment);
+    } catch (err) {
+      showNotification(err.message || 'Failed to record payment', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={!!student}
+      onClose={onClose}
+      title="Record Payment"
+      footerActions={recorded ? (
+        <>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+          >
+            Done
+          </button>
+          <button
+            onClick={() => navigate(`/receipts/${recorded.id}`)}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all"
+          >
+            <Printer className="h-4 w-4" />
+            <span>Print Receipt</span>
+          </button>
+        </>
+      ) : (
+        <>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={saving}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+          >
+            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <IndianRupee className="h-4 w-4" />}
+            <span>Record Payment</span>
+          </button>
+        </>
+      )}
+    >
+      {recorded ? (
+        <div className="flex flex-col items-center text-center space-y-2 py-4">
+          <CheckCircle2 className="h-10 w-10 text-emerald-600" />
+          <p className="text-base font-bold text-gray-900">{formatRupees(recorded.amount)} received</p>
+          <p className="text-sm font-medium text-gray-500">
+            Receipt <span className="font-bold text-gray-800">{recorded.receiptNumber}</span> issued to {student?.name}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between p-3 bg-gray-50 rounded-xl border border-gray-100">
+            <div>
+              <p className="text-sm font-bold text-gray-900">{student?.name}</p>
+              <p className="text-xs font-medium text-gray-500">{student?.hall} · Cabin {student?.cabin}</p>
+            </div>
+            <div className="text-right">
+              <p className="text-xs font-bold text-gray-400 uppercase tracking-wide">Current Due</p>
+              <p className="text-sm font-bold text-amber-600">₹ {(student?.feeDue ?? 0).toLocaleString('en-IN')}</p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Amount (₹)</label>
+              <input
+                type="number"
+                name="amount"
+                min="1"
+                value={formData.amount}
+                onChange={handleChange}
+                className={`${inputClassName} font-semibold`}
+              />
+            </div>
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Payment Date</label>
+              <input
+                type="date"
+                name="entryDate"
+                max={new Date().toISOString().split('T')[0]}
+                value={formData.entryDate}
+                onChange={handleChange}
+                className={inputClassName}
+              />
+            </div>
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Mode</label>
+              <select
+                name="mode"
+                value={formData.mode}
+                onChange={handleChange}
+                className={`${inputClassName} font-medium text-gray-700`}
+              >
+                {PAYMENT_MODES.map((mode) => (
+                  <option key={mode.value} value={mode.value}>{mode.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Reference No.</label>
+              <input
+                type="text"
+                name="referenceNumber"
+                value={formData.referenceNumber}
+                onChange={handleChange}
+                placeholder={formData.mode === 'CASH' ? 'Optional' : 'e.g. UPI transaction id'}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Period From</label>
+              <input
+                type="date"
+                name="periodStart"
+                value={formData.periodStart}
+                onChange={handleChange}
+                className={inputClassName}
+              />
+            </div>
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Period To</label>
+              <input
+                type="date"
+                name="periodEnd"
+                min={formData.periodStart}
+                value={formData.periodEnd}
+                onChange={handleChange}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Note</label>
+            <textarea
+              name="note"
+              rows="2"
+              value={formData.note}
+              onChange={handleChange}
+              placeholder="e.g. Fee for June"
+              className={inputClassName}
+            />
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default RecordPaymentModal;
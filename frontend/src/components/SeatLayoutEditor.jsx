@@ -0,0 +1,276 @@
+import { useState } from 'react';
+import { Loader2, Save, Trash2, ListOrdered } from 'lucide-react';
+import { SeatService } from '../services/api';
+import SeatTiersPanel from './SeatTiersPanel';
+import { useNotification } from './NotificationContext';
+import { formatRupees } from '../utils/format';
+import {
+  SEAT_FEATURES,
+  describeSeat,
+  findOccupant,
+  getSeatFee,
+  guessSeatPrefix,
+  isInsideGrid,
+  nextSeatLabel,
+  numberSeats
+} from '../utils/seats';
+
+const inputClassName = "block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all";
+
+const seatKey = (seat) => seat.id ?? seat.key;
+
+const newSeat = (seats, prefix, row, column) => ({
+  key: `new-${row}-${column}`,
+  label: nextSeatLabel(seats, prefix),
+  gridRow: row,
+  gridColumn: column,
+  ac: false,
+  windowSeat: false,
+  locker: false,
+  tierId: null
+});
+
+// Grid editor for a hall's seats: click an empty cell to add a seat, click a seat to set its number, features and tier
+const SeatLayoutEditor = ({ seatMap, onCancel, onSaved }) => {
+  const [rows, setRows] = useState(seatMap.rows);
+  const [columns, setColumns] = useState(seatMap.columns);
+  const [seats, setSeats] = useState(seatMap.seats);
+  const [tiers, setTiers] = useState(seatMap.tiers);
+  const [prefix, setPrefix] = useState(() => guessSeatPrefix(seatMap.seats));
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { showNotification } = useNotification();
+
+  // Students hold a seat by its saved label until the renamed layout is saved
+  const occupantOf = (seat) => {
+    const saved = seat.id && seatMap.seats.find((s) => s.id === seat.id);
+    return saved ? findOccupant(seatMap.students, saved.label) : null;
+  };
+
+  const selectedSeat = seats.find((seat) => seatKey(seat) === selectedKey);
+
+  const handleResize = (name, value) => {
+    const size = Math.min(Math.max(parseInt(value) || 1, 1), 30);
+    const nextRows = name === 'rows' ? size : rows;
+    const nextColumns = name === 'columns' ? size : columns;
+
+    const outside = seats.filter((seat) => !isInsideGrid(seat, nextRows, nextColumns));
+    const taken = outside.find((seat) => occupantOf(seat));
+
+    if (taken) {
+      showNotification(`Seat ${taken.label} is taken and would fall off the grid. Move its student first`, 'error');
+      return;
+    }
+
+    setRows(nextRows);
+    setColumns(nextColumns);
+    setSeats(seats.filter((seat) => isInsideGrid(seat, nextRows, nextColumns)));
+  };
+
+  const handleCellClick = (row, column) => {
+    const seat = newSeat(seats, prefix, row, column);
+    setSeats([...seats, seat]);
+    setSelectedKey(seat.key);
+  };
+
+  const handleSeatChange = (field, value) => {
+    setSeats(seats.map((seat) => (seatKey(seat) === selectedKey ? { ...seat, [field]: value } : seat)));
+  };
+
+  const handleRemove = () => {
+    setSeats(seats.filter((seat) => seatKey(seat) !== selectedKey));
+    setSelectedKey(null);
+  };
+
+  const handleFill = () => {
+    const filled = [...seats];
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        if (!filled.some((seat) => seat.gridRow === row && seat.gridColumn === column)) {
+          filled.push(newSeat(filled, prefix, row, column));
+        }
+      }
+    }
+    setSeats(filled);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const data = await SeatService.saveLayout(seatMap.hallId, {
+        rows,
+        columns,
+        seats: seats.map(({ id, label, gridRow, gridColumn, ac, windowSeat, locker, tierId }) => ({
+          id, label, gridRow, gridColumn, ac, windowSeat, locker, tierId
+        }))
+      });
+      showNotification('Seat map saved');
+      onSaved(data);
+    } catch (err) {
+      showNotification(err.message || 'Failed to save seat map', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-2xl p-5 shadow-sm space-y-5">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end">
+        <div className="space-y-1">
+          <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Rows</label>
+          <input type="number" min="1" max="30" value={rows} onChange={(e) => handleResize('rows', e.target.value)} className={inputClassName} />
+        </div>
+        <div className="space-y-1">
+          <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Columns</label>
+          <input type="number" min="1" max="30" value={columns} onChange={(e) => handleResize('columns', e.target.value)} className={inputClassName} />
+        </div>
+        <div className="space-y-1">
+          <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Number Prefix</label>
+          <input type="text" value={prefix} onChange={(e) => setPrefix(e.target.value)} placeholder="C-" className={inputClassName} />
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={handleFill}
+            className="flex-1 px-3 py-2 text-sm font-semibold text-gray-700 bg-white border border-gray-200 hover:bg-gray-50 rounded-xl transition-all"
+          >
+            Fill Grid
+          </button>
+          <button
+            type="button"
+            onClick={() => setSeats(numberSeats(seats, prefix))}
+            title="Number seats row by row"
+            className="inline-flex items-center justify-center px-3 py-2 text-gray-700 bg-white border border-gray-200 hover:bg-gray-50 rounded-xl transition-all"
+          >
+            <ListOrdered className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <p className="text-xs font-medium text-gray-500">
+        {seats.length} seats placed for a capacity of {seatMap.capacity}. Empty cells are aisles.
+      </p>
+
+      <div className="overflow-x-auto">
+        <div className="grid gap-2 min-w-max" style={{ gridTemplateColumns: `repeat(${columns}, minmax(4.5rem, 1fr))` }}>
+          {Array.from({ length: rows * columns }, (_, index) => {
+            const row = Math.floor(index / columns);
+            const column = index % columns;
+            const seat = seats.find((s) => s.gridRow === row && s.gridColumn === column);
+
+            if (!seat) {
+              return (
+                <button
+                  key={index}
+                  type="button"
+                  onClick={() => handleCellClick(row, column)}
+                  title="Add a seat here"
+                  className="h-14 rounded-xl border-2 border-dashed border-gray-100 text-gray-300 hover:border-emerald-300 hover:text-emerald-500 text-lg font-bold transition-all"
+                >
+                  +
+                </button>
+              );
+            }
+
+            const occupant = occupantOf(seat);
+            const selected = seatKey(seat) === selectedKey;
+
+            return (
+              <button
+                key={seatKey(seat)}
+                type="button"
+                onClick={() => setSelectedKey(seatKey(seat))}
+                title={`${describeSeat(seat, tiers)}${occupant ? ` · taken by ${occupant.name}` : ''}`}
+                className={`h-14 p-1.5 rounded-xl border-2 text-xs font-bold transition-all ${
+                  selected ? 'border-emerald-500 bg-emerald-50 text-emerald-800' : 'border-gray-200 bg-gray-50 text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                <span className="block">{seat.label || '?'}</span>
+                <span className="block font-medium text-gray-400 truncate">
+                  {[seat.ac && 'AC', seat.windowSeat && 'W', seat.locker && 'L'].filter(Boolean).join(' ')}
+                  {occupant && ` ${occupant.name}`}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {selectedSeat && (
+        <div className="space-y-3 p-4 bg-gray-50 rounded-xl">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Seat Number</label>
+              <input type="text" value={selectedSeat.label} onChange={(e) => handleSeatChange('label', e.target.value)} className={inputClassName} />
+            </div>
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Price Tier</label>
+              <select
+                value={selectedSeat.tierId ?? ''}
+                onChange={(e) => handleSeatChange('tierId', e.target.value ? parseInt(e.target.value) : null)}
+                className={inputClassName}
+              >
+                <option value="">Hall base rate ({formatRupees(seatMap.monthlyFee)})</option>
+                {tiers.map((tier) => (
+                  <option key={tier.id} value={tier.id}>{tier.name} ({formatRupees(tier.monthlyFee)})</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex flex-wrap gap-4">
+              {SEAT_FEATURES.map(({ key, label }) => (
+                <label key={key} className="inline-flex items-center gap-2 text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!selectedSeat[key]}
+                    onChange={(e) => handleSeatChange(key, e.target.checked)}
+                    className="h-4 w-4 rounded border-gray-300 text-emerald-600 focus:ring-emerald-500"
+                  />
+                  {label}
+                </label>
+              ))}
+              <span className="text-sm font-semibold text-emerald-600">
+                {formatRupees(getSeatFee(selectedSeat, tiers, seatMap.monthlyFee))} / month
+              </span>
+            </div>
+            <button
+              type="button"
+              onClick={handleRemove}
+              disabled={!!occupantOf(selectedSeat)}
+              title={occupantOf(selectedSeat) ? 'Move the student out before removing this seat' : 'Remove Seat'}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-red-600 bg-white border border-red-100 hover:bg-red-50 rounded-xl transition-all disabled:opacity-50"
+            >
+              <Trash2 className="h-4 w-4" />
+              <span>Remove Seat</span>
+            </button>
+          </div>
+        </div>
+      )}
+
+      <SeatTiersPanel hallId={seatMap.hallId} hallFee={seatMap.monthlyFee} tiers={tiers} onChange={setTiers} />
+
+      <div className="flex justify-end gap-2 pt-2 border-t border-gray-100">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+        >
+          {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+          <span>Save Layout</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SeatLayoutEditor;
@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { Loader2, Plus, Trash2 } from 'lucide-react';
+import { SeatService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import { formatRupees } from '../utils/format';
+
+const inputClassName = "block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-white";
+
+// Price tiers for a hall's seats, saved as soon as they are added or removed
+const SeatTiersPanel = ({ hallId, hallFee, tiers, onChange }) => {
+  const [name, setName] = useState('');
+  const [monthlyFee, setMonthlyFee] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const { showNotification } = useNotification();
+
+  const refreshTiers = async () => {
+    try {
+      onChange(await SeatService.getTiers(hallId));
+    } catch (err) {
+      showNotification(err.message || 'Failed to load price tiers', 'error');
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!name.trim() || monthlyFee === '') {
+      showNotification('Enter a tier name and its monthly fee', 'error');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await SeatService.createTier(hallId, { name: name.trim(), monthlyFee: parseInt(monthlyFee) || 0 });
+      showNotification('Price tier added');
+      setName('');
+      setMonthlyFee('');
+      refreshTiers();
+    } catch (err) {
+      showNotification(err.message || 'Failed to add price tier', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (tier) => {
+    if (window.confirm(`Remove the ${tier.name} price tier?`)) {
+      try {
+        await SeatService.deleteTier(tier.id);
+        showNotification('Price tier removed');
+        refreshTiers();
+      } catch (err) {
+        showNotification(err.message || 'Failed to remove price tier', 'error');
+      }
+    }
+  };
+
+  return (
+    <div className="space-y-3 p-4 bg-gray-50 rounded-xl">
+      <p className="text-xs font-bold text-gray-500 uppercase tracking-wide">Price Tiers</p>
+      <p className="text-xs font-medium text-gray-500">Seats without a tier are charged the hall's base rate of {formatRupees(hallFee)}.</p>
+
+      {tiers.length > 0 && (
+        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl bg-white">
+          {tiers.map((tier) => (
+            <li key={tier.id} className="flex items-center justify-between gap-3 px-4 py-2.5">
+              <span className="text-sm font-semibold text-gray-900">{tier.name}</span>
+              <div className="flex items-center gap-2">
+                <span className="text-sm font-semibold text-emerald-600">{formatRupees(tier.monthlyFee)}</span>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(tier)}
+                  title="Remove Tier"
+                  className="inline-flex p-1.5 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Tier name, e.g. Premium"
+          className={inputClassName}
+        />
+        <input
+          type="number"
+          min="0"
+          value={monthlyFee}
+          onChange={(e) => setMonthlyFee(e.target.value)}
+          placeholder="Monthly fee (₹)"
+          className={inputClassName}
+        />
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={saving}
+          className="inline-flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+        >
+          {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+          <span>Add Tier</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SeatTiersPanel;
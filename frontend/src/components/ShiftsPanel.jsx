@@ -0,0 +1,179 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2, Plus, Save, Trash2, Edit2 } from 'lucide-react';
+import { ShiftService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import { formatRupees } from '../utils/format';
+import { formatTime } from '../utils/shifts';
+
+const inputClassName = "block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-white";
+
+const emptyShift = { name: '', startTime: '', endTime: '', monthlyFee: '' };
+
+// A hall's time-slot shifts, saved as soon as they are added, changed or removed
+const ShiftsPanel = ({ hallId }) => {
+  const [shifts, setShifts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyShift);
+
+  const { showNotification } = useNotification();
+
+  const fetchShifts = useCallback(
+    () => ShiftService.getForHall(hallId)
+      .then(setShifts)
+      .catch((err) => showNotification(err.message || 'Failed to load shifts', 'error'))
+      .finally(() => setLoading(false)),
+    [hallId, showNotification]
+  );
+
+  useEffect(() => {
+    fetchShifts();
+  }, [fetchShifts]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleEdit = (shift) => {
+    setEditingId(shift.id);
+    setForm({
+      name: shift.name,
+      startTime: formatTime(shift.startTime),
+      endTime: formatTime(shift.endTime),
+      monthlyFee: shift.monthlyFee
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(emptyShift);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.startTime || !form.endTime || form.monthlyFee === '') {
+      showNotification('Enter the shift name, hours and monthly fee', 'error');
+      return;
+    }
+
+    const shift = {
+      name: form.name.trim(),
+      startTime: form.startTime,
+      endTime: form.endTime,
+      monthlyFee: parseInt(form.monthlyFee) || 0
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await ShiftService.update(editingId, shift);
+        showNotification('Shift updated');
+      } else {
+        await ShiftService.create(hallId, shift);
+        showNotification('Shift added');
+      }
+      resetForm();
+      fetchShifts();
+    } catch (err) {
+      showNotification(err.message || 'Failed to save shift', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (shift) => {
+    if (window.confirm(`Remove the ${shift.name} shift?`)) {
+      try {
+        await ShiftService.delete(shift.id);
+        showNotification('Shift removed');
+        if (editingId === shift.id) resetForm();
+        fetchShifts();
+      } catch (err) {
+        showNotification(err.message || 'Failed to remove shift', 'error');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Loader2 className="h-6 w-6 animate-spin text-emerald-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {shifts.length === 0 ? (
+        <p className="text-sm font-medium text-gray-400">
+          No shifts: every student has their seat for the whole day.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+          {shifts.map((shift) => (
+            <li key={shift.id} className="flex items-center justify-between gap-3 px-4 py-3">
+              <div>
+                <p className="text-sm font-semibold text-gray-900">{shift.name}</p>
+                <p className="text-xs font-medium text-gray-500">
+                  {formatTime(shift.startTime)} to {formatTime(shift.endTime)} · {formatRupees(shift.monthlyFee)} / month
+                </p>
+              </div>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={() => handleEdit(shift)}
+                  title="Edit Shift"
+                  className="inline-flex p-1.5 rounded-lg text-blue-600 hover:bg-blue-50 transition-colors"
+                >
+                  <Edit2 className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(shift)}
+                  title="Remove Shift"
+                  className="inline-flex p-1.5 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Not a nested <form>: the panel sits inside the hall form */}
+      <div className="space-y-3 p-4 bg-gray-50 rounded-xl">
+        <p className="text-xs font-bold text-gray-500 uppercase tracking-wide">{editingId ? 'Edit Shift' : 'Add Shift'}</p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <input type="text" name="name" value={form.name} onChange={handleChange} placeholder="e.g. Morning" className={inputClassName} />
+          <input type="time" name="startTime" value={form.startTime} onChange={handleChange} className={inputClassName} />
+          <input type="time" name="endTime" value={form.endTime} onChange={handleChange} className={inputClassName} />
+          <input type="number" name="monthlyFee" min="0" value={form.monthlyFee} onChange={handleChange} placeholder="Monthly fee (₹)" className={inputClassName} />
+        </div>
+        <div className="flex justify-end gap-2">
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+          >
+            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : editingId ? <Save className="h-4 w-4" /> : <Plus className="h-4 w-4" />}
+            <span>{editingId ? 'Update Shift' : 'Add Shift'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShiftsPanel;
@@ -4,24 +4,40 @@ import {
   Home, 
   Users, 
   Building2, 
+  Hourglass, 
+  ClipboardCheck, 
   BarChart3, 
   CalendarDays, 
+  Repeat, 
   UserPlus, 
   PlusSquare,
+  UserCog,
+  History,
+  Trash2,
   GraduationCap,
   X
 } from 'lucide-react';
+import { useAuth } from './useAuth';
 
 const Sidebar = ({ isOpen, toggleSidebar }) => {
+  const { can } = useAuth();
+
+  // Links to pages the staff member's role does not include are left out
   const menuItems = [
     { name: 'Dashboard', path: '/', icon: Home },
     { name: 'Students', path: '/students', icon: Users },
     { name: 'Study Halls', path: '/study-halls', icon: Building2 },
-    { name: 'Reports', path: '/reports', icon: BarChart3 },
+    { name: 'Waitlist', path: '/waitlist', icon: Hourglass },
+    { name: 'Attendance', path: '/attendance', icon: ClipboardCheck },
+    { name: 'Reports', path: '/reports', icon: BarChart3, permission: 'viewReports' },
     { name: 'Upcoming Fees', path: '/upcoming-fees', icon: CalendarDays },
+    { name: 'Billing', path: '/billing', icon: Repeat },
+    { name: 'Activity', path: '/activity', icon: History, permission: 'viewActivity' },
+    { name: 'Recycle Bin', path: '/recycle-bin', icon: Trash2, permission: 'viewRecycleBin' },
     { name: 'Add Student', path: '/students/new', icon: UserPlus },
-    { name: 'Add Hall', path: '/study-halls/new', icon: PlusSquare },
-  ];
+    { name: 'Add Hall', path: '/study-halls/new', icon: PlusSquare, permission: 'manageHalls' },
+    { name: 'Staff', path: '/staff', icon: UserCog, permission: 'manageStaff' },
+  ].filter((item) => !item.permission || can(item.permission));
 
   const activeClassName = "flex items-center gap-3 px-4 py-3 text-sm font-semibold rounded-xl bg-emerald-600 text-white shadow-md shadow-emerald-600/20 transition-all duration-200";
   const inactiveClassName = "flex items-center gap-3 px-4 py-3 text-sm font-medium rounded-xl text-gray-700 hover:bg-gray-100 hover:text-gray-900 transition-all duration-200";
@@ -38,7 +54,7 @@ const Sidebar = ({ isOpen, toggleSidebar }) => {
 
       {/* Sidebar Container */}
       <aside 
-        className={`fixed inset-y-0 left-0 z-50 flex flex-col w-64 bg-white border-r border-gray-200 transform transition-transform duration-300 ease-in-out lg:translate-x-0 lg:static lg:h-screen ${
+        className={`fixed inset-y-0 left-0 z-50 print:hidden flex flex-col w-64 bg-white border-r border-gray-200 transform transition-transform duration-300 ease-in-out lg:translate-x-0 lg:static lg:h-screen ${
           isOpen ? 'translate-x-0' : '-translate-x-0 -left-64 lg:left-0'
         }`}
       >
@@ -0,0 +1,136 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Download, FileText, Loader2, Trash2, Upload } from 'lucide-react';
+import { DocumentService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import { formatDate } from '../utils/format';
+
+// Uploads above this are refused by the backend anyway
+const MAX_SIZE_MB = 5;
+
+const formatSize = (bytes) => {
+  if (bytes == null) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Files kept on a student's profile, such as ID proof scans and signed forms
+const StudentDocuments = ({ studentId }) => {
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const { showNotification } = useNotification();
+
+  const fetchDocuments = useCallback(
+    () => DocumentService.getForStudent(studentId)
+      .then(setDocuments)
+      .catch((err) => showNotification(err.message || 'Failed to load documents', 'error'))
+      .finally(() => setLoading(false)),
+    [studentId, showNotification]
+  );
+
+  useEffect(() => {
+    fetchDocuments();
+  }, [fetchDocuments]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_SIZE_MB * 1024 * 1024) {
+      showNotification(`File is too large. Upload a file of up to ${MAX_SIZE_MB} MB`, 'error');
+      return;
+    }
+
+    try {
+      setUploading(true);
+      await DocumentService.upload(studentId, file);
+      showNotification('Document uploaded');
+      fetchDocuments();
+    } catch (err) {
+      showNotification(err.message || 'Failed to upload document', 'error');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Fetched through the API client rather than linked, so the request carries the same headers as every other call
+  const handleOpen = async (doc) => {
+    try {
+      const blob = await DocumentService.download(doc.id);
+      const url = URL.createObjectURL(blob);
+      window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      showNotification(err.message || 'Failed to open document', 'error');
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    if (window.confirm(`Delete ${doc.name}?`)) {
+      try {
+        await DocumentService.delete(doc.id);
+        showNotification('Document deleted');
+        fetchDocuments();
+      } catch (err) {
+        showNotification(err.message || 'Failed to delete document', 'error');
+      }
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <input ref={fileInputRef} type="file" onChange={handleUpload} className="hidden" />
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        disabled={uploading}
+        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-emerald-700 bg-emerald-50 hover:bg-emerald-100 rounded-lg transition-all disabled:opacity-50"
+      >
+        {uploading ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Upload className="h-3.5 w-3.5" />}
+        <span>Upload Document</span>
+      </button>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-emerald-600" />
+        </div>
+      ) : documents.length === 0 ? (
+        <p className="text-sm font-medium text-gray-400">No documents uploaded</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+          {documents.map((doc) => (
+            <li key={doc.id} className="flex items-center justify-between gap-3 px-4 py-3">
+              <div className="flex items-center gap-3 min-w-0">
+                <FileText className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm font-semibold text-gray-900 truncate">{doc.name}</p>
+                  <p className="text-xs font-medium text-gray-400">{formatSize(doc.size)} · {formatDate(doc.uploadedAt)}</p>
+                </div>
+              </div>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                <button
+                  onClick={() => handleOpen(doc)}
+                  title="Open Document"
+                  className="inline-flex p-1.5 rounded-lg text-gray-600 hover:bg-gray-100 transition-colors"
+                >
+                  <Download className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(doc)}
+                  title="Delete Document"
+                  className="inline-flex p-1.5 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default StudentDocuments;
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2 } from 'lucide-react';
+import { AuditService } from '../services/api';
+import { useNotification } from './NotificationContext';
+import AuditChanges from './AuditChanges';
+import { findAuditAction, formatAuditTime } from '../utils/audit';
+
+// Who changed what on a student's record, newest first. Reloads along with
+// the profile, so a payment or leave made there shows up straight away.
+const StudentHistory = ({ student }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const { showNotification } = useNotification();
+
+  const fetchHistory = useCallback(
+    () => AuditService.getStudentHistory(student.id)
+      .then(setEvents)
+      .catch((err) => showNotification(err.message || 'Failed to load history', 'error'))
+      .finally(() => setLoading(false)),
+    [student, showNotification]
+  );
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Loader2 className="h-6 w-6 animate-spin text-emerald-600" />
+      </div>
+    );
+  }
+
+  if (events.length === 0) {
+    return <p className="text-sm font-medium text-gray-400">No changes recorded yet</p>;
+  }
+
+  return (
+    <ol className="relative border-l-2 border-gray-100 ml-2 space-y-4">
+      {events.map(({ event, changes }) => {
+        const action = findAuditAction(event.action);
+        return (
+          <li key={event.id} className="ml-5">
+            <span className="absolute -left-[7px] mt-1.5 h-3 w-3 rounded-full border-2 border-white bg-gray-300" />
+            <div className="flex flex-wrap items-center gap-2">
+              <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-semibold border ${action.className}`}>
+                {action.label}
+              </span>
+              <span className="text-sm font-semibold text-gray-900">{event.actorName}</span>
+              <span className="text-xs font-medium text-gray-400">{formatAuditTime(event.occurredAt)}</span>
+            </div>
+            {event.summary && <p className="mt-1 text-xs font-medium text-gray-500">{event.summary}</p>}
+            <AuditChanges changes={changes} />
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default StudentHistory;
@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2, Plus, Trash2 } from 'lucide-react';
+import { NoteService } from '../services/api';
+import { useNotification } from './NotificationContext';
+
+const formatNoteTime = (dateTime) =>
+  new Date(dateTime).toLocaleString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Remarks staff keep about a student, newest first
+const StudentNotes = ({ studentId }) => {
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [text, setText] = useState('');
+
+  const { showNotification } = useNotification();
+
+  const fetchNotes = useCallback(
+    () => NoteService.getForStudent(studentId)
+      .then(setNotes)
+      .catch((err) => showNotification(err.message || 'Failed to load notes', 'error'))
+      .finally(() => setLoading(false)),
+    [studentId, showNotification]
+  );
+
+  useEffect(() => {
+    fetchNotes();
+  }, [fetchNotes]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    try {
+      setSaving(true);
+      await NoteService.create(studentId, { text: text.trim() });
+      setText('');
+      fetchNotes();
+    } catch (err) {
+      showNotification(err.message || 'Failed to add note', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (note) => {
+    if (window.confirm('Delete this note?')) {
+      try {
+        await NoteService.delete(note.id);
+        fetchNotes();
+      } catch (err) {
+        showNotification(err.message || 'Failed to delete note', 'error');
+      }
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="text"
+          value={text}
+          maxLength={2000}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Add a note, e.g. will pay on the 10th"
+          className="block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
+        />
+        <button
+          type="submit"
+          disabled={saving || !text.trim()}
+          title="Add Note"
+          className="inline-flex items-center px-3 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl transition-all disabled:opacity-50"
+        >
+          {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="h-5 w-5 animate-spin text-emerald-600" />
+        </div>
+      ) : notes.length === 0 ? (
+        <p className="text-sm font-medium text-gray-400">No notes yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+          {notes.map((note) => (
+            <li key={note.id} className="flex items-start justify-between gap-3 px-4 py-3">
+              <div>
+                <p className="text-sm text-gray-800 whitespace-pre-line">{note.text}</p>
+                <p className="text-xs font-medium text-gray-400">{formatNoteTime(note.createdAt)}</p>
+              </div>
+              <button
+                onClick={() => handleDelete(note)}
+                title="Delete Note"
+                className="inline-flex p-1.5 rounded-lg text-red-600 hover:bg-red-50 transition-colors flex-shrink-0"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default StudentNotes;
@@ -0,0 +1,43 @@
+import { useState, useEffect } from 'react';
+import { StudentService } from '../services/api';
+
+const initials = (name) =>
+  (name || '?').split(/\s+/).filter(Boolean).slice(0, 2).map((part) => part[0].toUpperCase()).join('');
+
+// A student's profile photo, or their initials until one is uploaded
+const StudentPhoto = ({ student, className = 'h-16 w-16 text-lg' }) => {
+  const [url, setUrl] = useState(null);
+
+  // photoUpdatedAt changes with every upload, so a replaced photo is fetched again
+  useEffect(() => {
+    if (!student.photoUpdatedAt) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+
+    StudentService.getPhoto(student.id)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => setUrl(null));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [student.id, student.photoUpdatedAt]);
+
+  if (url && student.photoUpdatedAt) {
+    return <img src={url} alt={student.name} className={`${className} rounded-2xl object-cover border border-gray-100`} />;
+  }
+
+  return (
+    <div className={`${className} flex items-center justify-center rounded-2xl bg-emerald-50 text-emerald-700 font-bold border border-emerald-100`}>
+      {initials(student.name)}
+    </div>
+  );
+};
+
+export default StudentPhoto;
@@ -1,12 +1,18 @@
 import React from 'react';
-import { Edit2, Trash2, LogOut, UserPlus, ArrowUp, ArrowDown } from 'lucide-react';
+import { Edit2, Trash2, LogOut, UserPlus, ArrowUp, ArrowDown, IndianRupee, History, ArrowRightLeft, IdCard } from 'lucide-react';
+import { getFeeStatus } from '../utils/payments';
 
 const StudentTable = ({ 
   students, 
+  onView,
   onEdit, 
   onDelete, 
   onMarkLeft, 
   onReactivate, 
+  onRecordPayment,
+  onViewPayments,
+  onTransfer,
+  onPrintCard,
   sortField, 
   sortOrder, 
   onSort,
@@ -21,9 +27,7 @@ const StudentTable = ({
 
   const getStatusBadge = (student) => {
     // Calculate status based on leftDate, feeDue
-    const status = student.leftDate 
-      ? 'Left' 
-      : (student.feeDue <= 0 ? 'Paid' : 'Pending');
+    const status = getFeeStatus(student);
 
     switch (status) {
       case 'Left':
@@ -32,6 +36,12 @@ const StudentTable = ({
             Left
           </span>
         );
+      case 'Credit':
+        return (
+          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-semibold bg-indigo-100 text-indigo-800 border border-indigo-200">
+            Credit
+          </span>
+        );
       case 'Paid':
         return (
           <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-semibold bg-emerald-100 text-emerald-800 border border-emerald-200">
@@ -85,6 +95,9 @@ const StudentTable = ({
             <Th field="monthlyFee">Monthly Fee</Th>
             {!isRecentMode && <Th field="feePaid">Fee Paid</Th>}
             {!isRecentMode && <Th field="feeDue">Fee Due</Th>}
+            {!isRecentMode && (
+              <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Credit</th>
+            )}
             <Th field="status">Status</Th>
             <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Actions</th>
           </tr>
@@ -92,7 +105,19 @@ const StudentTable = ({
         <tbody className="bg-white divide-y divide-gray-150">
           {students.map((student) => (
             <tr key={student.id} className="hover:bg-gray-50/50 transition-colors">
-              <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">{student.name}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">
+                {onView ? (
+                  <button
+                    onClick={() => onView(student)}
+                    title="View Profile"
+                    className="font-semibold text-gray-900 hover:text-emerald-700 hover:underline"
+                  >
+                    {student.name}
+                  </button>
+                ) : (
+                  student.name
+                )}
+              </td>
               <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{student.cabin}</td>
               <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                 <span className="px-2 py-1 bg-gray-100 text-gray-800 rounded-lg text-xs font-semibold">{student.hall}</span>
@@ -106,10 +131,54 @@ const StudentTable = ({
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-emerald-600 font-medium">₹ {student.feePaid}</td>
               )}
               {!isRecentMode && (
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-amber-600 font-medium">₹ {student.feeDue}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-amber-600 font-medium">₹ {Math.max(0, student.feeDue || 0)}</td>
+              )}
+              {!isRecentMode && (
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-indigo-600 font-medium">
+                  {student.feeDue < 0 ? `₹ ${-student.feeDue}` : '—'}
+                  {!student.leftDate && student.feeDue < 0 && student.paidThrough && (
+                    <p className="text-xs font-medium text-gray-400">paid through {formatDate(student.paidThrough)}</p>
+                  )}
+                </td>
               )}
               <td className="px-6 py-4 whitespace-nowrap text-sm">{getStatusBadge(student)}</td>
               <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-1.5">
+                {onRecordPayment && !student.leftDate && (
+                  <button
+                    onClick={() => onRecordPayment(student)}
+                    title="Record Payment"
+                    className="inline-flex p-1.5 rounded-lg text-emerald-600 hover:bg-emerald-50 transition-colors"
+                  >
+                    <IndianRupee className="h-4.5 w-4.5" />
+                  </button>
+                )}
+                {onViewPayments && (
+                  <button
+                    onClick={() => onViewPayments(student)}
+                    title="Payment History"
+                    className="inline-flex p-1.5 rounded-lg text-gray-600 hover:bg-gray-100 transition-colors"
+                  >
+                    <History className="h-4.5 w-4.5" />
+                  </button>
+                )}
+                {onTransfer && !student.leftDate && (
+                  <button
+                    onClick={() => onTransfer(student)}
+                    title="Transfer to Another Hall"
+                    className="inline-flex p-1.5 rounded-lg text-indigo-600 hover:bg-indigo-50 transition-colors"
+                  >
+                    <ArrowRightLeft className="h-4.5 w-4.5" />
+                  </button>
+                )}
+                {onPrintCard && !student.leftDate && (
+                  <button
+                    onClick={() => onPrintCard(student)}
+                    title="Print ID Card"
+                    className="inline-flex p-1.5 rounded-lg text-gray-600 hover:bg-gray-100 transition-colors"
+                  >
+                    <IdCard className="h-4.5 w-4.5" />
+                  </button>
+                )}
                 <button
                   onClick={() => onEdit(student)}
                   title="Edit Student"
@@ -136,13 +205,15 @@ const StudentTable = ({
                     </button>
                   )
                 )}
-                <button
-                  onClick={() => onDelete(student.id)}
-                  title="Delete Student"
-                  className="inline-flex p-1.5 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
-                >
-                  <Trash2 className="h-4.5 w-4.5" />
-                </button>
+                {onDelete && (
+                  <button
+                    onClick={() => onDelete(student.id)}
+                    title="Delete Student"
+                    className="inline-flex p-1.5 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+                  >
+                    <Trash2 className="h-4.5 w-4.5" />
+                  </button>
+                )}
               </td>
             </tr>
           ))}
@@ -0,0 +1,223 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2 } from 'lucide-react';
+import Modal from './Modal';
+import ProrationPreview from './ProrationPreview';
+import { useNotification } from './NotificationContext';
+import { PlacementService, SeatService, StudyHallService } from '../services/api';
+import { describeSeat, getPlaceFee, getVacantSeats, isSameSeat } from '../utils/seats';
+import { findShift, formatShift } from '../utils/shifts';
+import { formatRupees } from '../utils/format';
+
+const inputClassName = "block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white";
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Moves an active student to another hall; the current cycle is pro-rated and the old placement kept in their history
+const TransferModal = ({ student, onClose, onTransferred }) => {
+  const [studyHalls, setStudyHalls] = useState([]);
+  const [seatMap, setSeatMap] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({
+    hallId: null,
+    cabin: '',
+    shiftId: null,
+    monthlyFee: student.monthlyFee ?? 0,
+    effectiveDate: today(),
+    reason: ''
+  });
+
+  const { showNotification } = useNotification();
+
+  const loadStudyHalls = useCallback(
+    () => StudyHallService.getAll()
+      .then((data) => setStudyHalls(data.filter((hall) => hall.id !== student.hallId)))
+      .catch((err) => showNotification(err.message || 'Failed to load study halls', 'error')),
+    [student.hallId, showNotification]
+  );
+
+  useEffect(() => {
+    loadStudyHalls();
+  }, [loadStudyHalls]);
+
+  // A new hall re-rates the fee at its base rate until a seat or shift is picked
+  const handleHallChange = async (e) => {
+    const hall = studyHalls.find((h) => h.id === parseInt(e.target.value));
+    setSeatMap(null);
+    setForm((prev) => ({
+      ...prev,
+      hallId: hall ? hall.id : null,
+      cabin: '',
+      shiftId: null,
+      monthlyFee: hall?.monthlyFee ?? prev.monthlyFee
+    }));
+    if (hall) {
+      try {
+        setSeatMap(await SeatService.getMap(hall.id));
+      } catch (err) {
+        showNotification(err.message || 'Failed to load seats', 'error');
+      }
+    }
+  };
+
+  const selectedHall = studyHalls.find((hall) => hall.id === form.hallId);
+  const selectedShift = seatMap ? findShift(seatMap.shifts, form.shiftId) : null;
+  const vacantSeats = seatMap ? getVacantSeats(seatMap, student.id, selectedShift) : [];
+
+  const handleShiftChange = (e) => {
+    const shift = findShift(seatMap.shifts, e.target.value ? parseInt(e.target.value) : null);
+    const seat = seatMap.seats.find((s) => isSameSeat(s.label, form.cabin));
+    const stillVacant = !seat || getVacantSeats(seatMap, student.id, shift).includes(seat);
+    setForm((prev) => ({
+      ...prev,
+      shiftId: shift ? shift.id : null,
+      cabin: stillVacant ? prev.cabin : '',
+      monthlyFee: getPlaceFee(seatMap, stillVacant ? seat : null, shift) ?? seatMap.monthlyFee
+    }));
+  };
+
+  const handleSeatChange = (e) => {
+    const label = e.target.value;
+    const seat = seatMap.seats.find((s) => s.label === label);
+    setForm((prev) => ({
+      ...prev,
+      cabin: label,
+      monthlyFee: getPlaceFee(seatMap, seat, selectedShift) ?? prev.monthlyFee
+    }));
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: name === 'monthlyFee' ? parseInt(value) || 0 : value }));
+  };
+
+  const handleTransfer = async () => {
+    if (!selectedHall) {
+      showNotification('Choose the hall to transfer to', 'error');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await PlacementService.transfer(student.id, {
+        ...form,
+        cabin: form.cabin || null,
+        effectiveDate: form.effectiveDate || null
+      });
+      showNotification(`${student.name} transferred to ${selectedHall.name}`);
+      onTransferred();
+      onClose();
+    } catch (err) {
+      showNotification(err.message || 'Failed to transfer student', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title="Transfer to Another Hall"
+      footerActions={
+        <>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleTransfer}
+            disabled={saving}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+          >
+            {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+            <span>Confirm Transfer</span>
+          </button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <p className="text-gray-700 font-semibold">
+          <span className="text-gray-900 font-bold">{student.name}</span> is in {student.hall}
+          {student.cabin ? `, seat ${student.cabin},` : ''} at {formatRupees(student.monthlyFee)} / month.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">New Study Hall</label>
+            <select value={form.hallId ?? ''} onChange={handleHallChange} className={inputClassName}>
+              <option value="">Select Study Hall</option>
+              {studyHalls.map((hall) => (
+                <option key={hall.id} value={hall.id}>{hall.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Effective Date</label>
+            <input type="date" name="effectiveDate" max={today()} value={form.effectiveDate} onChange={handleChange} className={inputClassName} />
+          </div>
+
+          {seatMap && seatMap.shifts.length > 0 && (
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Shift</label>
+              <select value={form.shiftId ?? ''} onChange={handleShiftChange} className={inputClassName}>
+                <option value="">Full day (all shifts)</option>
+                {seatMap.shifts.map((shift) => (
+                  <option key={shift.id} value={shift.id}>
+                    {formatShift(shift)} · {formatRupees(shift.monthlyFee)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {selectedHall && (
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Seat / Cabin</label>
+              {seatMap && seatMap.seats.length > 0 ? (
+                <select value={form.cabin} onChange={handleSeatChange} className={inputClassName}>
+                  <option value="">No seat yet</option>
+                  {vacantSeats.map((seat) => (
+                    <option key={seat.id} value={seat.label}>
+                      {seat.label} · {describeSeat(seat, seatMap.tiers)} · {formatRupees(getPlaceFee(seatMap, seat, selectedShift))}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <input type="text" name="cabin" value={form.cabin} onChange={handleChange} placeholder="e.g. C-12" className={inputClassName} />
+              )}
+            </div>
+          )}
+
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">New Monthly Fee (₹)</label>
+            <input type="number" name="monthlyFee" min="0" value={form.monthlyFee} onChange={handleChange} className={inputClassName} />
+          </div>
+
+          <div className="space-y-1 md:col-span-2">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Reason</label>
+            <input type="text" name="reason" value={form.reason} onChange={handleChange} placeholder="e.g. Wants an AC hall closer to home" className={inputClassName} />
+          </div>
+        </div>
+
+        {selectedHall && (
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">
+              Transfer Adjustment ({student.hall} to {selectedHall.name})
+            </label>
+            <ProrationPreview
+              studentId={student.id}
+              action="TRANSFER"
+              date={form.effectiveDate || undefined}
+              newMonthlyFee={form.monthlyFee}
+            />
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default TransferModal;
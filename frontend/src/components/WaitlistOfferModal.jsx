@@ -0,0 +1,46 @@
+import { useNavigate } from 'react-router-dom';
+import Modal from './Modal';
+import { formatPriority } from '../utils/waitlist';
+
+// Shown after a student leaves, when the freed seat was offered to the next waitlist applicant
+const WaitlistOfferModal = ({ offer, onClose }) => {
+  const navigate = useNavigate();
+
+  return (
+    <Modal
+      isOpen={!!offer}
+      onClose={onClose}
+      title="Seat Offered from Waitlist"
+      footerActions={
+        <>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+          >
+            Later
+          </button>
+          <button
+            onClick={() => navigate(`/students/new?waitlist=${offer.id}`)}
+            className="px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all"
+          >
+            Convert to Student
+          </button>
+        </>
+      }
+    >
+      {offer && (
+        <div className="space-y-3">
+          <p className="text-gray-700 font-semibold">
+            <span className="text-gray-900 font-bold">{offer.name}</span> is next on the waitlist for {offer.hall}
+            {offer.offeredCabin ? `, and has been offered seat ${offer.offeredCabin}` : ''}.
+          </p>
+          <p className="text-xs font-medium text-gray-500">
+            {formatPriority(offer.priority)} priority{offer.phone ? ` · ${offer.phone}` : ''}. The offer stays on the Waitlist page until they are admitted or decline.
+          </p>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default WaitlistOfferModal;
@@ -0,0 +1,158 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronDown, ChevronRight, History, Loader2 } from 'lucide-react';
+import { AuditService } from '../services/api';
+import SearchBar from '../components/SearchBar';
+import AuditChanges from '../components/AuditChanges';
+import { useNotification } from '../components/NotificationContext';
+import {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  auditEntityPath,
+  findAuditAction,
+  formatAuditEntityType,
+  formatAuditTime
+} from '../utils/audit';
+
+const filterClassName = "px-3 py-2.5 text-sm border border-gray-200 rounded-xl bg-white font-medium text-gray-700 focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500";
+
+// Audit trail of changes to students, halls and fees, newest first
+const Activity = () => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [entityType, setEntityType] = useState('');
+  const [action, setAction] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [actorFilter, setActorFilter] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [expanded, setExpanded] = useState([]);
+
+  const { showNotification } = useNotification();
+
+  const fetchEvents = useCallback(
+    () => AuditService.search({
+      entityType: entityType || undefined,
+      action: action || undefined,
+      from: from || undefined,
+      to: to || undefined
+    })
+      .then(setEvents)
+      .catch((err) => showNotification(err.message || 'Failed to load activity', 'error'))
+      .finally(() => setLoading(false)),
+    [entityType, action, from, to, showNotification]
+  );
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  // Staff members who appear in the loaded events
+  const actors = useMemo(
+    () => [...new Set(events.map(({ event }) => event.actorName))].sort(),
+    [events]
+  );
+
+  const visibleEvents = events.filter(({ event }) => {
+    const query = searchQuery.trim().toLowerCase();
+    return (!actorFilter || event.actorName === actorFilter)
+      && (!query
+        || (event.entityName || '').toLowerCase().includes(query)
+        || (event.summary || '').toLowerCase().includes(query));
+  });
+
+  const toggleExpanded = (eventId) => {
+    setExpanded((prev) => (prev.includes(eventId) ? prev.filter((id) => id !== eventId) : [...prev, eventId]));
+  };
+
+  return (
+    <div className="space-y-6 p-6 max-w-7xl mx-auto">
+      {/* Page Header */}
+      <div className="border-b border-gray-100 pb-5">
+        <h2 className="text-2xl font-bold text-gray-900 tracking-tight">Activity</h2>
+        <p className="text-sm font-medium text-gray-500">Who changed students, halls and fees, and what they changed</p>
+      </div>
+
+      <div className="flex flex-col gap-3 lg:flex-row">
+        <div className="flex-1">
+          <SearchBar value={searchQuery} onChange={setSearchQuery} placeholder="Filter by student, hall or summary..." />
+        </div>
+        <select value={entityType} onChange={(e) => setEntityType(e.target.value)} className={filterClassName}>
+          <option value="">All records</option>
+          {AUDIT_ENTITY_TYPES.map((type) => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+        <select value={action} onChange={(e) => setAction(e.target.value)} className={filterClassName}>
+          <option value="">All actions</option>
+          {AUDIT_ACTIONS.map((a) => (
+            <option key={a.value} value={a.value}>{a.label}</option>
+          ))}
+        </select>
+        <select value={actorFilter} onChange={(e) => setActorFilter(e.target.value)} className={filterClassName}>
+          <option value="">All staff</option>
+          {actors.map((actor) => (
+            <option key={actor} value={actor}>{actor}</option>
+          ))}
+        </select>
+        <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} title="From" className={filterClassName} />
+        <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} title="To" className={filterClassName} />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
+        </div>
+      ) : visibleEvents.length === 0 ? (
+        <div className="flex flex-col items-center justify-center p-12 bg-white border border-gray-100 rounded-2xl text-center space-y-2">
+          <History className="h-8 w-8 text-gray-300" />
+          <h4 className="text-base font-bold text-gray-700">No Activity</h4>
+          <p className="text-sm font-medium text-gray-400">Nothing matches these filters</p>
+        </div>
+      ) : (
+        <ul className="bg-white rounded-2xl border border-gray-100 shadow-sm divide-y divide-gray-100">
+          {visibleEvents.map(({ event, changes }) => {
+            const eventAction = findAuditAction(event.action);
+            const path = auditEntityPath(event);
+            const isExpanded = expanded.includes(event.id);
+            return (
+              <li key={event.id} className="px-6 py-4">
+                <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                  <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-semibold border ${eventAction.className}`}>
+                    {eventAction.label}
+                  </span>
+                  <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">{formatAuditEntityType(event.entityType)}</span>
+                  {path ? (
+                    <Link to={path} className="text-sm font-semibold text-emerald-700 hover:text-emerald-800">
+                      {event.entityName}
+                    </Link>
+                  ) : (
+                    <span className="text-sm font-semibold text-gray-900">{event.entityName}</span>
+                  )}
+                  <span className="ml-auto text-xs font-medium text-gray-500">
+                    {event.actorName} · {formatAuditTime(event.occurredAt)}
+                  </span>
+                </div>
+                {event.summary && <p className="mt-1 text-sm font-medium text-gray-600">{event.summary}</p>}
+                {changes.length > 0 && (
+                  <>
+                    <button
+                      onClick={() => toggleExpanded(event.id)}
+                      className="mt-1 inline-flex items-center gap-1 text-xs font-semibold text-gray-500 hover:text-gray-700"
+                    >
+                      {isExpanded ? <ChevronDown className="h-3.5 w-3.5" /> : <ChevronRight className="h-3.5 w-3.5" />}
+                      <span>{changes.length === 1 ? '1 field changed' : `${changes.length} fields changed`}</span>
+                    </button>
+                    {isExpanded && <AuditChanges changes={changes} />}
+                  </>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Activity;
@@ -0,0 +1,252 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { ClipboardCheck, Loader2, LogIn, LogOut, MonitorSmartphone } from 'lucide-react';
+import { AttendanceService, StudyHallService } from '../services/api';
+import SearchBar from '../components/SearchBar';
+import { useNotification } from '../components/NotificationContext';
+import {
+  ATTENDANCE_STATUS_LABELS,
+  ATTENDANCE_STATUS_STYLES,
+  attendanceStatus,
+  formatClock,
+  formatStudentCode,
+  toDateKey
+} from '../utils/attendance';
+
+const STATUS_FILTERS = [
+  { key: 'all', label: 'All' },
+  { key: 'INSIDE', label: 'In the hall' },
+  { key: 'LEFT', label: 'Checked out' },
+  { key: 'ABSENT', label: 'Absent' },
+];
+
+// Who came in on a day, hall by hall; today's list also lets staff check a student in or out
+const Attendance = () => {
+  const today = toDateKey(new Date());
+
+  const [rows, setRows] = useState([]);
+  const [studyHalls, setStudyHalls] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [date, setDate] = useState(today);
+  const [hallFilter, setHallFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [punchingId, setPunchingId] = useState(null);
+
+  const { showNotification } = useNotification();
+
+  const fetchAttendance = useCallback(
+    () => Promise.all([
+      AttendanceService.getDay(date, hallFilter),
+      StudyHallService.getAll()
+    ])
+      .then(([data, halls]) => {
+        setRows(data);
+        setStudyHalls(halls);
+      })
+      .catch((err) => showNotification(err.message || 'Failed to load attendance', 'error'))
+      .finally(() => setLoading(false)),
+    [date, hallFilter, showNotification]
+  );
+
+  useEffect(() => {
+    fetchAttendance();
+  }, [fetchAttendance]);
+
+  // Present out of enrolled for each hall on the day
+  const hallSummaries = useMemo(() => {
+    const summaries = {};
+    rows.forEach((row) => {
+      const key = row.hallId ?? 'none';
+      summaries[key] = summaries[key] || { hall: row.hall || 'No hall', enrolled: 0, present: 0, inside: 0 };
+      summaries[key].enrolled += 1;
+      if (row.present) summaries[key].present += 1;
+      if (row.inside) summaries[key].inside += 1;
+    });
+    return Object.values(summaries);
+  }, [rows]);
+
+  const filteredRows = useMemo(() => {
+    const q = searchQuery.toLowerCase();
+    return rows.filter((row) =>
+      (statusFilter === 'all' || attendanceStatus(row) === statusFilter) &&
+      ((row.name || '').toLowerCase().includes(q) ||
+        (row.phone || '').includes(q) ||
+        (row.cabin || '').toLowerCase().includes(q))
+    );
+  }, [rows, statusFilter, searchQuery]);
+
+  // Staff check a student in or out the same way the kiosk does
+  const handlePunch = async (row) => {
+    try {
+      setPunchingId(row.studentId);
+      const result = await AttendanceService.punch(formatStudentCode(row.studentId));
+      showNotification(`${result.name} checked ${result.checkedIn ? 'in' : 'out'} at ${formatClock(result.time)}`);
+      fetchAttendance();
+    } catch (err) {
+      showNotification(err.message || 'Failed to record attendance', 'error');
+    } finally {
+      setPunchingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6 p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between border-b border-gray-100 pb-5">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 tracking-tight">Attendance</h2>
+          <p className="text-sm font-medium text-gray-500">Students who checked in at the kiosk, and who stayed away</p>
+        </div>
+        <Link
+          to="/kiosk"
+          target="_blank"
+          className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all"
+        >
+          <MonitorSmartphone className="h-4.5 w-4.5" />
+          <span>Open Kiosk</span>
+        </Link>
+      </div>
+
+      <div className="flex flex-col gap-3 md:flex-row">
+        <div className="flex-1">
+          <SearchBar value={searchQuery} onChange={setSearchQuery} placeholder="Filter by name, phone or seat..." />
+        </div>
+        <input
+          type="date"
+          value={date}
+          max={today}
+          onChange={(e) => setDate(e.target.value || today)}
+          className="px-3 py-2.5 text-sm border border-gray-200 rounded-xl bg-white font-medium text-gray-700 focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500"
+        />
+        <select
+          value={hallFilter}
+          onChange={(e) => setHallFilter(e.target.value)}
+          className="px-3 py-2.5 text-sm border border-gray-200 rounded-xl bg-white font-medium text-gray-700 focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500"
+        >
+          <option value="">All halls</option>
+          {studyHalls.map((hall) => (
+            <option key={hall.id} value={hall.id}>{hall.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Per-hall turnout */}
+      {!loading && hallSummaries.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          {hallSummaries.map((summary) => (
+            <div key={summary.hall} className="p-4 bg-white border border-gray-100 rounded-2xl shadow-sm space-y-2">
+              <p className="text-sm font-bold text-gray-900">{summary.hall}</p>
+              <p className="text-2xl font-bold text-emerald-600">
+                {summary.present}<span className="text-sm font-semibold text-gray-400"> / {summary.enrolled} present</span>
+              </p>
+              <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-emerald-500 rounded-full"
+                  style={{ width: `${summary.enrolled ? (summary.present * 100) / summary.enrolled : 0}%` }}
+                />
+              </div>
+              {date === today && (
+                <p className="text-xs font-medium text-gray-500">{summary.inside} in the hall now</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Status chips */}
+      <div className="flex flex-wrap items-center gap-2">
+        {STATUS_FILTERS.map((filter) => {
+          const count = filter.key === 'all' ? rows.length : rows.filter((row) => attendanceStatus(row) === filter.key).length;
+          const isActive = statusFilter === filter.key;
+          return (
+            <button
+              key={filter.key}
+              onClick={() => setStatusFilter(filter.key)}
+              className={`inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold border transition-all ${
+                isActive
+                  ? 'bg-emerald-600 text-white border-emerald-600 shadow-sm'
+                  : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              <span>{filter.label}</span>
+              <span className={`px-1.5 rounded-full ${isActive ? 'bg-white/20' : 'bg-gray-100'}`}>{count}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
+        </div>
+      ) : filteredRows.length === 0 ? (
+        <div className="flex flex-col items-center justify-center p-12 bg-white border border-gray-100 rounded-2xl text-center space-y-2">
+          <ClipboardCheck className="h-8 w-8 text-gray-300" />
+          <h4 className="text-base font-bold text-gray-700">No Students</h4>
+          <p className="text-sm font-medium text-gray-400">Nobody enrolled on this day matches these filters</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto bg-white rounded-2xl border border-gray-100 shadow-sm">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Student</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Study Hall</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Checked In</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Checked Out</th>
+                {date === today && (
+                  <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-150">
+              {filteredRows.map((row) => {
+                const status = attendanceStatus(row);
+                return (
+                  <tr key={row.studentId} className="hover:bg-gray-50/50 transition-colors">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <Link to={`/students/${row.studentId}`} className="font-semibold text-gray-900 hover:text-emerald-700">
+                        {row.name}
+                      </Link>
+                      <p className="text-xs font-medium text-gray-500">{formatStudentCode(row.studentId)} · {row.phone || 'No phone'}</p>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className="px-2 py-0.5 bg-gray-100 text-gray-800 rounded-lg text-xs font-semibold">{row.hall || 'No hall'}</span>
+                      {row.cabin && <p className="text-xs font-medium text-gray-500 mt-1">Seat {row.cabin}</p>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-semibold border ${ATTENDANCE_STATUS_STYLES[status]}`}>
+                        {ATTENDANCE_STATUS_LABELS[status]}
+                      </span>
+                      {row.visits > 1 && <p className="text-xs font-medium text-gray-500 mt-0.5">{row.visits} visits</p>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-700">{formatClock(row.firstCheckIn)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-700">{formatClock(row.lastCheckOut)}</td>
+                    {date === today && (
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <button
+                          onClick={() => handlePunch(row)}
+                          disabled={punchingId === row.studentId}
+                          title={row.inside ? 'Check Out' : 'Check In'}
+                          className={`inline-flex p-1.5 rounded-lg transition-colors disabled:opacity-50 ${
+                            row.inside ? 'text-blue-600 hover:bg-blue-50' : 'text-emerald-600 hover:bg-emerald-50'
+                          }`}
+                        >
+                          {row.inside ? <LogOut className="h-4.5 w-4.5" /> : <LogIn className="h-4.5 w-4.5" />}
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Attendance;
@@ -0,0 +1,176 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, GraduationCap, KeyRound, Loader2, LogIn, LogOut, ScanLine } from 'lucide-react';
+import { AttendanceService } from '../services/api';
+import { clearKioskToken, formatClock, getKioskToken, setKioskToken } from '../utils/attendance';
+
+// How long a greeting stays up before the kiosk is ready for the next student
+const RESULT_SECONDS = 6;
+
+// Full-screen check-in/check-out for a tablet at the hall entrance. Card scanners type the code and press Enter.
+const AttendanceKiosk = () => {
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [now, setNow] = useState(new Date());
+  const [kioskToken, setKioskTokenState] = useState(getKioskToken());
+  const [tokenInput, setTokenInput] = useState('');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (!result && !error) return undefined;
+    const timer = setTimeout(() => {
+      setResult(null);
+      setError('');
+    }, RESULT_SECONDS * 1000);
+    return () => clearTimeout(timer);
+  }, [result, error]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim() || busy) return;
+
+    try {
+      setBusy(true);
+      setError('');
+      setResult(await AttendanceService.kioskPunch(code.trim(), kioskToken));
+    } catch (err) {
+      setResult(null);
+      // The device token was changed on the server, so staff need to set the kiosk up again
+      if (err.status === 403) {
+        clearKioskToken();
+        setKioskTokenState(null);
+      }
+      setError(err.message || 'Could not check you in. Please ask the front desk');
+    } finally {
+      setBusy(false);
+      setCode('');
+      inputRef.current?.focus();
+    }
+  };
+
+  const handleSetUp = (e) => {
+    e.preventDefault();
+    if (!tokenInput.trim()) return;
+    setKioskToken(tokenInput.trim());
+    setKioskTokenState(tokenInput.trim());
+    setTokenInput('');
+    setError('');
+  };
+
+  return (
+    <div
+      className="min-h-screen flex flex-col bg-gradient-to-br from-emerald-700 to-emerald-900 text-white font-sans"
+      onClick={() => inputRef.current?.focus()}
+    >
+      <header className="flex items-center justify-between px-8 py-5">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-white/10 rounded-xl">
+            <GraduationCap className="h-7 w-7" />
+          </div>
+          <span className="text-xl font-bold tracking-tight">Study Hall Attendance</span>
+        </div>
+        <Link
+          to="/attendance"
+          className="inline-flex items-center gap-1.5 text-sm font-semibold text-emerald-100 hover:text-white"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          <span>Staff view</span>
+        </Link>
+      </header>
+
+      <main className="flex-1 flex flex-col items-center justify-center px-6 pb-16 gap-10">
+        <div className="text-center">
+          <p className="text-7xl font-bold tabular-nums tracking-tight">
+            {now.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+          </p>
+          <p className="mt-2 text-lg font-medium text-emerald-100">
+            {now.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })}
+          </p>
+        </div>
+
+        {!kioskToken ? (
+          <form onSubmit={handleSetUp} className="w-full max-w-lg space-y-4">
+            <label className="flex items-center justify-center gap-2 text-sm font-semibold uppercase tracking-wide text-emerald-100">
+              <KeyRound className="h-5 w-5" />
+              <span>Staff: enter the kiosk code to set up this device</span>
+            </label>
+            <div className="flex gap-3">
+              <input
+                autoFocus
+                type="password"
+                autoComplete="off"
+                value={tokenInput}
+                onChange={(e) => setTokenInput(e.target.value)}
+                placeholder="KIOSK_TOKEN"
+                className="flex-1 px-5 py-4 text-2xl font-semibold text-gray-900 bg-white rounded-2xl focus:outline-none focus:ring-4 focus:ring-emerald-300"
+              />
+              <button
+                type="submit"
+                disabled={!tokenInput.trim()}
+                className="px-6 py-4 text-lg font-bold text-emerald-800 bg-emerald-100 hover:bg-white rounded-2xl transition-all disabled:opacity-50"
+              >
+                Save
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="w-full max-w-lg space-y-4">
+            <label className="flex items-center justify-center gap-2 text-sm font-semibold uppercase tracking-wide text-emerald-100">
+              <ScanLine className="h-5 w-5" />
+              <span>Scan your card or enter your phone number</span>
+            </label>
+            <div className="flex gap-3">
+              <input
+                ref={inputRef}
+                autoFocus
+                type="text"
+                autoComplete="off"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="e.g. 9876543210"
+                className="flex-1 px-5 py-4 text-2xl font-semibold text-gray-900 bg-white rounded-2xl focus:outline-none focus:ring-4 focus:ring-emerald-300"
+              />
+              <button
+                type="submit"
+                disabled={busy || !code.trim()}
+                className="px-6 py-4 text-lg font-bold text-emerald-800 bg-emerald-100 hover:bg-white rounded-2xl transition-all disabled:opacity-50"
+              >
+                {busy ? <Loader2 className="h-6 w-6 animate-spin" /> : 'Go'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="h-40 w-full max-w-lg">
+          {result && (
+            <div className={`flex items-center gap-5 p-6 rounded-2xl bg-white shadow-xl ${result.checkedIn ? 'text-emerald-800' : 'text-blue-800'}`}>
+              {result.checkedIn ? <LogIn className="h-12 w-12 flex-shrink-0" /> : <LogOut className="h-12 w-12 flex-shrink-0" />}
+              <div>
+                <p className="text-2xl font-bold">
+                  {result.checkedIn ? `Welcome, ${result.name}` : `Goodbye, ${result.name}`}
+                </p>
+                <p className="text-base font-medium text-gray-600">
+                  {result.checkedIn ? 'Checked in' : 'Checked out'} at {formatClock(result.time)}
+                </p>
+              </div>
+            </div>
+          )}
+          {error && (
+            <div className="p-6 rounded-2xl bg-red-50 text-red-700 shadow-xl">
+              <p className="text-lg font-bold">{error}</p>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default AttendanceKiosk;
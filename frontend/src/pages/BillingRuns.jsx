@@ -0,0 +1,144 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Calculator, Loader2, ChevronDown, ChevronRight } from 'lucide-react';
+import { BillingService } from '../services/api';
+import BillingPreviewModal from '../components/BillingPreviewModal';
+import BillingCyclesTable from '../components/BillingCyclesTable';
+import { useNotification } from '../components/NotificationContext';
+import { useAuth } from '../components/useAuth';
+import { formatDate, formatRupees } from '../utils/format';
+
+const BillingRuns = () => {
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedRun, setExpandedRun] = useState(null);
+  const [loadingRun, setLoadingRun] = useState(false);
+  const [showBillingModal, setShowBillingModal] = useState(false);
+
+  const [searchParams] = useSearchParams();
+  const { showNotification } = useNotification();
+  const { can } = useAuth();
+
+  // The fee run alert links here with ?run=<id> to open that run
+  const linkedRun = searchParams.get('run');
+
+  const fetchRuns = useCallback(
+    () => BillingService.getRuns()
+      .then(setRuns)
+      .catch((err) => showNotification(err.message || 'Failed to load billing runs', 'error'))
+      .finally(() => setLoading(false)),
+    [showNotification]
+  );
+
+  useEffect(() => {
+    fetchRuns();
+  }, [fetchRuns]);
+
+  const fetchRun = useCallback(
+    (runId) => BillingService.getRun(runId)
+      .then(setExpandedRun)
+      .catch((err) => showNotification(err.message || 'Failed to load billing run', 'error'))
+      .finally(() => setLoadingRun(false)),
+    [showNotification]
+  );
+
+  const handleToggleRun = (runId) => {
+    if (expandedRun?.id === runId) {
+      setExpandedRun(null);
+      return;
+    }
+    setLoadingRun(true);
+    fetchRun(runId);
+  };
+
+  useEffect(() => {
+    if (linkedRun) fetchRun(Number(linkedRun));
+  }, [linkedRun, fetchRun]);
+
+  return (
+    <div className="space-y-6 p-6 max-w-7xl mx-auto">
+      {/* Page Header */}
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between border-b border-gray-100 pb-5">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 tracking-tight">Billing Runs</h2>
+          <p className="text-sm font-medium text-gray-500">Monthly invoices generated from each student's join-date cycle</p>
+        </div>
+        {can('runBilling') && (
+          <button
+            onClick={() => setShowBillingModal(true)}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all"
+          >
+            <Calculator className="h-4.5 w-4.5" />
+            <span>Calculate Fees</span>
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
+        </div>
+      ) : runs.length === 0 ? (
+        <div className="p-12 text-center bg-white rounded-2xl border border-gray-100 shadow-sm">
+          <p className="text-sm font-medium text-gray-400">No billing runs yet.</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto bg-white rounded-2xl border border-gray-100 shadow-sm">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Run</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Billed Up To</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Executed</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Cycles</th>
+                <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Total</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-150">
+              {runs.map((run) => (
+                <Fragment key={run.id}>
+                  <tr
+                    onClick={() => handleToggleRun(run.id)}
+                    className="hover:bg-gray-50/50 cursor-pointer transition-colors"
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">
+                      <span className="inline-flex items-center gap-1.5">
+                        {expandedRun?.id === run.id ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                        #{run.id}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{formatDate(run.asOfDate)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{new Date(run.executedAt).toLocaleString('en-IN')}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{run.cyclesGenerated}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium text-gray-900">{formatRupees(run.totalAmount)}</td>
+                  </tr>
+                  {expandedRun?.id === run.id && (
+                    <tr>
+                      <td colSpan={5} className="px-6 py-4 bg-gray-50/50">
+                        <BillingCyclesTable cycles={expandedRun.cycles} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+          {loadingRun && (
+            <div className="flex justify-center py-3">
+              <Loader2 className="h-5 w-5 animate-spin text-emerald-600" />
+            </div>
+          )}
+        </div>
+      )}
+
+      {showBillingModal && (
+        <BillingPreviewModal
+          onClose={() => setShowBillingModal(false)}
+          onCompleted={fetchRuns}
+        />
+      )}
+    </div>
+  );
+};
+
+export default BillingRuns;
@@ -1,21 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Calculator, ListFilter, UserPlus, Loader2, ArrowRight } from 'lucide-react';
-import { DashboardService, StudentService, FeeService } from '../services/api';
+import { DashboardService, RecycleBinService, StudentService } from '../services/api';
 import DashboardCards from '../components/DashboardCards';
 import StudentTable from '../components/StudentTable';
 import { useNotification } from '../components/NotificationContext';
-import Modal from '../components/Modal';
+import { useAuth } from '../components/useAuth';
+import BillingPreviewModal from '../components/BillingPreviewModal';
 
 const Dashboard = () => {
   const [stats, setStats] = useState({});
   const [recentStudents, setRecentStudents] = useState([]);
   const [loadingStats, setLoadingStats] = useState(true);
   const [loadingRecent, setLoadingRecent] = useState(true);
-  const [calculatingFees, setCalculatingFees] = useState(false);
-  const [showConfirmModal, setShowConfirmModal] = useState(false);
+  const [showBillingModal, setShowBillingModal] = useState(false);
   
   const { showNotification } = useNotification();
+  const { can } = useAuth();
   const navigate = useNavigate();
 
   const fetchDashboardData = async () => {
@@ -47,31 +48,26 @@ const Dashboard = () => {
     fetchRecentStudents();
   }, []);
 
-  const handleCalculateFees = async () => {
-    try {
-      setCalculatingFees(true);
-      setShowConfirmModal(false);
-      const result = await FeeService.calculateMonthly();
-      showNotification(result.message || 'Monthly fees calculated successfully!');
-      // Reload stats and recent tables
-      await Promise.all([fetchDashboardData(), fetchRecentStudents()]);
-    } catch (err) {
-      showNotification(err.message || 'Failed to calculate monthly fees', 'error');
-    } finally {
-      setCalculatingFees(false);
-    }
+  const handleBillingCompleted = () => {
+    // Reload stats and recent tables
+    fetchDashboardData();
+    fetchRecentStudents();
   };
 
   const handleDeleteRecentStudent = async (id) => {
-    if (window.confirm('Are you sure you want to delete this student?')) {
-      try {
-        await StudentService.delete(id);
-        showNotification('Student deleted successfully!');
-        // Refresh tables
-        await Promise.all([fetchDashboardData(), fetchRecentStudents()]);
-      } catch (err) {
-        showNotification(err.message || 'Failed to delete student', 'error');
-      }
+    try {
+      await StudentService.delete(id);
+      showNotification('Student moved to the Recycle Bin', 'success', {
+        onUndo: async () => {
+          await RecycleBinService.restoreStudent(id);
+          showNotification('Student restored');
+          await Promise.all([fetchDashboardData(), fetchRecentStudents()]);
+        }
+      });
+      // Refresh tables
+      await Promise.all([fetchDashboardData(), fetchRecentStudents()]);
+    } catch (err) {
+      showNotification(err.message || 'Failed to delete student', 'error');
     }
   };
 
@@ -84,18 +80,15 @@ const Dashboard = () => {
           <p className="text-sm font-medium text-gray-500">Welcome to Study Hall Management System</p>
         </div>
         <div className="flex items-center gap-3">
-          <button
-            onClick={() => setShowConfirmModal(true)}
-            disabled={calculatingFees}
-            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all disabled:opacity-50"
-          >
-            {calculatingFees ? (
-              <Loader2 className="h-4.5 w-4.5 animate-spin" />
-            ) : (
+          {can('runBilling') && (
+            <button
+              onClick={() => setShowBillingModal(true)}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all disabled:opacity-50"
+            >
               <Calculator className="h-4.5 w-4.5" />
-            )}
-            <span>Calculate Fees</span>
-          </button>
+              <span>Calculate Fees</span>
+            </button>
+          )}
         </div>
       </div>
 
@@ -145,42 +138,21 @@ const Dashboard = () => {
         ) : (
           <StudentTable
             students={recentStudents}
+            onView={(student) => navigate(`/students/${student.id}`)}
             onEdit={(student) => navigate(`/students/edit/${student.id}`)}
-            onDelete={handleDeleteRecentStudent}
+            onDelete={can('deleteStudents') ? handleDeleteRecentStudent : undefined}
             isRecentMode={true}
           />
         )}
       </div>
 
-      {/* Confirmation Modal */}
-      <Modal
-        isOpen={showConfirmModal}
-        onClose={() => setShowConfirmModal(false)}
-        title="Calculate Monthly Fees"
-        footerActions={
-          <>
-            <button
-              onClick={() => setShowConfirmModal(false)}
-              className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
-            >
-              Cancel
-            </button>
-            <button
-              onClick={handleCalculateFees}
-              className="px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all"
-            >
-              Calculate
-            </button>
-          </>
-        }
-      >
-        <p className="font-semibold text-gray-700">
-          Are you sure you want to calculate monthly fees for all active students?
-        </p>
-        <p className="text-xs font-medium text-gray-400 mt-2">
-          This operation will add the monthly fee amount to the current "Fee Due" field of all students who have not left the study hall.
-        </p>
-      </Modal>
+      {/* Billing Preview Modal */}
+      {showBillingModal && (
+        <BillingPreviewModal
+          onClose={() => setShowBillingModal(false)}
+          onCompleted={handleBillingCompleted}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,230 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Loader2, IndianRupee, History, Printer, CalendarCheck } from 'lucide-react';
+import { PaymentService, PrepaidService, StudentService } from '../services/api';
+import RecordPaymentModal from '../components/RecordPaymentModal';
+import PrepaidPlanModal from '../components/PrepaidPlanModal';
+import { useNotification } from '../components/NotificationContext';
+import { formatPaymentMode, formatLedgerEntryType, isLedgerCredit, isDepositMovement } from '../utils/payments';
+import { formatDate, formatPeriod, formatRupees } from '../utils/format';
+
+const PaymentHistory = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { showNotification } = useNotification();
+
+  const [student, setStudent] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [paymentStudent, setPaymentStudent] = useState(null);
+  const [plans, setPlans] = useState([]);
+  const [showPrepaidPlan, setShowPrepaidPlan] = useState(false);
+
+  const fetchLedger = useCallback(
+    () => Promise.all([
+      StudentService.getById(id),
+      PaymentService.getStudentLedger(id),
+      PrepaidService.getForStudent(id)
+    ])
+      .then(([studentData, ledgerData, planData]) => {
+        setStudent(studentData);
+        setEntries(ledgerData);
+        setPlans(planData);
+      })
+      .catch((err) => {
+        showNotification(err.message || 'Failed to load payment history', 'error');
+        navigate('/students');
+      })
+      .finally(() => setLoading(false)),
+    [id, navigate, showNotification]
+  );
+
+  useEffect(() => {
+    fetchLedger();
+  }, [fetchLedger]);
+
+  // Entries arrive newest first; walk them oldest first to build a running balance
+  const rows = useMemo(() => {
+    const chronological = [...entries].reverse();
+    const withBalance = [];
+    for (const entry of chronological) {
+      const previous = withBalance.length ? withBalance[withBalance.length - 1].balance : 0;
+      const delta = isDepositMovement(entry) ? 0 : entry.type === 'PAYMENT' ? -entry.amount : entry.amount;
+      withBalance.push({ ...entry, balance: previous + delta });
+    }
+    return withBalance.reverse();
+  }, [entries]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-96">
+        <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between border-b border-gray-100 pb-5">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 tracking-tight">{student?.name}</h2>
+          <p className="text-sm font-medium text-gray-500">
+            {student?.hall} · Cabin {student?.cabin} · Monthly fee ₹ {(student?.monthlyFee ?? 0).toLocaleString('en-IN')}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => navigate(-1)}
+            className="inline-flex items-center gap-1.5 px-3 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            <span>Back</span>
+          </button>
+          {!student?.leftDate && (
+            <button
+              onClick={() => setShowPrepaidPlan(true)}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-gray-700 bg-white border border-gray-200 hover:bg-gray-50 rounded-xl transition-all"
+            >
+              <CalendarCheck className="h-4.5 w-4.5" />
+              <span>Prepaid Plan</span>
+            </button>
+          )}
+          <button
+            onClick={() => setPaymentStudent(student)}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all"
+          >
+            <IndianRupee className="h-4.5 w-4.5" />
+            <span>Record Payment</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Totals derived from the ledger */}
+      <div className="grid grid-cols-1 gap-5 sm:grid-cols-3">
+        <div className="p-5 bg-white border border-gray-100 rounded-2xl shadow-sm space-y-1">
+          <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">Total Paid</span>
+          <h4 className="text-2xl font-bold text-emerald-600">₹ {(student?.feePaid ?? 0).toLocaleString('en-IN')}</h4>
+        </div>
+        <div className="p-5 bg-white border border-gray-100 rounded-2xl shadow-sm space-y-1">
+          {student?.feeDue < 0 ? (
+            <>
+              <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">Advance Credit</span>
+              <h4 className="text-2xl font-bold text-indigo-600">₹ {(-student.feeDue).toLocaleString('en-IN')}</h4>
+            </>
+          ) : (
+            <>
+              <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">Current Due</span>
+              <h4 className="text-2xl font-bold text-amber-600">₹ {(student?.feeDue ?? 0).toLocaleString('en-IN')}</h4>
+            </>
+          )}
+          {student?.paidThrough && !student.leftDate && (
+            <p className="text-xs font-medium text-gray-400">Paid through {formatDate(student.paidThrough)}</p>
+          )}
+        </div>
+        <div className="p-5 bg-white border border-gray-100 rounded-2xl shadow-sm space-y-1">
+          <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">Security Deposit Held</span>
+          <h4 className="text-2xl font-bold text-indigo-600">₹ {(student?.depositHeld ?? 0).toLocaleString('en-IN')}</h4>
+        </div>
+      </div>
+
+      {plans.length > 0 && (
+        <div className="flex flex-wrap gap-3">
+          {plans.map((plan) => (
+            <div key={plan.id} className="px-4 py-3 bg-white border border-gray-100 rounded-xl shadow-sm">
+              <p className="text-sm font-semibold text-gray-900">{plan.months}-month prepaid plan · {formatRupees(plan.amount)}</p>
+              <p className="text-xs font-medium text-gray-400">{formatPeriod(plan.coverFrom, plan.paidThrough)}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {rows.length === 0 ? (
+        <div className="flex flex-col items-center justify-center p-12 bg-white border border-gray-100 rounded-2xl text-center space-y-2">
+          <History className="h-8 w-8 text-gray-300" />
+          <h4 className="text-base font-bold text-gray-700">No Ledger Entries</h4>
+          <p className="text-sm font-medium text-gray-400">Payments and fee charges for this student will appear here</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto bg-white rounded-2xl border border-gray-100 shadow-sm">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Entry</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Mode</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Reference</th>
+                <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Charged</th>
+                <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Paid</th>
+                <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Balance</th>
+                <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Receipt</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-150">
+              {rows.map((entry) => {
+                const isDeposit = isDepositMovement(entry);
+                const isPayment = entry.type === 'PAYMENT' || isDeposit;
+                const isCredit = isLedgerCredit(entry);
+                const amountLabel = `₹ ${Math.abs(entry.amount).toLocaleString('en-IN')}`;
+                return (
+                  <tr key={entry.id} className="hover:bg-gray-50/50 transition-colors">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{formatDate(entry.entryDate)}</td>
+                    <td className="px-6 py-4 text-sm">
+                      <span className="font-semibold text-gray-900">{formatLedgerEntryType(entry.type)}</span>
+                      {entry.note && <p className="text-xs font-medium text-gray-400">{entry.note}</p>}
+                      {isDeposit && (
+                        <p className="text-xs font-semibold text-indigo-600">{amountLabel} held outside the fee balance</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{isPayment ? formatPaymentMode(entry.mode) : '—'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{entry.referenceNumber || '—'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-amber-600 font-medium">
+                      {isCredit || isDeposit ? '' : amountLabel}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-emerald-600 font-medium">
+                      {isCredit && !isDeposit ? amountLabel : ''}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-bold text-gray-900">
+                      ₹ {entry.balance.toLocaleString('en-IN')}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {entry.receiptNumber && (
+                        <button
+                          onClick={() => navigate(`/receipts/${entry.id}`)}
+                          title="Reprint Receipt"
+                          className="inline-flex items-center gap-1.5 px-2 py-1 rounded-lg text-emerald-700 hover:bg-emerald-50 transition-colors"
+                        >
+                          <Printer className="h-4 w-4" />
+                          <span className="text-xs font-semibold">{entry.receiptNumber}</span>
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showPrepaidPlan && student && (
+        <PrepaidPlanModal
+          student={student}
+          onClose={() => setShowPrepaidPlan(false)}
+          onPurchased={fetchLedger}
+        />
+      )}
+
+      {paymentStudent && (
+        <RecordPaymentModal
+          key={paymentStudent.id}
+          student={paymentStudent}
+          onClose={() => setPaymentStudent(null)}
+          onRecorded={fetchLedger}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PaymentHistory;
@@ -0,0 +1,126 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Loader2, Printer, FileDown } from 'lucide-react';
+import { PaymentService } from '../services/api';
+import { useNotification } from '../components/NotificationContext';
+import { amountInWords, formatDate, formatPeriod, formatRupees } from '../utils/format';
+import { formatPaymentMode } from '../utils/payments';
+import { downloadReceiptPdf } from '../utils/receiptPdf';
+
+const Receipt = () => {
+  const { paymentId } = useParams();
+  const navigate = useNavigate();
+  const { showNotification } = useNotification();
+
+  const [receipt, setReceipt] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchReceipt = useCallback(
+    () => PaymentService.getReceipt(paymentId)
+      .then(setReceipt)
+      .catch((err) => {
+        showNotification(err.message || 'Failed to load receipt', 'error');
+        navigate(-1);
+      })
+      .finally(() => setLoading(false)),
+    [paymentId, navigate, showNotification]
+  );
+
+  useEffect(() => {
+    fetchReceipt();
+  }, [fetchReceipt]);
+
+  const handleDownload = async () => {
+    try {
+      await downloadReceiptPdf(receipt);
+    } catch (err) {
+      showNotification('Failed to generate PDF: ' + err.message, 'error');
+    }
+  };
+
+  if (loading || !receipt) {
+    return (
+      <div className="flex justify-center items-center h-96">
+        <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
+      </div>
+    );
+  }
+
+  const rows = [
+    ['Student', receipt.studentName],
+    ['Study Hall', receipt.hall],
+    ['Cabin', receipt.cabin],
+    ['Period Covered', formatPeriod(receipt.periodStart, receipt.periodEnd)],
+    ['Payment Mode', formatPaymentMode(receipt.mode)],
+    ['Reference No.', receipt.referenceNumber],
+    ['Note', receipt.note],
+  ];
+
+  return (
+    <div className="p-6 max-w-2xl mx-auto space-y-6 print:p-0">
+      {/* Actions (hidden when printing) */}
+      <div className="flex items-center justify-between print:hidden">
+        <button
+          onClick={() => navigate(-1)}
+          className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          <span>Back</span>
+        </button>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleDownload}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-emerald-700 bg-emerald-50 hover:bg-emerald-100 rounded-xl transition-all"
+          >
+            <FileDown className="h-4.5 w-4.5" />
+            <span>Download PDF</span>
+          </button>
+          <button
+            onClick={() => window.print()}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all"
+          >
+            <Printer className="h-4.5 w-4.5" />
+            <span>Print</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Printable receipt */}
+      <div className="bg-white border border-gray-200 rounded-2xl p-8 shadow-sm space-y-6 print:border-0 print:shadow-none print:rounded-none">
+        <div className="flex items-start justify-between border-b border-gray-200 pb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900 tracking-tight">{receipt.studyHallName}</h2>
+            <p className="text-xs font-bold text-gray-400 uppercase tracking-widest mt-1">Fee Receipt</p>
+          </div>
+          <div className="text-right text-sm">
+            <p className="font-bold text-gray-900">{receipt.receiptNumber}</p>
+            <p className="font-medium text-gray-500">{formatDate(receipt.paymentDate)}</p>
+          </div>
+        </div>
+
+        <dl className="grid grid-cols-3 gap-y-3 text-sm">
+          {rows.map(([label, value]) => (
+            <div key={label} className="contents">
+              <dt className="font-bold text-gray-500">{label}</dt>
+              <dd className="col-span-2 font-medium text-gray-900">{value || '—'}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <div className="border-t border-gray-200 pt-4 space-y-1">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-bold text-gray-500 uppercase tracking-wide">Amount Received</span>
+            <span className="text-2xl font-bold text-emerald-700">{formatRupees(receipt.amount)}</span>
+          </div>
+          <p className="text-sm italic font-medium text-gray-600">{amountInWords(receipt.amount)}</p>
+        </div>
+
+        <div className="flex justify-end pt-10">
+          <span className="text-xs font-semibold text-gray-500 border-t border-gray-300 pt-1 px-6">Authorised Signatory</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Receipt;
@@ -0,0 +1,176 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2, RotateCcw, Trash2 } from 'lucide-react';
+import { RecycleBinService } from '../services/api';
+import { useNotification } from '../components/NotificationContext';
+import { useAuth } from '../components/useAuth';
+import { formatAuditTime } from '../utils/audit';
+import { formatStudentCode } from '../utils/attendance';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days left before the nightly purge removes a deleted record for good
+const daysUntilPurge = (deletedAt, retentionDays) =>
+  Math.max(0, retentionDays - Math.floor((Date.now() - new Date(deletedAt).getTime()) / DAY_MS));
+
+const BinTable = ({ title, rows, retentionDays, describe, onRestore, onPurge }) => (
+  <div className="space-y-3">
+    <h3 className="text-lg font-bold text-gray-900">{title}</h3>
+    {rows.length === 0 ? (
+      <p className="p-6 text-sm font-medium text-gray-400 bg-white border border-gray-100 rounded-2xl">Nothing here</p>
+    ) : (
+      <div className="overflow-x-auto bg-white rounded-2xl border border-gray-100 shadow-sm">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Name</th>
+              <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Deleted</th>
+              <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Deleted By</th>
+              <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Purged In</th>
+              <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-150">
+            {rows.map((row) => {
+              const daysLeft = daysUntilPurge(row.deletedAt, retentionDays);
+              return (
+                <tr key={row.id} className="hover:bg-gray-50/50 transition-colors">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <p className="text-sm font-semibold text-gray-900">{row.name}</p>
+                    <p className="text-xs font-medium text-gray-400">{describe(row)}</p>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-600">{formatAuditTime(row.deletedAt)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-600">{row.deletedBy || '—'}</td>
+                  <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${daysLeft <= 3 ? 'text-red-600' : 'text-gray-600'}`}>
+                    {daysLeft === 0 ? 'Tonight' : daysLeft === 1 ? '1 day' : `${daysLeft} days`}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-1.5">
+                    <button
+                      onClick={() => onRestore(row)}
+                      className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-emerald-700 bg-emerald-50 hover:bg-emerald-100 rounded-lg transition-all"
+                    >
+                      <RotateCcw className="h-3.5 w-3.5" />
+                      <span>Restore</span>
+                    </button>
+                    {onPurge && (
+                      <button
+                        onClick={() => onPurge(row)}
+                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-red-600 hover:bg-red-50 rounded-lg transition-all"
+                      >
+                        <Trash2 className="h-3.5 w-3.5" />
+                        <span>Delete Forever</span>
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
+// Deleted students and halls, kept for the retention period so a misclick can be undone
+const RecycleBin = () => {
+  const [bin, setBin] = useState({ students: [], halls: [], retentionDays: 30 });
+  const [loading, setLoading] = useState(true);
+
+  const { showNotification } = useNotification();
+  const { can } = useAuth();
+
+  const fetchBin = useCallback(
+    () => RecycleBinService.get()
+      .then(setBin)
+      .catch((err) => showNotification(err.message || 'Failed to load the Recycle Bin', 'error'))
+      .finally(() => setLoading(false)),
+    [showNotification]
+  );
+
+  useEffect(() => {
+    fetchBin();
+  }, [fetchBin]);
+
+  const handleRestoreStudent = async (student) => {
+    try {
+      const restored = await RecycleBinService.restoreStudent(student.id);
+      showNotification(restored.cabin || !student.cabin
+        ? `${student.name} restored`
+        : `${student.name} restored; their seat was taken, so assign a new one`);
+      fetchBin();
+    } catch (err) {
+      showNotification(err.message || 'Failed to restore student', 'error');
+    }
+  };
+
+  const handleRestoreHall = async (hall) => {
+    try {
+      await RecycleBinService.restoreHall(hall.id);
+      showNotification(`${hall.name} restored`);
+      fetchBin();
+    } catch (err) {
+      showNotification(err.message || 'Failed to restore study hall', 'error');
+    }
+  };
+
+  const handlePurgeStudent = async (student) => {
+    if (!window.confirm(`Permanently delete ${student.name} with their payments, attendance and documents? This cannot be undone.`)) return;
+    try {
+      await RecycleBinService.purgeStudent(student.id);
+      showNotification(`${student.name} deleted permanently`);
+      fetchBin();
+    } catch (err) {
+      showNotification(err.message || 'Failed to delete student', 'error');
+    }
+  };
+
+  const handlePurgeHall = async (hall) => {
+    if (!window.confirm(`Permanently delete ${hall.name} with its seat map and shifts? This cannot be undone.`)) return;
+    try {
+      await RecycleBinService.purgeHall(hall.id);
+      showNotification(`${hall.name} deleted permanently`);
+      fetchBin();
+    } catch (err) {
+      showNotification(err.message || 'Failed to delete study hall', 'error');
+    }
+  };
+
+  return (
+    <div className="space-y-6 p-6 max-w-7xl mx-auto">
+      {/* Page Header */}
+      <div className="border-b border-gray-100 pb-5">
+        <h2 className="text-2xl font-bold text-gray-900 tracking-tight">Recycle Bin</h2>
+        <p className="text-sm font-medium text-gray-500">
+          Deleted students and halls are kept for {bin.retentionDays} days, then purged automatically
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
+        </div>
+      ) : (
+        <>
+          <BinTable
+            title="Students"
+            rows={bin.students}
+            retentionDays={bin.retentionDays}
+            describe={(student) => [formatStudentCode(student.id), student.hall, student.phone].filter(Boolean).join(' · ')}
+            onRestore={handleRestoreStudent}
+            onPurge={can('purgeDeleted') ? handlePurgeStudent : undefined}
+          />
+          <BinTable
+            title="Study Halls"
+            rows={bin.halls}
+            retentionDays={bin.retentionDays}
+            describe={(hall) => [hall.location, `${hall.capacity} seats`].filter(Boolean).join(' · ')}
+            onRestore={handleRestoreHall}
+            onPurge={can('purgeDeleted') ? handlePurgeHall : undefined}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecycleBin;
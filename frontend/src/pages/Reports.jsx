@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { Download, Loader2, BarChart3, TrendingUp, AlertTriangle } from 'lucide-react';
+import { Download, Loader2, BarChart3, TrendingUp, AlertTriangle, BadgePercent } from 'lucide-react';
 import { DashboardService, ReportService } from '../services/api';
 import { useNotification } from '../components/NotificationContext';
+import { formatRupees } from '../utils/format';
 
 const Reports = () => {
   const [stats, setStats] = useState({});
   const [reportData, setReportData] = useState([]);
+  const [discountData, setDiscountData] = useState([]);
   const [loading, setLoading] = useState(true);
 
   const { showNotification } = useNotification();
@@ -13,12 +15,14 @@ const Reports = () => {
   const fetchReports = async () => {
     try {
       setLoading(true);
-      const [statsData, collectionData] = await Promise.all([
+      const [statsData, collectionData, discounts] = await Promise.all([
         DashboardService.getStats(),
-        ReportService.getFeeCollection()
+        ReportService.getFeeCollection(),
+        ReportService.getDiscounts()
       ]);
       setStats(statsData);
       setReportData(collectionData);
+      setDiscountData(discounts);
     } catch (err) {
       showNotification(err.message || 'Failed to load report data', 'error');
     } finally {
@@ -36,6 +40,8 @@ const Reports = () => {
     return `${((collected / total) * 100).toFixed(1)}%`;
   };
 
+  const totalForgone = discountData.reduce((sum, row) => sum + row.amount, 0);
+
   const handleExportCSV = () => {
     try {
       if (reportData.length === 0) {
@@ -43,11 +49,11 @@ const Reports = () => {
         return;
       }
 
-      let csv = 'Study Hall,Total Students,Fees Collected (₹),Fees Pending (₹),Collection Rate\n';
+      let csv = 'Study Hall,Total Students,Fees Collected (₹),Fees Pending (₹),Discounts Given (₹),Collection Rate\n';
       
       reportData.forEach((row) => {
         const rate = calculateCollectionRate(row.feesCollected, row.feesPending);
-        csv += `"${row.hall || 'N/A'}",${row.totalStudents || 0},${row.feesCollected || 0},${row.feesPending || 0},"${rate}"\n`;
+        csv += `"${row.hall || 'N/A'}",${row.totalStudents || 0},${row.feesCollected || 0},${row.feesPending || 0},${row.discountsGiven || 0},"${rate}"\n`;
       });
 
       const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
@@ -156,6 +162,7 @@ const Reports = () => {
                       <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Total Students</th>
                       <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Fees Collected</th>
                       <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Fees Pending</th>
+                      <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Discounts Given</th>
                       <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Collection Rate</th>
                     </tr>
                   </thead>
@@ -174,6 +181,7 @@ const Reports = () => {
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-650 font-medium">{row.totalStudents} students</td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-emerald-600 font-bold">₹ {row.feesCollected.toLocaleString('en-IN')}</td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-amber-600 font-bold">₹ {row.feesPending.toLocaleString('en-IN')}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-indigo-600 font-bold">{formatRupees(row.discountsGiven || 0)}</td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm">
                             <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-semibold border ${badgeColor}`}>
                               {rateStr}
@@ -187,6 +195,42 @@ const Reports = () => {
               </div>
             )}
           </div>
+
+          {/* Revenue Forgone to Discounts */}
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <h3 className="text-lg font-bold text-gray-800 tracking-tight">Revenue Forgone to Discounts</h3>
+              <span className="text-sm font-bold text-indigo-600">{formatRupees(totalForgone)} in total</span>
+            </div>
+
+            <div className="overflow-x-auto bg-white rounded-2xl border border-gray-100 shadow-sm">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Concession</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Students</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Cycles Discounted</th>
+                    <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Amount Forgone</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-150">
+                  {discountData.map((row) => (
+                    <tr key={row.type} className="hover:bg-gray-50/50 transition-colors">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">
+                        <span className="inline-flex items-center gap-2">
+                          <BadgePercent className="h-4 w-4 text-indigo-500" />
+                          {row.label}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-650 font-medium">{row.students}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-650 font-medium">{row.cycles}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-indigo-600 font-bold">{formatRupees(row.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
         </>
       )}
     </div>
@@ -0,0 +1,352 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Loader2, RefreshCw, LayoutGrid, UserMinus } from 'lucide-react';
+import { SeatService } from '../services/api';
+import SeatLayoutEditor from '../components/SeatLayoutEditor';
+import { useNotification } from '../components/NotificationContext';
+import { useAuth } from '../components/useAuth';
+import { getFeeStatus } from '../utils/payments';
+import { SEAT_STATUS_DOTS, SEAT_STATUS_STYLES, describeSeat, findOccupants, isSameSeat } from '../utils/seats';
+import { findShift, formatShift, shiftsOverlap } from '../utils/shifts';
+
+// Occupancy changes as fees are collected at the desk, so the map refreshes itself
+const REFRESH_INTERVAL_MS = 30000;
+
+const LEGEND = [
+  { status: 'Paid', label: 'Paid' },
+  { status: 'Pending', label: 'Fee pending' },
+  { status: 'Credit', label: 'Advance credit' },
+  { status: 'Vacant', label: 'Vacant' },
+];
+
+const SHARED_LEGEND = { status: 'Shared', label: 'Shared by shift' };
+
+const ALL_SHIFTS = 'all';
+
+const SeatMap = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { showNotification } = useNotification();
+  const { can } = useAuth();
+
+  const [seatMap, setSeatMap] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [shiftTab, setShiftTab] = useState(ALL_SHIFTS);
+
+  const fetchSeatMap = useCallback(
+    (silent = false) => SeatService.getMap(id)
+      .then(setSeatMap)
+      .catch((err) => {
+        if (!silent) {
+          showNotification(err.message || 'Failed to load seat map', 'error');
+          navigate('/study-halls');
+        }
+      })
+      .finally(() => setLoading(false)),
+    [id, navigate, showNotification]
+  );
+
+  useEffect(() => {
+    fetchSeatMap();
+  }, [fetchSeatMap]);
+
+  useEffect(() => {
+    if (editing) return undefined;
+    const timer = setInterval(() => fetchSeatMap(true), REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [editing, fetchSeatMap]);
+
+  const seats = seatMap?.seats || [];
+  const shifts = seatMap?.shifts || [];
+
+  // The all-shifts view shows everyone; a shift view shows whoever is in during that shift
+  const viewShift = shiftTab === ALL_SHIFTS ? undefined : findShift(shifts, shiftTab);
+  const students = (seatMap?.students || []).filter(
+    (st) => viewShift === undefined || shiftsOverlap(viewShift, findShift(shifts, st.shiftId))
+  );
+
+  const occupantsOf = (seat) => findOccupants(students, seat.label, viewShift, shifts);
+
+  const seatsByCell = {};
+  seats.forEach((seat) => {
+    seatsByCell[`${seat.gridRow}:${seat.gridColumn}`] = seat;
+  });
+
+  // Active students whose cabin is not a seat on the map
+  const unseated = students.filter((st) => !seats.some((seat) => isSameSeat(st.cabin, seat.label)));
+
+  const takenCount = seats.filter((seat) => occupantsOf(seat).length > 0).length;
+
+  const handleDragStart = (e, student) => {
+    e.dataTransfer.setData('text/plain', String(student.id));
+    e.dataTransfer.effectAllowed = 'move';
+    setDraggingId(student.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggingId(null);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (e, target) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTarget(target);
+  };
+
+  const draggedStudent = (e) => {
+    const studentId = parseInt(e.dataTransfer.getData('text/plain'));
+    return students.find((st) => st.id === studentId);
+  };
+
+  const handleDropOnSeat = async (e, seat) => {
+    e.preventDefault();
+    handleDragEnd();
+
+    const student = draggedStudent(e);
+    if (!student) return;
+
+    if (isSameSeat(student.cabin, seat.label)) return;
+
+    // Only someone in an overlapping shift blocks the seat
+    const studentShift = findShift(shifts, student.shiftId);
+    const occupant = findOccupants(seatMap.students, seat.label, studentShift, shifts)[0];
+
+    if (occupant) {
+      const occupantShift = formatShift(findShift(shifts, occupant.shiftId));
+      showNotification(`Seat ${seat.label} is already taken by ${occupant.name} (${occupantShift})`, 'error');
+      return;
+    }
+
+    try {
+      await SeatService.assign(student.id, seat.id);
+      showNotification(`${student.name} is now in seat ${seat.label}`);
+    } catch (err) {
+      showNotification(err.message || 'Failed to assign seat', 'error');
+    } finally {
+      fetchSeatMap(true);
+    }
+  };
+
+  const handleDropOnUnseated = async (e) => {
+    e.preventDefault();
+    handleDragEnd();
+
+    const student = draggedStudent(e);
+    if (!student || !student.cabin) return;
+
+    try {
+      await SeatService.unassign(student.id);
+      showNotification(`${student.name} no longer has a seat`);
+    } catch (err) {
+      showNotification(err.message || 'Failed to free seat', 'error');
+    } finally {
+      fetchSeatMap(true);
+    }
+  };
+
+  if (loading || !seatMap) {
+    return (
+      <div className="flex justify-center items-center h-96">
+        <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between border-b border-gray-100 pb-5">
+        <div className="space-y-1">
+          <h2 className="text-2xl font-bold text-gray-900 tracking-tight">{seatMap.hallName} Seat Map</h2>
+          <p className="text-sm font-medium text-gray-500">
+            {takenCount} of {seats.length} seats taken · {seatMap.capacity} capacity
+            {!editing && ' · drag a student onto a vacant seat to assign or move them'}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => navigate('/study-halls')}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            <span>Back</span>
+          </button>
+          {!editing && (
+            <>
+              <button
+                onClick={() => fetchSeatMap(true)}
+                title="Refresh"
+                className="inline-flex p-2 rounded-xl text-gray-600 bg-white border border-gray-200 hover:bg-gray-50 transition-all"
+              >
+                <RefreshCw className="h-4 w-4" />
+              </button>
+              {can('manageHalls') && (
+                <button
+                  onClick={() => setEditing(true)}
+                  className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all"
+                >
+                  <LayoutGrid className="h-4 w-4" />
+                  <span>Edit Layout</span>
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {editing ? (
+        <SeatLayoutEditor
+          seatMap={seatMap}
+          onCancel={() => {
+            // Price tiers are saved as they are edited, so reload them
+            setEditing(false);
+            fetchSeatMap(true);
+          }}
+          onSaved={(data) => {
+            setSeatMap(data);
+            setEditing(false);
+          }}
+        />
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          {/* Seat grid */}
+          <div className="lg:col-span-3 bg-white border border-gray-100 rounded-2xl p-5 shadow-sm space-y-4">
+            {shifts.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {[{ id: ALL_SHIFTS, label: 'All Shifts' }, ...shifts.map((shift) => ({ id: shift.id, label: formatShift(shift) }))].map((tab) => (
+                  <button
+                    key={tab.id}
+                    onClick={() => setShiftTab(tab.id)}
+                    className={`px-3 py-1.5 rounded-xl text-xs font-semibold border transition-all ${
+                      shiftTab === tab.id
+                        ? 'bg-emerald-600 text-white border-emerald-600 shadow-sm'
+                        : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    {tab.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div className="flex flex-wrap gap-3">
+              {(shifts.length > 0 ? [...LEGEND, SHARED_LEGEND] : LEGEND).map(({ status, label }) => (
+                <span key={status} className="inline-flex items-center gap-1.5 text-xs font-semibold text-gray-500">
+                  <span className={`h-3 w-3 rounded border ${SEAT_STATUS_STYLES[status]}`} />
+                  {label}
+                </span>
+              ))}
+            </div>
+
+            {seats.length === 0 ? (
+              <div className="flex flex-col items-center justify-center p-12 text-center space-y-3">
+                <div className="p-4 bg-gray-50 rounded-full">
+                  <LayoutGrid className="h-8 w-8 text-gray-400" />
+                </div>
+                <h4 className="text-base font-bold text-gray-800">No Seats Laid Out</h4>
+                <p className="text-sm font-medium text-gray-400">Use Edit Layout to place this hall's seats and cabins</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <div
+                  className="grid gap-2 min-w-max"
+                  style={{ gridTemplateColumns: `repeat(${seatMap.columns}, minmax(5.5rem, 1fr))` }}
+                >
+                  {Array.from({ length: seatMap.rows * seatMap.columns }, (_, index) => {
+                    const row = Math.floor(index / seatMap.columns);
+                    const column = index % seatMap.columns;
+                    const seat = seatsByCell[`${row}:${column}`];
+
+                    if (!seat) {
+                      return <div key={index} className="min-h-20" />;
+                    }
+
+                    const occupants = occupantsOf(seat);
+                    const status = occupants.length === 0
+                      ? 'Vacant'
+                      : occupants.length === 1 ? getFeeStatus(occupants[0]) : 'Shared';
+
+                    return (
+                      <div
+                        key={seat.id}
+                        onDragOver={(e) => handleDragOver(e, seat.id)}
+                        onDragLeave={() => setDropTarget(null)}
+                        onDrop={(e) => handleDropOnSeat(e, seat)}
+                        title={`${seat.label} · ${describeSeat(seat, seatMap.tiers)}`}
+                        className={`min-h-20 p-2 rounded-xl border-2 flex flex-col gap-1 transition-all ${SEAT_STATUS_STYLES[status]} ${
+                          dropTarget === seat.id ? 'ring-2 ring-emerald-500 ring-offset-1' : ''
+                        }`}
+                      >
+                        <span className="text-xs font-bold">{seat.label}</span>
+                        {occupants.length === 0 && <span className="text-xs font-semibold">Vacant</span>}
+                        {occupants.map((occupant) => (
+                          <span
+                            key={occupant.id}
+                            draggable
+                            onDragStart={(e) => handleDragStart(e, occupant)}
+                            onDragEnd={handleDragEnd}
+                            onDoubleClick={() => navigate(`/students/${occupant.id}/payments`)}
+                            title={`${occupant.name} · ${getFeeStatus(occupant)} · ${formatShift(findShift(shifts, occupant.shiftId))} · double-click for payments`}
+                            className={`text-xs font-semibold truncate cursor-grab ${draggingId === occupant.id ? 'opacity-40' : ''}`}
+                          >
+                            {occupants.length > 1 && (
+                              <span className={`inline-block h-2 w-2 mr-1 rounded-full ${SEAT_STATUS_DOTS[getFeeStatus(occupant)]}`} />
+                            )}
+                            {occupant.name}
+                          </span>
+                        ))}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Students in this hall without a seat on the map */}
+          <div
+            onDragOver={(e) => handleDragOver(e, 'unseated')}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={handleDropOnUnseated}
+            className={`bg-white border border-gray-100 rounded-2xl p-5 shadow-sm space-y-3 transition-all ${
+              dropTarget === 'unseated' ? 'ring-2 ring-amber-400' : ''
+            }`}
+          >
+            <div className="flex items-center gap-2">
+              <UserMinus className="h-4 w-4 text-gray-400" />
+              <h3 className="text-sm font-bold text-gray-800">Without a Seat ({unseated.length})</h3>
+            </div>
+            <p className="text-xs font-medium text-gray-400">Drop a seated student here to free their seat.</p>
+            {unseated.length === 0 ? (
+              <p className="text-sm font-medium text-gray-400 py-4 text-center">Everyone in this hall has a seat</p>
+            ) : (
+              <ul className="space-y-2">
+                {unseated.map((student) => (
+                  <li
+                    key={student.id}
+                    draggable
+                    onDragStart={(e) => handleDragStart(e, student)}
+                    onDragEnd={handleDragEnd}
+                    className={`px-3 py-2 rounded-xl border cursor-grab ${SEAT_STATUS_STYLES[getFeeStatus(student)]}`}
+                  >
+                    <p className="text-sm font-semibold truncate">{student.name}</p>
+                    <p className="text-xs font-medium opacity-75">
+                      {student.cabin ? `Cabin ${student.cabin} is not on the map` : 'No cabin'}
+                      {shifts.length > 0 && ` · ${formatShift(findShift(shifts, student.shiftId))}`}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SeatMap;
@@ -0,0 +1,273 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Edit2, Loader2, Trash2, UserCog, UserPlus } from 'lucide-react';
+import { UserService } from '../services/api';
+import Modal from '../components/Modal';
+import FieldError from '../components/FieldError';
+import { useAuth } from '../components/useAuth';
+import { useNotification } from '../components/NotificationContext';
+import { ROLES, formatRole } from '../utils/auth';
+import { hasErrors, pattern, required, validate } from '../utils/validation';
+
+const emptyStaffUser = () => ({ username: '', fullName: '', role: 'RECEPTIONIST', active: true, password: '' });
+
+// Same rules as UserService; a password is only required for a new account
+const staffRules = (isNew) => ({
+  fullName: [required('Full name is required')],
+  username: [
+    required('Username is required'),
+    pattern(/^[A-Za-z0-9._-]+$/, 'Use only letters, numbers, dots, dashes and underscores')
+  ],
+  role: [required('Choose a role')],
+  password: [
+    ...(isNew ? [required('Set a password')] : []),
+    (value) => (value && value.length < 8 ? 'Password must be at least 8 characters' : undefined)
+  ],
+});
+
+// Staff accounts and their roles, managed by the owner
+const Staff = () => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingUser, setEditingUser] = useState(null);
+  const [form, setForm] = useState(emptyStaffUser());
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const { user: currentUser } = useAuth();
+  const { showNotification } = useNotification();
+
+  const fetchUsers = useCallback(
+    () => UserService.getAll()
+      .then(setUsers)
+      .catch((err) => showNotification(err.message || 'Failed to load staff accounts', 'error'))
+      .finally(() => setLoading(false)),
+    [showNotification]
+  );
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const openForm = (staffUser) => {
+    setEditingUser(staffUser || {});
+    setErrors({});
+    setForm(staffUser
+      ? {
+          username: staffUser.username || '',
+          fullName: staffUser.fullName || '',
+          role: staffUser.role || 'RECEPTIONIST',
+          active: staffUser.active !== false,
+          password: ''
+        }
+      : emptyStaffUser());
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+    setForm((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSave = async () => {
+    const fieldErrors = validate(form, staffRules(!editingUser.id));
+    setErrors(fieldErrors);
+    if (hasErrors(fieldErrors)) return;
+
+    try {
+      setSaving(true);
+      if (editingUser.id) {
+        await UserService.update(editingUser.id, form);
+        showNotification('Staff account updated');
+      } else {
+        await UserService.create(form);
+        showNotification('Staff account created');
+      }
+      setEditingUser(null);
+      fetchUsers();
+    } catch (err) {
+      if (err.fieldErrors) {
+        setErrors(err.fieldErrors);
+      }
+      showNotification(err.message || 'Failed to save staff account', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (staffUser) => {
+    if (!window.confirm(`Delete the account of ${staffUser.fullName || staffUser.username}? They will be signed out.`)) return;
+    try {
+      await UserService.delete(staffUser.id);
+      showNotification('Staff account deleted');
+      fetchUsers();
+    } catch (err) {
+      showNotification(err.message || 'Failed to delete staff account', 'error');
+    }
+  };
+
+  // Red outline on fields that failed validation
+  const fieldClassName = (field) =>
+    `block w-full px-3 py-2.5 text-sm border rounded-xl focus:outline-none focus:ring-2 transition-all bg-gray-50/50 focus:bg-white ${
+      errors[field]
+        ? 'border-red-300 focus:ring-red-500/20 focus:border-red-500'
+        : 'border-gray-200 focus:ring-emerald-500/20 focus:border-emerald-500'
+    }`;
+
+  return (
+    <div className="space-y-6 p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between border-b border-gray-100 pb-5">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 tracking-tight">Staff Accounts</h2>
+          <p className="text-sm font-medium text-gray-500">Who can sign in, and what their role lets them do</p>
+        </div>
+        <button
+          onClick={() => openForm(null)}
+          className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all"
+        >
+          <UserPlus className="h-4.5 w-4.5" />
+          <span>Add Staff</span>
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
+        </div>
+      ) : users.length === 0 ? (
+        <div className="flex flex-col items-center justify-center p-12 bg-white border border-gray-100 rounded-2xl text-center space-y-2">
+          <UserCog className="h-8 w-8 text-gray-300" />
+          <h4 className="text-base font-bold text-gray-700">No Staff Accounts</h4>
+        </div>
+      ) : (
+        <div className="overflow-x-auto bg-white rounded-2xl border border-gray-100 shadow-sm">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Username</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Role</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-150">
+              {users.map((staffUser) => (
+                <tr key={staffUser.id} className="hover:bg-gray-50/50 transition-colors">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">
+                    {staffUser.fullName || '—'}
+                    {staffUser.id === currentUser.id && <span className="ml-2 text-xs font-medium text-gray-400">(you)</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-600">{staffUser.username}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className="px-2 py-0.5 bg-gray-100 text-gray-800 rounded-lg text-xs font-semibold">{formatRole(staffUser.role)}</span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span
+                      className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-semibold border ${
+                        staffUser.active !== false
+                          ? 'bg-emerald-100 text-emerald-800 border-emerald-200'
+                          : 'bg-gray-100 text-gray-700 border-gray-200'
+                      }`}
+                    >
+                      {staffUser.active !== false ? 'Active' : 'Deactivated'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-1.5">
+                    <button
+                      onClick={() => openForm(staffUser)}
+                      title="Edit Account"
+                      className="inline-flex p-1.5 rounded-lg text-blue-600 hover:bg-blue-50 transition-colors"
+                    >
+                      <Edit2 className="h-4.5 w-4.5" />
+                    </button>
+                    {staffUser.id !== currentUser.id && (
+                      <button
+                        onClick={() => handleDelete(staffUser)}
+                        title="Delete Account"
+                        className="inline-flex p-1.5 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+                      >
+                        <Trash2 className="h-4.5 w-4.5" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Modal: Add / Edit Staff Account */}
+      <Modal
+        isOpen={!!editingUser}
+        onClose={() => setEditingUser(null)}
+        title={editingUser?.id ? 'Edit Staff Account' : 'Add Staff Account'}
+        footerActions={
+          <>
+            <button
+              onClick={() => setEditingUser(null)}
+              className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+            >
+              {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+              <span>{editingUser?.id ? 'Update Account' : 'Create Account'}</span>
+            </button>
+          </>
+        }
+      >
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Full Name</label>
+            <input type="text" name="fullName" value={form.fullName} onChange={handleChange} placeholder="e.g. Priya Nair" className={fieldClassName('fullName')} />
+            <FieldError message={errors.fullName} />
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Username</label>
+            <input type="text" name="username" value={form.username} onChange={handleChange} placeholder="e.g. priya" autoComplete="off" className={fieldClassName('username')} />
+            <FieldError message={errors.username} />
+          </div>
+          <div className="space-y-1 md:col-span-2">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Role</label>
+            <select name="role" value={form.role} onChange={handleChange} className={fieldClassName('role')}>
+              {ROLES.map((role) => (
+                <option key={role.value} value={role.value}>{role.label}</option>
+              ))}
+            </select>
+            <p className="text-xs font-medium text-gray-400">{ROLES.find((role) => role.value === form.role)?.description}</p>
+            <FieldError message={errors.role} />
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">
+              {editingUser?.id ? 'New Password' : 'Password'}
+            </label>
+            <input
+              type="password"
+              name="password"
+              value={form.password}
+              onChange={handleChange}
+              placeholder={editingUser?.id ? 'Leave blank to keep it' : 'At least 8 characters'}
+              autoComplete="new-password"
+              className={fieldClassName('password')}
+            />
+            <FieldError message={errors.password} />
+          </div>
+          <label className="flex items-center gap-2 self-end pb-2.5 text-sm font-medium text-gray-700">
+            <input type="checkbox" name="active" checked={form.active} onChange={handleChange} className="rounded border-gray-300 text-emerald-600" />
+            <span>Can sign in</span>
+          </label>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default Staff;
@@ -1,106 +1,350 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
-import { ArrowLeft, Loader2, Save } from 'lucide-react';
-import { StudentService, StudyHallService } from '../services/api';
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, ArrowRightLeft, Loader2, Save } from 'lucide-react';
+import { ConcessionService, DepositService, SeatService, StudentService, StudyHallService, WaitlistService } from '../services/api';
 import { useNotification } from '../components/NotificationContext';
+import TransferModal from '../components/TransferModal';
+import PlacementHistory from '../components/PlacementHistory';
+import AttendanceCalendar from '../components/AttendanceCalendar';
+import ConcessionsPanel from '../components/ConcessionsPanel';
+import PhotoCapture from '../components/PhotoCapture';
+import FieldError from '../components/FieldError';
+import DuplicateStudentModal from '../components/DuplicateStudentModal';
+import ReactivateModal from '../components/ReactivateModal';
+import { PAYMENT_MODES } from '../utils/payments';
+import { describeSeat, getPlaceFee, getVacantSeats, isSameSeat } from '../utils/seats';
+import { findShift, formatShift } from '../utils/shifts';
+import { formatRupees } from '../utils/format';
+import { EXAM_TARGETS, ID_PROOF_TYPES, findIdProofType, normalizeIdNumber, validateAdmission } from '../utils/admission';
+import { hasErrors, toNumberInput } from '../utils/validation';
 
 const StudentForm = () => {
   const { id } = useParams();
+  const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const { showNotification } = useNotification();
   const isEditMode = !!id;
+  const waitlistId = searchParams.get('waitlist');
 
   const [studyHalls, setStudyHalls] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const [seatMap, setSeatMap] = useState(null);
+  const [loading, setLoading] = useState(isEditMode || !!waitlistId);
   const [saving, setSaving] = useState(false);
+  const [savedStudent, setSavedStudent] = useState(null);
+  const [pendingConcessions, setPendingConcessions] = useState([]);
+  const [deposit, setDeposit] = useState({ amount: '', mode: 'CASH' });
+  const [waitlistEntry, setWaitlistEntry] = useState(null);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [errors, setErrors] = useState({});
+  // undefined keeps the saved photo, a Blob replaces it and null removes it
+  const [photo, setPhoto] = useState(undefined);
+  // Existing students a new admission may duplicate, and the one being reactivated instead
+  const [duplicates, setDuplicates] = useState(null);
+  const [reactivating, setReactivating] = useState(null);
 
   // Form Fields State
   const [formData, setFormData] = useState({
     name: '',
     cabin: '',
-    hall: '',
+    hallId: null,
+    shiftId: null,
     phone: '',
     joinDate: new Date().toISOString().split('T')[0],
-    leftDate: '',
     monthlyFee: 2000,
     feePaid: 0,
     feeDue: 0,
-    status: 'Pending'
+    email: '',
+    address: '',
+    guardianName: '',
+    guardianPhone: '',
+    emergencyContactName: '',
+    emergencyContactPhone: '',
+    examTarget: '',
+    idProofType: '',
+    idProofNumber: ''
   });
 
   // Load study halls for drop-down selection
-  const loadStudyHalls = async () => {
-    try {
-      const data = await StudyHallService.getAll();
-      setStudyHalls(data);
-    } catch (err) {
-      showNotification(err.message || 'Failed to load study halls', 'error');
-    }
-  };
+  const loadStudyHalls = useCallback(
+    () => StudyHallService.getAll()
+      .then(setStudyHalls)
+      .catch((err) => showNotification(err.message || 'Failed to load study halls', 'error')),
+    [showNotification]
+  );
+
+  // Seats of the selected hall, so only vacant ones are offered
+  const loadSeatMap = useCallback(
+    (hallId) => SeatService.getMap(hallId)
+      .then(setSeatMap)
+      .catch((err) => showNotification(err.message || 'Failed to load seats', 'error')),
+    [showNotification]
+  );
 
   // Load student details for editing
-  const loadStudent = async () => {
-    try {
-      setLoading(true);
-      const student = await StudentService.getById(id);
-      if (student) {
-        setFormData({
-          name: student.name || '',
-          cabin: student.cabin || '',
-          hall: student.hall || '',
-          phone: student.phone || '',
-          joinDate: student.joinDate || '',
-          leftDate: student.leftDate || '',
-          monthlyFee: student.monthlyFee ?? 2000,
-          feePaid: student.feePaid ?? 0,
-          feeDue: student.feeDue ?? 0,
-          status: student.status || 'Pending'
-        });
-      }
-    } catch (err) {
-      showNotification(err.message || 'Failed to load student details', 'error');
-      navigate('/students');
-    } finally {
-      setLoading(false);
-    }
-  };
+  const loadStudent = useCallback(
+    () => StudentService.getById(id)
+      .then((student) => {
+        if (student) {
+          setSavedStudent(student);
+          setFormData({
+            name: student.name || '',
+            cabin: student.cabin || '',
+            hallId: student.hallId ?? null,
+            shiftId: student.shiftId ?? null,
+            phone: student.phone || '',
+            joinDate: student.joinDate || '',
+            monthlyFee: student.monthlyFee ?? 2000,
+            feePaid: student.feePaid ?? 0,
+            feeDue: student.feeDue ?? 0,
+            depositHeld: student.depositHeld ?? 0,
+            email: student.email || '',
+            address: student.address || '',
+            guardianName: student.guardianName || '',
+            guardianPhone: student.guardianPhone || '',
+            emergencyContactName: student.emergencyContactName || '',
+            emergencyContactPhone: student.emergencyContactPhone || '',
+            examTarget: student.examTarget || '',
+            idProofType: student.idProofType || '',
+            idProofNumber: student.idProofNumber || ''
+          });
+        }
+      })
+      .catch((err) => {
+        showNotification(err.message || 'Failed to load student details', 'error');
+        navigate('/students');
+      })
+      .finally(() => setLoading(false)),
+    [id, navigate, showNotification]
+  );
+
+  // Prefill from a waitlist applicant, with the seat they were offered if it is still free
+  const loadWaitlistEntry = useCallback(
+    () => Promise.all([WaitlistService.getById(waitlistId), StudyHallService.getAll()])
+      .then(async ([entry, halls]) => {
+        const hall = halls.find((h) => h.id === entry.hallId);
+        const map = hall ? await SeatService.getMap(hall.id) : null;
+        const shift = map ? findShift(map.shifts, entry.shiftId ?? entry.offeredShiftId) : null;
+        const seat = map?.seats.find((s) => isSameSeat(s.label, entry.offeredCabin));
+        const seatIsFree = !!seat && getVacantSeats(map, null, shift).includes(seat);
+
+        setWaitlistEntry(entry);
+        setFormData((prev) => ({
+          ...prev,
+          name: entry.name || '',
+          phone: entry.phone || '',
+          hallId: hall ? hall.id : null,
+          shiftId: shift ? shift.id : null,
+          cabin: seatIsFree ? seat.label : '',
+          monthlyFee: (map && getPlaceFee(map, seatIsFree ? seat : null, shift)) ?? hall?.monthlyFee ?? prev.monthlyFee
+        }));
+      })
+      .catch((err) => showNotification(err.message || 'Failed to load waitlist applicant', 'error'))
+      .finally(() => setLoading(false)),
+    [waitlistId, showNotification]
+  );
 
   useEffect(() => {
     loadStudyHalls();
     if (isEditMode) {
       loadStudent();
+    } else if (waitlistId) {
+      loadWaitlistEntry();
     }
-  }, [id]);
+  }, [isEditMode, waitlistId, loadStudyHalls, loadStudent, loadWaitlistEntry]);
+
+  useEffect(() => {
+    const selectedHall = studyHalls.find((hall) => hall.id === formData.hallId);
+    if (selectedHall) {
+      loadSeatMap(selectedHall.id);
+    }
+  }, [formData.hallId, studyHalls, loadSeatMap]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+    setFormData((prev) => {
+      const next = {
+        ...prev,
+        [name]: name === 'monthlyFee' ? toNumberInput(value) : value
+      };
+      // Picking a hall pre-fills its base rate; concessions are applied on top of it
+      if (name === 'hallId') {
+        const selectedHall = studyHalls.find((hall) => hall.id === parseInt(value));
+        next.hallId = selectedHall ? selectedHall.id : null;
+        if (selectedHall?.monthlyFee != null) {
+          next.monthlyFee = selectedHall.monthlyFee;
+        }
+        // Seats and shifts belong to a hall, so a new hall needs a new seat
+        next.cabin = '';
+        next.shiftId = null;
+      }
+      return next;
+    });
+    if (name === 'hallId') {
+      setSeatMap(null);
+    }
+  };
+
+  const selectedShift = seatMap ? findShift(seatMap.shifts, formData.shiftId) : null;
+
+  const getFee = (seat, shift) => getPlaceFee(seatMap, seat, shift);
+
+  // Picking a seat pre-fills its fee
+  const handleSeatChange = (e) => {
+    const label = e.target.value;
+    const seat = seatMap.seats.find((s) => s.label === label);
+    const fee = getFee(seat, selectedShift);
+    setFormData((prev) => ({
+      ...prev,
+      cabin: label,
+      monthlyFee: fee ?? prev.monthlyFee
+    }));
+  };
+
+  // A seat taken during the new shift is given up
+  const handleShiftChange = (e) => {
+    const shift = findShift(seatMap.shifts, e.target.value ? parseInt(e.target.value) : null);
+    const seat = seatMap.seats.find((s) => isSameSeat(s.label, formData.cabin));
+    const stillVacant = !seat || getVacantSeats(seatMap, savedStudent?.id, shift).includes(seat);
+    const fee = getFee(seat, shift) ?? seatMap.monthlyFee;
     setFormData((prev) => ({
       ...prev,
-      [name]: name === 'monthlyFee' || name === 'feePaid' || name === 'feeDue'
-        ? parseInt(value) || 0
-        : value
+      shiftId: shift ? shift.id : null,
+      cabin: stillVacant ? prev.cabin : '',
+      monthlyFee: fee ?? prev.monthlyFee
     }));
   };
 
+  const vacantSeats = seatMap ? getVacantSeats(seatMap, savedStudent?.id, selectedShift) : [];
+
+  // An active student changes hall through a transfer, which keeps their placement history
+  const hallLocked = !!savedStudent && !savedStudent.leftDate;
+
+  // A cabin typed in before the hall had a seat map is kept as an option when editing
+  const hasLegacyCabin = !!formData.cabin && !!seatMap && !seatMap.seats.some((seat) => isSameSeat(seat.label, formData.cabin));
+
+  // Red outline on fields that failed validation
+  const fieldClassName = (field, extra = '') =>
+    `block w-full px-3 py-2.5 text-sm border rounded-xl focus:outline-none focus:ring-2 transition-all bg-gray-50/50 focus:bg-white ${
+      errors[field]
+        ? 'border-red-300 focus:ring-red-500/20 focus:border-red-500'
+        : 'border-gray-200 focus:ring-emerald-500/20 focus:border-emerald-500'
+    } ${extra}`;
+
+  const idProofType = findIdProofType(formData.idProofType);
+
+  const savePhoto = async (studentId) => {
+    if (photo) {
+      await StudentService.uploadPhoto(studentId, photo);
+    } else if (photo === null) {
+      await StudentService.deletePhoto(studentId);
+    }
+  };
+
+  const getSubmissionData = () => {
+    const submissionData = {
+      ...formData,
+      idProofType: formData.idProofType || null,
+      idProofNumber: normalizeIdNumber(formData.idProofNumber) || null
+    };
+
+    // Fee totals are owned by the payment ledger, so they are never submitted
+    delete submissionData.feePaid;
+    delete submissionData.feeDue;
+    delete submissionData.depositHeld;
+
+    return submissionData;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    const fieldErrors = validateAdmission(formData);
+    setErrors(fieldErrors);
+    if (hasErrors(fieldErrors)) {
+      showNotification('Please correct the highlighted fields', 'error');
+      return;
+    }
+
+    // A new admission is first compared with everyone on record, past students included
+    if (!isEditMode) {
+      setSaving(true);
+      try {
+        const matches = await StudentService.findDuplicates(getSubmissionData());
+        if (matches.length > 0) {
+          setDuplicates(matches);
+          return;
+        }
+      } catch (err) {
+        showNotification(err.message || 'Failed to check for duplicate students', 'error');
+        return;
+      } finally {
+        setSaving(false);
+      }
+    }
+
+    saveStudent();
+  };
+
+  // Staff chose to admit the student even though they look like an existing one
+  const handleProceed = () => {
+    setDuplicates(null);
+    saveStudent();
+  };
+
+  const handleReactivate = (student) => {
+    setDuplicates(null);
+    setReactivating(student);
+  };
+
+  // The returning student takes the place of the admission, including its waitlist entry
+  const handleReactivated = async () => {
+    if (waitlistEntry) {
+      try {
+        await WaitlistService.convert(waitlistEntry.id, reactivating.id);
+      } catch (err) {
+        showNotification(err.message || 'Failed to update the waitlist', 'error');
+      }
+    }
+    navigate(`/students/${reactivating.id}`);
+  };
+
+  const saveStudent = async () => {
     setSaving(true);
     try {
-      // Clean up leftDate if empty string
-      const submissionData = {
-        ...formData,
-        leftDate: formData.leftDate || null
-      };
+      const submissionData = getSubmissionData();
 
       if (isEditMode) {
         await StudentService.update(id, submissionData);
+        await savePhoto(id);
         showNotification('Student updated successfully!');
       } else {
-        await StudentService.create(submissionData);
+        const student = await StudentService.create(submissionData);
+        await savePhoto(student.id);
+        for (const concession of pendingConcessions) {
+          await ConcessionService.create(student.id, concession);
+        }
+        // The deposit is held in the ledger outside the fee balance until the student leaves
+        if (deposit.amount > 0) {
+          await DepositService.collect(student.id, {
+            amount: deposit.amount,
+            mode: deposit.mode,
+            entryDate: formData.joinDate
+          });
+        }
+        if (waitlistEntry) {
+          await WaitlistService.convert(waitlistEntry.id, student.id);
+        }
         showNotification('Student added successfully!');
       }
       navigate('/students');
     } catch (err) {
+      // The server's checks are shown against the same fields as the form's own
+      if (err.fieldErrors) {
+        setErrors(err.fieldErrors);
+      }
       showNotification(err.message || 'Failed to save student', 'error');
     } finally {
       setSaving(false);
@@ -124,7 +368,11 @@ const StudentForm = () => {
             {isEditMode ? 'Edit Student Details' : 'Add New Student'}
           </h2>
           <p className="text-sm font-medium text-gray-500">
-            {isEditMode ? 'Modify properties of an existing student' : 'Create a new student enrollment record'}
+            {isEditMode
+              ? 'Modify properties of an existing student'
+              : waitlistEntry
+                ? `Admitting ${waitlistEntry.name} from the waitlist`
+                : 'Create a new student enrollment record'}
           </p>
         </div>
         <button
@@ -149,41 +397,96 @@ const StudentForm = () => {
               value={formData.name}
               onChange={handleChange}
               placeholder="e.g. Rahul Sharma"
-              className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
-            />
-          </div>
-
-          {/* Cabin Number */}
-          <div className="space-y-1">
-            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Cabin Number</label>
-            <input
-              type="text"
-              name="cabin"
-              required
-              value={formData.cabin}
-              onChange={handleChange}
-              placeholder="e.g. C-12"
-              className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
+              className={fieldClassName('name')}
             />
+            <FieldError message={errors.name} />
           </div>
 
           {/* Study Hall Dropdown */}
           <div className="space-y-1">
             <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Study Hall</label>
             <select
-              name="hall"
+              name="hallId"
               required
-              value={formData.hall}
+              value={formData.hallId ?? ''}
               onChange={handleChange}
-              className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white font-medium text-gray-700"
+              disabled={hallLocked}
+              className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white font-medium text-gray-700 disabled:opacity-70"
             >
               <option value="">Select Study Hall</option>
               {studyHalls.map((hall) => (
-                <option key={hall.id} value={hall.name}>
+                <option key={hall.id} value={hall.id}>
                   {hall.name}
                 </option>
               ))}
             </select>
+            {hallLocked && (
+              <button
+                type="button"
+                onClick={() => setShowTransfer(true)}
+                className="inline-flex items-center gap-1 text-xs font-semibold text-indigo-600 hover:text-indigo-700"
+              >
+                <ArrowRightLeft className="h-3.5 w-3.5" />
+                <span>Transfer to another hall</span>
+              </button>
+            )}
+          </div>
+
+          {/* Shift: only for halls that let seats by time slot */}
+          {seatMap && seatMap.shifts.length > 0 && (
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Shift</label>
+              <select
+                name="shiftId"
+                value={formData.shiftId ?? ''}
+                onChange={handleShiftChange}
+                className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white font-medium text-gray-700"
+              >
+                <option value="">Full day (all shifts)</option>
+                {seatMap.shifts.map((shift) => (
+                  <option key={shift.id} value={shift.id}>
+                    {formatShift(shift)} · {formatRupees(shift.monthlyFee)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Seat: a vacant seat from the hall's seat map */}
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Seat / Cabin</label>
+            {seatMap && seatMap.seats.length === 0 ? (
+              <input
+                type="text"
+                name="cabin"
+                required
+                value={formData.cabin}
+                onChange={handleChange}
+                placeholder="No seat map yet, e.g. C-12"
+                className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
+              />
+            ) : (
+              <select
+                name="cabin"
+                required
+                disabled={!seatMap}
+                value={formData.cabin}
+                onChange={handleSeatChange}
+                className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white font-medium text-gray-700 disabled:opacity-60"
+              >
+                <option value="">
+                  {!formData.hallId ? 'Select a study hall first' : !seatMap ? 'Loading seats...' : `Select Seat (${vacantSeats.length} vacant)`}
+                </option>
+                {hasLegacyCabin && (
+                  <option value={formData.cabin}>{formData.cabin} (not on seat map)</option>
+                )}
+                {vacantSeats.map((seat) => (
+                  <option key={seat.id} value={seat.label}>
+                    {seat.label} · {describeSeat(seat, seatMap.tiers)} · {formatRupees(getFee(seat, selectedShift))}
+                  </option>
+                ))}
+              </select>
+            )}
           </div>
 
           {/* Phone Number */}
@@ -196,8 +499,9 @@ const StudentForm = () => {
               value={formData.phone}
               onChange={handleChange}
               placeholder="e.g. 9876543210"
-              className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
+              className={fieldClassName('phone')}
             />
+            <FieldError message={errors.phone} />
           </div>
 
           {/* Join Date */}
@@ -209,13 +513,18 @@ const StudentForm = () => {
               required
               value={formData.joinDate}
               onChange={handleChange}
-              className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
+              disabled={isEditMode}
+              className={fieldClassName('joinDate', 'disabled:opacity-70')}
             />
+            {isEditMode && (
+              <p className="text-xs font-medium text-gray-400">Billing cycles start on the join date, so it cannot be changed.</p>
+            )}
+            <FieldError message={errors.joinDate} />
           </div>
 
           {/* Monthly Fee */}
           <div className="space-y-1">
-            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Monthly Fee (₹)</label>
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Base Monthly Fee (₹)</label>
             <input
               type="number"
               name="monthlyFee"
@@ -223,47 +532,225 @@ const StudentForm = () => {
               value={formData.monthlyFee}
               onChange={handleChange}
               placeholder="2000"
-              className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white font-semibold"
+              className={fieldClassName('monthlyFee', 'font-semibold')}
             />
+            <FieldError message={errors.monthlyFee} />
+          </div>
+
+          {/* Fee Paid / Fee Due are derived from the payment ledger */}
+          {isEditMode && (
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Fee Paid / Fee Due (₹)</label>
+              <div className="flex items-center justify-between px-3 py-2.5 text-sm border border-gray-100 rounded-xl bg-gray-50">
+                <span className="font-semibold">
+                  <span className="text-emerald-600">₹ {formData.feePaid}</span>
+                  <span className="text-gray-300"> / </span>
+                  <span className="text-amber-600">₹ {formData.feeDue}</span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => navigate(`/students/${id}/payments`)}
+                  className="text-xs font-semibold text-emerald-700 hover:text-emerald-800"
+                >
+                  View Ledger
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Security deposit is collected once, at admission */}
+          {isEditMode ? (
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Security Deposit Held (₹)</label>
+              <div className="px-3 py-2.5 text-sm font-semibold text-indigo-600 border border-gray-100 rounded-xl bg-gray-50">
+                ₹ {formData.depositHeld}
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-1">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Security Deposit (₹)</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  value={deposit.amount}
+                  onChange={(e) => setDeposit((prev) => ({ ...prev, amount: parseInt(e.target.value) || '' }))}
+                  placeholder="Refundable, e.g. 1000"
+                  className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white font-semibold"
+                />
+                <select
+                  value={deposit.mode}
+                  onChange={(e) => setDeposit((prev) => ({ ...prev, mode: e.target.value }))}
+                  className="block px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
+                >
+                  {PAYMENT_MODES.map((mode) => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+
+          {/* Admission details */}
+          <div className="md:col-span-2 pt-4 border-t border-gray-100">
+            <h3 className="text-sm font-bold text-gray-900">Photo, Contact & Guardian</h3>
+          </div>
+
+          <div className="space-y-1 md:col-span-2">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Profile Photo</label>
+            <PhotoCapture student={savedStudent} photo={photo} onChange={setPhoto} />
           </div>
 
-          {/* Fee Paid */}
           <div className="space-y-1">
-            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Fee Paid (₹)</label>
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Email</label>
             <input
-              type="number"
-              name="feePaid"
-              required
-              value={formData.feePaid}
+              type="email"
+              name="email"
+              value={formData.email}
               onChange={handleChange}
-              className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white font-semibold text-emerald-600"
+              placeholder="e.g. rahul@example.com"
+              className={fieldClassName('email')}
             />
+            <FieldError message={errors.email} />
           </div>
 
-          {/* Fee Due */}
           <div className="space-y-1">
-            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Fee Due (₹)</label>
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Preparing For</label>
             <input
-              type="number"
-              name="feeDue"
-              required
-              value={formData.feeDue}
+              type="text"
+              name="examTarget"
+              list="exam-targets"
+              value={formData.examTarget}
               onChange={handleChange}
-              className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white font-semibold text-amber-600"
+              placeholder="e.g. UPSC Civil Services"
+              className={fieldClassName('examTarget')}
             />
+            <datalist id="exam-targets">
+              {EXAM_TARGETS.map((exam) => (
+                <option key={exam} value={exam} />
+              ))}
+            </datalist>
           </div>
 
-          {/* Left Date (Only visible or editable in edit mode) */}
-          {isEditMode && (
-            <div className="space-y-1">
-              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Left Date (if applicable)</label>
-              <input
-                type="date"
-                name="leftDate"
-                value={formData.leftDate}
-                onChange={handleChange}
-                className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
-              />
+          <div className="space-y-1 md:col-span-2">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Address</label>
+            <textarea
+              name="address"
+              rows={2}
+              value={formData.address}
+              onChange={handleChange}
+              placeholder="House, street, city and PIN code"
+              className={fieldClassName('address', 'resize-none')}
+            />
+            <FieldError message={errors.address} />
+          </div>
+
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Guardian Name</label>
+            <input
+              type="text"
+              name="guardianName"
+              value={formData.guardianName}
+              onChange={handleChange}
+              placeholder="Parent or guardian"
+              className={fieldClassName('guardianName')}
+            />
+          </div>
+
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Guardian Phone</label>
+            <input
+              type="tel"
+              name="guardianPhone"
+              value={formData.guardianPhone}
+              onChange={handleChange}
+              placeholder="e.g. 9876543210"
+              className={fieldClassName('guardianPhone')}
+            />
+            <FieldError message={errors.guardianPhone} />
+          </div>
+
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Emergency Contact</label>
+            <input
+              type="text"
+              name="emergencyContactName"
+              value={formData.emergencyContactName}
+              onChange={handleChange}
+              placeholder="Name and relation, e.g. Priya (sister)"
+              className={fieldClassName('emergencyContactName')}
+            />
+            <FieldError message={errors.emergencyContactName} />
+          </div>
+
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Emergency Contact Phone</label>
+            <input
+              type="tel"
+              name="emergencyContactPhone"
+              value={formData.emergencyContactPhone}
+              onChange={handleChange}
+              placeholder="e.g. 9876543210"
+              className={fieldClassName('emergencyContactPhone')}
+            />
+            <FieldError message={errors.emergencyContactPhone} />
+          </div>
+
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">ID Proof</label>
+            <select
+              name="idProofType"
+              value={formData.idProofType}
+              onChange={handleChange}
+              className={fieldClassName('idProofType', 'font-medium text-gray-700')}
+            >
+              <option value="">Select ID Proof</option>
+              {ID_PROOF_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <FieldError message={errors.idProofType} />
+          </div>
+
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">ID Number</label>
+            <input
+              type="text"
+              name="idProofNumber"
+              value={formData.idProofNumber}
+              onChange={handleChange}
+              placeholder={idProofType ? idProofType.placeholder : 'Select the ID proof first'}
+              className={fieldClassName('idProofNumber', 'uppercase')}
+            />
+            <FieldError message={errors.idProofNumber} />
+          </div>
+
+          {/* Concessions are applied on top of the base fee when each cycle is billed */}
+          <div className="space-y-1 md:col-span-2">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Concessions & Net Fee</label>
+            <ConcessionsPanel
+              studentId={isEditMode ? id : null}
+              baseFee={formData.monthlyFee}
+              pending={pendingConcessions}
+              onPendingChange={setPendingConcessions}
+            />
+          </div>
+
+          {/* Halls the student has been in, kept across transfers */}
+          {savedStudent && (
+            <div className="space-y-1 md:col-span-2">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Placement History</label>
+              <PlacementHistory studentId={savedStudent.id} />
+            </div>
+          )}
+
+          {/* Days the student checked in at the kiosk */}
+          {savedStudent && (
+            <div className="space-y-1 md:col-span-2">
+              <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Attendance</label>
+              <div className="p-4 border border-gray-100 rounded-xl">
+                <AttendanceCalendar student={savedStudent} />
+              </div>
             </div>
           )}
         </div>
@@ -291,6 +778,34 @@ const StudentForm = () => {
           </button>
         </div>
       </form>
+
+      {duplicates && (
+        <DuplicateStudentModal
+          candidate={{ ...formData, hall: studyHalls.find((hall) => hall.id === formData.hallId)?.name }}
+          matches={duplicates}
+          onClose={() => setDuplicates(null)}
+          onOpen={(student) => navigate(`/students/${student.id}`)}
+          onReactivate={handleReactivate}
+          onProceed={handleProceed}
+        />
+      )}
+
+      {reactivating && (
+        <ReactivateModal
+          student={reactivating}
+          onClose={() => setReactivating(null)}
+          onReactivated={handleReactivated}
+        />
+      )}
+
+      {/* Transfer reloads the student, since it changes their hall, seat and fee */}
+      {showTransfer && savedStudent && (
+        <TransferModal
+          student={savedStudent}
+          onClose={() => setShowTransfer(false)}
+          onTransferred={loadStudent}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,466 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  ArrowLeft,
+  ArrowRightLeft,
+  Edit2,
+  History,
+  IdCard,
+  IndianRupee,
+  Loader2,
+  LogOut,
+  Trash2,
+  UserPlus
+} from 'lucide-react';
+import { BillingService, PaymentService, RecycleBinService, ShiftService, StudentService } from '../services/api';
+import { useNotification } from '../components/NotificationContext';
+import { useAuth } from '../components/useAuth';
+import RecordPaymentModal from '../components/RecordPaymentModal';
+import TransferModal from '../components/TransferModal';
+import MarkLeftModal from '../components/MarkLeftModal';
+import ReactivateModal from '../components/ReactivateModal';
+import WaitlistOfferModal from '../components/WaitlistOfferModal';
+import PlacementHistory from '../components/PlacementHistory';
+import AttendanceCalendar from '../components/AttendanceCalendar';
+import StudentNotes from '../components/StudentNotes';
+import StudentDocuments from '../components/StudentDocuments';
+import StudentPhoto from '../components/StudentPhoto';
+import StudentHistory from '../components/StudentHistory';
+import { formatLedgerEntryType, getFeeStatus, isDepositMovement, isLedgerCredit } from '../utils/payments';
+import { getDuesTimeline } from '../utils/billing';
+import { findShift, formatShift } from '../utils/shifts';
+import { formatStudentCode } from '../utils/attendance';
+import { printIdCards } from '../utils/idCardPdf';
+import { formatDate, formatPeriod, formatRupees } from '../utils/format';
+import { formatIdProofType } from '../utils/admission';
+
+// Ledger entries shown here; the rest are on the payment history page
+const RECENT_ENTRIES = 8;
+
+const FEE_STATUS_STYLES = {
+  Left: 'bg-gray-100 text-gray-800 border-gray-200',
+  Credit: 'bg-indigo-100 text-indigo-800 border-indigo-200',
+  Paid: 'bg-emerald-100 text-emerald-800 border-emerald-200',
+  Pending: 'bg-amber-100 text-amber-800 border-amber-200',
+};
+
+const CYCLE_STATUS = {
+  PAID: { label: 'Paid', className: 'bg-emerald-100 text-emerald-800' },
+  PARTIAL: { label: 'Part paid', className: 'bg-amber-100 text-amber-800' },
+  DUE: { label: 'Due', className: 'bg-red-100 text-red-700' },
+};
+
+const Section = ({ title, action, children }) => (
+  <section className="p-5 bg-white border border-gray-100 rounded-2xl shadow-sm space-y-4">
+    <div className="flex items-center justify-between gap-3">
+      <h3 className="text-xs font-bold text-gray-500 uppercase tracking-wide">{title}</h3>
+      {action}
+    </div>
+    {children}
+  </section>
+);
+
+const Detail = ({ label, children }) => (
+  <div className="flex items-start justify-between gap-3 py-2 text-sm">
+    <span className="font-medium text-gray-500">{label}</span>
+    <span className="font-semibold text-gray-900 text-right">{children}</span>
+  </div>
+);
+
+// Everything about one student on a single page, with every action staff can take on them
+const StudentProfile = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { showNotification } = useNotification();
+  const { can } = useAuth();
+
+  const [student, setStudent] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [cycles, setCycles] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [printingCard, setPrintingCard] = useState(false);
+
+  // Modal States
+  const [showPayment, setShowPayment] = useState(false);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [showMarkLeft, setShowMarkLeft] = useState(false);
+  const [showReactivate, setShowReactivate] = useState(false);
+  const [waitlistOffer, setWaitlistOffer] = useState(null);
+
+  // Opening another student's profile shows the spinner rather than the last student
+  const [profileId, setProfileId] = useState(id);
+  if (profileId !== id) {
+    setProfileId(id);
+    setLoading(true);
+  }
+
+  const fetchProfile = useCallback(
+    () => Promise.all([
+      StudentService.getById(id),
+      PaymentService.getStudentLedger(id),
+      BillingService.getStudentCycles(id),
+      ShiftService.getAll()
+    ])
+      .then(([studentData, ledgerData, cycleData, shiftData]) => {
+        setStudent(studentData);
+        setEntries(ledgerData);
+        setCycles(cycleData);
+        setShifts(shiftData);
+      })
+      .catch((err) => {
+        showNotification(err.message || 'Failed to load student profile', 'error');
+        navigate('/students');
+      })
+      .finally(() => setLoading(false)),
+    [id, navigate, showNotification]
+  );
+
+  useEffect(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  const timeline = useMemo(() => getDuesTimeline(cycles, student?.feeDue), [cycles, student]);
+
+  const handleDelete = async () => {
+    try {
+      await StudentService.delete(student.id);
+      showNotification(`${student.name} moved to the Recycle Bin`, 'success', {
+        onUndo: async () => {
+          await RecycleBinService.restoreStudent(student.id);
+          showNotification(`${student.name} restored`);
+          navigate(`/students/${student.id}`);
+        }
+      });
+      navigate('/students');
+    } catch (err) {
+      showNotification(err.message || 'Failed to delete student', 'error');
+    }
+  };
+
+  const handlePrintCard = async () => {
+    try {
+      setPrintingCard(true);
+      await printIdCards([student]);
+    } catch (err) {
+      showNotification(err.message || 'Failed to generate ID card', 'error');
+    } finally {
+      setPrintingCard(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-96">
+        <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
+      </div>
+    );
+  }
+
+  if (!student) return null;
+
+  const isActive = !student.leftDate;
+  const feeStatus = getFeeStatus(student);
+  const shift = findShift(shifts, student.shiftId);
+
+  const actionClassName = "inline-flex items-center gap-2 px-3 py-2 text-sm font-semibold rounded-xl transition-all disabled:opacity-50";
+
+  return (
+    <div className="space-y-6 p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between border-b border-gray-100 pb-5">
+        <div className="flex items-center gap-4">
+          <StudentPhoto student={student} />
+          <div className="space-y-1">
+            <div className="flex items-center gap-3">
+              <h2 className="text-2xl font-bold text-gray-900 tracking-tight">{student.name}</h2>
+              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-semibold border ${FEE_STATUS_STYLES[feeStatus]}`}>
+                {feeStatus}
+              </span>
+            </div>
+            <p className="text-sm font-medium text-gray-500">
+              {formatStudentCode(student.id)} · {student.hall || 'No hall'}
+              {student.cabin && ` · Seat ${student.cabin}`}
+              {shift && ` · ${formatShift(shift)}`}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={() => navigate(-1)}
+          className="inline-flex items-center gap-1.5 px-3 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all self-start"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          <span>Back</span>
+        </button>
+      </div>
+
+      {/* Actions */}
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => setShowPayment(true)}
+          className={`${actionClassName} text-white bg-emerald-600 hover:bg-emerald-700 shadow-md shadow-emerald-600/10`}
+        >
+          <IndianRupee className="h-4 w-4" />
+          <span>Record Payment</span>
+        </button>
+        <button
+          onClick={() => navigate(`/students/${student.id}/payments`)}
+          className={`${actionClassName} text-gray-700 bg-white border border-gray-200 hover:bg-gray-50`}
+        >
+          <History className="h-4 w-4" />
+          <span>Full Ledger</span>
+        </button>
+        <button
+          onClick={() => navigate(`/students/edit/${student.id}`)}
+          className={`${actionClassName} text-blue-700 bg-white border border-gray-200 hover:bg-blue-50`}
+        >
+          <Edit2 className="h-4 w-4" />
+          <span>Edit</span>
+        </button>
+        {isActive && (
+          <button
+            onClick={() => setShowTransfer(true)}
+            className={`${actionClassName} text-indigo-700 bg-white border border-gray-200 hover:bg-indigo-50`}
+          >
+            <ArrowRightLeft className="h-4 w-4" />
+            <span>Transfer</span>
+          </button>
+        )}
+        {isActive && (
+          <button
+            onClick={handlePrintCard}
+            disabled={printingCard}
+            className={`${actionClassName} text-gray-700 bg-white border border-gray-200 hover:bg-gray-50`}
+          >
+            {printingCard ? <Loader2 className="h-4 w-4 animate-spin" /> : <IdCard className="h-4 w-4" />}
+            <span>Print ID Card</span>
+          </button>
+        )}
+        {isActive ? (
+          <button
+            onClick={() => setShowMarkLeft(true)}
+            className={`${actionClassName} text-amber-700 bg-white border border-gray-200 hover:bg-amber-50`}
+          >
+            <LogOut className="h-4 w-4" />
+            <span>Mark Left</span>
+          </button>
+        ) : (
+          <button
+            onClick={() => setShowReactivate(true)}
+            className={`${actionClassName} text-emerald-700 bg-white border border-gray-200 hover:bg-emerald-50`}
+          >
+            <UserPlus className="h-4 w-4" />
+            <span>Reactivate</span>
+          </button>
+        )}
+        {can('deleteStudents') && (
+          <button
+            onClick={handleDelete}
+            className={`${actionClassName} text-red-600 bg-white border border-gray-200 hover:bg-red-50`}
+          >
+            <Trash2 className="h-4 w-4" />
+            <span>Delete</span>
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <div className="space-y-6">
+          <Section title="Personal Details">
+            <div className="divide-y divide-gray-100">
+              <Detail label="Phone">{student.phone || '—'}</Detail>
+              <Detail label="Email">{student.email || '—'}</Detail>
+              <Detail label="Address">{student.address || '—'}</Detail>
+              <Detail label="Preparing For">{student.examTarget || '—'}</Detail>
+              <Detail label="ID Proof">
+                {student.idProofType ? `${formatIdProofType(student.idProofType)} · ${student.idProofNumber}` : '—'}
+              </Detail>
+              <Detail label="Card Code">{formatStudentCode(student.id)}</Detail>
+              <Detail label="Joined">{formatDate(student.joinDate)}</Detail>
+              {student.leftDate && <Detail label="Left">{formatDate(student.leftDate)}</Detail>}
+              <Detail label="Monthly Fee">{formatRupees(student.monthlyFee)}</Detail>
+            </div>
+          </Section>
+
+          <Section title="Guardian & Emergency Contact">
+            <div className="divide-y divide-gray-100">
+              <Detail label="Guardian">{student.guardianName || '—'}</Detail>
+              <Detail label="Guardian Phone">{student.guardianPhone || '—'}</Detail>
+              <Detail label="Emergency Contact">{student.emergencyContactName || '—'}</Detail>
+              <Detail label="Emergency Phone">{student.emergencyContactPhone || '—'}</Detail>
+            </div>
+          </Section>
+
+          <Section title="Fees">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <p className="text-xs font-bold text-gray-400 uppercase tracking-wider">Total Paid</p>
+                <p className="text-xl font-bold text-emerald-600">{formatRupees(student.feePaid)}</p>
+              </div>
+              {student.feeDue < 0 ? (
+                <div>
+                  <p className="text-xs font-bold text-gray-400 uppercase tracking-wider">Advance Credit</p>
+                  <p className="text-xl font-bold text-indigo-600">{formatRupees(-student.feeDue)}</p>
+                </div>
+              ) : (
+                <div>
+                  <p className="text-xs font-bold text-gray-400 uppercase tracking-wider">Current Due</p>
+                  <p className="text-xl font-bold text-amber-600">{formatRupees(student.feeDue)}</p>
+                </div>
+              )}
+              <div>
+                <p className="text-xs font-bold text-gray-400 uppercase tracking-wider">Deposit Held</p>
+                <p className="text-xl font-bold text-indigo-600">{formatRupees(student.depositHeld)}</p>
+              </div>
+              <div>
+                <p className="text-xs font-bold text-gray-400 uppercase tracking-wider">Paid Through</p>
+                <p className="text-xl font-bold text-gray-900">
+                  {student.paidThrough && isActive ? formatDate(student.paidThrough) : '—'}
+                </p>
+              </div>
+            </div>
+          </Section>
+
+          <Section title="Attendance">
+            <AttendanceCalendar student={student} />
+          </Section>
+        </div>
+
+        <div className="space-y-6 lg:col-span-2">
+          <Section title="Placement & Seat">
+            <PlacementHistory studentId={student.id} />
+          </Section>
+
+          <Section
+            title="Fee Ledger"
+            action={
+              entries.length > RECENT_ENTRIES && (
+                <button
+                  onClick={() => navigate(`/students/${student.id}/payments`)}
+                  className="text-xs font-semibold text-emerald-700 hover:text-emerald-800"
+                >
+                  View all {entries.length} entries
+                </button>
+              )
+            }
+          >
+            {entries.length === 0 ? (
+              <p className="text-sm font-medium text-gray-400">No payments or fee charges yet</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 border border-gray-100 rounded-xl">
+                {entries.slice(0, RECENT_ENTRIES).map((entry) => {
+                  const isDeposit = isDepositMovement(entry);
+                  const isCredit = isLedgerCredit(entry);
+                  return (
+                    <li key={entry.id} className="flex items-start justify-between gap-3 px-4 py-3">
+                      <div>
+                        <p className="text-sm font-semibold text-gray-900">{formatLedgerEntryType(entry.type)}</p>
+                        <p className="text-xs font-medium text-gray-400">
+                          {formatDate(entry.entryDate)}
+                          {entry.note && ` · ${entry.note}`}
+                        </p>
+                      </div>
+                      <span
+                        className={`text-sm font-bold flex-shrink-0 ${
+                          isDeposit ? 'text-indigo-600' : isCredit ? 'text-emerald-600' : 'text-amber-600'
+                        }`}
+                      >
+                        {isCredit && !isDeposit ? '−' : ''}{formatRupees(Math.abs(entry.amount))}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </Section>
+
+          <Section title="Dues Timeline">
+            {timeline.length === 0 ? (
+              <p className="text-sm font-medium text-gray-400">No cycles billed yet</p>
+            ) : (
+              <ol className="relative border-l-2 border-gray-100 ml-2 space-y-4">
+                {timeline.map((cycle) => (
+                  <li key={cycle.id} className="ml-5">
+                    <span
+                      className={`absolute -left-[7px] mt-1.5 h-3 w-3 rounded-full border-2 border-white ${
+                        cycle.status === 'PAID' ? 'bg-emerald-500' : cycle.status === 'PARTIAL' ? 'bg-amber-500' : 'bg-red-500'
+                      }`}
+                    />
+                    <div className="flex items-start justify-between gap-3">
+                      <div>
+                        <p className="text-sm font-semibold text-gray-900">{formatPeriod(cycle.cycleStart, cycle.cycleEnd)}</p>
+                        <p className="text-xs font-medium text-gray-500">
+                          {cycle.hall}
+                          {cycle.discountAmount > 0 && ` · ${formatRupees(cycle.discountAmount)} discount`}
+                        </p>
+                      </div>
+                      <div className="text-right flex-shrink-0">
+                        <p className="text-sm font-bold text-gray-900">{formatRupees(cycle.amount)}</p>
+                        <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-semibold ${CYCLE_STATUS[cycle.status].className}`}>
+                          {cycle.status === 'PARTIAL'
+                            ? `${formatRupees(cycle.unpaid)} due`
+                            : CYCLE_STATUS[cycle.status].label}
+                        </span>
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </Section>
+
+          <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+            <Section title="Notes">
+              <StudentNotes studentId={student.id} />
+            </Section>
+            <Section title="Documents">
+              <StudentDocuments studentId={student.id} />
+            </Section>
+          </div>
+
+          <Section title="History">
+            <StudentHistory student={student} />
+          </Section>
+        </div>
+      </div>
+
+      {showPayment && (
+        <RecordPaymentModal
+          key={student.id}
+          student={student}
+          onClose={() => setShowPayment(false)}
+          onRecorded={fetchProfile}
+        />
+      )}
+
+      {showTransfer && (
+        <TransferModal
+          student={student}
+          onClose={() => setShowTransfer(false)}
+          onTransferred={fetchProfile}
+        />
+      )}
+
+      {showMarkLeft && (
+        <MarkLeftModal
+          student={student}
+          onClose={() => setShowMarkLeft(false)}
+          onLeft={fetchProfile}
+          onOffer={setWaitlistOffer}
+        />
+      )}
+
+      {showReactivate && (
+        <ReactivateModal
+          student={student}
+          onClose={() => setShowReactivate(false)}
+          onReactivated={fetchProfile}
+        />
+      )}
+
+      <WaitlistOfferModal offer={waitlistOffer} onClose={() => setWaitlistOffer(null)} />
+    </div>
+  );
+};
+
+export default StudentProfile;
@@ -1,12 +1,19 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { UserPlus, Loader2, Calendar } from 'lucide-react';
-import { StudentService } from '../services/api';
+import { UserPlus, Loader2, Calendar, IdCard } from 'lucide-react';
+import { RecycleBinService, StudentService } from '../services/api';
 import SearchBar from '../components/SearchBar';
 import StudentTable from '../components/StudentTable';
 import Pagination from '../components/Pagination';
-import Modal from '../components/Modal';
+import RecordPaymentModal from '../components/RecordPaymentModal';
+import MarkLeftModal from '../components/MarkLeftModal';
+import ReactivateModal from '../components/ReactivateModal';
+import WaitlistOfferModal from '../components/WaitlistOfferModal';
+import TransferModal from '../components/TransferModal';
 import { useNotification } from '../components/NotificationContext';
+import { useAuth } from '../components/useAuth';
+import { getFeeStatus } from '../utils/payments';
+import { printIdCards } from '../utils/idCardPdf';
 
 const StudentsManagement = () => {
   const [students, setStudents] = useState([]);
@@ -23,10 +30,14 @@ const StudentsManagement = () => {
 
   // Modal States
   const [leftStudent, setLeftStudent] = useState(null);
-  const [leftDate, setLeftDate] = useState(new Date().toISOString().split('T')[0]);
   const [reactivateStudent, setReactivateStudent] = useState(null);
+  const [paymentStudent, setPaymentStudent] = useState(null);
+  const [waitlistOffer, setWaitlistOffer] = useState(null);
+  const [transferStudent, setTransferStudent] = useState(null);
+  const [printingCards, setPrintingCards] = useState(false);
 
   const { showNotification } = useNotification();
+  const { can } = useAuth();
   const navigate = useNavigate();
 
   const fetchStudents = async () => {
@@ -46,52 +57,29 @@ const StudentsManagement = () => {
   }, []);
 
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this student?')) {
-      try {
-        await StudentService.delete(id);
-        showNotification('Student deleted successfully!');
-        fetchStudents();
-      } catch (err) {
-        showNotification(err.message || 'Failed to delete student', 'error');
-      }
-    }
-  };
-
-  const handleMarkLeft = async () => {
-    if (!leftStudent) return;
     try {
-      const todayStr = new Date().toISOString().split('T')[0];
-      
-      if (leftDate === todayStr || !leftDate) {
-        // If today, use quick API endpoint
-        await StudentService.markLeft(leftStudent.id);
-      } else {
-        // If custom date, use full student update endpoint to save the correct date
-        const updated = {
-          ...leftStudent,
-          leftDate: leftDate,
-          status: 'Left'
-        };
-        await StudentService.update(leftStudent.id, updated);
-      }
-      
-      showNotification('Student marked as left successfully');
-      setLeftStudent(null);
+      await StudentService.delete(id);
+      showNotification('Student moved to the Recycle Bin', 'success', {
+        onUndo: async () => {
+          await RecycleBinService.restoreStudent(id);
+          showNotification('Student restored');
+          fetchStudents();
+        }
+      });
       fetchStudents();
     } catch (err) {
-      showNotification(err.message || 'Failed to mark student as left', 'error');
+      showNotification(err.message || 'Failed to delete student', 'error');
     }
   };
 
-  const handleReactivate = async () => {
-    if (!reactivateStudent) return;
+  const handlePrintCards = async (cardStudents) => {
     try {
-      await StudentService.reactivate(reactivateStudent.id);
-      showNotification('Student reactivated successfully');
-      setReactivateStudent(null);
-      fetchStudents();
+      setPrintingCards(true);
+      await printIdCards(cardStudents);
     } catch (err) {
-      showNotification(err.message || 'Failed to reactivate student', 'error');
+      showNotification(err.message || 'Failed to generate ID cards', 'error');
+    } finally {
+      setPrintingCards(false);
     }
   };
 
@@ -128,8 +116,8 @@ const StudentsManagement = () => {
         valB = new Date(b.joinDate || 0);
       } else if (sortBy === 'status') {
         // Compute active status
-        const statusA = a.leftDate ? 'Left' : (a.feeDue <= 0 ? 'Paid' : 'Pending');
-        const statusB = b.leftDate ? 'Left' : (b.feeDue <= 0 ? 'Paid' : 'Pending');
+        const statusA = getFeeStatus(a);
+        const statusB = getFeeStatus(b);
         valA = statusA;
         valB = statusB;
       } else {
@@ -151,6 +139,9 @@ const StudentsManagement = () => {
     return sortedStudents.slice(startIndex, startIndex + itemsPerPage);
   }, [sortedStudents, currentPage]);
 
+  // Cards are only issued to students who are still studying
+  const cardStudents = useMemo(() => sortedStudents.filter((st) => !st.leftDate), [sortedStudents]);
+
   const handleHeaderSort = (field) => {
     if (sortBy === field) {
       setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
@@ -178,13 +169,24 @@ const StudentsManagement = () => {
           <h2 className="text-2xl font-bold text-gray-900 tracking-tight">Students</h2>
           <p className="text-sm font-medium text-gray-500">Manage, sort, filter, and track student records</p>
         </div>
-        <button
-          onClick={() => navigate('/students/new')}
-          className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all"
-        >
-          <UserPlus className="h-4.5 w-4.5" />
-          <span>Add New Student</span>
-        </button>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => handlePrintCards(cardStudents)}
+            disabled={printingCards || cardStudents.length === 0}
+            title={searchQuery ? 'ID cards for the active students matching the search' : 'ID cards for all active students'}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-gray-700 bg-white border border-gray-200 hover:bg-gray-50 rounded-xl shadow-sm active:scale-95 transition-all disabled:opacity-50"
+          >
+            {printingCards ? <Loader2 className="h-4.5 w-4.5 animate-spin" /> : <IdCard className="h-4.5 w-4.5" />}
+            <span>Print ID Cards ({cardStudents.length})</span>
+          </button>
+          <button
+            onClick={() => navigate('/students/new')}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all"
+          >
+            <UserPlus className="h-4.5 w-4.5" />
+            <span>Add New Student</span>
+          </button>
+        </div>
       </div>
 
       {/* Search & Sort Controls */}
@@ -218,13 +220,15 @@ const StudentsManagement = () => {
         <>
           <StudentTable
             students={paginatedStudents}
+            onView={(student) => navigate(`/students/${student.id}`)}
             onEdit={(student) => navigate(`/students/edit/${student.id}`)}
-            onDelete={handleDelete}
-            onMarkLeft={(student) => {
-              setLeftStudent(student);
-              setLeftDate(new Date().toISOString().split('T')[0]);
-            }}
+            onDelete={can('deleteStudents') ? handleDelete : undefined}
+            onMarkLeft={(student) => setLeftStudent(student)}
             onReactivate={(student) => setReactivateStudent(student)}
+            onRecordPayment={(student) => setPaymentStudent(student)}
+            onViewPayments={(student) => navigate(`/students/${student.id}/payments`)}
+            onTransfer={(student) => setTransferStudent(student)}
+            onPrintCard={(student) => handlePrintCards([student])}
             sortField={sortBy}
             sortOrder={sortOrder}
             onSort={handleHeaderSort}
@@ -239,74 +243,48 @@ const StudentsManagement = () => {
       )}
 
       {/* Modal: Mark Left */}
-      <Modal
-        isOpen={!!leftStudent}
-        onClose={() => setLeftStudent(null)}
-        title="Mark Student as Left"
-        footerActions={
-          <>
-            <button
-              onClick={() => setLeftStudent(null)}
-              className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
-            >
-              Cancel
-            </button>
-            <button
-              onClick={handleMarkLeft}
-              className="px-4 py-2 text-sm font-semibold text-white bg-amber-600 hover:bg-amber-700 rounded-xl shadow-md transition-all"
-            >
-              Confirm Leave
-            </button>
-          </>
-        }
-      >
-        <div className="space-y-4">
-          <p className="text-gray-700 font-semibold">
-            Are you sure you want to mark <span className="text-gray-900 font-bold">{leftStudent?.name}</span> as left?
-          </p>
-          <div className="space-y-1">
-            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Left Date</label>
-            <div className="relative">
-              <input
-                type="date"
-                value={leftDate}
-                onChange={(e) => setLeftDate(e.target.value)}
-                className="block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all"
-              />
-            </div>
-          </div>
-        </div>
-      </Modal>
+      {leftStudent && (
+        <MarkLeftModal
+          key={leftStudent.id}
+          student={leftStudent}
+          onClose={() => setLeftStudent(null)}
+          onLeft={fetchStudents}
+          onOffer={setWaitlistOffer}
+        />
+      )}
 
       {/* Modal: Reactivate */}
-      <Modal
-        isOpen={!!reactivateStudent}
-        onClose={() => setReactivateStudent(null)}
-        title="Reactivate Student"
-        footerActions={
-          <>
-            <button
-              onClick={() => setReactivateStudent(null)}
-              className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
-            >
-              Cancel
-            </button>
-            <button
-              onClick={handleReactivate}
-              className="px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all"
-            >
-              Reactivate
-            </button>
-          </>
-        }
-      >
-        <p className="text-gray-700 font-semibold">
-          Are you sure you want to reactivate <span className="text-gray-900 font-bold">{reactivateStudent?.name}</span>?
-        </p>
-        <p className="text-xs font-medium text-gray-400 mt-2">
-          This will reset their Left Date and status, reactivating their subscription record.
-        </p>
-      </Modal>
+      {reactivateStudent && (
+        <ReactivateModal
+          key={reactivateStudent.id}
+          student={reactivateStudent}
+          onClose={() => setReactivateStudent(null)}
+          onReactivated={fetchStudents}
+        />
+      )}
+
+      {/* Modal: Record Payment */}
+      {paymentStudent && (
+        <RecordPaymentModal
+          key={paymentStudent.id}
+          student={paymentStudent}
+          onClose={() => setPaymentStudent(null)}
+          onRecorded={fetchStudents}
+        />
+      )}
+
+      {/* Modal: Transfer to another hall */}
+      {transferStudent && (
+        <TransferModal
+          key={transferStudent.id}
+          student={transferStudent}
+          onClose={() => setTransferStudent(null)}
+          onTransferred={fetchStudents}
+        />
+      )}
+
+      {/* Modal: Waitlist offer for the freed seat */}
+      <WaitlistOfferModal offer={waitlistOffer} onClose={() => setWaitlistOffer(null)} />
     </div>
   );
 };
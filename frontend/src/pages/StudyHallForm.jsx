@@ -1,8 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { ArrowLeft, Loader2, Save } from 'lucide-react';
-import { StudyHallService } from '../services/api';
+import { ShiftService, StudentService, StudyHallService } from '../services/api';
 import { useNotification } from '../components/NotificationContext';
+import { PRORATION_POLICIES } from '../utils/billing';
+import { getPeakOccupancy } from '../utils/shifts';
+import { hasErrors, min, nonNegative, required, toNumberInput, validate } from '../utils/validation';
+import ShiftsPanel from '../components/ShiftsPanel';
+import FieldError from '../components/FieldError';
+
+// Same rules as StudyHallService#validate; a hall cannot shrink below the seats its students hold
+const hallRules = (occupancy) => ({
+  name: [required('Hall name is required')],
+  capacity: [
+    required('Capacity is required'),
+    min(1, 'Capacity must be at least 1 seat'),
+    min(occupancy, `Capacity cannot be less than the ${occupancy} seats already taken by active students`)
+  ],
+  location: [required('Location is required')],
+  monthlyFee: [required('Monthly fee is required'), nonNegative('Monthly fee cannot be negative')],
+});
 
 const StudyHallForm = () => {
   const { id } = useParams();
@@ -12,26 +29,39 @@ const StudyHallForm = () => {
 
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState({});
+  // Seats taken at the busiest time of day, the least the capacity can be
+  const [occupancy, setOccupancy] = useState(0);
 
   // Form Fields State
   const [formData, setFormData] = useState({
     name: '',
     capacity: '',
     location: '',
-    description: ''
+    description: '',
+    monthlyFee: 2000,
+    prorationPolicy: 'FULL_MONTH'
   });
 
   // Load study hall details for editing
   const loadStudyHall = async () => {
     try {
       setLoading(true);
-      const hall = await StudyHallService.getById(id);
+      const [hall, students, shifts] = await Promise.all([
+        StudyHallService.getById(id),
+        StudentService.getAll(),
+        ShiftService.getForHall(id)
+      ]);
       if (hall) {
+        const active = students.filter((st) => st.hallId === hall.id && !st.leftDate);
+        setOccupancy(getPeakOccupancy(active, shifts));
         setFormData({
           name: hall.name || '',
           capacity: hall.capacity || '',
           location: hall.location || '',
-          description: hall.description || ''
+          description: hall.description || '',
+          monthlyFee: hall.monthlyFee ?? 2000,
+          prorationPolicy: hall.prorationPolicy || 'FULL_MONTH'
         });
       }
     } catch (err) {
@@ -50,14 +80,33 @@ const StudyHallForm = () => {
 
   const handleChange = (e) => {
     const { name, value } = e.target;
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
     setFormData((prev) => ({
       ...prev,
-      [name]: name === 'capacity' ? parseInt(value) || '' : value
+      [name]: name === 'capacity' || name === 'monthlyFee' ? toNumberInput(value) : value
     }));
   };
 
+  // Red outline on fields that failed validation
+  const fieldClassName = (field, extra = '') =>
+    `block w-full px-3 py-2.5 text-sm border rounded-xl focus:outline-none focus:ring-2 transition-all bg-gray-50/50 focus:bg-white ${
+      errors[field]
+        ? 'border-red-300 focus:ring-red-500/20 focus:border-red-500'
+        : 'border-gray-200 focus:ring-emerald-500/20 focus:border-emerald-500'
+    } ${extra}`;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    const fieldErrors = validate(formData, hallRules(occupancy));
+    setErrors(fieldErrors);
+    if (hasErrors(fieldErrors)) {
+      showNotification('Please correct the highlighted fields', 'error');
+      return;
+    }
+
     setSaving(true);
     try {
       if (isEditMode) {
@@ -69,6 +118,9 @@ const StudyHallForm = () => {
       }
       navigate('/study-halls');
     } catch (err) {
+      if (err.fieldErrors) {
+        setErrors(err.fieldErrors);
+      }
       showNotification(err.message || 'Failed to save study hall', 'error');
     } finally {
       setSaving(false);
@@ -117,8 +169,9 @@ const StudyHallForm = () => {
               value={formData.name}
               onChange={handleChange}
               placeholder="e.g. Hall Alpha"
-              className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
+              className={fieldClassName('name')}
             />
+            <FieldError message={errors.name} />
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -133,8 +186,12 @@ const StudyHallForm = () => {
                 value={formData.capacity}
                 onChange={handleChange}
                 placeholder="e.g. 50"
-                className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white font-semibold text-gray-700"
+                className={fieldClassName('capacity', 'font-semibold text-gray-700')}
               />
+              <FieldError message={errors.capacity} />
+              {isEditMode && !errors.capacity && occupancy > 0 && (
+                <p className="text-xs font-medium text-gray-400">{occupancy} seats taken at the busiest time of day</p>
+              )}
             </div>
 
             {/* Location */}
@@ -147,11 +204,51 @@ const StudyHallForm = () => {
                 value={formData.location}
                 onChange={handleChange}
                 placeholder="e.g. 1st Floor, Building A"
-                className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
+                className={fieldClassName('location')}
               />
+              <FieldError message={errors.location} />
             </div>
           </div>
 
+          {/* Base Monthly Fee */}
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Base Monthly Fee (₹)</label>
+            <input
+              type="number"
+              name="monthlyFee"
+              required
+              min="0"
+              value={formData.monthlyFee}
+              onChange={handleChange}
+              placeholder="e.g. 2000"
+              className={fieldClassName('monthlyFee', 'font-semibold text-gray-700')}
+            />
+            <FieldError message={errors.monthlyFee} />
+            <p className="text-xs font-medium text-gray-400">
+              Pre-filled as the monthly fee for new students in this hall. Concessions are applied on top of it per student.
+            </p>
+          </div>
+
+          {/* Pro-rata Policy */}
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Partial Month Billing</label>
+            <select
+              name="prorationPolicy"
+              value={formData.prorationPolicy}
+              onChange={handleChange}
+              className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
+            >
+              {PRORATION_POLICIES.map((policy) => (
+                <option key={policy.value} value={policy.value}>
+                  {policy.label}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs font-medium text-gray-400">
+              {PRORATION_POLICIES.find((policy) => policy.value === formData.prorationPolicy)?.description}. Applied when a student leaves, rejoins or changes hall mid-cycle.
+            </p>
+          </div>
+
           {/* Description */}
           <div className="space-y-1">
             <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Description</label>
@@ -164,6 +261,16 @@ const StudyHallForm = () => {
               className="block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white"
             />
           </div>
+
+          {/* Shifts let one seat be let to different students at different times of day */}
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Shifts</label>
+            {isEditMode ? (
+              <ShiftsPanel hallId={id} />
+            ) : (
+              <p className="text-xs font-medium text-gray-400">Save the hall first, then edit it to add morning, evening or other shifts.</p>
+            )}
+          </div>
         </div>
 
         {/* Form Action Footer */}
@@ -1,30 +1,36 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { PlusSquare, Loader2, Building2 } from 'lucide-react';
-import { StudyHallService, StudentService } from '../services/api';
+import { RecycleBinService, ShiftService, StudyHallService, StudentService } from '../services/api';
 import StudyHallTable from '../components/StudyHallTable';
 import SearchBar from '../components/SearchBar';
 import { useNotification } from '../components/NotificationContext';
+import { useAuth } from '../components/useAuth';
+import { countShiftOccupancy } from '../utils/shifts';
 
 const StudyHallManagement = () => {
   const [studyHalls, setStudyHalls] = useState([]);
   const [students, setStudents] = useState([]);
+  const [shifts, setShifts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
 
   const navigate = useNavigate();
   const { showNotification } = useNotification();
+  const { can } = useAuth();
 
   const fetchData = async () => {
     try {
       setLoading(true);
       // Fetch both study halls and students to compute active occupancy counts
-      const [hallsData, studentsData] = await Promise.all([
+      const [hallsData, studentsData, shiftsData] = await Promise.all([
         StudyHallService.getAll(),
-        StudentService.getAll()
+        StudentService.getAll(),
+        ShiftService.getAll()
       ]);
       setStudyHalls(hallsData);
       setStudents(studentsData);
+      setShifts(shiftsData);
     } catch (err) {
       showNotification(err.message || 'Failed to load study hall data', 'error');
     } finally {
@@ -40,9 +46,9 @@ const StudyHallManagement = () => {
     const hallToDelete = studyHalls.find(h => h.id === id);
     if (!hallToDelete) return;
 
-    // Frontend pre-check: verify if any active student is assigned to this hall name
+    // Frontend pre-check: verify if any active student is assigned to this hall
     const assignedStudents = students.filter(
-      st => st.hall === hallToDelete.name && !st.leftDate
+      st => st.hallId === hallToDelete.id && !st.leftDate
     );
 
     if (assignedStudents.length > 0) {
@@ -53,32 +59,39 @@ const StudyHallManagement = () => {
       return;
     }
 
-    if (window.confirm(`Are you sure you want to delete the study hall "${hallToDelete.name}"?`)) {
-      try {
-        await StudyHallService.delete(id);
-        showNotification('Study hall deleted successfully!');
-        fetchData();
-      } catch (err) {
-        if (err.message.includes('Cannot delete study hall with students')) {
-          showNotification('Cannot delete study hall with students assigned to it', 'error');
-        } else {
-          showNotification(err.message || 'Failed to delete study hall', 'error');
+    try {
+      await StudyHallService.delete(id);
+      showNotification(`Study hall "${hallToDelete.name}" moved to the Recycle Bin`, 'success', {
+        onUndo: async () => {
+          await RecycleBinService.restoreHall(id);
+          showNotification(`Study hall "${hallToDelete.name}" restored`);
+          fetchData();
         }
+      });
+      fetchData();
+    } catch (err) {
+      if (err.message.includes('Cannot delete study hall with students')) {
+        showNotification('Cannot delete study hall with students assigned to it', 'error');
+      } else {
+        showNotification(err.message || 'Failed to delete study hall', 'error');
       }
     }
   };
 
-  // Compute active student count for each hall name
+  // Compute active student count for each hall, and for each of its shifts
   const studentCounts = useMemo(() => {
     const counts = {};
-    students.forEach((st) => {
+    studyHalls.forEach((hall) => {
       // Only count active students (who have not left)
-      if (!st.leftDate) {
-        counts[st.hall] = (counts[st.hall] || 0) + 1;
-      }
+      const active = students.filter((st) => st.hallId === hall.id && !st.leftDate);
+      const hallShifts = shifts.filter((shift) => shift.hallId === hall.id);
+      counts[hall.id] = {
+        total: active.length,
+        shifts: hallShifts.map((shift) => ({ shift, count: countShiftOccupancy(active, shift, hallShifts) }))
+      };
     });
     return counts;
-  }, [students]);
+  }, [studyHalls, students, shifts]);
 
   // Filter halls based on search query
   const filteredHalls = useMemo(() => {
@@ -100,13 +113,15 @@ const StudyHallManagement = () => {
           <h2 className="text-2xl font-bold text-gray-900 tracking-tight">Study Halls</h2>
           <p className="text-sm font-medium text-gray-500 font-sans">Manage physical study locations and seat allocations</p>
         </div>
-        <button
-          onClick={() => navigate('/study-halls/new')}
-          className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all"
-        >
-          <PlusSquare className="h-4.5 w-4.5" />
-          <span>Add New Hall</span>
-        </button>
+        {can('manageHalls') && (
+          <button
+            onClick={() => navigate('/study-halls/new')}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all"
+          >
+            <PlusSquare className="h-4.5 w-4.5" />
+            <span>Add New Hall</span>
+          </button>
+        )}
       </div>
 
       {/* Search Filter */}
@@ -135,8 +150,9 @@ const StudyHallManagement = () => {
         <StudyHallTable
           studyHalls={filteredHalls}
           studentCounts={studentCounts}
-          onEdit={(hall) => navigate(`/study-halls/edit/${hall.id}`)}
-          onDelete={handleDeleteHall}
+          onSeatMap={(hall) => navigate(`/study-halls/${hall.id}/seats`)}
+          onEdit={can('manageHalls') ? (hall) => navigate(`/study-halls/edit/${hall.id}`) : undefined}
+          onDelete={can('deleteHalls') ? handleDeleteHall : undefined}
         />
       )}
     </div>
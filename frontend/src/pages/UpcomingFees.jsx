@@ -1,30 +1,57 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { CalendarDays, Loader2, Edit2, LogOut, UserPlus } from 'lucide-react';
-import { FeeService, StudentService } from '../services/api';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { CalendarDays, Loader2, Edit2, LogOut, UserPlus, IndianRupee, History, AlarmClock, Settings, ArrowUpDown, ArrowUp, ArrowDown, X } from 'lucide-react';
+import { FeeService, StudentService, WaitlistService } from '../services/api';
 import SearchBar from '../components/SearchBar';
 import Modal from '../components/Modal';
+import RecordPaymentModal from '../components/RecordPaymentModal';
+import ProrationPreview from '../components/ProrationPreview';
+import DepositSettlement from '../components/DepositSettlement';
+import WaitlistOfferModal from '../components/WaitlistOfferModal';
+import LateFeeRulesModal from '../components/LateFeeRulesModal';
+import LateFeePreviewModal from '../components/LateFeePreviewModal';
 import { useNotification } from '../components/NotificationContext';
+import { useAuth } from '../components/useAuth';
+import { EMPTY_DEPOSIT_SETTLEMENT, getFeeStatus, isPrepaidPast } from '../utils/payments';
+import { getNextFeeDate } from '../utils/billing';
+import { formatDate } from '../utils/format';
+import { AGING_BUCKETS, getAgingBucket } from '../utils/aging';
 
 const UpcomingFees = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
+  const [aging, setAging] = useState({});
+  const [bucketFilter, setBucketFilter] = useState('all');
+  // Kept in the URL, so the overdue alert can link to ?overdueDays=30&overdueSort=desc
+  const overdueSort = searchParams.get('overdueSort');
+  const minOverdueDays = Number(searchParams.get('overdueDays')) || 0;
 
   // Modal states for actions
   const [leftStudent, setLeftStudent] = useState(null);
   const [leftDate, setLeftDate] = useState(new Date().toISOString().split('T')[0]);
+  const [settlement, setSettlement] = useState(EMPTY_DEPOSIT_SETTLEMENT);
   const [reactivateStudent, setReactivateStudent] = useState(null);
+  const [paymentStudent, setPaymentStudent] = useState(null);
+  const [waitlistOffer, setWaitlistOffer] = useState(null);
+  const [showLateFeeRules, setShowLateFeeRules] = useState(false);
+  const [showLateFeePreview, setShowLateFeePreview] = useState(false);
 
   const navigate = useNavigate();
   const { showNotification } = useNotification();
+  const { can } = useAuth();
 
   const fetchUpcomingFees = async () => {
     try {
       setLoading(true);
-      // Calls upcoming fees endpoint (which gets all students)
-      const data = await FeeService.getUpcoming();
+      // Calls upcoming fees endpoint (which gets all students) alongside each student's overdue age
+      const [data, agingData] = await Promise.all([
+        FeeService.getUpcoming(),
+        FeeService.getAging()
+      ]);
       setStudents(data);
+      setAging(Object.fromEntries(agingData.map((row) => [row.studentId, row])));
     } catch (err) {
       showNotification(err.message || 'Failed to load upcoming fees list', 'error');
     } finally {
@@ -39,20 +66,20 @@ const UpcomingFees = () => {
   const handleMarkLeft = async () => {
     if (!leftStudent) return;
     try {
-      const todayStr = new Date().toISOString().split('T')[0];
-      if (leftDate === todayStr || !leftDate) {
-        await StudentService.markLeft(leftStudent.id);
-      } else {
-        const updated = {
-          ...leftStudent,
-          leftDate: leftDate,
-          status: 'Left'
-        };
-        await StudentService.update(leftStudent.id, updated);
-      }
-      showNotification('Student marked as left successfully');
+      // The leave endpoint pro-rates the final cycle, then settles the deposit against the dues
+      await StudentService.markLeft(leftStudent.id, leftDate || undefined, settlement);
+      showNotification('Student marked as left successfully', 'success', {
+        onUndo: async () => {
+          await StudentService.undoLeave(leftStudent.id);
+          showNotification(`${leftStudent.name} is active again`);
+          fetchUpcomingFees();
+        }
+      });
       setLeftStudent(null);
       fetchUpcomingFees();
+      // The freed seat may have been offered to the next applicant on the waitlist
+      const offer = await WaitlistService.getOpenOffer(leftStudent.id);
+      if (offer) setWaitlistOffer(offer);
     } catch (err) {
       showNotification(err.message || 'Failed to mark student as left', 'error');
     }
@@ -62,7 +89,13 @@ const UpcomingFees = () => {
     if (!reactivateStudent) return;
     try {
       await StudentService.reactivate(reactivateStudent.id);
-      showNotification('Student reactivated successfully');
+      showNotification('Student reactivated successfully', 'success', {
+        onUndo: async () => {
+          await StudentService.undoReactivate(reactivateStudent.id);
+          showNotification(`${reactivateStudent.name} is marked as left again`);
+          fetchUpcomingFees();
+        }
+      });
       setReactivateStudent(null);
       fetchUpcomingFees();
     } catch (err) {
@@ -70,36 +103,28 @@ const UpcomingFees = () => {
     }
   };
 
-  const calculateNextFeeDate = (joinDateStr) => {
-    if (!joinDateStr) return 'N/A';
-    try {
-      const joinDate = new Date(joinDateStr);
-      if (isNaN(joinDate.getTime())) return 'N/A';
-      
-      const today = new Date();
-      // Set to same day of next month
-      let nextDate = new Date(joinDate.getFullYear(), joinDate.getMonth() + 1, joinDate.getDate());
-      
-      // If calculated next date is in the past, increment until it is in the future
-      while (nextDate < today) {
-        nextDate.setMonth(nextDate.getMonth() + 1);
-      }
-      return nextDate.toLocaleDateString('en-IN');
-    } catch (e) {
-      return 'N/A';
-    }
+  const calculateNextFeeDate = (student) => {
+    const nextDate = getNextFeeDate(student);
+    return nextDate ? formatDate(nextDate) : 'N/A';
   };
 
   const getStatusBadge = (student) => {
-    const isPaid = student.status === 'Paid' || student.feeDue <= 0;
-    if (student.leftDate) {
+    const status = getFeeStatus(student);
+    if (status === 'Left') {
       return (
         <span className="inline-flex px-2.5 py-0.5 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 border border-gray-250">
           Left
         </span>
       );
     }
-    return isPaid ? (
+    if (status === 'Credit') {
+      return (
+        <span className="inline-flex px-2.5 py-0.5 rounded-full text-xs font-semibold bg-indigo-100 text-indigo-800 border border-indigo-250">
+          Credit
+        </span>
+      );
+    }
+    return status === 'Paid' ? (
       <span className="inline-flex px-2.5 py-0.5 rounded-full text-xs font-semibold bg-emerald-100 text-emerald-800 border border-emerald-250">
         Paid
       </span>
@@ -110,17 +135,64 @@ const UpcomingFees = () => {
     );
   };
 
-  // Filter students showing only active ones (not left) or pending fee ones
-  const filteredStudents = useMemo(() => {
-    return students.filter((st) => {
-      const q = searchQuery.toLowerCase();
-      const matchesSearch = 
+  // Students whose prepaid plan already pays for their next cycle have nothing coming due
+  const prepaidCount = useMemo(
+    () => students.filter((st) => isPrepaidPast(st, getNextFeeDate(st))).length,
+    [students]
+  );
+
+  // Filter students by search, then split the matches into aging buckets
+  const searchedStudents = useMemo(() => {
+    const q = searchQuery.toLowerCase();
+    return students
+      .filter((st) => !isPrepaidPast(st, getNextFeeDate(st)))
+      .filter((st) =>
         (st.name || '').toLowerCase().includes(q) ||
-        (st.hall || '').toLowerCase().includes(q);
-      
-      return matchesSearch;
-    });
-  }, [students, searchQuery]);
+        (st.hall || '').toLowerCase().includes(q)
+      )
+      .map((st) => {
+        const daysOverdue = aging[st.id]?.daysOverdue ?? 0;
+        return { ...st, daysOverdue, bucket: getAgingBucket(daysOverdue).key };
+      })
+      .filter((st) => minOverdueDays === 0 || st.daysOverdue > minOverdueDays);
+  }, [students, aging, searchQuery, minOverdueDays]);
+
+  const bucketCounts = useMemo(() => {
+    const counts = {};
+    for (const st of searchedStudents) {
+      counts[st.bucket] = (counts[st.bucket] || 0) + 1;
+    }
+    return counts;
+  }, [searchedStudents]);
+
+  const filteredStudents = useMemo(() => {
+    const inBucket = bucketFilter === 'all'
+      ? searchedStudents
+      : searchedStudents.filter((st) => st.bucket === bucketFilter);
+    if (!overdueSort) return inBucket;
+    return [...inBucket].sort((a, b) =>
+      overdueSort === 'asc' ? a.daysOverdue - b.daysOverdue : b.daysOverdue - a.daysOverdue
+    );
+  }, [searchedStudents, bucketFilter, overdueSort]);
+
+  const updateSearchParam = (key, value) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+      return next;
+    }, { replace: true });
+  };
+
+  // Cycles through most overdue first, least overdue first and unsorted
+  const toggleOverdueSort = () => {
+    updateSearchParam('overdueSort', overdueSort === null ? 'desc' : overdueSort === 'desc' ? 'asc' : null);
+  };
+
+  const OverdueSortIcon = overdueSort === 'desc' ? ArrowDown : overdueSort === 'asc' ? ArrowUp : ArrowUpDown;
 
   return (
     <div className="space-y-6 p-6 max-w-7xl mx-auto">
@@ -130,6 +202,24 @@ const UpcomingFees = () => {
           <h2 className="text-2xl font-bold text-gray-900 tracking-tight">Upcoming Fees Due</h2>
           <p className="text-sm font-medium text-gray-500">Track deadlines, pending dues, and next payment cycles</p>
         </div>
+        {can('manageLateFees') && (
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setShowLateFeeRules(true)}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-gray-700 bg-white border border-gray-200 hover:bg-gray-50 rounded-xl transition-all"
+            >
+              <Settings className="h-4.5 w-4.5" />
+              <span>Late Fee Rules</span>
+            </button>
+            <button
+              onClick={() => setShowLateFeePreview(true)}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-amber-600 hover:bg-amber-700 rounded-xl shadow-md shadow-amber-600/10 active:scale-95 transition-all"
+            >
+              <AlarmClock className="h-4.5 w-4.5" />
+              <span>Apply Late Fees</span>
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Filter search bar */}
@@ -139,6 +229,42 @@ const UpcomingFees = () => {
         placeholder="Filter by name or study hall..."
       />
 
+      {/* Aging bucket chips */}
+      <div className="flex flex-wrap items-center gap-2">
+        {[{ key: 'all', label: 'All' }, ...AGING_BUCKETS].map((bucket) => {
+          const count = bucket.key === 'all' ? searchedStudents.length : bucketCounts[bucket.key] || 0;
+          const isActive = bucketFilter === bucket.key;
+          return (
+            <button
+              key={bucket.key}
+              onClick={() => setBucketFilter(bucket.key)}
+              className={`inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold border transition-all ${
+                isActive
+                  ? 'bg-emerald-600 text-white border-emerald-600 shadow-sm'
+                  : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              <span>{bucket.label}</span>
+              <span className={`px-1.5 rounded-full ${isActive ? 'bg-white/20' : 'bg-gray-100'}`}>{count}</span>
+            </button>
+          );
+        })}
+        {minOverdueDays > 0 && (
+          <button
+            onClick={() => updateSearchParam('overdueDays', null)}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold border bg-red-50 text-red-700 border-red-200 hover:bg-red-100 transition-all"
+          >
+            <span>Overdue more than {minOverdueDays} days</span>
+            <X className="h-3.5 w-3.5" />
+          </button>
+        )}
+        {prepaidCount > 0 && (
+          <span className="ml-auto text-xs font-medium text-gray-400">
+            {prepaidCount} prepaid {prepaidCount === 1 ? 'student is' : 'students are'} covered past their next cycle and hidden
+          </span>
+        )}
+      </div>
+
       {loading ? (
         <div className="flex justify-center items-center h-64">
           <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
@@ -158,6 +284,12 @@ const UpcomingFees = () => {
                 <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Study Hall</th>
                 <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Monthly Fee</th>
                 <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Current Due</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">
+                  <button onClick={toggleOverdueSort} className="inline-flex items-center gap-1 uppercase tracking-wider hover:text-gray-700">
+                    <span>Days Overdue</span>
+                    <OverdueSortIcon className="h-3.5 w-3.5" />
+                  </button>
+                </th>
                 <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Next Fee Date</th>
                 <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Status</th>
                 <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Actions</th>
@@ -171,12 +303,43 @@ const UpcomingFees = () => {
                     <span className="px-2 py-0.5 bg-gray-100 text-gray-800 rounded-lg text-xs font-semibold">{student.hall}</span>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">₹ {student.monthlyFee || 0}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-amber-600 font-bold">₹ {student.feeDue || 0}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-amber-600 font-bold">
+                    ₹ {student.feeDue || 0}
+                    {aging[student.id]?.lateFeeDue > 0 && (
+                      <p className="text-xs font-semibold text-red-600">
+                        incl. ₹ {aging[student.id].lateFeeDue.toLocaleString('en-IN')} late fee
+                      </p>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-semibold border ${getAgingBucket(student.daysOverdue).badge}`}>
+                      {student.daysOverdue > 0 ? `${student.daysOverdue} days` : 'Current'}
+                    </span>
+                    {student.daysOverdue > 0 && (
+                      <p className="text-xs font-medium text-gray-400 mt-0.5">since {formatDate(aging[student.id].oldestDueDate)}</p>
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600 font-medium">
-                    {student.leftDate ? 'N/A' : calculateNextFeeDate(student.joinDate)}
+                    {student.leftDate ? 'N/A' : calculateNextFeeDate(student)}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm">{getStatusBadge(student)}</td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-1.5">
+                    {!student.leftDate && (
+                      <button
+                        onClick={() => setPaymentStudent(student)}
+                        title="Record Payment"
+                        className="inline-flex p-1.5 rounded-lg text-emerald-600 hover:bg-emerald-50 transition-colors"
+                      >
+                        <IndianRupee className="h-4.5 w-4.5" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => navigate(`/students/${student.id}/payments`)}
+                      title="Payment History"
+                      className="inline-flex p-1.5 rounded-lg text-gray-600 hover:bg-gray-100 transition-colors"
+                    >
+                      <History className="h-4.5 w-4.5" />
+                    </button>
                     <button
                       onClick={() => navigate(`/students/edit/${student.id}`)}
                       title="Edit Student"
@@ -189,6 +352,7 @@ const UpcomingFees = () => {
                         onClick={() => {
                           setLeftStudent(student);
                           setLeftDate(new Date().toISOString().split('T')[0]);
+                          setSettlement(EMPTY_DEPOSIT_SETTLEMENT);
                         }}
                         title="Mark Left"
                         className="inline-flex p-1.5 rounded-lg text-amber-600 hover:bg-amber-50 transition-colors"
@@ -247,6 +411,17 @@ const UpcomingFees = () => {
               className="block w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all"
             />
           </div>
+          {leftStudent && (
+            <ProrationPreview studentId={leftStudent.id} action="LEAVE" date={leftDate || undefined} />
+          )}
+          {leftStudent && (
+            <DepositSettlement
+              studentId={leftStudent.id}
+              date={leftDate || undefined}
+              value={settlement}
+              onChange={setSettlement}
+            />
+          )}
         </div>
       </Modal>
 
@@ -272,10 +447,41 @@ const UpcomingFees = () => {
           </>
         }
       >
-        <p className="text-gray-700 font-semibold">
-          Are you sure you want to reactivate <span className="text-gray-900 font-bold">{reactivateStudent?.name}</span>?
-        </p>
+        <div className="space-y-4">
+          <p className="text-gray-700 font-semibold">
+            Are you sure you want to reactivate <span className="text-gray-900 font-bold">{reactivateStudent?.name}</span>?
+          </p>
+          {reactivateStudent && (
+            <ProrationPreview studentId={reactivateStudent.id} action="REACTIVATE" />
+          )}
+        </div>
       </Modal>
+
+      {/* Modal: Record Payment */}
+      {paymentStudent && (
+        <RecordPaymentModal
+          key={paymentStudent.id}
+          student={paymentStudent}
+          onClose={() => setPaymentStudent(null)}
+          onRecorded={fetchUpcomingFees}
+        />
+      )}
+
+      {/* Modal: Late Fee Rules */}
+      {showLateFeeRules && (
+        <LateFeeRulesModal onClose={() => setShowLateFeeRules(false)} />
+      )}
+
+      {/* Modal: Apply Late Fees */}
+      {showLateFeePreview && (
+        <LateFeePreviewModal
+          onClose={() => setShowLateFeePreview(false)}
+          onApplied={fetchUpcomingFees}
+        />
+      )}
+
+      {/* Modal: Waitlist offer for the freed seat */}
+      <WaitlistOfferModal offer={waitlistOffer} onClose={() => setWaitlistOffer(null)} />
     </div>
   );
 };
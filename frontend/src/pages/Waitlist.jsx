@@ -0,0 +1,407 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ListOrdered, Loader2, Plus, Edit2, Trash2, UserPlus, UserX, XCircle } from 'lucide-react';
+import { ShiftService, StudyHallService, WaitlistService } from '../services/api';
+import SearchBar from '../components/SearchBar';
+import Modal from '../components/Modal';
+import { useNotification } from '../components/NotificationContext';
+import { formatDate } from '../utils/format';
+import { findShift, formatShift } from '../utils/shifts';
+import {
+  WAITLIST_PRIORITIES,
+  WAITLIST_STATUS_STYLES,
+  emptyWaitlistEntry,
+  formatPriority,
+  formatWaitlistStatus,
+  isOpenEntry,
+  queuePosition,
+  sortWaitlist
+} from '../utils/waitlist';
+
+const inputClassName = "block w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500 transition-all bg-gray-50/50 focus:bg-white";
+
+const STATUS_FILTERS = [
+  { key: 'open', label: 'Open', matches: isOpenEntry },
+  { key: 'OFFERED', label: 'Offered', matches: (entry) => entry.status === 'OFFERED' },
+  { key: 'CONVERTED', label: 'Converted', matches: (entry) => entry.status === 'CONVERTED' },
+  { key: 'WITHDRAWN', label: 'Withdrawn', matches: (entry) => entry.status === 'WITHDRAWN' },
+  { key: 'all', label: 'All', matches: () => true },
+];
+
+const Waitlist = () => {
+  const [entries, setEntries] = useState([]);
+  const [studyHalls, setStudyHalls] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [hallFilter, setHallFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('open');
+
+  // Add / edit modal
+  const [editingEntry, setEditingEntry] = useState(null);
+  const [form, setForm] = useState(emptyWaitlistEntry);
+  const [saving, setSaving] = useState(false);
+
+  const navigate = useNavigate();
+  const { showNotification } = useNotification();
+
+  const fetchWaitlist = useCallback(
+    () => Promise.all([
+      WaitlistService.getAll(),
+      StudyHallService.getAll(),
+      ShiftService.getAll()
+    ])
+      .then(([data, halls, shiftData]) => {
+        setEntries(data);
+        setStudyHalls(halls);
+        setShifts(shiftData);
+      })
+      .catch((err) => showNotification(err.message || 'Failed to load waitlist', 'error'))
+      .finally(() => setLoading(false)),
+    [showNotification]
+  );
+
+  useEffect(() => {
+    fetchWaitlist();
+  }, [fetchWaitlist]);
+
+  const filteredEntries = useMemo(() => {
+    const q = searchQuery.toLowerCase();
+    const matchesStatus = STATUS_FILTERS.find((f) => f.key === statusFilter).matches;
+    return sortWaitlist(entries).filter((entry) =>
+      matchesStatus(entry) &&
+      (!hallFilter || entry.hallId === parseInt(hallFilter)) &&
+      ((entry.name || '').toLowerCase().includes(q) || (entry.phone || '').includes(q))
+    );
+  }, [entries, searchQuery, hallFilter, statusFilter]);
+
+  const openForm = (entry) => {
+    setEditingEntry(entry || {});
+    setForm(entry
+      ? {
+          name: entry.name || '',
+          phone: entry.phone || '',
+          hallId: entry.hallId ?? null,
+          shiftId: entry.shiftId ?? null,
+          priority: entry.priority,
+          requestedOn: entry.requestedOn || '',
+          notes: entry.notes || ''
+        }
+      : emptyWaitlistEntry());
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => {
+      const next = { ...prev, [name]: value };
+      if (name === 'priority') next.priority = parseInt(value);
+      if (name === 'shiftId') next.shiftId = value ? parseInt(value) : null;
+      if (name === 'hallId') {
+        next.hallId = value ? parseInt(value) : null;
+        // Shifts belong to a hall
+        next.shiftId = null;
+      }
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.hallId) {
+      showNotification('Enter the applicant name and the hall they are waiting for', 'error');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const data = { ...form, requestedOn: form.requestedOn || null };
+      if (editingEntry.id) {
+        await WaitlistService.update(editingEntry.id, data);
+        showNotification('Applicant updated');
+      } else {
+        await WaitlistService.create(data);
+        showNotification('Applicant added to the waitlist');
+      }
+      setEditingEntry(null);
+      fetchWaitlist();
+    } catch (err) {
+      showNotification(err.message || 'Failed to save applicant', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDecline = async (entry) => {
+    if (window.confirm(`Record that ${entry.name} declined the seat? It will be offered to the next applicant.`)) {
+      try {
+        await WaitlistService.decline(entry.id);
+        showNotification('Offer declined and passed on');
+        fetchWaitlist();
+      } catch (err) {
+        showNotification(err.message || 'Failed to decline offer', 'error');
+      }
+    }
+  };
+
+  const handleWithdraw = async (entry) => {
+    if (window.confirm(`Take ${entry.name} off the waitlist?`)) {
+      try {
+        await WaitlistService.withdraw(entry.id);
+        showNotification('Applicant withdrawn');
+        fetchWaitlist();
+      } catch (err) {
+        showNotification(err.message || 'Failed to withdraw applicant', 'error');
+      }
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (window.confirm(`Delete ${entry.name}'s waitlist entry?`)) {
+      try {
+        await WaitlistService.delete(entry.id);
+        showNotification('Waitlist entry deleted');
+        fetchWaitlist();
+      } catch (err) {
+        showNotification(err.message || 'Failed to delete waitlist entry', 'error');
+      }
+    }
+  };
+
+  const formShifts = shifts.filter((shift) => shift.hallId === form.hallId);
+
+  return (
+    <div className="space-y-6 p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between border-b border-gray-100 pb-5">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 tracking-tight">Waitlist</h2>
+          <p className="text-sm font-medium text-gray-500">Applicants waiting for a seat, offered the next one that frees up</p>
+        </div>
+        <button
+          onClick={() => openForm(null)}
+          className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md shadow-emerald-600/10 active:scale-95 transition-all"
+        >
+          <Plus className="h-4.5 w-4.5" />
+          <span>Add Applicant</span>
+        </button>
+      </div>
+
+      <div className="flex flex-col gap-3 md:flex-row">
+        <div className="flex-1">
+          <SearchBar value={searchQuery} onChange={setSearchQuery} placeholder="Filter by name or phone..." />
+        </div>
+        <select
+          value={hallFilter}
+          onChange={(e) => setHallFilter(e.target.value)}
+          className="px-3 py-2.5 text-sm border border-gray-200 rounded-xl bg-white font-medium text-gray-700 focus:outline-none focus:ring-2 focus:ring-emerald-500/20 focus:border-emerald-500"
+        >
+          <option value="">All halls</option>
+          {studyHalls.map((hall) => (
+            <option key={hall.id} value={hall.id}>{hall.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Status chips */}
+      <div className="flex flex-wrap items-center gap-2">
+        {STATUS_FILTERS.map((filter) => {
+          const count = entries.filter(filter.matches).length;
+          const isActive = statusFilter === filter.key;
+          return (
+            <button
+              key={filter.key}
+              onClick={() => setStatusFilter(filter.key)}
+              className={`inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold border transition-all ${
+                isActive
+                  ? 'bg-emerald-600 text-white border-emerald-600 shadow-sm'
+                  : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              <span>{filter.label}</span>
+              <span className={`px-1.5 rounded-full ${isActive ? 'bg-white/20' : 'bg-gray-100'}`}>{count}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-8 w-8 animate-spin text-emerald-600" />
+        </div>
+      ) : filteredEntries.length === 0 ? (
+        <div className="flex flex-col items-center justify-center p-12 bg-white border border-gray-100 rounded-2xl text-center space-y-2">
+          <ListOrdered className="h-8 w-8 text-gray-300" />
+          <h4 className="text-base font-bold text-gray-700">No Applicants</h4>
+          <p className="text-sm font-medium text-gray-400">Nobody matching these filters is on the waitlist</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto bg-white rounded-2xl border border-gray-100 shadow-sm">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Place</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Applicant</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Study Hall</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Priority</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Requested</th>
+                <th className="px-6 py-4 text-left text-xs font-bold text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-4 text-right text-xs font-bold text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-150">
+              {filteredEntries.map((entry) => (
+                <tr key={entry.id} className={`transition-colors ${entry.status === 'OFFERED' ? 'bg-amber-50/40' : 'hover:bg-gray-55/50'}`}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-500">
+                    {entry.status === 'WAITING' ? `#${queuePosition(entries, entry)}` : '—'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <p className="font-semibold text-gray-900">{entry.name}</p>
+                    <p className="text-xs font-medium text-gray-500">{entry.phone || 'No phone'}</p>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className="px-2 py-0.5 bg-gray-100 text-gray-800 rounded-lg text-xs font-semibold">{entry.hall}</span>
+                    <p className="text-xs font-medium text-gray-500 mt-1">
+                      {entry.shiftId ? formatShift(findShift(shifts, entry.shiftId)) : 'Any shift'}
+                    </p>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-700">{formatPriority(entry.priority)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-600">{formatDate(entry.requestedOn)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-semibold border ${WAITLIST_STATUS_STYLES[entry.status]}`}>
+                      {formatWaitlistStatus(entry.status)}
+                    </span>
+                    {entry.status === 'OFFERED' && (
+                      <p className="text-xs font-medium text-amber-700 mt-0.5">
+                        {entry.offeredCabin ? `Seat ${entry.offeredCabin}, ` : ''}since {formatDate(entry.offeredOn)}
+                      </p>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-1.5">
+                    {isOpenEntry(entry) && (
+                      <button
+                        onClick={() => navigate(`/students/new?waitlist=${entry.id}`)}
+                        title="Convert to Student"
+                        className="inline-flex p-1.5 rounded-lg text-emerald-600 hover:bg-emerald-50 transition-colors"
+                      >
+                        <UserPlus className="h-4.5 w-4.5" />
+                      </button>
+                    )}
+                    {entry.status === 'OFFERED' && (
+                      <button
+                        onClick={() => handleDecline(entry)}
+                        title="Declined the Seat"
+                        className="inline-flex p-1.5 rounded-lg text-amber-600 hover:bg-amber-50 transition-colors"
+                      >
+                        <XCircle className="h-4.5 w-4.5" />
+                      </button>
+                    )}
+                    {entry.status === 'WAITING' && (
+                      <button
+                        onClick={() => handleWithdraw(entry)}
+                        title="Withdraw"
+                        className="inline-flex p-1.5 rounded-lg text-gray-600 hover:bg-gray-100 transition-colors"
+                      >
+                        <UserX className="h-4.5 w-4.5" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => openForm(entry)}
+                      title="Edit Applicant"
+                      className="inline-flex p-1.5 rounded-lg text-blue-600 hover:bg-blue-50 transition-colors"
+                    >
+                      <Edit2 className="h-4.5 w-4.5" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(entry)}
+                      title="Delete Entry"
+                      className="inline-flex p-1.5 rounded-lg text-red-600 hover:bg-red-50 transition-colors"
+                    >
+                      <Trash2 className="h-4.5 w-4.5" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Modal: Add / Edit Applicant */}
+      <Modal
+        isOpen={!!editingEntry}
+        onClose={() => setEditingEntry(null)}
+        title={editingEntry?.id ? 'Edit Applicant' : 'Add to Waitlist'}
+        footerActions={
+          <>
+            <button
+              onClick={() => setEditingEntry(null)}
+              className="px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-xl shadow-md transition-all disabled:opacity-50"
+            >
+              {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+              <span>{editingEntry?.id ? 'Update Applicant' : 'Add Applicant'}</span>
+            </button>
+          </>
+        }
+      >
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Full Name</label>
+            <input type="text" name="name" value={form.name} onChange={handleChange} placeholder="e.g. Rahul Sharma" className={inputClassName} />
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Phone</label>
+            <input type="tel" name="phone" value={form.phone} onChange={handleChange} placeholder="e.g. 9876543210" className={inputClassName} />
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Study Hall</label>
+            <select name="hallId" value={form.hallId ?? ''} onChange={handleChange} className={inputClassName}>
+              <option value="">Select a hall</option>
+              {studyHalls.map((hall) => (
+                <option key={hall.id} value={hall.id}>{hall.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Preferred Shift</label>
+            <select
+              name="shiftId"
+              value={form.shiftId ?? ''}
+              onChange={handleChange}
+              disabled={formShifts.length === 0}
+              className={inputClassName}
+            >
+              <option value="">Any shift</option>
+              {formShifts.map((shift) => (
+                <option key={shift.id} value={shift.id}>{formatShift(shift)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Priority</label>
+            <select name="priority" value={form.priority} onChange={handleChange} className={inputClassName}>
+              {WAITLIST_PRIORITIES.map((priority) => (
+                <option key={priority.value} value={priority.value}>{priority.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Requested On</label>
+            <input type="date" name="requestedOn" value={form.requestedOn} onChange={handleChange} className={inputClassName} />
+          </div>
+          <div className="space-y-1 md:col-span-2">
+            <label className="block text-xs font-bold text-gray-500 uppercase tracking-wide">Notes</label>
+            <textarea name="notes" rows={2} value={form.notes} onChange={handleChange} placeholder="e.g. Prefers a window seat" className={inputClassName} />
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default Waitlist;
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { clearToken, getToken } from '../utils/auth';
 
 // Get base URL from env with fallback to localhost
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080/api';
@@ -10,25 +11,91 @@ const api = axios.create({
   },
 });
 
+// Called when the session has expired or was ended elsewhere; set by AuthProvider
+let onUnauthorized = () => {};
+
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+// Every request carries the signed-in staff member's token
+api.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
 // Response interceptor for unified error handling
 api.interceptors.response.use(
   (response) => response.data,
   (error) => {
+    // A failed login is reported on the login form instead
+    if (error.response?.status === 401 && !error.config?.url?.endsWith('/auth/login')) {
+      clearToken();
+      onUnauthorized();
+    }
     const message = error.response?.data?.message || error.message || 'An error occurred';
     console.error('API Error:', message);
-    return Promise.reject(new Error(message));
+    const apiError = new Error(message);
+    apiError.status = error.response?.status;
+    // Field name to message when the server rejected a form, so it can be shown next to the input
+    apiError.fieldErrors = error.response?.data?.fieldErrors || null;
+    return Promise.reject(apiError);
   }
 );
 
+export const AuthService = {
+  login: (username, password) => api.post('/auth/login', { username, password }),
+  logout: () => api.post('/auth/logout'),
+  me: () => api.get('/auth/me'),
+};
+
+export const UserService = {
+  getAll: () => api.get('/users'),
+  create: (data) => api.post('/users', data),
+  update: (id, data) => api.put(`/users/${id}`, data),
+  delete: (id) => api.delete(`/users/${id}`),
+};
+
 export const StudentService = {
   getAll: () => api.get('/students'),
   getById: (id) => api.get(`/students/${id}`),
   create: (data) => api.post('/students', data),
   update: (id, data) => api.put(`/students/${id}`, data),
   delete: (id) => api.delete(`/students/${id}`),
-  markLeft: (id) => api.put(`/students/${id}/leave`),
+  markLeft: (id, date, settlement = {}) => api.put(`/students/${id}/leave`, null, {
+    params: {
+      date,
+      damages: settlement.damages || undefined,
+      damageNote: settlement.damageNote || undefined,
+      refundMode: settlement.refundMode
+    }
+  }),
+  undoLeave: (id) => api.put(`/students/${id}/leave/undo`),
   reactivate: (id) => api.put(`/students/${id}/reactivate`),
+  undoReactivate: (id) => api.put(`/students/${id}/reactivate/undo`),
   getRecent: () => api.get('/students/recent'),
+  findDuplicates: (data) => api.post('/students/duplicates', data),
+  getPhoto: (id) => api.get(`/students/${id}/photo`, { responseType: 'blob' }),
+  uploadPhoto: (id, photo) => {
+    const data = new FormData();
+    data.append('file', photo, photo.name || 'photo.jpg');
+    return api.put(`/students/${id}/photo`, data, { headers: { 'Content-Type': 'multipart/form-data' } });
+  },
+  deletePhoto: (id) => api.delete(`/students/${id}/photo`),
+};
+
+export const ProrationService = {
+  previewLeave: (id, date) => api.get(`/students/${id}/proration/leave`, { params: { date } }),
+  previewReactivation: (id) => api.get(`/students/${id}/proration/reactivate`),
+  previewTransfer: (id, monthlyFee, date) => api.get(`/students/${id}/proration/transfer`, { params: { monthlyFee, date } }),
+};
+
+export const PlacementService = {
+  getHistory: (studentId) => api.get(`/students/${studentId}/placements`),
+  transfer: (studentId, data) => api.post(`/students/${studentId}/transfer`, data),
 };
 
 export const StudyHallService = {
@@ -39,6 +106,64 @@ export const StudyHallService = {
   delete: (id) => api.delete(`/study-halls/${id}`),
 };
 
+export const SeatService = {
+  getMap: (hallId) => api.get(`/study-halls/${hallId}/seat-map`),
+  saveLayout: (hallId, layout) => api.put(`/study-halls/${hallId}/seat-map`, layout),
+  assign: (studentId, seatId) => api.put(`/students/${studentId}/seat`, null, { params: { seatId } }),
+  unassign: (studentId) => api.delete(`/students/${studentId}/seat`),
+  getTiers: (hallId) => api.get(`/study-halls/${hallId}/seat-tiers`),
+  createTier: (hallId, data) => api.post(`/study-halls/${hallId}/seat-tiers`, data),
+  updateTier: (id, data) => api.put(`/seat-tiers/${id}`, data),
+  deleteTier: (id) => api.delete(`/seat-tiers/${id}`),
+};
+
+export const ShiftService = {
+  getAll: () => api.get('/shifts'),
+  getForHall: (hallId) => api.get(`/study-halls/${hallId}/shifts`),
+  create: (hallId, data) => api.post(`/study-halls/${hallId}/shifts`, data),
+  update: (id, data) => api.put(`/shifts/${id}`, data),
+  delete: (id) => api.delete(`/shifts/${id}`),
+};
+
+export const WaitlistService = {
+  getAll: () => api.get('/waitlist'),
+  getById: (id) => api.get(`/waitlist/${id}`),
+  create: (data) => api.post('/waitlist', data),
+  update: (id, data) => api.put(`/waitlist/${id}`, data),
+  delete: (id) => api.delete(`/waitlist/${id}`),
+  decline: (id) => api.put(`/waitlist/${id}/decline`),
+  withdraw: (id) => api.put(`/waitlist/${id}/withdraw`),
+  convert: (id, studentId) => api.put(`/waitlist/${id}/convert`, null, { params: { studentId } }),
+  getOpenOffer: (studentId) => api.get(`/students/${studentId}/waitlist-offer`),
+};
+
+export const AttendanceService = {
+  punch: (code) => api.post('/attendance/punch', null, { params: { code } }),
+  kioskPunch: (code, kioskToken) => api.post('/attendance/kiosk/punch', null, {
+    params: { code },
+    headers: { 'X-Kiosk-Token': kioskToken }
+  }),
+  getDay: (date, hallId) => api.get('/attendance', { params: { date, hallId: hallId || undefined } }),
+  getMonth: (studentId, month) => api.get(`/students/${studentId}/attendance`, { params: { month } }),
+};
+
+export const NoteService = {
+  getForStudent: (studentId) => api.get(`/students/${studentId}/notes`),
+  create: (studentId, data) => api.post(`/students/${studentId}/notes`, data),
+  delete: (id) => api.delete(`/notes/${id}`),
+};
+
+export const DocumentService = {
+  getForStudent: (studentId) => api.get(`/students/${studentId}/documents`),
+  upload: (studentId, file) => {
+    const data = new FormData();
+    data.append('file', file);
+    return api.post(`/students/${studentId}/documents`, data, { headers: { 'Content-Type': 'multipart/form-data' } });
+  },
+  download: (id) => api.get(`/documents/${id}/file`, { responseType: 'blob' }),
+  delete: (id) => api.delete(`/documents/${id}`),
+};
+
 export const DashboardService = {
   getStats: () => api.get('/dashboard'),
 };
@@ -46,10 +171,76 @@ export const DashboardService = {
 export const FeeService = {
   calculateMonthly: () => api.post('/fees/calculate-monthly'),
   getUpcoming: () => api.get('/upcoming-fees'),
+  getAging: (asOf) => api.get('/fees/aging', { params: { asOf } }),
+};
+
+export const LateFeeService = {
+  getRules: () => api.get('/late-fee-rules'),
+  createRule: (data) => api.post('/late-fee-rules', data),
+  updateRule: (id, data) => api.put(`/late-fee-rules/${id}`, data),
+  deleteRule: (id) => api.delete(`/late-fee-rules/${id}`),
+  preview: (asOf) => api.get('/late-fees/preview', { params: { asOf } }),
+  assess: (asOf) => api.post('/late-fees/assess', null, { params: { asOf } }),
+};
+
+export const PrepaidService = {
+  getForStudent: (studentId) => api.get(`/students/${studentId}/prepaid-plans`),
+  quote: (studentId, months) => api.get(`/students/${studentId}/prepaid-plans/quote`, { params: { months } }),
+  purchase: (studentId, data) => api.post(`/students/${studentId}/prepaid-plans`, data),
+};
+
+export const DepositService = {
+  collect: (studentId, data) => api.post(`/students/${studentId}/deposit`, data),
+  previewSettlement: (studentId, date, damages) =>
+    api.get(`/students/${studentId}/deposit/settlement`, { params: { date, damages } }),
+};
+
+export const ConcessionService = {
+  getForStudent: (studentId) => api.get(`/students/${studentId}/concessions`),
+  create: (studentId, data) => api.post(`/students/${studentId}/concessions`, data),
+  update: (id, data) => api.put(`/concessions/${id}`, data),
+  delete: (id) => api.delete(`/concessions/${id}`),
+};
+
+export const BillingService = {
+  preview: (asOf) => api.get('/billing/preview', { params: { asOf } }),
+  run: (asOf) => api.post('/billing/runs', null, { params: { asOf } }),
+  getRuns: () => api.get('/billing/runs'),
+  getRun: (id) => api.get(`/billing/runs/${id}`),
+  undoRun: (id) => api.put(`/billing/runs/${id}/undo`),
+  getStudentCycles: (studentId) => api.get(`/students/${studentId}/billing-cycles`),
+};
+
+export const PaymentService = {
+  getAll: () => api.get('/payments'),
+  getById: (id) => api.get(`/payments/${id}`),
+  getReceipt: (id) => api.get(`/payments/${id}/receipt`),
+  getStudentLedger: (studentId) => api.get(`/students/${studentId}/payments`),
+  record: (studentId, data) => api.post(`/students/${studentId}/payments`, data),
+};
+
+export const RecycleBinService = {
+  get: () => api.get('/recycle-bin'),
+  restoreStudent: (id) => api.put(`/recycle-bin/students/${id}/restore`),
+  restoreHall: (id) => api.put(`/recycle-bin/study-halls/${id}/restore`),
+  purgeStudent: (id) => api.delete(`/recycle-bin/students/${id}`),
+  purgeHall: (id) => api.delete(`/recycle-bin/study-halls/${id}`),
+};
+
+export const AlertService = {
+  getAll: () => api.get('/alerts'),
+  markRead: (id) => api.put(`/alerts/${id}/read`),
+  markAllRead: () => api.put('/alerts/read'),
+};
+
+export const AuditService = {
+  search: (filters) => api.get('/audit-events', { params: filters }),
+  getStudentHistory: (studentId) => api.get(`/students/${studentId}/history`),
 };
 
 export const ReportService = {
   getFeeCollection: () => api.get('/reports/fee-collection'),
+  getDiscounts: () => api.get('/reports/discounts'),
 };
 
 export default api;
@@ -0,0 +1,72 @@
+import {
+  indianMobile,
+  maxLength,
+  nonNegative,
+  notBefore,
+  notInFuture,
+  pattern,
+  required,
+  requiredWith,
+  validate
+} from './validation';
+
+export const EXAM_TARGETS = [
+  'UPSC Civil Services',
+  'State PSC',
+  'SSC',
+  'Banking',
+  'Railways',
+  'JEE',
+  'NEET',
+  'GATE',
+  'CA / CS',
+  'CLAT',
+  'NET / SET',
+  'University Exams',
+];
+
+// Same formats the backend checks; numbers are compared without spaces or dashes
+export const ID_PROOF_TYPES = [
+  { value: 'AADHAAR', label: 'Aadhaar', placeholder: '1234 5678 9012', pattern: /^\d{12}$/, hint: 'Aadhaar number must be 12 digits' },
+  { value: 'PAN', label: 'PAN Card', placeholder: 'ABCDE1234F', pattern: /^[A-Z]{5}\d{4}[A-Z]$/, hint: 'PAN must look like ABCDE1234F' },
+  { value: 'VOTER_ID', label: 'Voter ID', placeholder: 'ABC1234567', pattern: /^[A-Z]{3}\d{7}$/, hint: 'Voter ID must look like ABC1234567' },
+  { value: 'DRIVING_LICENCE', label: 'Driving Licence', placeholder: 'MH1220110012345', pattern: /^[A-Z]{2}\d{2}[A-Z0-9]{9,12}$/, hint: 'Driving licence number must look like MH1220110012345' },
+  { value: 'PASSPORT', label: 'Passport', placeholder: 'A1234567', pattern: /^[A-Z]\d{7}$/, hint: 'Passport number must look like A1234567' },
+];
+
+export const findIdProofType = (value) => ID_PROOF_TYPES.find((type) => type.value === value) || null;
+
+export const formatIdProofType = (value) => findIdProofType(value)?.label || value || '—';
+
+export const normalizeIdNumber = (number) => (number || '').replace(/[\s-]/g, '').toUpperCase();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Same rules as StudentDetailsService, so most mistakes are caught before the form is sent
+const ADMISSION_RULES = {
+  name: [required('Full name is required')],
+  phone: [required('Phone number is required'), indianMobile('Enter a 10-digit Indian mobile number')],
+  joinDate: [required('Join date is required'), notInFuture('Join date cannot be in the future')],
+  leftDate: [notBefore('joinDate', 'Left date cannot be before the join date')],
+  monthlyFee: [required('Monthly fee is required'), nonNegative('Monthly fee cannot be negative')],
+  email: [pattern(EMAIL_PATTERN, 'Enter a valid email address')],
+  address: [maxLength(500, 'Address cannot be longer than 500 characters')],
+  guardianPhone: [indianMobile('Guardian phone must be a 10-digit Indian mobile number')],
+  emergencyContactPhone: [indianMobile('Emergency contact phone must be a 10-digit Indian mobile number')],
+  emergencyContactName: [requiredWith('emergencyContactPhone', 'Name the emergency contact')],
+  idProofType: [
+    (value, form) => (normalizeIdNumber(form.idProofNumber) && !findIdProofType(value) ? 'Choose the type of ID proof' : undefined)
+  ],
+  idProofNumber: [
+    (value, form) => {
+      const idType = findIdProofType(form.idProofType);
+      const idNumber = normalizeIdNumber(value);
+      if (!idType) return undefined;
+      if (!idNumber) return 'ID proof number is required';
+      return idType.pattern.test(idNumber) ? undefined : idType.hint;
+    }
+  ],
+};
+
+// Field name to message for every admission detail that is missing or malformed
+export const validateAdmission = (form) => validate(form, ADMISSION_RULES);
@@ -0,0 +1,22 @@
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', min: 0, max: 0, badge: 'bg-emerald-100 text-emerald-800 border-emerald-250' },
+  { key: '1-15', label: '1–15 days', min: 1, max: 15, badge: 'bg-yellow-100 text-yellow-800 border-yellow-250' },
+  { key: '16-30', label: '16–30 days', min: 16, max: 30, badge: 'bg-amber-100 text-amber-800 border-amber-250' },
+  { key: '31-60', label: '31–60 days', min: 31, max: 60, badge: 'bg-orange-100 text-orange-800 border-orange-250' },
+  { key: '60+', label: '60+ days', min: 61, max: Infinity, badge: 'bg-red-100 text-red-800 border-red-250' },
+];
+
+export const getAgingBucket = (daysOverdue = 0) =>
+  AGING_BUCKETS.find((bucket) => daysOverdue >= bucket.min && daysOverdue <= bucket.max) || AGING_BUCKETS[0];
+
+export const LATE_FEE_TYPES = [
+  { value: 'FLAT', label: 'Flat amount (₹)' },
+  { value: 'PERCENT', label: 'Percent of cycle fee' },
+];
+
+export const describeLateFeeRule = (rule) => {
+  const amount = rule.type === 'PERCENT'
+    ? `${rule.amount}% of the cycle fee`
+    : `₹ ${rule.amount.toLocaleString('en-IN')}`;
+  return `${amount} once a cycle is more than ${rule.graceDays} days overdue`;
+};
@@ -0,0 +1,67 @@
+// Mirrors AttendanceService: the code on a student's card, e.g. SH00042
+export const formatStudentCode = (studentId) => `SH${String(studentId).padStart(5, '0')}`;
+
+// The kiosk's device token (KIOSK_TOKEN on the server), entered once by staff when setting up the tablet
+const KIOSK_TOKEN_KEY = 'studyHall.kioskToken';
+
+export const getKioskToken = () => localStorage.getItem(KIOSK_TOKEN_KEY);
+
+export const setKioskToken = (token) => localStorage.setItem(KIOSK_TOKEN_KEY, token);
+
+export const clearKioskToken = () => localStorage.removeItem(KIOSK_TOKEN_KEY);
+
+export const formatClock = (dateTime) =>
+  dateTime ? new Date(dateTime).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }) : '—';
+
+export const attendanceStatus = (row) => {
+  if (row.inside) return 'INSIDE';
+  if (row.present) return 'LEFT';
+  return 'ABSENT';
+};
+
+export const ATTENDANCE_STATUS_LABELS = {
+  INSIDE: 'In the hall',
+  LEFT: 'Checked out',
+  ABSENT: 'Absent',
+};
+
+export const ATTENDANCE_STATUS_STYLES = {
+  INSIDE: 'bg-emerald-50 text-emerald-700 border-emerald-100',
+  LEFT: 'bg-blue-50 text-blue-700 border-blue-100',
+  ABSENT: 'bg-red-50 text-red-700 border-red-100',
+};
+
+// Local calendar date as YYYY-MM-DD, matching the dates the backend stores
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const toMonthKey = (date) => toDateKey(date).slice(0, 7);
+
+export const shiftMonth = (monthKey, months) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return toMonthKey(new Date(year, month - 1 + months, 1));
+};
+
+export const formatMonth = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+};
+
+// Weeks of the month from Monday to Sunday; days outside the month are null
+export const calendarWeeks = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  const days = new Date(year, month, 0).getDate();
+  const lead = (new Date(year, month - 1, 1).getDay() + 6) % 7;
+
+  const cells = Array(lead).fill(null);
+  for (let day = 1; day <= days; day++) {
+    cells.push(toDateKey(new Date(year, month - 1, day)));
+  }
+  while (cells.length % 7) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+};
@@ -0,0 +1,84 @@
+import { formatDate, formatRupees } from './format';
+import { formatIdProofType } from './admission';
+import { formatProrationPolicy } from './billing';
+
+export const AUDIT_ACTIONS = [
+  { value: 'CREATE', label: 'Created', className: 'bg-emerald-100 text-emerald-800 border-emerald-200' },
+  { value: 'UPDATE', label: 'Updated', className: 'bg-blue-100 text-blue-800 border-blue-200' },
+  { value: 'DELETE', label: 'Deleted', className: 'bg-red-100 text-red-800 border-red-200' },
+  { value: 'RESTORE', label: 'Restored', className: 'bg-emerald-100 text-emerald-800 border-emerald-200' },
+  { value: 'PURGE', label: 'Purged', className: 'bg-red-100 text-red-800 border-red-200' },
+  { value: 'LEAVE', label: 'Left', className: 'bg-gray-100 text-gray-700 border-gray-200' },
+  { value: 'REACTIVATE', label: 'Reactivated', className: 'bg-emerald-100 text-emerald-800 border-emerald-200' },
+  { value: 'FEE_RUN', label: 'Fee Run', className: 'bg-amber-100 text-amber-800 border-amber-200' },
+  { value: 'UNDO', label: 'Undone', className: 'bg-gray-100 text-gray-700 border-gray-200' },
+];
+
+export const AUDIT_ENTITY_TYPES = [
+  { value: 'STUDENT', label: 'Student' },
+  { value: 'STUDY_HALL', label: 'Study Hall' },
+  { value: 'BILLING_RUN', label: 'Billing Run' },
+  { value: 'LATE_FEES', label: 'Late Fees' },
+];
+
+export const findAuditAction = (action) =>
+  AUDIT_ACTIONS.find((a) => a.value === action) || { value: action, label: action, className: 'bg-gray-100 text-gray-700 border-gray-200' };
+
+export const formatAuditEntityType = (type) => AUDIT_ENTITY_TYPES.find((t) => t.value === type)?.label || type;
+
+// Field names are the Student and StudyHall properties recorded by AuditService
+const FIELD_LABELS = {
+  name: 'Name',
+  phone: 'Phone',
+  email: 'Email',
+  address: 'Address',
+  guardianName: 'Guardian',
+  guardianPhone: 'Guardian Phone',
+  emergencyContactName: 'Emergency Contact',
+  emergencyContactPhone: 'Emergency Phone',
+  examTarget: 'Preparing For',
+  idProofType: 'ID Proof',
+  idProofNumber: 'ID Number',
+  hall: 'Study Hall',
+  cabin: 'Seat',
+  shift: 'Shift',
+  joinDate: 'Joined',
+  leftDate: 'Left',
+  monthlyFee: 'Monthly Fee',
+  feePaid: 'Total Paid',
+  feeDue: 'Fee Due',
+  depositHeld: 'Deposit Held',
+  status: 'Status',
+  billedThrough: 'Billed Through',
+  paidThrough: 'Paid Through',
+  capacity: 'Capacity',
+  location: 'Location',
+  description: 'Description',
+  prorationPolicy: 'Proration',
+};
+
+const DATE_FIELDS = ['joinDate', 'leftDate', 'billedThrough', 'paidThrough'];
+const MONEY_FIELDS = ['monthlyFee', 'feePaid', 'feeDue', 'depositHeld'];
+
+export const formatAuditField = (field) => FIELD_LABELS[field] || field;
+
+export const formatAuditValue = (field, value) => {
+  if (value == null) return '—';
+  if (DATE_FIELDS.includes(field)) return formatDate(value);
+  if (MONEY_FIELDS.includes(field)) return formatRupees(Number(value));
+  if (field === 'idProofType') return formatIdProofType(value);
+  if (field === 'prorationPolicy') return formatProrationPolicy(value);
+  return value;
+};
+
+export const formatAuditTime = (dateTime) =>
+  new Date(dateTime).toLocaleString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Where an event's record can be opened, if it still exists
+export const auditEntityPath = (event) => {
+  if (event.action === 'DELETE' || event.action === 'PURGE' || event.entityId == null) return null;
+  if (event.entityType === 'STUDENT') return `/students/${event.entityId}`;
+  if (event.entityType === 'STUDY_HALL') return `/study-halls/${event.entityId}/seats`;
+  if (event.entityType === 'BILLING_RUN') return '/billing';
+  return null;
+};
@@ -0,0 +1,32 @@
+// The session token is kept across reloads; it is sent as a bearer token by services/api.js
+const TOKEN_KEY = 'studyHall.token';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY);
+
+export const ROLES = [
+  { value: 'OWNER', label: 'Owner', description: 'Everything, including deleting students, billing runs and staff accounts' },
+  { value: 'MANAGER', label: 'Manager', description: 'Halls, seats, shifts, late fees and reports, on top of the front desk' },
+  { value: 'RECEPTIONIST', label: 'Receptionist', description: 'Admissions, payments, attendance and the waitlist' },
+];
+
+export const formatRole = (role) => ROLES.find((r) => r.value === role)?.label || role || '—';
+
+// Roles allowed each action; the backend enforces the same with @RequiresRole
+const PERMISSIONS = {
+  deleteStudents: ['OWNER'],
+  runBilling: ['OWNER'],
+  deleteHalls: ['OWNER'],
+  manageStaff: ['OWNER'],
+  manageHalls: ['OWNER', 'MANAGER'],
+  manageLateFees: ['OWNER', 'MANAGER'],
+  viewReports: ['OWNER', 'MANAGER'],
+  viewActivity: ['OWNER', 'MANAGER'],
+  viewRecycleBin: ['OWNER', 'MANAGER'],
+  purgeDeleted: ['OWNER'],
+};
+
+export const can = (user, permission) => !!user && (PERMISSIONS[permission] || []).includes(user.role);
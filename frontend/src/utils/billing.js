@@ -0,0 +1,65 @@
+export const PRORATION_POLICIES = [
+  { value: 'FULL_MONTH', label: 'Full month', description: 'Any part of a cycle is charged as a full month' },
+  { value: 'DAILY', label: 'Daily pro-rata', description: 'Charged for the exact number of days used' },
+  { value: 'HALF_MONTH', label: 'Half-month rounding', description: 'Up to half a cycle is charged as half, more as a full month' },
+];
+
+export const formatProrationPolicy = (policy) => {
+  const match = PRORATION_POLICIES.find((p) => p.value === (policy || 'FULL_MONTH'));
+  return match ? match.label : policy;
+};
+
+const toISODate = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().split('T')[0];
+};
+
+// Same month arithmetic as java.time.LocalDate#plusMonths: the day is clamped to the month's end
+const addMonths = (date, months) => {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return target;
+};
+
+// Returns the join-date anchored cycle that contains `onDate` as ISO strings
+export const getCurrentCycle = (joinDateStr, onDate = new Date()) => {
+  if (!joinDateStr) return null;
+  const parsed = new Date(joinDateStr);
+  if (isNaN(parsed.getTime())) return null;
+  const joinDate = new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+
+  let index = 0;
+  while (addMonths(joinDate, index + 1) <= onDate) {
+    index++;
+  }
+
+  const start = addMonths(joinDate, index);
+  const next = addMonths(joinDate, index + 1);
+  const end = new Date(next.getFullYear(), next.getMonth(), next.getDate() - 1);
+  return { start: toISODate(start), end: toISODate(end) };
+};
+
+// Date the next invoice falls due: the day after the last billed cycle, or the next join-date anniversary
+export const getNextFeeDate = (student, onDate = new Date()) => {
+  if (student.billedThrough) {
+    const [year, month, day] = student.billedThrough.split('-').map(Number);
+    return toISODate(new Date(year, month - 1, day + 1));
+  }
+  const cycle = getCurrentCycle(student.joinDate, onDate);
+  if (!cycle) return null;
+  const [year, month, day] = cycle.end.split('-').map(Number);
+  return toISODate(new Date(year, month - 1, day + 1));
+};
+
+// Billed cycles (newest first) marked PAID, PARTIAL or DUE. Payments settle the oldest cycles
+// first, so whatever is still owed sits on the most recent ones.
+export const getDuesTimeline = (cycles, feeDue) => {
+  let outstanding = Math.max(feeDue ?? 0, 0);
+  return cycles.map((cycle) => {
+    const unpaid = Math.min(outstanding, cycle.amount ?? 0);
+    outstanding -= unpaid;
+    const status = unpaid === 0 ? 'PAID' : unpaid < cycle.amount ? 'PARTIAL' : 'DUE';
+    return { ...cycle, unpaid, status };
+  });
+};
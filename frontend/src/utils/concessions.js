@@ -0,0 +1,61 @@
+export const CONCESSION_TYPES = [
+  { value: 'SIBLING', label: 'Sibling discount', months: null },
+  { value: 'MERIT', label: 'Merit concession', months: null },
+  { value: 'PREPAID_QUARTER', label: 'Prepaid quarter discount', months: 3 },
+  { value: 'WAIVER', label: 'Fee waiver', months: 1 },
+];
+
+export const formatConcessionType = (type) => {
+  const match = CONCESSION_TYPES.find((t) => t.value === type);
+  return match ? match.label : type;
+};
+
+const toISODate = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().split('T')[0];
+};
+
+// Suggested valid-to date: a prepaid quarter covers three months, a waiver one cycle, others are open-ended
+export const defaultValidTo = (type, validFrom) => {
+  const months = CONCESSION_TYPES.find((t) => t.value === type)?.months;
+  if (!months || !validFrom) return '';
+  const [year, month, day] = validFrom.split('-').map(Number);
+  // Clamp to the target month's end like LocalDate#plusMonths, then step back a day
+  const lastDay = new Date(year, month - 1 + months + 1, 0).getDate();
+  return toISODate(new Date(year, month - 1 + months, Math.min(day, lastDay) - 1));
+};
+
+export const describeConcession = (concession) =>
+  concession.percent != null
+    ? `${concession.percent}% off`
+    : `₹ ${(concession.amount ?? 0).toLocaleString('en-IN')} off`;
+
+const isActiveOn = (concession, date) => {
+  if (concession.validFrom && date < concession.validFrom) return false;
+  if (concession.validTo && date > concession.validTo) return false;
+  return concession.type !== 'WAIVER' || !concession.appliedCycleId;
+};
+
+// Mirrors ConcessionService#discountsFor: applied in the order added, never more than the base fee in total
+export const calculateDiscounts = (concessions, baseFee, onDate = toISODate(new Date())) => {
+  let remaining = baseFee || 0;
+  const applied = [];
+
+  concessions.forEach((concession) => {
+    if (remaining <= 0 || !isActiveOn(concession, onDate)) return;
+
+    const discount = Math.min(
+      concession.percent != null
+        ? Math.round((baseFee * concession.percent) / 100)
+        : concession.amount || 0,
+      remaining
+    );
+
+    if (discount > 0) {
+      applied.push({ concession, amount: discount });
+      remaining -= discount;
+    }
+  });
+
+  return applied;
+};
@@ -0,0 +1,52 @@
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+export const formatRupees = (amount) => `₹ ${(amount ?? 0).toLocaleString('en-IN')}`;
+
+export const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-IN');
+};
+
+export const formatPeriod = (start, end) => {
+  if (!start || !end) return '—';
+  return `${formatDate(start)} to ${formatDate(end)}`;
+};
+
+const twoDigits = (n) => {
+  if (n < 20) return ONES[n];
+  return `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`;
+};
+
+const threeDigits = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const parts = [];
+  if (hundreds) parts.push(`${ONES[hundreds]} Hundred`);
+  if (rest) parts.push(twoDigits(rest));
+  return parts.join(' ');
+};
+
+// Spells out a whole rupee amount using the Indian grouping (thousand, lakh, crore)
+export const amountInWords = (amount) => {
+  let n = Math.floor(Math.abs(amount || 0));
+  if (n === 0) return 'Rupees Zero Only';
+
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  const lakh = Math.floor(n / 100000);
+  n %= 100000;
+  const thousand = Math.floor(n / 1000);
+  n %= 1000;
+
+  if (crore) parts.push(`${crore > 99 ? amountInWords(crore).replace(/^Rupees | Only$/g, '') : twoDigits(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigits(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigits(thousand)} Thousand`);
+  if (n) parts.push(threeDigits(n));
+
+  return `Rupees ${parts.join(' ')} Only`;
+};
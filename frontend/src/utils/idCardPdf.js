@@ -0,0 +1,95 @@
+import { formatDate } from './format';
+import { formatStudentCode } from './attendance';
+
+// Bank-card size (CR80), ten to an A4 sheet in two columns
+const CARD_WIDTH = 85.6;
+const CARD_HEIGHT = 54;
+const COLUMNS = 2;
+const ROWS = 5;
+const GAP = 3;
+const QR_SIZE = 26;
+
+const drawCard = (doc, student, qr, x, y) => {
+  const padding = 5;
+
+  doc.setDrawColor(209, 213, 219);
+  doc.setLineWidth(0.3);
+  doc.roundedRect(x, y, CARD_WIDTH, CARD_HEIGHT, 3, 3);
+
+  // Header band with square bottom corners
+  doc.setFillColor(5, 150, 105);
+  doc.roundedRect(x, y, CARD_WIDTH, 10, 3, 3, 'F');
+  doc.rect(x, y + 5, CARD_WIDTH, 5, 'F');
+
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.text('STUDENT ID CARD', x + padding, y + 6.5);
+  doc.text(formatStudentCode(student.id), x + CARD_WIDTH - padding, y + 6.5, { align: 'right' });
+
+  const textWidth = CARD_WIDTH - QR_SIZE - padding * 3;
+  let textY = y + 17;
+
+  doc.setTextColor(17, 24, 39);
+  doc.setFontSize(12);
+  doc.text(doc.splitTextToSize(student.name || '—', textWidth)[0], x + padding, textY);
+
+  const rows = [
+    ['Study Hall', student.hall || '—'],
+    ['Cabin', student.cabin || '—'],
+    ['Valid Till', student.paidThrough ? formatDate(student.paidThrough) : 'Fees pending'],
+  ];
+
+  textY += 3;
+  rows.forEach(([label, value]) => {
+    textY += 7.5;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.setTextColor(107, 114, 128);
+    doc.text(label.toUpperCase(), x + padding, textY - 3);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    doc.setTextColor(17, 24, 39);
+    doc.text(doc.splitTextToSize(String(value), textWidth)[0], x + padding, textY);
+  });
+
+  const qrX = x + CARD_WIDTH - padding - QR_SIZE;
+  doc.addImage(qr, 'PNG', qrX, y + 14, QR_SIZE, QR_SIZE);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(7);
+  doc.setTextColor(107, 114, 128);
+  doc.text('Scan at the kiosk', qrX + QR_SIZE / 2, y + 14 + QR_SIZE + 3.5, { align: 'center' });
+};
+
+/**
+ * Lays out one card per student on A4 sheets and opens the PDF ready to
+ * print. The QR code holds the student's card code, which the attendance
+ * kiosk accepts.
+ */
+export const printIdCards = async (students) => {
+  // jsPDF and the QR encoder are only loaded when cards are actually printed
+  const [{ jsPDF }, { default: QRCode }] = await Promise.all([import('jspdf'), import('qrcode')]);
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+
+  const left = (doc.internal.pageSize.getWidth() - (COLUMNS * CARD_WIDTH + (COLUMNS - 1) * GAP)) / 2;
+  const top = (doc.internal.pageSize.getHeight() - (ROWS * CARD_HEIGHT + (ROWS - 1) * GAP)) / 2;
+  const perPage = COLUMNS * ROWS;
+
+  for (let i = 0; i < students.length; i++) {
+    if (i > 0 && i % perPage === 0) doc.addPage();
+
+    const slot = i % perPage;
+    const x = left + (slot % COLUMNS) * (CARD_WIDTH + GAP);
+    const y = top + Math.floor(slot / COLUMNS) * (CARD_HEIGHT + GAP);
+    const qr = await QRCode.toDataURL(formatStudentCode(students[i].id), { margin: 0, width: 300 });
+
+    drawCard(doc, students[i], qr, x, y);
+  }
+
+  doc.autoPrint();
+
+  // Pop-up blockers may stop the print tab; the cards are downloaded instead
+  if (!window.open(doc.output('bloburl'), '_blank')) {
+    doc.save(students.length === 1 ? `id-card-${formatStudentCode(students[0].id)}.pdf` : 'id-cards.pdf');
+  }
+};
@@ -0,0 +1,44 @@
+export const PAYMENT_MODES = [
+  { value: 'CASH', label: 'Cash' },
+  { value: 'UPI', label: 'UPI' },
+  { value: 'CARD', label: 'Card' },
+  { value: 'BANK_TRANSFER', label: 'Bank Transfer' },
+  { value: 'CHEQUE', label: 'Cheque' },
+];
+
+export const formatPaymentMode = (mode) => {
+  const match = PAYMENT_MODES.find((m) => m.value === mode);
+  return match ? match.label : mode || '—';
+};
+
+const LEDGER_ENTRY_LABELS = {
+  PAYMENT: 'Payment',
+  CHARGE: 'Fee Charge',
+  ADJUSTMENT: 'Adjustment',
+  LATE_FEE: 'Late Fee',
+  DISCOUNT: 'Discount',
+  DEPOSIT: 'Deposit Collected',
+  DEPOSIT_APPLIED: 'Deposit Adjusted',
+  DEPOSIT_REFUND: 'Deposit Refund',
+};
+
+export const formatLedgerEntryType = (type) => LEDGER_ENTRY_LABELS[type] || type;
+
+// Payments and negative adjustments reduce the balance and are shown in the paid column
+export const isLedgerCredit = (entry) => entry.type === 'PAYMENT' || entry.amount < 0;
+
+// Left, or else from the ledger balance: a negative balance is advance credit
+export const getFeeStatus = (student) => {
+  if (student.leftDate) return 'Left';
+  if (student.feeDue < 0) return 'Credit';
+  return student.feeDue === 0 || student.feeDue == null ? 'Paid' : 'Pending';
+};
+
+// Students whose advance credit already pays for the cycle after the last one invoiced
+export const isPrepaidPast = (student, date) =>
+  !student.leftDate && !!student.paidThrough && !!date && student.paidThrough >= date;
+
+// Deposits collected and refunded are held outside the fee balance
+export const isDepositMovement = (entry) => entry.type === 'DEPOSIT' || entry.type === 'DEPOSIT_REFUND';
+
+export const EMPTY_DEPOSIT_SETTLEMENT = { damages: '', damageNote: '', refundMode: 'CASH' };
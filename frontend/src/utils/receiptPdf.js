@@ -0,0 +1,68 @@
+import { amountInWords, formatDate, formatPeriod } from './format';
+import { formatPaymentMode } from './payments';
+
+// The built-in PDF fonts have no ₹ glyph, so amounts are written as "Rs."
+const rupees = (amount) => `Rs. ${(amount ?? 0).toLocaleString('en-IN')}`;
+
+export const downloadReceiptPdf = async (receipt) => {
+  // jsPDF is large, so it is only loaded when a PDF is actually requested
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a5' });
+  const left = 14;
+  const right = doc.internal.pageSize.getWidth() - 14;
+  let y = 18;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(receipt.studyHallName || 'Study Hall', left, y);
+
+  doc.setFontSize(10);
+  doc.text('FEE RECEIPT', right, y, { align: 'right' });
+
+  y += 7;
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Receipt No: ${receipt.receiptNumber}`, left, y);
+  doc.text(`Date: ${formatDate(receipt.paymentDate)}`, right, y, { align: 'right' });
+
+  y += 4;
+  doc.setDrawColor(200);
+  doc.line(left, y, right, y);
+
+  const rows = [
+    ['Student', receipt.studentName || '—'],
+    ['Study Hall', receipt.hall || '—'],
+    ['Cabin', receipt.cabin || '—'],
+    ['Period Covered', formatPeriod(receipt.periodStart, receipt.periodEnd)],
+    ['Payment Mode', formatPaymentMode(receipt.mode)],
+    ['Reference No.', receipt.referenceNumber || '—'],
+  ];
+  if (receipt.note) rows.push(['Note', receipt.note]);
+
+  y += 8;
+  rows.forEach(([label, value]) => {
+    doc.setFont('helvetica', 'bold');
+    doc.text(label, left, y);
+    doc.setFont('helvetica', 'normal');
+    doc.text(String(value), left + 38, y);
+    y += 7;
+  });
+
+  y += 2;
+  doc.line(left, y, right, y);
+  y += 9;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(13);
+  doc.text('Amount Received', left, y);
+  doc.text(rupees(receipt.amount), right, y, { align: 'right' });
+
+  y += 7;
+  doc.setFont('helvetica', 'italic');
+  doc.setFontSize(10);
+  doc.text(doc.splitTextToSize(amountInWords(receipt.amount), right - left), left, y);
+
+  y += 24;
+  doc.setFont('helvetica', 'normal');
+  doc.text('Authorised Signatory', right, y, { align: 'right' });
+
+  doc.save(`${receipt.receiptNumber}.pdf`);
+};
@@ -0,0 +1,85 @@
+import { findShift, shiftsOverlap } from './shifts';
+
+// Cabins are typed by hand, so "c-12 " and "C-12" are the same seat (mirrors SeatService#sameSeat)
+export const isSameSeat = (a, b) =>
+  !!a && !!b && a.trim().toUpperCase() === b.trim().toUpperCase();
+
+// Students in the seat; with a shift, only those whose own shift overlaps it
+export const findOccupants = (students, label, shift, shifts = []) =>
+  students.filter((student) =>
+    isSameSeat(student.cabin, label) &&
+    (shift === undefined || shiftsOverlap(shift, findShift(shifts, student.shiftId)))
+  );
+
+export const findOccupant = (students, label, shift, shifts) =>
+  findOccupants(students, label, shift, shifts)[0] || null;
+
+export const isInsideGrid = (seat, rows, columns) =>
+  seat.gridRow < rows && seat.gridColumn < columns;
+
+// Non-numeric start of the first seat label, e.g. "C-" for "C-12"
+export const guessSeatPrefix = (seats) => {
+  const match = seats.find((seat) => /\d+$/.test(seat.label));
+  return match ? match.label.replace(/\d+$/, '') : 'C-';
+};
+
+// Next free number after the highest seat that uses the prefix
+export const nextSeatLabel = (seats, prefix) => {
+  const numbers = seats
+    .filter((seat) => seat.label.startsWith(prefix))
+    .map((seat) => parseInt(seat.label.slice(prefix.length)))
+    .filter((n) => !Number.isNaN(n));
+  return `${prefix}${numbers.length ? Math.max(...numbers) + 1 : 1}`;
+};
+
+// Renumbers seats 1..n row by row, keeping ids so occupants follow their seat
+export const numberSeats = (seats, prefix) =>
+  [...seats]
+    .sort((a, b) => a.gridRow - b.gridRow || a.gridColumn - b.gridColumn)
+    .map((seat, index) => ({ ...seat, label: `${prefix}${index + 1}` }));
+
+export const SEAT_FEATURES = [
+  { key: 'ac', label: 'AC' },
+  { key: 'windowSeat', label: 'Window' },
+  { key: 'locker', label: 'Locker' },
+];
+
+// Seats without a price tier are charged the hall's base rate
+export const getSeatFee = (seat, tiers, hallFee) =>
+  tiers.find((tier) => tier.id === seat.tierId)?.monthlyFee ?? hallFee;
+
+// A shift has its own price; a full-day student pays the seat's tier, or the hall's base rate
+export const getPlaceFee = (seatMap, seat, shift) => {
+  if (shift) return shift.monthlyFee;
+  return seat ? getSeatFee(seat, seatMap.tiers, seatMap.monthlyFee) : null;
+};
+
+// e.g. "AC · Window · Premium"
+export const describeSeat = (seat, tiers) => {
+  const parts = [seat.ac ? 'AC' : 'Non-AC'];
+  if (seat.windowSeat) parts.push('Window');
+  if (seat.locker) parts.push('Locker');
+  const tier = tiers.find((t) => t.id === seat.tierId);
+  if (tier) parts.push(tier.name);
+  return parts.join(' · ');
+};
+
+// Seats nobody else holds during the shift; studentId keeps the student's own seat on offer
+export const getVacantSeats = (seatMap, studentId, shift = null) =>
+  seatMap.seats.filter((seat) =>
+    findOccupants(seatMap.students, seat.label, shift, seatMap.shifts).every((occupant) => occupant.id === studentId)
+  );
+
+export const SEAT_STATUS_STYLES = {
+  Paid: 'bg-emerald-50 border-emerald-300 text-emerald-900',
+  Pending: 'bg-amber-50 border-amber-300 text-amber-900',
+  Credit: 'bg-indigo-50 border-indigo-300 text-indigo-900',
+  Vacant: 'bg-white border-dashed border-gray-300 text-gray-400',
+  Shared: 'bg-sky-50 border-sky-300 text-sky-900',
+};
+
+export const SEAT_STATUS_DOTS = {
+  Paid: 'bg-emerald-500',
+  Pending: 'bg-amber-500',
+  Credit: 'bg-indigo-500',
+};
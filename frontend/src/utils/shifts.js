@@ -0,0 +1,28 @@
+// "06:00:00" from the backend, "06:00" from a time input
+const toMinutes = (time) => {
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const formatTime = (time) => (time ? time.slice(0, 5) : '');
+
+export const formatShift = (shift) =>
+  shift ? `${shift.name} (${formatTime(shift.startTime)}–${formatTime(shift.endTime)})` : 'Full day';
+
+export const findShift = (shifts, shiftId) => shifts.find((shift) => shift.id === shiftId) || null;
+
+// Mirrors ShiftService#overlaps: no shift means the whole day, which overlaps every shift
+export const shiftsOverlap = (a, b) => {
+  if (!a || !b) return true;
+  return toMinutes(a.startTime) < toMinutes(b.endTime) && toMinutes(b.startTime) < toMinutes(a.endTime);
+};
+
+// Students whose seat is taken during the shift: those in it, in an overlapping shift, or full day
+export const countShiftOccupancy = (students, shift, shifts) =>
+  students.filter((student) => shiftsOverlap(shift, findShift(shifts, student.shiftId))).length;
+
+// Seats in use at the busiest time of day; mirrors StudyHallService#peakOccupancy
+export const getPeakOccupancy = (students, shifts) =>
+  shifts.length === 0
+    ? students.length
+    : Math.max(...shifts.map((shift) => countShiftOccupancy(students, shift, shifts)));
@@ -0,0 +1,60 @@
+import { toDateKey } from './attendance';
+
+/*
+ * Form validation. A schema maps each field to a list of rules; a rule gets
+ * the field's value and the whole form, and returns a message when the value
+ * is not acceptable. Apart from required, rules let a blank value through so
+ * optional fields stay optional.
+ */
+
+const isBlank = (value) => value == null || value.toString().trim() === '';
+
+// Ten-digit Indian mobile number, optionally written with +91 or a leading 0; mirrors StudentDetailsService
+const INDIAN_MOBILE_PATTERN = /^(?:91|0)?[6-9]\d{9}$/;
+
+export const isIndianMobile = (phone) => INDIAN_MOBILE_PATTERN.test((phone || '').replace(/\D/g, ''));
+
+export const required = (message) => (value) => (isBlank(value) ? message : undefined);
+
+// Required only once another field has been filled in
+export const requiredWith = (field, message) => (value, values) =>
+  isBlank(value) && !isBlank(values[field]) ? message : undefined;
+
+export const pattern = (regex, message) => (value) =>
+  !isBlank(value) && !regex.test(value.toString().trim()) ? message : undefined;
+
+export const maxLength = (length, message) => (value) =>
+  !isBlank(value) && value.toString().length > length ? message : undefined;
+
+export const indianMobile = (message) => (value) => (!isBlank(value) && !isIndianMobile(value) ? message : undefined);
+
+export const min = (limit, message) => (value) => (!isBlank(value) && Number(value) < limit ? message : undefined);
+
+export const nonNegative = (message) => min(0, message);
+
+// Dates are compared as yyyy-mm-dd strings, the format of date inputs
+export const notInFuture = (message) => (value) =>
+  !isBlank(value) && value > toDateKey(new Date()) ? message : undefined;
+
+export const notBefore = (field, message) => (value, values) =>
+  !isBlank(value) && !isBlank(values[field]) && value < values[field] ? message : undefined;
+
+// Field name to the first failing rule's message, for every field that fails
+export const validate = (values, schema) => {
+  const errors = {};
+  Object.entries(schema).forEach(([field, rules]) => {
+    for (const rule of rules) {
+      const message = rule(values[field], values);
+      if (message) {
+        errors[field] = message;
+        break;
+      }
+    }
+  });
+  return errors;
+};
+
+export const hasErrors = (errors) => Object.values(errors).some(Boolean);
+
+// Number inputs keep what was typed, so a cleared field stays blank instead of turning into 0
+export const toNumberInput = (value) => (value === '' ? '' : Number(value));
@@ -0,0 +1,54 @@
+// Mirrors WaitlistService: 1 is served first
+export const WAITLIST_PRIORITIES = [
+  { value: 1, label: 'High' },
+  { value: 2, label: 'Normal' },
+  { value: 3, label: 'Low' },
+];
+
+export const DEFAULT_PRIORITY = 2;
+
+export const formatPriority = (priority) =>
+  WAITLIST_PRIORITIES.find((p) => p.value === priority)?.label || 'Normal';
+
+export const WAITLIST_STATUS_STYLES = {
+  OFFERED: 'bg-amber-50 text-amber-700 border-amber-100',
+  WAITING: 'bg-blue-50 text-blue-700 border-blue-100',
+  CONVERTED: 'bg-emerald-50 text-emerald-700 border-emerald-100',
+  WITHDRAWN: 'bg-gray-50 text-gray-600 border-gray-100',
+};
+
+export const formatWaitlistStatus = (status) =>
+  status ? status.charAt(0) + status.slice(1).toLowerCase() : '';
+
+export const isOpenEntry = (entry) => entry.status === 'WAITING' || entry.status === 'OFFERED';
+
+// Queue order within a hall, matching the order the backend offers seats in
+const compareEntries = (a, b) =>
+  (a.priority ?? DEFAULT_PRIORITY) - (b.priority ?? DEFAULT_PRIORITY) ||
+  (a.requestedOn || '').localeCompare(b.requestedOn || '') ||
+  a.id - b.id;
+
+// Offers first, then the waiting queue, then closed entries
+const STATUS_ORDER = ['OFFERED', 'WAITING', 'CONVERTED', 'WITHDRAWN'];
+
+export const sortWaitlist = (entries) =>
+  [...entries].sort((a, b) =>
+    STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || compareEntries(a, b)
+  );
+
+// 1-based place among applicants still waiting for the same hall
+export const queuePosition = (entries, entry) =>
+  entries
+    .filter((e) => e.status === 'WAITING' && e.hallId === entry.hallId)
+    .sort(compareEntries)
+    .findIndex((e) => e.id === entry.id) + 1;
+
+export const emptyWaitlistEntry = () => ({
+  name: '',
+  phone: '',
+  hallId: null,
+  shiftId: null,
+  priority: DEFAULT_PRIORITY,
+  requestedOn: new Date().toISOString().split('T')[0],
+  notes: ''
+});